@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * OpenClaw Production Toolkit - Audit Verify CLI
+ *
+ * Verifies the hash chain of every audit log file in a directory and
+ * reports entries still on the legacy hash format, which covered only a
+ * few fields. Exits non-zero if any chain is broken.
+ *
+ * Usage:
+ *   audit-verify [audit-dir] [--json] [--strict]
+ *
+ *   --json    Print the report as JSON
+ *   --strict  Treat legacy-format entries as failures too
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AuditLogger = require('../src/audit-logger');
+
+const USAGE = 'Usage: audit-verify [audit-dir] [--json] [--strict]';
+
+function main(argv) {
+  const args = [];
+  const flags = new Set();
+
+  for (const arg of argv) {
+    if (['--json', '--strict'].includes(arg)) {
+      flags.add(arg);
+    } else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      console.error(USAGE);
+      return 2;
+    } else {
+      args.push(arg);
+    }
+  }
+
+  const dir = path.resolve(args[0] || path.join('logs', 'audit'));
+  if (!fs.existsSync(dir)) {
+    console.error(`Audit directory not found: ${dir}`);
+    return 2;
+  }
+
+  const report = new AuditLogger(dir, { quiet: true }).hashCoverageReport();
+  const { summary } = report;
+  const failed = summary.brokenFiles > 0 || (flags.has('--strict') && summary.legacyEntries > 0);
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify({ valid: !failed, ...report }, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  for (const result of report.files) {
+    const name = path.relative(dir, result.file);
+    console.log(result.valid
+      ? `✓ ${name}: ${result.entries} entries${result.legacyEntries ? ` (${result.legacyEntries} legacy)` : ''}`
+      : `✗ ${name}: ${result.error}`);
+  }
+
+  for (const entry of report.legacyEntries) {
+    console.log(`⚠ ${path.relative(dir, entry.file)}:${entry.line} ${entry.type} entry has a legacy hash; not covered: ${entry.uncoveredFields.join(', ') || '(none)'}`);
+  }
+
+  const text = `${summary.files} files, ${summary.entries} entries, ${summary.legacyEntries} legacy, ${summary.brokenFiles} broken`;
+  console.log(failed ? `✗ ${text}` : `✓ ${text}`);
+
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * OpenClaw Production Toolkit - Policy Lint CLI
+ * 
+ * Validates every policy file in a directory and exits non-zero on errors,
+ * so policy changes can be gated in CI.
+ * 
+ * Usage:
+ *   policy-lint [policy-dir] [--strict] [--json] [--trusted-keys <dir>] [--require-signed]
+ * 
+ *   --strict          Treat warnings as errors
+ *   --json            Print the report as JSON
+ *   --trusted-keys    Verify policy signatures against the public keys in <dir>
+ *   --require-signed  With --trusted-keys, unsigned files are errors
+ */
+
+const path = require('path');
+const PolicyValidator = require('../src/policy-validator');
+const PolicySigner = require('../src/policy-signer');
+
+const USAGE = 'Usage: policy-lint [policy-dir] [--strict] [--json] [--trusted-keys <dir>] [--require-signed]';
+
+function main(argv) {
+  const args = [];
+  const flags = new Set();
+  let trustedKeys = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--trusted-keys') {
+      if (argv[i + 1] === undefined) {
+        console.error(`Missing value for ${arg}`);
+        console.error(USAGE);
+        return 2;
+      }
+      trustedKeys = path.resolve(argv[++i]);
+    } else if (['--strict', '--json', '--require-signed'].includes(arg)) {
+      flags.add(arg);
+    } else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      console.error(USAGE);
+      return 2;
+    } else {
+      args.push(arg);
+    }
+  }
+
+  if (flags.has('--require-signed') && !trustedKeys) {
+    console.error('--require-signed needs --trusted-keys');
+    console.error(USAGE);
+    return 2;
+  }
+
+  const dir = path.resolve(args[0] || 'policies');
+  let report;
+
+  try {
+    const signer = trustedKeys ? new PolicySigner(trustedKeys) : null;
+    report = new PolicyValidator({ signer, requireSigned: flags.has('--require-signed') }).validateDirectory(dir);
+  } catch (error) {
+    console.error(`Failed to read policies from ${dir}: ${error.message}`);
+    return 2;
+  }
+
+  const failed = report.errors.length > 0 || (flags.has('--strict') && report.warnings.length > 0);
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify({
+      valid: !failed,
+      errors: report.errors,
+      warnings: report.warnings,
+      files: report.files.map(f => f.file),
+      signatures: trustedKeys ? report.signatures : undefined
+    }, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  for (const issue of [...report.errors, ...report.warnings]) {
+    console.log(PolicyValidator.formatIssue(issue));
+  }
+
+  const roles = report.roles.length ? ` (+${report.roles.length} role${report.roles.length === 1 ? '' : 's'})` : '';
+  const summary = `${report.policies.length} policies${roles}, ${report.errors.length} errors, ${report.warnings.length} warnings`;
+  console.log(failed ? `✗ ${summary}` : `✓ ${summary}`);
+
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
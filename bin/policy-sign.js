@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * OpenClaw Production Toolkit - Policy Signing CLI
+ *
+ * Creates signing keys and signs policy files (see src/policy-signer.js).
+ *
+ * Usage:
+ *   policy-sign keygen <key-id> [--out <dir>]
+ *   policy-sign <policy-file...> --key <private-key> [--key-id <id>] [--sequence <n>] [--detached]
+ *
+ *   keygen      Write <key-id>.key (private, keep it off the agent host) and
+ *               <key-id>.pub (add to the trusted key directory) to --out (default: .)
+ *   --key       Private key (PEM) to sign with
+ *   --key-id    Trusted key name recorded in the signature (default: key file name)
+ *   --sequence  Signature sequence (default: one more than the file's current signature, or 1);
+ *               engines refuse a file signed with a lower sequence than one they accepted
+ *   --detached  Write <file>.sig instead of appending the signature to the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PolicySigner = require('../src/policy-signer');
+
+const USAGE = [
+  'Usage: policy-sign keygen <key-id> [--out <dir>]',
+  '       policy-sign <policy-file...> --key <private-key> [--key-id <id>] [--sequence <n>] [--detached]'
+].join('\n');
+const VALUE_OPTIONS = ['--key', '--key-id', '--sequence', '--out'];
+
+function parseArgs(argv) {
+  const parsed = { args: [], options: {}, detached: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--detached') {
+      parsed.detached = true;
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      if (argv[i + 1] === undefined) throw new Error(`Missing value for ${arg}`);
+      parsed.options[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      parsed.args.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+function keygen(keyId, outDir) {
+  const { publicKey, privateKey } = PolicySigner.generateKeyPair();
+  const privateFile = path.join(outDir, `${keyId}.key`);
+  const publicFile = path.join(outDir, `${keyId}.pub`);
+
+  for (const file of [privateFile, publicFile]) {
+    if (fs.existsSync(file)) throw new Error(`Refusing to overwrite ${file}`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(privateFile, privateKey, { mode: 0o600 });
+  fs.writeFileSync(publicFile, publicKey);
+
+  console.log(`✓ Private key: ${privateFile}`);
+  console.log(`✓ Public key:  ${publicFile} (copy into the trusted key directory)`);
+}
+
+function sign(files, options, detached) {
+  const privateKey = fs.readFileSync(options.key, 'utf8');
+  const keyId = options['key-id'] || path.basename(options.key).replace(/\.[^.]+$/, '');
+
+  if (options.sequence !== undefined && !/^[1-9]\d*$/.test(options.sequence)) {
+    throw new Error('--sequence must be a positive integer');
+  }
+
+  for (const file of files) {
+    const content = fs.readFileSync(file, 'utf8');
+    const detachedSignature = fs.existsSync(`${file}.sig`) ? fs.readFileSync(`${file}.sig`, 'utf8') : '';
+    const sequence = options.sequence !== undefined
+      ? Number(options.sequence)
+      : PolicySigner.nextSequence(content, detachedSignature);
+    const binding = { file: path.basename(file), sequence };
+
+    if (detached) {
+      const payload = PolicySigner.stripSignature(content);
+      if (payload !== content) fs.writeFileSync(file, payload);
+      fs.writeFileSync(`${file}.sig`, PolicySigner.createSignature(payload, privateKey, keyId, binding));
+      console.log(`✓ Signed ${file} → ${file}.sig (key: ${keyId}, sequence: ${sequence})`);
+    } else {
+      fs.writeFileSync(file, PolicySigner.signEmbedded(content, privateKey, keyId, binding));
+      if (fs.existsSync(`${file}.sig`)) fs.unlinkSync(`${file}.sig`);
+      console.log(`✓ Signed ${file} (key: ${keyId}, sequence: ${sequence})`);
+    }
+  }
+}
+
+function main(argv) {
+  let parsed;
+
+  try {
+    parsed = parseArgs(argv);
+
+    if (parsed.args[0] === 'keygen') {
+      if (parsed.args.length !== 2) throw new Error('keygen takes exactly one key id');
+    } else if (parsed.args.length === 0 || !parsed.options.key) {
+      throw new Error('Expected policy files and --key');
+    }
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    if (parsed.args[0] === 'keygen') {
+      keygen(parsed.args[1], path.resolve(parsed.options.out || '.'));
+    } else {
+      sign(parsed.args, parsed.options, parsed.detached);
+    }
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    return 1;
+  }
+
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
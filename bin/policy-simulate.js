@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * OpenClaw Production Toolkit - Policy What-If CLI
+ *
+ * Replays historical decisions from the audit log against a candidate
+ * policy directory and prints what would have changed. Writes nothing.
+ *
+ * Usage:
+ *   policy-simulate <candidate-dir> [--audit <dir>] [--agent <id>] [--since <date>] [--until <date>] [--json]
+ *
+ *   --audit   Audit log directory (default: logs/audit)
+ *   --agent   Only replay decisions for this agent
+ *   --since   Only replay decisions at or after this date
+ *   --until   Only replay decisions at or before this date
+ *   --json    Print the report as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AuditLogger = require('../src/audit-logger');
+const PolicySimulator = require('../src/policy-simulator');
+
+const USAGE = 'Usage: policy-simulate <candidate-dir> [--audit <dir>] [--agent <id>] [--since <date>] [--until <date>] [--json]';
+const VALUE_OPTIONS = ['--audit', '--agent', '--since', '--until'];
+
+function parseArgs(argv) {
+  const parsed = { args: [], options: {}, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--json') {
+      parsed.json = true;
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      if (argv[i + 1] === undefined) throw new Error(`Missing value for ${arg}`);
+      parsed.options[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      parsed.args.push(arg);
+    }
+  }
+
+  if (parsed.args.length !== 1) throw new Error('Expected exactly one candidate policy directory');
+  return parsed;
+}
+
+function parseTime(value, name) {
+  if (value === undefined) return undefined;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`Invalid date for --${name}: ${value}`);
+  return time;
+}
+
+function main(argv) {
+  let parsed;
+  let filters;
+
+  try {
+    parsed = parseArgs(argv);
+    filters = {
+      agentId: parsed.options.agent,
+      startTime: parseTime(parsed.options.since, 'since'),
+      endTime: parseTime(parsed.options.until, 'until')
+    };
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const auditPath = path.resolve(parsed.options.audit || 'logs/audit');
+  if (!fs.existsSync(auditPath)) {
+    console.error(`Audit log directory not found: ${auditPath}`);
+    return 2;
+  }
+
+  let report;
+
+  try {
+    const auditLogger = new AuditLogger(auditPath, { quiet: true });
+    const simulator = new PolicySimulator(auditLogger, path.resolve(parsed.args[0]));
+    report = simulator.run(filters);
+    simulator.close();
+  } catch (error) {
+    console.error(`Simulation failed: ${error.message}`);
+    return 2;
+  }
+
+  if (parsed.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  for (const [category, title] of Object.entries(PolicySimulator.CATEGORIES)) {
+    const groups = report[category];
+    if (groups.length === 0) continue;
+
+    const total = groups.reduce((sum, group) => sum + group.count, 0);
+    console.log(`\n${title} (${total}):`);
+
+    for (const group of groups) {
+      const [example] = group.examples;
+      console.log(`  ${group.agentId}  ${group.action}  ×${group.count}`);
+      console.log(`    e.g. ${example.timestamp}: ${example.after.reason}`);
+    }
+  }
+
+  const { summary } = report;
+  console.log(`\n${summary.replayed} decisions replayed: ${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.skipped} skipped (rate limited or over budget)`);
+
+  if (summary.redactedContexts > 0) {
+    console.log(`⚠ ${summary.redactedContexts} contexts contained redacted values; conditions on those fields may differ from live traffic`);
+  }
+
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * OpenClaw Production Toolkit - Policy Test CLI
+ *
+ * Runs the *.test.yaml suites next to the policies and reports pass/fail
+ * per case plus rule coverage. Exits non-zero if any case fails.
+ *
+ * Usage:
+ *   policy-test [policy-dir] [--require-coverage] [--json]
+ *
+ *   --require-coverage  Also fail if any allow/deny/escalate rule is never hit
+ *   --json              Print the report as JSON
+ */
+
+const path = require('path');
+const PolicyTestRunner = require('../src/policy-test-runner');
+
+const USAGE = 'Usage: policy-test [policy-dir] [--require-coverage] [--json]';
+
+function main(argv) {
+  const args = argv.filter(arg => !arg.startsWith('--'));
+  const flags = new Set(argv.filter(arg => arg.startsWith('--')));
+
+  for (const flag of flags) {
+    if (!['--require-coverage', '--json'].includes(flag)) {
+      console.error(`Unknown option: ${flag}`);
+      console.error(USAGE);
+      return 2;
+    }
+  }
+
+  const dir = path.resolve(args[0] || 'policies');
+  let report;
+
+  try {
+    report = new PolicyTestRunner(dir).run();
+  } catch (error) {
+    console.error(`Failed to load policies from ${dir}: ${error.message}`);
+    return 2;
+  }
+
+  const uncovered = Object.values(report.coverage).reduce((sum, entry) => sum + entry.unhit.length, 0);
+  const failed = report.failed > 0 || (flags.has('--require-coverage') && uncovered > 0);
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  for (const suite of report.suites) {
+    console.log(`\n${suite.file}${suite.agent ? ` (${suite.agent})` : ''}`);
+
+    for (const result of suite.results) {
+      if (result.pass) {
+        console.log(`  ✓ ${result.name}`);
+      } else {
+        const location = result.line ? `${suite.file}:${result.line}: ` : '';
+        console.log(`  ✗ ${result.name}\n      ${location}${result.message}`);
+      }
+    }
+  }
+
+  console.log('\nCoverage:');
+  for (const [agentId, entry] of Object.entries(report.coverage)) {
+    console.log(`  ${agentId}: ${entry.hit}/${entry.rules} rules hit`);
+    for (const rule of entry.unhit) {
+      console.log(`    never hit: ${rule.list} '${rule.rule}'`);
+    }
+  }
+
+  const summary = `${report.passed} passed, ${report.failed} failed, ${uncovered} rules never hit`;
+  console.log(failed ? `\n✗ ${summary}` : `\n✓ ${summary}`);
+
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,194 @@
+/**
+ * OpenClaw Production Toolkit - Action Patterns
+ *
+ * Pattern matching for the action strings used in policy rules
+ * ("verb:resource"). Shared by the policy engine, the rate limiter
+ * and the policy validator.
+ *
+ * Glob grammar (":" and "/" separate segments):
+ *   read:ticket            exact match
+ *   read:*_data            `*` matches within one segment
+ *   read:crm/**            `**` matches across segments
+ *   read:ticket_?          `?` matches one character within a segment
+ *   {read,list}:ticket     brace sets expand to alternatives
+ *   /^read:(a|b)$/i        opt-in regular expression (whole action)
+ *
+ * For compatibility with existing policies, a bare `*` and a trailing `:*`
+ * (`delete:*`) still match the whole remainder, like `**`.
+ *
+ * Every pattern has a specificity score: 10 per literal character, minus 1
+ * per `*` and 3 per `**`. An exact pattern always outscores a wildcard that
+ * matches the same action. Regular expressions score 0.
+ */
+
+const MAX_ALTERNATIVES = 256;
+
+const compiled = new Map();
+
+/**
+ * Parse a pattern (cached). Throws on malformed patterns.
+ *
+ * @returns {object} - {source, regex, specificity, exact, alternatives}
+ */
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new Error('Action pattern must be a non-empty string');
+  }
+
+  let entry = compiled.get(pattern);
+  if (!entry) {
+    entry = pattern.startsWith('/') ? compileRegex(pattern) : compileGlob(pattern);
+    compiled.set(pattern, entry);
+  }
+
+  return entry;
+}
+
+function compileRegex(pattern) {
+  const match = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (!match) {
+    throw new Error(`Invalid regex pattern '${pattern}': expected /expression/flags`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(`^(?:${match[1]})$`, match[2]);
+  } catch (error) {
+    throw new Error(`Invalid regex pattern '${pattern}': ${error.message}`);
+  }
+
+  return { source: pattern, regex, specificity: 0, exact: false, alternatives: null };
+}
+
+function compileGlob(pattern) {
+  const alternatives = expandBraces(pattern).map(parseAlternative);
+  const regex = new RegExp(`^(?:${alternatives.map(alt => alt.regex).join('|')})$`);
+
+  return {
+    source: pattern,
+    regex,
+    specificity: Math.min(...alternatives.map(alt => alt.specificity)),
+    exact: alternatives.length === 1 && alternatives[0].exact,
+    alternatives
+  };
+}
+
+/**
+ * "{read,list}:ticket" → ["read:ticket", "list:ticket"]
+ */
+function expandBraces(pattern) {
+  const open = pattern.indexOf('{');
+
+  if (open === -1) {
+    if (pattern.includes('}')) throw new Error(`Unbalanced '}' in pattern '${pattern}'`);
+    return [pattern];
+  }
+
+  const close = pattern.indexOf('}', open);
+  if (close === -1) throw new Error(`Unclosed '{' in pattern '${pattern}'`);
+
+  const body = pattern.slice(open + 1, close);
+  if (body.includes('{')) throw new Error(`Nested brace sets are not supported in pattern '${pattern}'`);
+  if (pattern.slice(0, open).includes('}')) throw new Error(`Unbalanced '}' in pattern '${pattern}'`);
+
+  const head = pattern.slice(0, open);
+  const tails = expandBraces(pattern.slice(close + 1));
+  const expanded = [];
+
+  for (const option of body.split(',')) {
+    for (const tail of tails) {
+      expanded.push(head + option + tail);
+    }
+  }
+
+  if (expanded.length > MAX_ALTERNATIVES) {
+    throw new Error(`Pattern '${pattern}' expands to more than ${MAX_ALTERNATIVES} alternatives`);
+  }
+
+  return expanded;
+}
+
+function parseAlternative(text) {
+  // Legacy whole-remainder wildcards
+  if (text === '*') text = '**';
+  else if (text.endsWith(':*')) text = `${text}*`;
+
+  let regex = '';
+  let literals = 0;
+  let singles = 0;
+  let doubles = 0;
+  let fixed = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '*' || char === '?') {
+      if (fixed === null) fixed = text.slice(0, i);
+
+      if (char === '?') {
+        regex += '[^:/]';
+      } else if (text[i + 1] === '*') {
+        regex += '.*';
+        doubles++;
+        i++;
+      } else {
+        regex += '[^:/]*';
+        singles++;
+      }
+      continue;
+    }
+
+    regex += char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    literals++;
+  }
+
+  return {
+    text,
+    regex,
+    exact: fixed === null,
+    // Literal text before the first wildcard
+    fixed: fixed === null ? text : fixed,
+    // "<literal>**" with nothing after: matches everything under a prefix
+    prefixOnly: doubles === 1 && singles === 0 && text.endsWith('**') && fixed === text.slice(0, -2),
+    specificity: literals * 10 - singles - doubles * 3
+  };
+}
+
+/**
+ * Check whether an action matches a pattern
+ */
+function matchesPattern(action, pattern) {
+  if (action === pattern) return true;
+  return compilePattern(pattern).regex.test(action);
+}
+
+/**
+ * Specificity score of a pattern (higher is more specific)
+ */
+function patternSpecificity(pattern) {
+  return compilePattern(pattern).specificity;
+}
+
+/**
+ * Check whether every action matched by `narrow` is also matched by `broad`
+ *
+ * Used to detect rules that can never take effect. Conservative: returns
+ * false when coverage cannot be established.
+ */
+function patternCovers(broad, narrow) {
+  if (broad === narrow) return true;
+
+  const wide = compilePattern(broad);
+  const tight = compilePattern(narrow);
+  const prefixes = wide.alternatives ? wide.alternatives.filter(alt => alt.prefixOnly).map(alt => alt.fixed) : [];
+
+  // Regex rules are opaque: only a catch-all covers them
+  if (!tight.alternatives) return prefixes.includes('');
+
+  return tight.alternatives.every((alt) => {
+    if (alt.exact) return wide.regex.test(alt.text);
+    return prefixes.some(prefix => alt.fixed.startsWith(prefix));
+  });
+}
+
+module.exports = { compilePattern, matchesPattern, patternSpecificity, patternCovers };
@@ -0,0 +1,246 @@
+/**
+ * OpenClaw Production Toolkit - Approval Quorum
+ *
+ * Multi-party approval for escalations. A policy names its approvers in
+ * `approver_groups` and declares, per escalate rule (keyed like
+ * `escalation_sla`: the rule's action pattern, `budget:<name>` or
+ * `default`), who has to approve:
+ *
+ *   approver_groups:
+ *     legal: [alice@example.com, bob@example.com]
+ *     security: [carol@example.com, dan@example.com]
+ *
+ *   escalation_approvals:
+ *     account_deletion:
+ *       required: 2                # N approvals...
+ *       groups: [legal, security]  # ...from members of these groups (M)
+ *       order: any                 # any | ordered (one approval per group, in order)
+ *       exclude: [owner, requester, mallory@example.com]
+ *       on_conflict: deny          # deny (any denial denies) | quorum (first side to N wins)
+ *
+ * `owner` is the agent identity's owner and `requester` the agent itself
+ * plus the context's `requester` field. Exclusions and group members are
+ * resolved when the escalation opens and logged with it, so later policy
+ * edits don't change who may vote on it.
+ */
+
+const APPROVAL_KEYS = ['required', 'groups', 'order', 'exclude', 'on_conflict'];
+const ORDERS = ['any', 'ordered'];
+const CONFLICT_RULES = ['deny', 'quorum'];
+
+class ApprovalQuorum {
+  /**
+   * @param {object} requirement - A bound requirement (see bind())
+   */
+  constructor(requirement) {
+    this.requirement = requirement;
+  }
+
+  /**
+   * Compile a policy's escalation_approvals block against its approver_groups
+   *
+   * @returns {Map} - Rule key → {required, groups: [{name, members}], order, exclude, onConflict}
+   */
+  static compile(block, approverGroups) {
+    const requirements = new Map();
+    const groups = ApprovalQuorum.compileGroups(approverGroups);
+    if (block === undefined || block === null) return requirements;
+
+    if (!isMapping(block)) {
+      throw new Error('escalation_approvals must be a mapping of escalate rule actions to approval requirements');
+    }
+
+    for (const [key, spec] of Object.entries(block)) {
+      requirements.set(key, ApprovalQuorum.compileRequirement(key, spec, groups));
+    }
+
+    return requirements;
+  }
+
+  static compileGroups(approverGroups) {
+    const groups = new Map();
+    if (approverGroups === undefined || approverGroups === null) return groups;
+
+    if (!isMapping(approverGroups)) {
+      throw new Error('approver_groups must be a mapping of group names to principals');
+    }
+
+    for (const [name, members] of Object.entries(approverGroups)) {
+      if (!Array.isArray(members) || members.length === 0 || !members.every(isName)) {
+        throw new Error(`Approver group '${name}' must be a non-empty list of principals`);
+      }
+      groups.set(name, [...new Set(members)]);
+    }
+
+    return groups;
+  }
+
+  static compileRequirement(key, spec, groups) {
+    if (!isMapping(spec)) {
+      throw new Error(`Approvals for '${key}' must be a mapping`);
+    }
+
+    const unknown = Object.keys(spec).filter(name => !APPROVAL_KEYS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Approvals for '${key}': unknown key '${unknown[0]}' (expected one of: ${APPROVAL_KEYS.join(', ')})`);
+    }
+
+    if (!Array.isArray(spec.groups) || spec.groups.length === 0) {
+      throw new Error(`Approvals for '${key}': groups must be a non-empty list of approver_groups names`);
+    }
+
+    const missing = spec.groups.find(name => !groups.has(name));
+    if (missing !== undefined) {
+      throw new Error(`Approvals for '${key}': unknown approver group '${missing}'`);
+    }
+
+    const order = spec.order === undefined ? 'any' : spec.order;
+    if (!ORDERS.includes(order)) {
+      throw new Error(`Approvals for '${key}': order must be one of: ${ORDERS.join(', ')}`);
+    }
+
+    const onConflict = spec.on_conflict === undefined ? 'deny' : spec.on_conflict;
+    if (!CONFLICT_RULES.includes(onConflict)) {
+      throw new Error(`Approvals for '${key}': on_conflict must be one of: ${CONFLICT_RULES.join(', ')}`);
+    }
+
+    // In a chain every step is a gate, so a denial always ends it
+    if (order === 'ordered' && onConflict === 'quorum') {
+      throw new Error(`Approvals for '${key}': on_conflict: quorum needs order: any`);
+    }
+
+    const exclude = spec.exclude === undefined ? [] : spec.exclude;
+    if (!Array.isArray(exclude) || !exclude.every(isName)) {
+      throw new Error(`Approvals for '${key}': exclude must be a list of principals (or owner, requester)`);
+    }
+
+    const eligible = new Set(spec.groups.flatMap(name => groups.get(name)).filter(member => !exclude.includes(member)));
+    const required = spec.required === undefined ? (order === 'ordered' ? spec.groups.length : 1) : spec.required;
+
+    if (!Number.isInteger(required) || required < 1) {
+      throw new Error(`Approvals for '${key}': required must be a positive integer`);
+    }
+    if (order === 'ordered' && required !== spec.groups.length) {
+      throw new Error(`Approvals for '${key}': an ordered chain needs one approval per group (required: ${spec.groups.length})`);
+    }
+    if (required > eligible.size) {
+      throw new Error(`Approvals for '${key}': required ${required} approvals but only ${eligible.size} eligible approvers`);
+    }
+
+    return {
+      required,
+      groups: spec.groups.map(name => ({ name, members: groups.get(name) })),
+      order,
+      exclude: [...new Set(exclude)],
+      onConflict
+    };
+  }
+
+  /**
+   * Resolve a compiled requirement's `owner`/`requester` exclusions for one
+   * escalation (this is what gets logged with it)
+   *
+   * Throws if the exclusions leave too few eligible approvers to ever
+   * approve it (compile() can only check the principals it names).
+   *
+   * @param {object} principals - {owner, requesters: [...]}
+   */
+  static bind(requirement, principals = {}) {
+    const excluded = [...new Set(requirement.exclude.flatMap(principal => {
+      if (principal === 'owner') return principals.owner ? [principals.owner] : [];
+      if (principal === 'requester') return (principals.requesters || []).filter(isName);
+      return [principal];
+    }))];
+
+    const eligible = (members) => members.filter(member => !excluded.includes(member));
+    const approvers = new Set(requirement.groups.flatMap(group => eligible(group.members)));
+
+    if (requirement.required > approvers.size) {
+      throw new Error(`Escalation needs ${requirement.required} approvals but only ${approvers.size} of its approvers remain eligible after excluding ${excluded.join(', ')}`);
+    }
+
+    const empty = requirement.order === 'ordered' && requirement.groups.find(group => eligible(group.members).length === 0);
+    if (empty) {
+      throw new Error(`Escalation needs an approval from ${empty.name} but none of its members are eligible after excluding ${excluded.join(', ')}`);
+    }
+
+    return {
+      required: requirement.required,
+      groups: requirement.groups,
+      order: requirement.order,
+      excluded,
+      onConflict: requirement.onConflict
+    };
+  }
+
+  /**
+   * The group a voter votes for, given the votes so far
+   *
+   * Throws if the voter may not vote now: excluded, not in an eligible
+   * group (or not in the group whose turn it is), or already voted.
+   */
+  groupFor(voter, votes) {
+    const { groups, order, excluded } = this.requirement;
+
+    if (excluded.includes(voter)) {
+      throw new Error(`${voter} is excluded from approving this escalation`);
+    }
+
+    if (votes.some(vote => vote.voter === voter)) {
+      throw new Error(`${voter} has already voted on this escalation`);
+    }
+
+    if (order === 'ordered') {
+      const turn = groups[this.tally(votes).approvals];
+      if (!turn.members.includes(voter)) {
+        throw new Error(`It is ${turn.name}'s turn to approve this escalation; ${voter} is not in ${turn.name}`);
+      }
+      return turn.name;
+    }
+
+    const group = groups.find(candidate => candidate.members.includes(voter));
+    if (!group) {
+      throw new Error(`${voter} is not in an approver group for this escalation (${groups.map(g => g.name).join(', ')})`);
+    }
+    return group.name;
+  }
+
+  /**
+   * Count votes and decide whether the escalation is settled
+   *
+   * Approvals ('approved' or 'modified') reaching `required` approve it,
+   * as 'modified' if any approver changed the context (later changes win).
+   * Under on_conflict: deny the first denial denies it; under quorum
+   * denials have to reach `required` too.
+   *
+   * @returns {object} - {approvals, denials, required, decision: null | 'approved' | 'modified' | 'denied', modifications?}
+   */
+  tally(votes) {
+    const { required, onConflict } = this.requirement;
+    const approvals = votes.filter(vote => vote.decision !== 'denied');
+    const denials = votes.length - approvals.length;
+    const counts = { approvals: approvals.length, denials, required, decision: null };
+
+    if (denials > 0 && (onConflict === 'deny' || denials >= required)) {
+      return { ...counts, decision: 'denied' };
+    }
+
+    if (approvals.length >= required) {
+      const changed = approvals.filter(vote => vote.modifications);
+      if (changed.length === 0) return { ...counts, decision: 'approved' };
+      return { ...counts, decision: 'modified', modifications: Object.assign({}, ...changed.map(vote => vote.modifications)) };
+    }
+
+    return counts;
+  }
+}
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+module.exports = ApprovalQuorum;
@@ -0,0 +1,235 @@
+/**
+ * OpenClaw Production Toolkit - Approval Tokens
+ *
+ * One-time tokens that let a stateless worker retry an escalated action
+ * once it is approved, instead of the agent keeping the executor parked.
+ *
+ * A token is `<claims>.<signature>`, both base64url. The claims bind it to
+ * the agent, the action, a hash of the context that was escalated and an
+ * expiry; a 'modified' approval also carries the reviewer's changes, which
+ * are merged into the context when the token is used:
+ *
+ *   {id, escalationId, agentId, action, rule, contextHash, modifications?,
+ *    decision, approvedBy, keyId, issuedAt, expiresAt}
+ *
+ * Tokens are signed with the agent's system key or a reviewer's own key
+ * (Ed25519 directly, RSA and EC with SHA-256, as for policy signatures) and
+ * verified against trusted public keys. The context hash is an HMAC under
+ * the audit log's redaction key, so the hash logged with an escalation
+ * can't be brute-forced back into the fields redaction hid.
+ *
+ * Issues, uses and rejections are audit-logged as `approval_token` entries
+ * (never the token itself). The log is also what makes a token single-use
+ * across processes sharing it.
+ */
+
+const crypto = require('crypto');
+const PolicySigner = require('./policy-signer');
+const stableStringify = require('./stable-stringify');
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+
+class ApprovalTokens {
+  /**
+   * @param {AuditLogger} auditLogger - Logs token use; its redaction key keys context hashes
+   * @param {object} options - {signingKey: {keyId, privateKey} system key, trustedKeys: directory of
+   *                            `<key-id>.pub` / `.pem` files or map of key id → public PEM,
+   *                            ttlMs: 15 minutes, clock}
+   */
+  constructor(auditLogger, options = {}) {
+    this.auditLogger = auditLogger;
+    this.options = {
+      ttlMs: DEFAULT_TTL_MS,
+      ...options,
+      clock: options.clock || Date.now
+    };
+
+    this.trustedKeys = PolicySigner.loadTrustedKeys(options.trustedKeys, 'Trusted approval key');
+
+    // The system key verifies its own tokens
+    const { signingKey } = this.options;
+    if (signingKey) {
+      if (!/^\S+$/.test(signingKey.keyId || '')) {
+        throw new Error('Approval token signing key needs a keyId without spaces');
+      }
+      if (!this.trustedKeys.has(signingKey.keyId)) {
+        this.trustedKeys.set(signingKey.keyId, crypto.createPublicKey(signingKey.privateKey));
+      }
+    }
+
+    // Spent tokens, read from the whole log once and then from what's appended
+    this.consumed = new Set();
+    this.cursor = new Map();
+    this.refreshConsumed();
+  }
+
+  /**
+   * Keyed hash of an action context (without any approvalToken in it)
+   */
+  contextHash(context) {
+    const { approvalToken, ...rest } = context || {};
+    return crypto.createHmac('sha256', this.auditLogger.getRedactionKey()).update(stableStringify(rest)).digest('hex');
+  }
+
+  /**
+   * Whether tokens can be issued with this key (or the system key)
+   */
+  canSign(signingKey) {
+    return Boolean(signingKey || this.options.signingKey);
+  }
+
+  /**
+   * Throw unless a reviewer's key can sign tokens this agent will accept
+   */
+  assertSigningKey(signingKey) {
+    if (!signingKey?.keyId || !signingKey.privateKey) {
+      throw new Error('A reviewer signing key needs a keyId and privateKey');
+    }
+
+    const trusted = this.trustedKeys.get(signingKey.keyId);
+    if (!trusted) {
+      throw new Error(`Approval key '${signingKey.keyId}' is not trusted, so tokens it signs would be rejected`);
+    }
+
+    const publicKey = crypto.createPublicKey(signingKey.privateKey);
+    if (!publicKey.export({ type: 'spki', format: 'der' }).equals(trusted.export({ type: 'spki', format: 'der' }))) {
+      throw new Error(`Private key does not match trusted approval key '${signingKey.keyId}'`);
+    }
+  }
+
+  /**
+   * Issue a token for an approved escalation
+   *
+   * @param {object} escalation - The approved escalation (with its contextHash)
+   * @param {object} options - {approvedBy, modifications: changes for a 'modified' approval,
+   *                            signingKey: a reviewer's {keyId, privateKey} (default: the system key)}
+   * @returns {object} - {token, id, expiresAt}
+   */
+  issue(escalation, options = {}) {
+    const signingKey = options.signingKey || this.options.signingKey;
+    if (!signingKey) throw new Error('No approval token signing key configured');
+    if (options.signingKey) this.assertSigningKey(options.signingKey);
+
+    if (!escalation.contextHash) {
+      throw new Error(`Escalation ${escalation.id} has no context hash (raised before approval tokens were enabled)`);
+    }
+
+    const now = this.options.clock();
+    const modifications = options.modifications && Object.keys(options.modifications).length > 0
+      ? options.modifications
+      : undefined;
+
+    const claims = {
+      id: `apt_${crypto.randomUUID()}`,
+      escalationId: escalation.id,
+      agentId: escalation.agentId,
+      action: escalation.action,
+      rule: escalation.rule,
+      contextHash: escalation.contextHash,
+      modifications,
+      decision: escalation.resolution?.decision,
+      approvedBy: options.approvedBy,
+      keyId: signingKey.keyId,
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.options.ttlMs).toISOString()
+    };
+
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const key = crypto.createPrivateKey(signingKey.privateKey);
+    const signature = crypto.sign(PolicySigner.digestFor(key), Buffer.from(payload), key).toString('base64url');
+
+    this.log('issued', claims);
+    return { token: `${payload}.${signature}`, id: claims.id, expiresAt: claims.expiresAt };
+  }
+
+  /**
+   * Check a token presented with an action
+   *
+   * Rejections are logged. A valid token isn't spent until consume().
+   *
+   * @returns {object} - {valid: true, claims} or {valid: false, reason}
+   */
+  check(token, { agentId, action, context }) {
+    const { claims, reason } = this.verify(token, agentId, action, context);
+
+    if (reason) {
+      this.log('rejected', { ...claims, agentId, action }, reason);
+      return { valid: false, reason };
+    }
+
+    return { valid: true, claims };
+  }
+
+  /**
+   * Spend a checked token
+   */
+  consume(claims) {
+    this.consumed.add(claims.id);
+    this.log('consumed', claims);
+  }
+
+  /**
+   * @returns {object} - {claims?, reason?} (no reason when the token is valid)
+   */
+  verify(token, agentId, action, context) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 2) return { reason: 'Malformed approval token' };
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    } catch (error) {
+      return { reason: 'Malformed approval token' };
+    }
+    if (!claims || typeof claims !== 'object') return { reason: 'Malformed approval token' };
+
+    const key = this.trustedKeys.get(claims.keyId);
+    if (!key) return { claims, reason: `Signed with untrusted key '${claims.keyId}'` };
+
+    let signed = false;
+    try {
+      signed = crypto.verify(PolicySigner.digestFor(key), Buffer.from(parts[0]), key, Buffer.from(parts[1], 'base64url'));
+    } catch (error) {
+      signed = false;
+    }
+
+    if (!signed) return { claims, reason: 'Signature does not match the token' };
+    if (claims.agentId !== agentId) return { claims, reason: `Issued for agent ${claims.agentId}` };
+    if (claims.action !== action) return { claims, reason: `Issued for action ${claims.action}` };
+    if (claims.contextHash !== this.contextHash(context)) return { claims, reason: 'Context does not match the approved context' };
+    if (this.options.clock() >= Date.parse(claims.expiresAt)) return { claims, reason: `Expired at ${claims.expiresAt}` };
+    if (this.isConsumed(claims.id)) return { claims, reason: 'Already used' };
+
+    return { claims };
+  }
+
+  isConsumed(id) {
+    if (this.consumed.has(id)) return true;
+
+    // Another process sharing the audit log may have spent it since
+    this.refreshConsumed();
+    return this.consumed.has(id);
+  }
+
+  refreshConsumed() {
+    for (const entry of this.auditLogger.readSince(this.cursor, { type: 'approval_token' })) {
+      if (entry.status === 'consumed') this.consumed.add(entry.tokenId);
+    }
+  }
+
+  log(status, claims, reason) {
+    this.auditLogger.logApprovalToken({
+      status,
+      tokenId: claims.id,
+      escalationId: claims.escalationId,
+      agentId: claims.agentId,
+      action: claims.action,
+      keyId: claims.keyId,
+      approvedBy: claims.approvedBy,
+      expiresAt: claims.expiresAt,
+      reason
+    });
+  }
+}
+
+module.exports = ApprovalTokens;
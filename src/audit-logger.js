@@ -14,6 +14,14 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const Redactor = require('./redactor');
+const stableStringify = require('./stable-stringify');
+const { SLA_RESOLVER } = require('./escalation-scheduler');
+
+// Entry hash formats: version 1 (entries without hashVersion) covered only
+// these fields; version 2 covers the whole entry
+const HASH_VERSION = 2;
+const LEGACY_HASH_FIELDS = ['type', 'timestamp', 'agentId', 'action', 'decision', 'previousHash'];
 
 class AuditLogger {
   constructor(logPath, options = {}) {
@@ -25,6 +33,10 @@ class AuditLogger {
       ...options
     };
 
+    // Redaction rules (default + per-agent, from policy audit blocks)
+    this.defaultRedactor = this.createRedactor({});
+    this.redactors = new Map();
+
     // Current log file
     this.currentLogFile = this.getCurrentLogFile();
     
@@ -34,7 +46,9 @@ class AuditLogger {
     // Ensure log directory exists
     this.ensureLogDirectory();
 
-    console.log(`✓ Audit logger initialized: ${this.currentLogFile}`);
+    if (!this.options.quiet) {
+      console.log(`✓ Audit logger initialized: ${this.currentLogFile}`);
+    }
   }
 
   /**
@@ -86,12 +100,22 @@ class AuditLogger {
       timestampUnix: Date.now(),
       agentId,
       action,
-      context: this.sanitizeContext(context),
+      context: this.sanitizeContext(context, agentId),
       decision: {
         allowed: decision.allowed,
         reason: decision.reason,
         requiresEscalation: decision.requiresEscalation,
-        escalationRule: decision.escalationRule
+        escalationRule: decision.escalationRule,
+        matchedRule: decision.matchedRule,
+        precedence: decision.precedence,
+        rateLimited: decision.rateLimited,
+        rateLimit: decision.rateLimit,
+        retryAfterMs: decision.retryAfterMs,
+        budgetExceeded: decision.budgetExceeded,
+        budget: decision.budget,
+        budgets: decision.budgets,
+        shadow: decision.shadow,
+        policyVersion: decision.policyVersion
       },
       durationMs
     };
@@ -101,20 +125,24 @@ class AuditLogger {
 
   /**
    * Log an agent action
+   * 
+   * @param {object} link - {escalationId, authorizedBy} for an action run on an approved escalation
    */
-  logAction(agentId, action, details, result) {
+  logAction(agentId, action, details, result, link = {}) {
     const entry = {
       type: 'agent_action',
       timestamp: new Date().toISOString(),
       timestampUnix: Date.now(),
       agentId,
       action,
-      details: this.sanitizeContext(details),
+      details: this.sanitizeContext(details, agentId),
       result: {
         success: result.success,
-        output: result.output,
-        error: result.error
-      }
+        output: this.sanitizeValue(result.output, agentId),
+        error: this.sanitizeValue(result.error, agentId)
+      },
+      escalationId: link.escalationId,
+      authorizedBy: link.authorizedBy
     };
 
     this.writeEntry(entry);
@@ -122,36 +150,190 @@ class AuditLogger {
 
   /**
    * Log a human escalation event
+   * 
+   * @param {object} details - {escalationId, escalationRule, resume, sla, approvals, notify, contextHash, timestampUnix};
+   *                            an id is generated if not given
+   * @returns {string} - The escalation ID
    */
-  logEscalation(agentId, action, context, escalationReason, assignedTo) {
+  logEscalation(agentId, action, context, escalationReason, assignedTo, details = {}) {
+    const timestampUnix = details.timestampUnix ?? Date.now();
     const entry = {
       type: 'escalation',
-      timestamp: new Date().toISOString(),
-      timestampUnix: Date.now(),
+      timestamp: new Date(timestampUnix).toISOString(),
+      timestampUnix,
+      escalationId: details.escalationId || `esc_${crypto.randomUUID()}`,
       agentId,
       action,
-      context: this.sanitizeContext(context),
+      context: this.sanitizeContext(context, agentId),
       escalationReason,
+      escalationRule: details.escalationRule,
       assignedTo,
+      resume: details.resume,
+      sla: details.sla,
+      approvals: details.approvals,
+      notify: details.notify,
+      contextHash: details.contextHash,
       status: 'pending'
     };
 
     this.writeEntry(entry);
-    return entry.timestampUnix; // Return escalation ID
+    return entry.escalationId;
   }
 
   /**
    * Log escalation resolution
+   * 
+   * @param {object} details - {agentId, modifications} for a 'modified' approval
+   *                           (modifications are redacted like the agent's contexts)
    */
-  logEscalationResolution(escalationId, resolvedBy, decision, notes) {
+  logEscalationResolution(escalationId, resolvedBy, decision, notes, details = {}) {
     const entry = {
       type: 'escalation_resolution',
       timestamp: new Date().toISOString(),
       timestampUnix: Date.now(),
       escalationId,
       resolvedBy,
-      decision, // 'approved' | 'denied' | 'modified'
-      notes
+      decision, // 'approved' | 'modified' | 'denied' | 'expired' | 'cancelled'
+      notes,
+      modifications: details.modifications ? this.sanitizeContext(details.modifications, details.agentId) : undefined
+    };
+
+    this.writeEntry(entry);
+  }
+
+  /**
+   * Log one approver's vote on a multi-party escalation
+   * 
+   * @param {object} details - {escalationId, agentId, voter, group, decision, notes, modifications
+   *                            (already redacted), votedAt, previousVoteHash, hash}
+   */
+  logEscalationVote(details) {
+    const entry = {
+      type: 'escalation_vote',
+      timestamp: new Date().toISOString(),
+      timestampUnix: Date.now(),
+      escalationId: details.escalationId,
+      agentId: details.agentId,
+      voter: details.voter,
+      group: details.group,
+      decision: details.decision,
+      notes: details.notes,
+      modifications: details.modifications,
+      votedAt: details.votedAt,
+      previousVoteHash: details.previousVoteHash,
+      voteHash: details.hash
+    };
+
+    this.writeEntry(entry);
+  }
+
+  /**
+   * Log an escalation notification delivery (or failure)
+   * 
+   * @param {object} details - {escalationId, agentId, event, notifier, status: 'delivered'|'failed',
+   *                            attempts: [{status?, error?, at}], error}
+   */
+  logNotification(details) {
+    const entry = {
+      type: 'notification',
+      timestamp: new Date().toISOString(),
+      timestampUnix: Date.now(),
+      escalationId: details.escalationId,
+      agentId: details.agentId,
+      event: details.event,
+      notifier: details.notifier,
+      status: details.status,
+      attempts: details.attempts,
+      error: details.error
+    };
+
+    this.writeEntry(entry);
+  }
+
+  /**
+   * Log an approval token being issued, used or rejected (never the token itself)
+   * 
+   * @param {object} details - {status: 'issued'|'consumed'|'rejected', tokenId, escalationId, agentId,
+   *                            action, keyId, approvedBy, expiresAt, reason}
+   */
+  logApprovalToken(details) {
+    const entry = {
+      type: 'approval_token',
+      timestamp: new Date().toISOString(),
+      timestampUnix: Date.now(),
+      tokenId: details.tokenId,
+      escalationId: details.escalationId,
+      agentId: details.agentId,
+      action: details.action,
+      status: details.status,
+      keyId: details.keyId,
+      approvedBy: details.approvedBy,
+      expiresAt: details.expiresAt,
+      reason: details.reason
+    };
+
+    this.writeEntry(entry);
+  }
+
+  /**
+   * Log an SLA reminder for a pending escalation
+   * 
+   * @param {object} details - {escalationId, agentId, remindAtMs, deadline, assignedTo}
+   */
+  logEscalationReminder(details) {
+    const entry = {
+      type: 'escalation_reminder',
+      timestamp: new Date().toISOString(),
+      timestampUnix: Date.now(),
+      escalationId: details.escalationId,
+      agentId: details.agentId,
+      remindAtMs: details.remindAtMs,
+      deadline: details.deadline,
+      assignedTo: details.assignedTo
+    };
+
+    this.writeEntry(entry);
+  }
+
+  /**
+   * Log a policy reload (successful or rejected)
+   * 
+   * @param {object} details - {status, trigger, beforeHash, afterHash, agents, files, error}
+   */
+  logPolicyReload(details) {
+    const entry = {
+      type: 'policy_reload',
+      timestamp: new Date().toISOString(),
+      timestampUnix: Date.now(),
+      status: details.status,
+      trigger: details.trigger,
+      beforeHash: details.beforeHash,
+      afterHash: details.afterHash,
+      agents: details.agents,
+      files: details.files,
+      error: details.error
+    };
+
+    this.writeEntry(entry);
+  }
+
+  /**
+   * Log a policy file rejected by signature verification
+   * 
+   * @param {object} details - {file, signature: 'invalid'|'unsigned', keyId, detached, reason, trigger}
+   */
+  logPolicySignature(details) {
+    const entry = {
+      type: 'policy_signature',
+      timestamp: new Date().toISOString(),
+      timestampUnix: Date.now(),
+      status: details.status,
+      file: details.file,
+      signature: details.signature,
+      keyId: details.keyId,
+      detached: details.detached,
+      reason: details.reason,
+      trigger: details.trigger
     };
 
     this.writeEntry(entry);
@@ -189,6 +371,7 @@ class AuditLogger {
     // Add hash chain
     if (this.options.enableChainValidation) {
       entry.previousHash = this.lastHash;
+      entry.hashVersion = HASH_VERSION;
       entry.hash = this.hashEntry(entry);
       this.lastHash = entry.hash;
     }
@@ -199,17 +382,31 @@ class AuditLogger {
   }
 
   /**
-   * Hash an entry for chain validation
+   * Hash an entry for chain validation, in the entry's own hash format
+   * 
+   * Version 2 hashes the whole entry but its `hash` (canonical JSON, keys
+   * sorted). Entries without a hashVersion are version 1, which covered
+   * only LEGACY_HASH_FIELDS.
    */
   hashEntry(entry) {
-    const data = JSON.stringify({
-      type: entry.type,
-      timestamp: entry.timestamp,
-      agentId: entry.agentId,
-      action: entry.action,
-      decision: entry.decision,
-      previousHash: entry.previousHash
-    });
+    const version = entry.hashVersion ?? 1;
+    let data;
+
+    if (version === 1) {
+      data = JSON.stringify({
+        type: entry.type,
+        timestamp: entry.timestamp,
+        agentId: entry.agentId,
+        action: entry.action,
+        decision: entry.decision,
+        previousHash: entry.previousHash
+      });
+    } else if (version === 2) {
+      const { hash, ...covered } = entry;
+      data = stableStringify(covered);
+    } else {
+      throw new Error(`Unknown audit hash version: ${entry.hashVersion}`);
+    }
 
     return crypto.createHash('sha256').update(data).digest('hex');
   }
@@ -242,24 +439,69 @@ class AuditLogger {
   }
 
   /**
-   * Sanitize context to remove sensitive data
+   * Apply a policy's `audit` block (sensitive_fields, masking, detect_patterns) to an agent
+   */
+  setRedactionPolicy(agentId, auditConfig = {}) {
+    this.redactors.set(agentId, this.createRedactor(auditConfig || {}));
+  }
+
+  /**
+   * Build a redactor whose 'hash' mode uses this logger's redaction key
    */
-  sanitizeContext(context) {
-    const sanitized = { ...context };
+  createRedactor(auditConfig) {
+    return new Redactor(auditConfig, { hashKey: () => this.getRedactionKey() });
+  }
 
-    // Remove sensitive fields
-    const sensitiveFields = ['password', 'token', 'secret', 'apiKey', 'ssn', 'creditCard'];
-    for (const field of sensitiveFields) {
-      if (sanitized[field]) {
-        sanitized[field] = '[REDACTED]';
+  /**
+   * Get the HMAC key for 'hash' masking
+   * 
+   * Uses options.redactionKey, or a random key persisted next to the logs so
+   * hashed values stay correlatable across restarts.
+   */
+  getRedactionKey() {
+    if (this.options.redactionKey) return this.options.redactionKey;
+
+    if (!this.redactionKey) {
+      const keyFile = path.join(this.logPath, '.redaction-key');
+
+      if (fs.existsSync(keyFile)) {
+        this.redactionKey = fs.readFileSync(keyFile, 'utf8').trim();
+      } else {
+        this.ensureLogDirectory();
+        this.redactionKey = crypto.randomBytes(32).toString('hex');
+        fs.writeFileSync(keyFile, this.redactionKey, { mode: 0o600 });
       }
     }
 
-    return sanitized;
+    return this.redactionKey;
+  }
+
+  /**
+   * Sanitize context to remove sensitive data (deep, policy-driven)
+   */
+  sanitizeContext(context, agentId = null) {
+    if (!context || typeof context !== 'object') {
+      return {};
+    }
+
+    return this.sanitizeValue(context, agentId);
+  }
+
+  /**
+   * Redact any value (objects, arrays, strings) with the agent's rules
+   */
+  sanitizeValue(value, agentId = null) {
+    const redactor = (agentId && this.redactors.get(agentId)) || this.defaultRedactor;
+    return redactor.redact(value);
   }
 
   /**
    * Verify integrity of audit log chain
+   * 
+   * Each entry is checked in its own hash format. Once an entry uses the
+   * full-entry format, a later legacy one is a downgrade and breaks the chain.
+   * 
+   * @returns {object} - {valid, entries, hashVersions: {version: count}, legacyEntries, file} or {valid: false, error, entry?}
    */
   verifyChain(logFile = null) {
     const file = logFile || this.currentLogFile;
@@ -273,10 +515,20 @@ class AuditLogger {
 
     let previousHash = null;
     let validEntries = 0;
+    const hashVersions = {};
 
     for (let i = 0; i < lines.length; i++) {
       try {
         const entry = JSON.parse(lines[i]);
+        const version = entry.hashVersion ?? 1;
+
+        if (version !== 1 && version !== HASH_VERSION) {
+          return { valid: false, error: `Unknown hash version ${entry.hashVersion} at line ${i + 1}`, entry };
+        }
+
+        if (version < Math.max(0, ...Object.keys(hashVersions).map(Number))) {
+          return { valid: false, error: `Legacy hash format after full-entry hashes at line ${i + 1}`, entry };
+        }
 
         // Verify hash chain
         if (entry.previousHash !== previousHash) {
@@ -299,6 +551,7 @@ class AuditLogger {
 
         previousHash = entry.hash;
         validEntries++;
+        hashVersions[version] = (hashVersions[version] || 0) + 1;
       } catch (error) {
         return {
           valid: false,
@@ -310,10 +563,65 @@ class AuditLogger {
     return {
       valid: true,
       entries: validEntries,
+      hashVersions,
+      legacyEntries: hashVersions[1] || 0,
       file
     };
   }
 
+  /**
+   * Hash-format migration report across every log file
+   * 
+   * Flags entries still on the legacy (version 1) hash with the fields it
+   * leaves uncovered: those could be edited without verifyChain noticing.
+   * Re-hashing them would mean rewriting the append-only log, so they are
+   * reported instead; new entries chain onto them with full-entry hashes.
+   * 
+   * @returns {object} - {files: [verifyChain() result per file], legacyEntries: [{file, line, type,
+   *                      timestamp, uncoveredFields}], summary: {files, entries, legacyEntries, brokenFiles}}
+   */
+  hashCoverageReport() {
+    const files = [];
+    const legacyEntries = [];
+
+    for (const file of this.getLogFiles()) {
+      files.push({ file, ...this.verifyChain(file) });
+
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          return;
+        }
+
+        if (entry.hashVersion === undefined) {
+          legacyEntries.push({
+            file,
+            line: index + 1,
+            type: entry.type,
+            timestamp: entry.timestamp,
+            uncoveredFields: Object.keys(entry).filter(key => key !== 'hash' && !LEGACY_HASH_FIELDS.includes(key))
+          });
+        }
+      });
+    }
+
+    return {
+      files,
+      legacyEntries,
+      summary: {
+        files: files.length,
+        entries: files.reduce((sum, result) => sum + (result.entries || 0), 0),
+        legacyEntries: legacyEntries.length,
+        brokenFiles: files.filter(result => !result.valid).length
+      }
+    };
+  }
+
   /**
    * Query audit logs
    */
@@ -341,6 +649,61 @@ class AuditLogger {
     return results;
   }
 
+  /**
+   * Read the entries appended since a cursor, so an index of the log can be
+   * kept current without re-reading it
+   * 
+   * The cursor maps each file (by inode, so a rotated file is recognized
+   * under its new name) to the offset read up to, and is updated in place.
+   * A line still being written is left for the next read.
+   * 
+   * @param {Map} cursor - From earlier reads (an empty Map reads everything)
+   * @param {object} filters - As for query()
+   * @returns {Array} - New matching entries, oldest first
+   */
+  readSince(cursor, filters = {}) {
+    const results = [];
+
+    for (const file of this.getLogFiles()) {
+      let fd;
+      try {
+        fd = fs.openSync(file, 'r');
+      } catch (error) {
+        // Rotated away since listing: read under its new name next time
+        continue;
+      }
+
+      try {
+        const { ino, size } = fs.fstatSync(fd);
+        const key = ino || file;
+        const offset = cursor.get(key) || 0;
+        if (size <= offset) continue;
+
+        const buffer = Buffer.alloc(size - offset);
+        fs.readSync(fd, buffer, 0, buffer.length, offset);
+
+        const end = buffer.lastIndexOf(0x0a);
+        if (end === -1) continue;
+        cursor.set(key, offset + end + 1);
+
+        for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+          if (!line) continue;
+
+          try {
+            const entry = JSON.parse(line);
+            if (this.matchesFilters(entry, filters)) results.push(entry);
+          } catch (error) {
+            // Skip invalid lines
+          }
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Check if entry matches filters
    */
@@ -375,6 +738,14 @@ class AuditLogger {
 
   /**
    * Generate compliance report
+   * 
+   * `shadow` summarizes decisions where shadow-mode rules would have changed
+   * the outcome, grouped by agent and rule, as evidence for promoting them
+   * to enforce.
+   * 
+   * `escalationStats` covers escalations opened in the period, whenever they
+   * were resolved: time to resolution and SLA breaches (timed out, decided
+   * after the deadline, or still pending past it).
    */
   generateComplianceReport(startDate, endDate) {
     const filters = {
@@ -395,8 +766,15 @@ class AuditLogger {
       },
       byAgent: {},
       byAction: {},
-      escalations: []
+      escalations: [],
+      shadow: {
+        total: 0,
+        byOutcome: { allow: 0, deny: 0, escalate: 0 },
+        rules: []
+      }
     };
+    const shadowRules = new Map();
+    const resolutions = this.resolutionsById();
 
     for (const entry of entries) {
       if (entry.type === 'policy_decision') {
@@ -428,6 +806,10 @@ class AuditLogger {
           report.byAction[entry.action] = 0;
         }
         report.byAction[entry.action]++;
+
+        if (entry.decision.shadow) {
+          this.addShadowHit(report.shadow, shadowRules, entry);
+        }
       }
 
       if (entry.type === 'agent_action') {
@@ -435,17 +817,145 @@ class AuditLogger {
       }
 
       if (entry.type === 'escalation') {
+        const escalationId = entry.escalationId ?? entry.timestampUnix;
+        const resolution = resolutions.get(String(escalationId));
+
         report.escalations.push({
+          escalationId,
           timestamp: entry.timestamp,
           agentId: entry.agentId,
           action: entry.action,
-          reason: entry.escalationReason
+          reason: entry.escalationReason,
+          status: resolution ? resolution.decision : 'pending',
+          resolvedBy: resolution?.resolvedBy,
+          timeToResolutionMs: resolution ? resolution.timestampUnix - entry.timestampUnix : undefined,
+          deadline: entry.sla?.deadline ?? undefined,
+          slaBreach: slaBreach(entry, resolution)
         });
       }
     }
 
+    report.shadow.rules.sort((a, b) => b.count - a.count || a.agentId.localeCompare(b.agentId));
+    report.escalationStats = escalationStats(report.escalations);
+
     return report;
   }
+
+  /**
+   * First resolution logged for each escalation (later ones were rejected)
+   */
+  resolutionsById() {
+    const resolutions = new Map();
+
+    for (const entry of this.query({ type: 'escalation_resolution' })) {
+      const id = String(entry.escalationId);
+      if (!resolutions.has(id)) resolutions.set(id, entry);
+    }
+
+    return resolutions;
+  }
+
+  /**
+   * Count one shadow hit into the compliance report's shadow section
+   */
+  addShadowHit(section, groups, entry) {
+    const { outcome, matchedRule = null } = entry.decision.shadow;
+    const key = JSON.stringify([entry.agentId, outcome, matchedRule]);
+
+    section.total++;
+    section.byOutcome[outcome] = (section.byOutcome[outcome] || 0) + 1;
+
+    let group = groups.get(key);
+    if (!group) {
+      group = { agentId: entry.agentId, rule: matchedRule, outcome, count: 0, actions: {}, firstSeen: entry.timestamp, lastSeen: entry.timestamp };
+      groups.set(key, group);
+      section.rules.push(group);
+    }
+
+    group.count++;
+    group.actions[entry.action] = (group.actions[entry.action] || 0) + 1;
+    group.lastSeen = entry.timestamp;
+  }
+}
+
+/**
+ * How an escalation missed its SLA: 'timed_out', 'resolved_late',
+ * 'pending_overdue', or null if it has no deadline or met it
+ */
+function slaBreach(escalation, resolution) {
+  const deadline = escalation.sla?.deadline ? new Date(escalation.sla.deadline).getTime() : null;
+  if (deadline === null) return null;
+
+  if (!resolution) return Date.now() >= deadline ? 'pending_overdue' : null;
+  if (resolution.resolvedBy === SLA_RESOLVER) return 'timed_out';
+  return resolution.timestampUnix > deadline ? 'resolved_late' : null;
+}
+
+/**
+ * Summarize the compliance report's escalations
+ */
+function escalationStats(escalations) {
+  const byStatus = { pending: 0, approved: 0, modified: 0, denied: 0, expired: 0, cancelled: 0 };
+  const breaches = { total: 0, timed_out: 0, resolved_late: 0, pending_overdue: 0 };
+  const durations = [];
+
+  for (const escalation of escalations) {
+    byStatus[escalation.status] = (byStatus[escalation.status] || 0) + 1;
+    if (escalation.timeToResolutionMs !== undefined) durations.push(escalation.timeToResolutionMs);
+    if (escalation.slaBreach) {
+      breaches.total++;
+      breaches[escalation.slaBreach]++;
+    }
+  }
+
+  durations.sort((a, b) => a - b);
+  const percentile = p => durations[Math.min(durations.length - 1, Math.ceil(p * durations.length) - 1)];
+
+  return {
+    total: escalations.length,
+    byStatus,
+    withSla: escalations.filter(escalation => escalation.deadline !== undefined).length,
+    slaBreaches: breaches,
+    timeToResolutionMs: durations.length === 0
+      ? { count: 0 }
+      : {
+        count: durations.length,
+        average: Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length),
+        median: percentile(0.5),
+        p95: percentile(0.95),
+        max: durations[durations.length - 1]
+      }
+  };
+}
+
+/**
+ * Audit sink that records nothing
+ * 
+ * For isolated engines (what-if simulation, policy tests) that must never
+ * write to the real audit trail.
+ */
+class NullAuditLogger {
+  logDecision() {}
+  logAction() {}
+  logEscalation() {}
+  logEscalationResolution() {}
+  logEscalationReminder() {}
+  logEscalationVote() {}
+  logNotification() {}
+  logApprovalToken() {}
+  logPolicyReload() {}
+  logPolicySignature() {}
+  logIdentityVerification() {}
+  setRedactionPolicy() {}
+
+  query() {
+    return [];
+  }
+
+  readSince() {
+    return [];
+  }
 }
 
 module.exports = AuditLogger;
+module.exports.NullAuditLogger = NullAuditLogger;
@@ -0,0 +1,380 @@
+/**
+ * OpenClaw Production Toolkit - Budget Ledger
+ *
+ * Cumulative limits across actions, driven by a policy's `budgets` block.
+ * Per-call conditions like `amount > 500` can't stop twenty $499 refunds;
+ * a budget caps the total:
+ *
+ *   budgets:
+ *     - name: daily_refunds
+ *       action: "refund_*"
+ *       sum: amount              # context field to add up (omit to count actions)
+ *       limit: 2000
+ *       window: day
+ *       on_exceed: escalate      # or deny (default)
+ *     - name: responses_per_customer
+ *       action: create:ticket_response
+ *       limit: 50
+ *       window: hour
+ *       scope: customer          # tracked per context.customer / customerId / customer_id
+ *
+ * Usage is tracked per agent (and scope value) over a sliding window. An
+ * allowed action first reserves its usage; the reservation is committed
+ * once the action has actually happened, or released if it failed, so
+ * failed actions never spend budget and concurrent ones can't overspend it.
+ *
+ * Committed usage is appended to a JSON lines file, one entry per charge:
+ *   {budget, key, agentId, amount, at}
+ * and read back on startup so budgets survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseDuration } = require('./duration');
+
+const BUDGET_KEYS = ['name', 'action', 'sum', 'limit', 'window', 'scope', 'on_exceed'];
+const ON_EXCEED = ['deny', 'escalate'];
+
+class BudgetLedger {
+  /**
+   * @param {string|null} ledgerFile - JSONL file to persist to (null keeps usage in memory)
+   * @param {object} options - {clock: () => epoch ms, matchPattern: (action, pattern) => boolean}
+   */
+  constructor(ledgerFile = null, options = {}) {
+    this.ledgerFile = ledgerFile;
+    this.clock = options.clock || (() => Date.now());
+    this.matchPattern = options.matchPattern || ((action, pattern) => action === pattern);
+    this.usage = new Map();
+    this.reservations = new Map();
+    this.load();
+  }
+
+  /**
+   * Compile a policy's budgets block into budget definitions
+   *
+   * @param {Array} budgets - The `budgets` block from a policy
+   * @returns {Array} - Compiled budgets
+   */
+  static compile(budgets) {
+    if (budgets === undefined || budgets === null) return [];
+
+    if (!Array.isArray(budgets)) {
+      throw new Error('budgets must be a list');
+    }
+
+    const names = new Set();
+
+    return budgets.map((budget, index) => {
+      if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+        throw new Error(`budgets[${index}] must be a mapping`);
+      }
+
+      const unknown = Object.keys(budget).filter(key => !BUDGET_KEYS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`budgets[${index}]: unknown key '${unknown[0]}' (expected one of: ${BUDGET_KEYS.join(', ')})`);
+      }
+
+      if (typeof budget.name !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(budget.name)) {
+        throw new Error(`budgets[${index}] needs a 'name' (letters, digits, _ . -)`);
+      }
+
+      if (names.has(budget.name)) {
+        throw new Error(`Duplicate budget name '${budget.name}'`);
+      }
+      names.add(budget.name);
+
+      if (typeof budget.action !== 'string' || budget.action === '') {
+        throw new Error(`Budget ${budget.name} must have an 'action' pattern`);
+      }
+
+      if (typeof budget.limit !== 'number' || !Number.isFinite(budget.limit) || budget.limit < 0) {
+        throw new Error(`Budget ${budget.name}: limit must be a non-negative number`);
+      }
+
+      if (budget.sum === undefined && !Number.isInteger(budget.limit)) {
+        throw new Error(`Budget ${budget.name}: a count budget's limit must be an integer`);
+      }
+
+      if (budget.sum !== undefined && (typeof budget.sum !== 'string' || budget.sum === '')) {
+        throw new Error(`Budget ${budget.name}: sum must name a context field`);
+      }
+
+      if (budget.window === undefined) {
+        throw new Error(`Budget ${budget.name} must have a 'window' (e.g. day, 1h)`);
+      }
+
+      let windowMs;
+      try {
+        windowMs = parseDuration(budget.window);
+      } catch (error) {
+        throw new Error(`Budget ${budget.name}: ${error.message}`);
+      }
+
+      if (windowMs <= 0) {
+        throw new Error(`Budget ${budget.name}: window must be longer than zero`);
+      }
+
+      if (budget.on_exceed !== undefined && !ON_EXCEED.includes(budget.on_exceed)) {
+        throw new Error(`Budget ${budget.name}: on_exceed must be one of: ${ON_EXCEED.join(', ')}`);
+      }
+
+      return {
+        name: budget.name,
+        pattern: budget.action,
+        sum: budget.sum || null,
+        limit: budget.limit,
+        window: String(budget.window),
+        windowMs,
+        scope: budget.scope || null,
+        onExceed: budget.on_exceed || 'deny'
+      };
+    });
+  }
+
+  /**
+   * Read committed usage back from the ledger file
+   */
+  load() {
+    if (!this.ledgerFile || !fs.existsSync(this.ledgerFile)) return;
+
+    const content = fs.readFileSync(this.ledgerFile, 'utf8');
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        this.charges(entry.key).push({ amount: entry.amount, at: entry.at });
+      } catch (error) {
+        // Skip a torn final line rather than losing the whole ledger
+        continue;
+      }
+    }
+
+    for (const charges of this.usage.values()) {
+      charges.sort((a, b) => a.at - b.at);
+    }
+  }
+
+  /**
+   * Check an action against every budget that applies to it
+   *
+   * Nothing is recorded; pass the returned charges to reserve().
+   *
+   * @param {string} agentId - Agent identifier
+   * @param {Array} budgets - Compiled budgets for the agent's policy
+   * @param {string} action - Action being performed
+   * @param {object} context - Action context (amount and scope values)
+   * @param {object} options - {allowOver: name} of a budget to charge even past its limit
+   *                           (an approved over-budget escalation)
+   * @returns {object} - {exceeded: status|null, invalid: string|null, budgets: [status], charges}
+   *                     where status is {name, limit, used, requested, remaining, window, scope?, onExceed}
+   */
+  evaluate(agentId, budgets, action, context = {}, options = {}) {
+    const now = this.clock();
+    const statuses = [];
+    const charges = [];
+
+    for (const budget of budgets) {
+      if (!this.matchPattern(action, budget.pattern)) continue;
+
+      const key = keyFor(agentId, budget, context);
+      let requested = 1;
+      if (budget.sum) {
+        requested = valueAt(context, budget.sum);
+
+        if (typeof requested !== 'number' || !Number.isFinite(requested) || requested < 0) {
+          return {
+            exceeded: null,
+            invalid: `Budget ${budget.name} needs a non-negative number in '${budget.sum}'`,
+            budgets: statuses,
+            charges: []
+          };
+        }
+      }
+
+      const used = this.used(key, budget.windowMs, now);
+      const status = {
+        name: budget.name,
+        limit: budget.limit,
+        used,
+        requested,
+        remaining: Math.max(0, budget.limit - used),
+        window: budget.window,
+        onExceed: budget.onExceed
+      };
+
+      if (budget.scope) status.scope = { [budget.scope]: scopeValue(budget.scope, context) ?? null };
+
+      if (used + requested > budget.limit && budget.name !== options.allowOver) {
+        return { exceeded: status, invalid: null, budgets: [...statuses, status], charges: [] };
+      }
+
+      statuses.push(status);
+      charges.push({ budget: budget.name, key, agentId, amount: requested });
+    }
+
+    return { exceeded: null, invalid: null, budgets: statuses, charges };
+  }
+
+  /**
+   * Hold usage for an action that is about to run
+   *
+   * @param {Array} charges - From evaluate()
+   * @returns {string|null} - Reservation id for commit() / release()
+   */
+  reserve(charges) {
+    if (!charges || charges.length === 0) return null;
+
+    const id = crypto.randomUUID();
+    this.reservations.set(id, charges.map(charge => ({ ...charge, at: this.clock() })));
+    return id;
+  }
+
+  /**
+   * Turn a reservation into committed, persisted usage
+   */
+  commit(reservationId) {
+    const charges = this.reservations.get(reservationId);
+    if (!charges) return false;
+
+    this.reservations.delete(reservationId);
+    const at = this.clock();
+    const lines = [];
+
+    for (const charge of charges) {
+      this.charges(charge.key).push({ amount: charge.amount, at });
+      lines.push(JSON.stringify({ budget: charge.budget, key: charge.key, agentId: charge.agentId, amount: charge.amount, at }));
+    }
+
+    if (this.ledgerFile) {
+      fs.mkdirSync(path.dirname(this.ledgerFile), { recursive: true });
+      fs.appendFileSync(this.ledgerFile, lines.join('\n') + '\n');
+    }
+
+    return true;
+  }
+
+  /**
+   * Drop a reservation without spending it (the action failed)
+   */
+  release(reservationId) {
+    return this.reservations.delete(reservationId);
+  }
+
+  /**
+   * Committed plus reserved usage within the window
+   *
+   * Charges that have slid out of the window are dropped (and the key with
+   * them once it's empty); the ledger file keeps them until compact().
+   */
+  used(key, windowMs, now) {
+    const charges = this.usage.get(key) || [];
+
+    let expired = 0;
+    while (expired < charges.length && charges[expired].at <= now - windowMs) expired++;
+    if (expired > 0) charges.splice(0, expired);
+    if (charges.length === 0) this.usage.delete(key);
+
+    let total = 0;
+    for (const charge of charges) total += charge.amount;
+
+    for (const reservation of this.reservations.values()) {
+      for (const charge of reservation) {
+        if (charge.key === key) total += charge.amount;
+      }
+    }
+
+    return total;
+  }
+
+  charges(key) {
+    let charges = this.usage.get(key);
+    if (!charges) {
+      charges = [];
+      this.usage.set(key, charges);
+    }
+    return charges;
+  }
+
+  /**
+   * Rewrite the ledger file without charges older than keepMs
+   *
+   * @param {number} keepMs - The longest budget window still in use
+   */
+  compact(keepMs) {
+    const cutoff = this.clock() - keepMs;
+    const kept = [];
+    let dropped = 0;
+
+    if (!this.ledgerFile || !fs.existsSync(this.ledgerFile)) return 0;
+
+    for (const line of fs.readFileSync(this.ledgerFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        if (JSON.parse(line).at > cutoff) {
+          kept.push(line);
+          continue;
+        }
+      } catch (error) {
+        // Torn lines are dropped with the expired ones
+      }
+      dropped++;
+    }
+
+    if (dropped > 0) {
+      const tmp = `${this.ledgerFile}.tmp`;
+      fs.writeFileSync(tmp, kept.length ? kept.join('\n') + '\n' : '');
+      fs.renameSync(tmp, this.ledgerFile);
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Forget usage and reservations (all agents, or a single agent)
+   *
+   * Only the in-memory state; the ledger file is left as an audit record.
+   */
+  reset(agentId = null) {
+    if (!agentId) {
+      this.usage.clear();
+      this.reservations.clear();
+      return;
+    }
+
+    for (const key of this.usage.keys()) {
+      if (key.startsWith(`${agentId}|`)) this.usage.delete(key);
+    }
+
+    for (const [id, charges] of this.reservations) {
+      if (charges.some(charge => charge.agentId === agentId)) this.reservations.delete(id);
+    }
+  }
+}
+
+/**
+ * Usage key for a budget; actions without a scope value share one bucket
+ * per budget, so leaving the field out can't get around a scoped budget
+ */
+function keyFor(agentId, budget, context) {
+  const value = budget.scope ? scopeValue(budget.scope, context) : null;
+  if (value === undefined || value === null) return `${agentId}|${budget.name}`;
+
+  return `${agentId}|${budget.name}|${value}`;
+}
+
+function scopeValue(scope, context = {}) {
+  return context[scope] ?? context[`${scope}Id`] ?? context[`${scope}_id`];
+}
+
+/**
+ * Read a dotted path (`refund.amount`) from the context
+ */
+function valueAt(context, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+module.exports = BudgetLedger;
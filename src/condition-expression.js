@@ -0,0 +1,600 @@
+/**
+ * OpenClaw Production Toolkit - Condition Expressions
+ *
+ * A small, sandboxed expression language for policy conditions.
+ * Expressions are parsed into an AST at policy load time and evaluated
+ * against the action context - there is no eval() and no access to
+ * anything but the context's own properties.
+ *
+ * Grammar:
+ *   amount > 500 and customer.tier != 'vip'
+ *   region in ['EU', 'UK'] or not exists customer.consent
+ *   email matches /@example\.com$/i
+ *   agent.tags contains 'gdpr'
+ *   not during business_hours
+ *
+ * Operators: and, or, not (also &&, ||, !), ==, !=, >, <, >=, <=,
+ * in, not in, contains, matches, exists, during. Literals: numbers ($500 and
+ * $1,000 allowed), 'strings', "strings", true, false, null, [lists].
+ *
+ * Semantics:
+ * - A missing field makes ordering comparisons (>, <, >=, <=) false
+ * - `!=` is the negation of `==`; use `exists` to require a field
+ * - A bare path is true only when its value is boolean true
+ * - `during <name>` is true while the named schedule (see schedule.js) is
+ *   active at the evaluation time; the caller supplies both as `env`
+ */
+
+class ConditionSyntaxError extends Error {
+  constructor(message, source, position) {
+    super(`${message} at position ${position} in condition: ${source}`);
+    this.name = 'ConditionSyntaxError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'contains', 'matches', 'exists', 'during', 'true', 'false', 'null']);
+const COMPARISON_OPERATORS = new Set(['==', '!=', '>', '<', '>=', '<=']);
+
+class ConditionExpression {
+  constructor(source, ast) {
+    this.source = source;
+    this.ast = ast;
+    this.schedules = collectSchedules(ast);
+  }
+
+  /**
+   * Parse a condition string (throws ConditionSyntaxError on invalid input)
+   */
+  static compile(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new ConditionSyntaxError('Condition must be a non-empty string', String(source), 0);
+    }
+
+    const parser = new Parser(source);
+    return new ConditionExpression(source, parser.parse());
+  }
+
+  /**
+   * Evaluate against a scope object (usually the action context)
+   *
+   * @param {object} scope - Values that paths resolve against
+   * @param {object} env - {now: epoch ms, schedules: Map name → Schedule} for `during`
+   * @returns {boolean}
+   */
+  evaluate(scope = {}, env = {}) {
+    return evaluateNode(this.ast, scope, env) === true;
+  }
+
+  /**
+   * Evaluate and explain: the result of every sub-expression, the values
+   * its fields resolved to, and which fields were missing
+   *
+   * Both sides of and/or are traced (no short-circuit) so the trace shows
+   * everything that would have to change for the result to flip. The
+   * overall result is identical to evaluate().
+   *
+   * @param {object} scope - Values that paths resolve against
+   * @param {object} env - As for evaluate()
+   * @returns {object} - {expression, result, values?, missing?, schedule?, children?}
+   */
+  trace(scope = {}, env = {}) {
+    return traceNode(this.ast, scope, this.source, env);
+  }
+}
+
+/**
+ * Tokenizer + recursive descent parser
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    const node = this.parseOr();
+    if (this.peek().type !== 'eof') {
+      this.fail(`Unexpected ${describe(this.peek())}`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptWord('or') || this.acceptSymbol('||')) {
+      const right = this.parseAnd();
+      left = { type: 'or', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptWord('and') || this.acceptSymbol('&&')) {
+      const right = this.parseNot();
+      left = { type: 'and', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseNot() {
+    const token = this.peek();
+    if (this.acceptWord('not') || this.acceptSymbol('!')) {
+      const operand = this.parseNot();
+      return { type: 'not', operand, start: token.start, end: operand.end };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    const token = this.peek();
+
+    if (this.acceptWord('exists')) {
+      const path = this.parsePath();
+      return { type: 'exists', path, start: token.start, end: path.end };
+    }
+
+    if (this.acceptWord('during')) {
+      const name = this.peek();
+      if (name.type !== 'word' || KEYWORDS.has(name.value) || name.value.includes('.')) {
+        this.fail(`Expected a schedule name after 'during' but found ${describe(name)}`);
+      }
+      this.index++;
+      return { type: 'during', name: name.value, start: token.start, end: name.end };
+    }
+
+    const left = this.parseOperand();
+    const next = this.peek();
+
+    if (next.type === 'symbol' && COMPARISON_OPERATORS.has(next.value)) {
+      this.index++;
+      const right = this.parseOperand();
+      return { type: 'compare', operator: next.value, left, right, start: left.start, end: right.end };
+    }
+
+    if (this.isWord(next, 'not') && this.isWord(this.peek(1), 'in')) {
+      this.index += 2;
+      const right = this.parseOperand();
+      const inNode = { type: 'in', left, right, start: left.start, end: right.end };
+      return { type: 'not', operand: inNode, start: left.start, end: right.end };
+    }
+
+    if (this.acceptWord('in')) {
+      const right = this.parseOperand();
+      return { type: 'in', left, right, start: left.start, end: right.end };
+    }
+
+    if (this.acceptWord('contains')) {
+      const right = this.parseOperand();
+      return { type: 'contains', left, right, start: left.start, end: right.end };
+    }
+
+    if (this.acceptWord('matches')) {
+      const pattern = this.peek();
+      let regex;
+      if (pattern.type === 'regex' || pattern.type === 'string') {
+        this.index++;
+        try {
+          regex = new RegExp(pattern.value, pattern.flags || '');
+        } catch (error) {
+          this.fail(error.message, pattern.start);
+        }
+      } else {
+        this.fail(`Expected a /regex/ or 'string' after 'matches' but found ${describe(pattern)}`);
+      }
+      return { type: 'matches', left, regex, start: left.start, end: pattern.end };
+    }
+
+    return { type: 'truthy', operand: left, start: left.start, end: left.end };
+  }
+
+  parseOperand() {
+    const token = this.peek();
+
+    if (this.acceptSymbol('(')) {
+      const inner = this.parseOr();
+      this.expectSymbol(')');
+      return { ...inner, start: token.start, end: this.previous().end };
+    }
+
+    if (this.acceptSymbol('[')) {
+      const items = [];
+      if (!this.acceptSymbol(']')) {
+        do {
+          items.push(this.parseLiteral());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(']');
+      }
+      return { type: 'list', items: items.map(item => item.value), start: token.start, end: this.previous().end };
+    }
+
+    if (token.type === 'number' || token.type === 'string' || this.isWord(token, 'true') ||
+        this.isWord(token, 'false') || this.isWord(token, 'null')) {
+      return this.parseLiteral();
+    }
+
+    if (token.type === 'word') {
+      return this.parsePath();
+    }
+
+    return this.fail(`Expected a value or field but found ${describe(token)}`);
+  }
+
+  parseLiteral() {
+    const token = this.peek();
+    this.index++;
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value, start: token.start, end: token.end };
+      case 'word':
+        if (token.value === 'true') return { type: 'literal', value: true, start: token.start, end: token.end };
+        if (token.value === 'false') return { type: 'literal', value: false, start: token.start, end: token.end };
+        if (token.value === 'null') return { type: 'literal', value: null, start: token.start, end: token.end };
+        break;
+    }
+
+    return this.fail(`Expected a literal but found ${describe(token)}`, token.start);
+  }
+
+  parsePath() {
+    const token = this.peek();
+    if (token.type !== 'word' || KEYWORDS.has(token.value)) {
+      this.fail(`Expected a field name but found ${describe(token)}`);
+    }
+    this.index++;
+
+    const segments = token.value.split('.');
+    if (segments.some(segment => segment === '')) {
+      this.fail(`Invalid field path '${token.value}'`, token.start);
+    }
+
+    return { type: 'path', segments, name: token.value, start: token.start, end: token.end };
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  previous() {
+    return this.tokens[this.index - 1];
+  }
+
+  isWord(token, word) {
+    return token.type === 'word' && token.value === word;
+  }
+
+  acceptWord(word) {
+    if (this.isWord(this.peek(), word)) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  acceptSymbol(symbol) {
+    const token = this.peek();
+    if (token.type === 'symbol' && token.value === symbol) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) {
+      this.fail(`Expected '${symbol}' but found ${describe(this.peek())}`);
+    }
+  }
+
+  fail(message, position = this.peek().start) {
+    throw new ConditionSyntaxError(message, this.source, position);
+  }
+}
+
+/**
+ * Split a condition into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  const fail = (message, position) => {
+    throw new ConditionSyntaxError(message, source, position);
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const last = tokens[tokens.length - 1];
+
+    // Regex literal (only valid right after 'matches')
+    if (char === '/' && last && last.type === 'word' && last.value === 'matches') {
+      let body = '';
+      i++;
+      while (i < source.length && source[i] !== '/') {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          body += source[i] + source[i + 1];
+          i += 2;
+        } else {
+          body += source[i++];
+        }
+      }
+      if (i >= source.length) fail('Unterminated regular expression', start);
+      i++;
+      const flags = (source.slice(i).match(/^[a-z]*/) || [''])[0];
+      if (/[^imsu]/.test(flags)) fail(`Unsupported regular expression flags '${flags}'`, i);
+      i += flags.length;
+      tokens.push({ type: 'regex', value: body, flags, start, end: i });
+      continue;
+    }
+
+    // Quoted string
+    if (char === '\'' || char === '"') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          value += source[i + 1];
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (i >= source.length) fail('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    // Number (optionally $-prefixed, with thousands separators after $)
+    const numberMatch = source.slice(i).match(/^(?:\$\d{1,3}(?:,\d{3})+(?:\.\d+)?|\$?-?\d+(?:\.\d+)?)(?![\w.])/);
+    if (numberMatch && (char !== '-' || !last || last.type === 'symbol' || KEYWORDS.has(last.value))) {
+      i += numberMatch[0].length;
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0].replace(/[$,]/g, '')), start, end: i });
+      continue;
+    }
+
+    // Identifier / dotted path / keyword
+    const wordMatch = source.slice(i).match(/^[A-Za-z_$][\w$]*(?:\.(?:[A-Za-z_$][\w$]*|\d+))*/);
+    if (wordMatch) {
+      i += wordMatch[0].length;
+      const value = wordMatch[0];
+      tokens.push({ type: 'word', value: KEYWORDS.has(value.toLowerCase()) ? value.toLowerCase() : value, start, end: i });
+      continue;
+    }
+
+    // Operators and punctuation
+    const symbolMatch = source.slice(i).match(/^(==|!=|>=|<=|&&|\|\||[><!()[\],])/);
+    if (symbolMatch) {
+      i += symbolMatch[0].length;
+      tokens.push({ type: 'symbol', value: symbolMatch[0], start, end: i });
+      continue;
+    }
+
+    if (char === '=') fail(`Unexpected '=' (use '==' to compare)`, start);
+    fail(`Unexpected character '${char}'`, start);
+  }
+
+  tokens.push({ type: 'eof', start: source.length, end: source.length });
+  return tokens;
+}
+
+/**
+ * Describe a token for error messages
+ */
+function describe(token) {
+  if (token.type === 'eof') return 'end of condition';
+  if (token.type === 'regex') return `/${token.value}/`;
+  return `'${token.value}'`;
+}
+
+/**
+ * Evaluate an AST node
+ */
+function evaluateNode(node, scope, env) {
+  switch (node.type) {
+    case 'or':
+      return evaluateNode(node.left, scope, env) === true || evaluateNode(node.right, scope, env) === true;
+    case 'and':
+      return evaluateNode(node.left, scope, env) === true && evaluateNode(node.right, scope, env) === true;
+    case 'not':
+      return evaluateNode(node.operand, scope, env) !== true;
+    case 'exists': {
+      const value = resolvePath(scope, node.path.segments);
+      return value !== undefined && value !== null;
+    }
+    case 'during':
+      return scheduleFor(node, env).isActive(env.now);
+    case 'compare':
+      return compare(node.operator, operandValue(node.left, scope), operandValue(node.right, scope));
+    case 'in':
+      return includes(operandValue(node.right, scope), operandValue(node.left, scope));
+    case 'contains':
+      return includes(operandValue(node.left, scope), operandValue(node.right, scope));
+    case 'matches': {
+      const value = operandValue(node.left, scope);
+      return typeof value === 'string' && node.regex.test(value);
+    }
+    case 'truthy':
+      return operandValue(node.operand, scope, env) === true;
+    default:
+      return operandValue(node, scope, env);
+  }
+}
+
+/**
+ * Evaluate an AST node, recording sub-results (see ConditionExpression#trace)
+ */
+function traceNode(node, scope, source, env) {
+  // A parenthesized sub-expression parses as truthy(<expression>)
+  if (node.type === 'truthy' && !['path', 'literal', 'list'].includes(node.operand.type)) {
+    return traceNode(node.operand, scope, source, env);
+  }
+
+  const step = { expression: source.slice(node.start, node.end).trim(), result: evaluateNode(node, scope, env) === true };
+
+  if (node.type === 'and' || node.type === 'or') {
+    step.children = [traceNode(node.left, scope, source, env), traceNode(node.right, scope, source, env)];
+    return step;
+  }
+
+  if (node.type === 'not') {
+    step.children = [traceNode(node.operand, scope, source, env)];
+    return step;
+  }
+
+  if (node.type === 'during') {
+    const schedule = scheduleFor(node, env);
+    step.schedule = { name: node.name, localTime: schedule.describeTime(env.now) };
+    return step;
+  }
+
+  const paths = [];
+  for (const operand of [node.path, node.left, node.right, node.operand]) {
+    if (operand && operand.type === 'path') paths.push(operand);
+  }
+
+  if (paths.length > 0) {
+    step.values = {};
+    for (const path of paths) {
+      const value = resolvePath(scope, path.segments);
+      step.values[path.name] = value === undefined ? null : value;
+      if (value === undefined) {
+        step.missing = [...(step.missing || []), path.name];
+      }
+    }
+  }
+
+  return step;
+}
+
+/**
+ * Resolve an operand node to a value
+ */
+function operandValue(node, scope, env) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items;
+    case 'path':
+      return resolvePath(scope, node.segments);
+    default:
+      return evaluateNode(node, scope, env);
+  }
+}
+
+/**
+ * The schedule a `during` node refers to
+ *
+ * Unknown names are rejected when policies load, so a miss here means the
+ * caller didn't pass the policy's schedules - fail loudly rather than
+ * quietly treating the window as closed.
+ */
+function scheduleFor(node, env) {
+  const schedule = env.schedules && env.schedules.get(node.name);
+  if (!schedule) {
+    throw new Error(`Unknown schedule '${node.name}' in condition`);
+  }
+  return schedule;
+}
+
+/**
+ * Names of every schedule an AST refers to with `during`
+ */
+function collectSchedules(node, names = []) {
+  if (node.type === 'during' && !names.includes(node.name)) names.push(node.name);
+  for (const child of [node.left, node.right, node.operand]) {
+    if (child && typeof child === 'object') collectSchedules(child, names);
+  }
+  return names;
+}
+
+/**
+ * Walk a dotted path through own properties only
+ */
+function resolvePath(scope, segments) {
+  let value = scope;
+  for (const segment of segments) {
+    if (value === null || value === undefined || typeof value !== 'object') return undefined;
+    if (!Object.prototype.hasOwnProperty.call(value, segment)) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Compare two values with the language's coercion rules
+ */
+function compare(operator, left, right) {
+  if (operator === '==') return equals(left, right);
+  if (operator === '!=') return !equals(left, right);
+
+  if (left === undefined || left === null || right === undefined || right === null) return false;
+
+  let a = left;
+  let b = right;
+
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    a = toNumber(a);
+    b = toNumber(b);
+    if (Number.isNaN(a) || Number.isNaN(b)) return false;
+  }
+
+  switch (operator) {
+    case '>': return a > b;
+    case '<': return a < b;
+    case '>=': return a >= b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * Equality: strict, except numbers compare with numeric strings and null matches missing
+ */
+function equals(left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return (left === null || left === undefined) && (right === null || right === undefined);
+  }
+
+  if (typeof left === 'number' || typeof right === 'number') {
+    const a = toNumber(left);
+    const b = toNumber(right);
+    return !Number.isNaN(a) && !Number.isNaN(b) && a === b;
+  }
+
+  return left === right;
+}
+
+/**
+ * Membership test for lists and substrings
+ */
+function includes(container, value) {
+  if (Array.isArray(container)) return container.some(item => equals(item, value));
+  if (typeof container === 'string' && typeof value === 'string') return container.includes(value);
+  return false;
+}
+
+/**
+ * Numeric coercion (booleans and blank strings are not numbers)
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.replace(/^\$/, '').replace(/,/g, ''));
+  return NaN;
+}
+
+module.exports = ConditionExpression;
+module.exports.ConditionSyntaxError = ConditionSyntaxError;
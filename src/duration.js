@@ -0,0 +1,63 @@
+/**
+ * OpenClaw Production Toolkit - Duration Parsing
+ *
+ * Converts the human-friendly durations used in policy YAML
+ * ("30s", "5m", "4h", "1d", "minute", "hour") into milliseconds.
+ */
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  minute: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration into milliseconds
+ *
+ * Accepts plain numbers (already milliseconds), "<n><unit>" strings
+ * ("90s", "1.5h") and bare unit names ("minute", "hours").
+ *
+ * @param {number|string} value - Duration to parse
+ * @returns {number} - Duration in milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)?\s*([a-z]+)$/);
+    if (match) {
+      const unit = isUnit(match[2]);
+      if (unit) {
+        const amount = match[1] === undefined ? 1 : parseFloat(match[1]);
+        return amount * UNITS[unit];
+      }
+    }
+  }
+
+  throw new Error(`Invalid duration: ${JSON.stringify(value)}`);
+}
+
+/**
+ * Resolve a unit name (singular or plural) to a key in UNITS
+ */
+function isUnit(name) {
+  if (typeof name !== 'string') return null;
+  const unit = name.toLowerCase();
+  if (UNITS[unit]) return unit;
+  if (unit.endsWith('s') && UNITS[unit.slice(0, -1)]) return unit.slice(0, -1);
+  return null;
+}
+
+module.exports = { parseDuration, isUnit };
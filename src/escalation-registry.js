@@ -0,0 +1,458 @@
+/**
+ * OpenClaw Production Toolkit - Escalation Registry
+ *
+ * Tracks every escalation through its lifecycle so reviewers can find
+ * what's waiting on them and an escalation can only be closed once.
+ *
+ * States:
+ *   pending → approved | denied | expired | cancelled
+ *
+ * A reviewer may approve with changes ('modified'): the escalation is
+ * approved and the changed context fields are kept as `modifications`.
+ *
+ * An escalation may carry an SLA (see escalation-scheduler.js): its
+ * `deadline` and the reminders already sent are tracked here too.
+ *
+ * An escalation that needs several approvers (see approval-quorum.js)
+ * collects votes instead: each is logged as an `escalation_vote` entry
+ * whose hash chains to the previous vote (the first to the escalation
+ * entry), and the escalation closes once the votes settle it.
+ *
+ * The audit log is the source of truth: `escalation` entries open an
+ * escalation and `escalation_resolution` entries close it. The registry
+ * replays the whole log on startup and, before every listing and state
+ * change, reads only what was appended since, so registries sharing an
+ * audit directory (one per agent) agree on what's still pending.
+ *
+ * Escalations carry their context as it was logged (i.e. redacted per the
+ * agent's audit policy), never the raw values.
+ */
+
+const crypto = require('crypto');
+const ApprovalQuorum = require('./approval-quorum');
+
+const STATUSES = ['pending', 'approved', 'denied', 'expired', 'cancelled'];
+const RESOLUTIONS = ['approved', 'modified', 'denied'];
+
+class EscalationRegistry {
+  /**
+   * @param {AuditLogger} auditLogger - Where escalations are logged and rebuilt from
+   */
+  constructor(auditLogger) {
+    this.auditLogger = auditLogger;
+    this.escalations = new Map();
+    this.cursor = new Map();
+    this.unmatched = new Map();
+    this.refresh();
+  }
+
+  /**
+   * Collision-free escalation id
+   */
+  static newId() {
+    return `esc_${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Apply the entries logged since the last read (the whole log the first time)
+   */
+  refresh() {
+    for (const entry of this.auditLogger.readSince(this.cursor)) {
+      this.apply(entry);
+    }
+  }
+
+  /**
+   * Replay one audit entry into the registry
+   *
+   * Escalations logged before ids were assigned are keyed by their
+   * timestamp, as they were reported at the time. Entries about an
+   * escalation not read yet (another process may log to a file that sorts
+   * later) wait until it is.
+   */
+  apply(entry) {
+    if (entry.type === 'escalation') {
+      const id = String(entry.escalationId ?? entry.timestampUnix);
+      if (this.escalations.has(id)) return;
+
+      this.escalations.set(id, record(id, entry.timestampUnix, {
+        agentId: entry.agentId,
+        action: entry.action,
+        context: entry.context,
+        reason: entry.escalationReason,
+        rule: entry.escalationRule,
+        assignedTo: entry.assignedTo,
+        resume: entry.resume,
+        sla: entry.sla,
+        approvals: entry.approvals,
+        notify: entry.notify,
+        contextHash: entry.contextHash,
+        entryHash: entry.hash
+      }));
+
+      const waiting = this.unmatched.get(id) || [];
+      this.unmatched.delete(id);
+      waiting.forEach(pending => this.apply(pending));
+      return;
+    }
+
+    if (!['escalation_vote', 'escalation_reminder', 'escalation_resolution'].includes(entry.type)) return;
+
+    const id = String(entry.escalationId);
+    const escalation = this.escalations.get(id);
+
+    if (!escalation) {
+      if (!this.unmatched.has(id)) this.unmatched.set(id, []);
+      this.unmatched.get(id).push(entry);
+      return;
+    }
+
+    // Entries this registry wrote are already applied
+    if (entry.type === 'escalation_vote') {
+      if (!escalation.votes.some(vote => vote.hash === entry.voteHash)) escalation.votes.push(voteOf(entry));
+    } else if (entry.type === 'escalation_reminder') {
+      if (!escalation.reminders.includes(entry.remindAtMs)) escalation.reminders.push(entry.remindAtMs);
+    } else if (escalation.status === 'pending') {
+      // The first resolution wins; anything after it was never accepted
+      escalation.status = statusFor(entry.decision);
+      escalation.resolution = {
+        decision: entry.decision,
+        resolvedBy: entry.resolvedBy,
+        notes: entry.notes,
+        modifications: entry.modifications,
+        resolvedAt: entry.timestamp
+      };
+    }
+  }
+
+  /**
+   * Open an escalation and log it
+   *
+   * @param {string} agentId - Agent identifier
+   * @param {string} action - Escalated action
+   * @param {object} context - Action context (logged, and so kept, redacted)
+   * @param {object} details - {reason, rule, assignedTo, resume: {handler, replayable} for a parked action,
+   *                            sla: {timeoutMs, onTimeout, remindAtMs} (see escalation-scheduler.js),
+   *                            approvals: a bound multi-party requirement (see approval-quorum.js),
+   *                            notify: notifier names from the policy's escalation_routing,
+   *                            contextHash: keyed hash of the raw context (see approval-tokens.js)}
+   * @returns {object} - The pending escalation
+   */
+  create(agentId, action, context, details = {}) {
+    const id = EscalationRegistry.newId();
+
+    const now = Date.now();
+    const sla = details.sla
+      ? { ...details.sla, deadline: details.sla.timeoutMs === null ? null : new Date(now + details.sla.timeoutMs).toISOString() }
+      : undefined;
+
+    this.auditLogger.logEscalation(agentId, action, context, details.reason, details.assignedTo, {
+      escalationId: id,
+      escalationRule: details.rule,
+      resume: details.resume,
+      sla,
+      approvals: details.approvals,
+      notify: details.notify,
+      contextHash: details.contextHash,
+      timestampUnix: now
+    });
+
+    const escalation = record(id, now, {
+      agentId,
+      action,
+      context: this.auditLogger.sanitizeContext ? this.auditLogger.sanitizeContext(context, agentId) : context,
+      reason: details.reason,
+      rule: details.rule,
+      assignedTo: details.assignedTo,
+      resume: details.resume,
+      sla,
+      approvals: details.approvals,
+      notify: details.notify,
+      contextHash: details.contextHash,
+      entryHash: this.auditLogger.lastHash
+    });
+
+    this.escalations.set(id, escalation);
+    return escalation;
+  }
+
+  /**
+   * Fetch one escalation (with its logged context)
+   *
+   * @returns {object|undefined}
+   */
+  get(escalationId) {
+    const id = String(escalationId);
+
+    // Another registry on the same audit log may have opened it
+    if (!this.escalations.has(id)) this.refresh();
+
+    return this.escalations.get(id);
+  }
+
+  /**
+   * List escalations, oldest first
+   *
+   * @param {object} filters - {status: 'pending' by default, or 'all'; agentId; rule; assignedTo}
+   */
+  list(filters = {}) {
+    const status = filters.status || 'pending';
+
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      throw new Error(`Unknown escalation status '${status}' (expected one of: ${STATUSES.join(', ')}, all)`);
+    }
+
+    this.refresh();
+
+    return Array.from(this.escalations.values())
+      .filter(escalation => status === 'all' || escalation.status === status)
+      .filter(escalation => !filters.agentId || escalation.agentId === filters.agentId)
+      .filter(escalation => !filters.rule || escalation.rule === filters.rule)
+      .filter(escalation => !filters.assignedTo || escalation.assignedTo === filters.assignedTo)
+      .sort((a, b) => a.createdAtUnix - b.createdAtUnix);
+  }
+
+  /**
+   * Approve, approve with changes, or deny a pending escalation
+   *
+   * For an escalation that needs several approvers this casts the
+   * reviewer's vote, and the escalation stays pending until the votes
+   * settle it.
+   *
+   * @param {string} escalationId - Escalation to resolve
+   * @param {string} decision - 'approved' | 'modified' | 'denied'
+   * @param {string} resolvedBy - Reviewer
+   * @param {string} notes - Reviewer notes
+   * @param {object} modifications - Changed context fields (required for 'modified')
+   * @returns {object} - The resolved (or voted on) escalation
+   */
+  resolve(escalationId, decision, resolvedBy, notes, modifications = undefined) {
+    if (!RESOLUTIONS.includes(decision)) {
+      throw new Error(`Escalation decision must be one of: ${RESOLUTIONS.join(', ')}`);
+    }
+
+    if (decision === 'modified' && !isPlainObject(modifications)) {
+      throw new Error("A 'modified' decision needs the changed context fields");
+    }
+
+    if (this.get(escalationId)?.approvals) {
+      return this.vote(escalationId, decision, resolvedBy, notes, decision === 'modified' ? modifications : undefined);
+    }
+
+    return this.close(escalationId, decision, resolvedBy, notes, decision === 'modified' ? modifications : undefined);
+  }
+
+  /**
+   * Record one approver's vote, closing the escalation if it settles it
+   */
+  vote(escalationId, decision, voter, notes, modifications) {
+    const escalation = this.pending(escalationId);
+    const quorum = new ApprovalQuorum(escalation.approvals);
+    const group = quorum.groupFor(voter, escalation.votes);
+
+    const previous = escalation.votes[escalation.votes.length - 1];
+    const vote = {
+      voter,
+      group,
+      decision,
+      notes,
+      modifications: modifications && this.auditLogger.sanitizeContext
+        ? this.auditLogger.sanitizeContext(modifications, escalation.agentId)
+        : modifications,
+      votedAt: new Date().toISOString(),
+      previousVoteHash: previous ? previous.hash : (escalation.entryHash ?? null)
+    };
+    vote.hash = hashVote(escalation.id, vote);
+
+    this.auditLogger.logEscalationVote({ escalationId: escalation.id, agentId: escalation.agentId, ...vote });
+    escalation.votes.push(vote);
+
+    const tally = quorum.tally(escalation.votes);
+    if (!tally.decision) return escalation;
+
+    const summary = `${tally.approvals} of ${tally.required} approvals, ${tally.denials} denials`;
+    return this.close(escalation.id, tally.decision, voter, notes ? `${notes} (${summary})` : summary, tally.modifications);
+  }
+
+  /**
+   * Check an escalation's vote chain against the logged votes
+   *
+   * @returns {object} - {valid, votes, errors}
+   */
+  verifyVotes(escalationId) {
+    this.refresh();
+
+    const escalation = this.escalations.get(String(escalationId));
+    if (!escalation) throw new Error(`Unknown escalation: ${escalationId}`);
+
+    const errors = [];
+    let previousHash = escalation.entryHash ?? null;
+
+    escalation.votes.forEach((vote, index) => {
+      if (vote.previousVoteHash !== previousHash) {
+        errors.push(`Vote ${index} (${vote.voter}) does not follow the previous vote`);
+      }
+      if (vote.hash !== hashVote(escalation.id, vote)) {
+        errors.push(`Vote ${index} (${vote.voter}) hash mismatch`);
+      }
+      previousHash = vote.hash;
+    });
+
+    return { valid: errors.length === 0, votes: escalation.votes.length, errors };
+  }
+
+  /**
+   * Withdraw a pending escalation (the request is no longer needed)
+   */
+  cancel(escalationId, cancelledBy, notes) {
+    return this.close(escalationId, 'cancelled', cancelledBy, notes);
+  }
+
+  /**
+   * Mark a pending escalation as expired (nobody decided in time)
+   */
+  expire(escalationId, notes, expiredBy = 'system') {
+    return this.close(escalationId, 'expired', expiredBy, notes);
+  }
+
+  /**
+   * Log that an SLA reminder went out for a pending escalation
+   *
+   * @param {number} remindAtMs - The reminder's offset from when the escalation opened
+   */
+  recordReminder(escalationId, remindAtMs) {
+    const escalation = this.escalations.get(String(escalationId));
+    if (!escalation) throw new Error(`Unknown escalation: ${escalationId}`);
+
+    this.auditLogger.logEscalationReminder({
+      escalationId: escalation.id,
+      agentId: escalation.agentId,
+      remindAtMs,
+      deadline: escalation.deadline,
+      assignedTo: escalation.assignedTo
+    });
+
+    escalation.reminders.push(remindAtMs);
+  }
+
+  /**
+   * A pending escalation, fresh from the log (throws otherwise)
+   */
+  pending(escalationId) {
+    // Pick up resolutions made through other registries first
+    this.refresh();
+
+    const id = String(escalationId);
+    const escalation = this.escalations.get(id);
+
+    if (!escalation) {
+      throw new Error(`Unknown escalation: ${id}`);
+    }
+
+    if (escalation.status !== 'pending') {
+      const by = escalation.resolution?.resolvedBy ? ` by ${escalation.resolution.resolvedBy}` : '';
+      throw new Error(`Escalation ${id} is already ${escalation.status}${by}`);
+    }
+
+    return escalation;
+  }
+
+  /**
+   * Move a pending escalation to a final state and log it
+   *
+   * Final as given: a multi-party escalation's votes are bypassed (used
+   * for SLA timeouts).
+   */
+  close(escalationId, decision, resolvedBy, notes, modifications = undefined) {
+    const escalation = this.pending(escalationId);
+    const id = escalation.id;
+
+    this.auditLogger.logEscalationResolution(id, resolvedBy, decision, notes, { agentId: escalation.agentId, modifications });
+
+    escalation.status = statusFor(decision);
+    escalation.resolution = {
+      decision,
+      resolvedBy,
+      notes,
+      modifications: modifications && this.auditLogger.sanitizeContext
+        ? this.auditLogger.sanitizeContext(modifications, escalation.agentId)
+        : modifications,
+      resolvedAt: new Date().toISOString()
+    };
+
+    return escalation;
+  }
+}
+
+/**
+ * Hash of a vote, chained to the one before it
+ */
+function hashVote(escalationId, vote) {
+  const { voter, group, decision, notes, modifications, votedAt, previousVoteHash } = vote;
+  const content = JSON.stringify({ escalationId, voter, group, decision, notes, modifications, votedAt, previousVoteHash });
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * A vote as recorded from its audit entry
+ */
+function voteOf(entry) {
+  return {
+    voter: entry.voter,
+    group: entry.group,
+    decision: entry.decision,
+    notes: entry.notes,
+    modifications: entry.modifications,
+    votedAt: entry.votedAt,
+    previousVoteHash: entry.previousVoteHash,
+    hash: entry.voteHash
+  };
+}
+
+/**
+ * A pending escalation record
+ */
+function record(id, createdAtUnix, fields) {
+  return {
+    id,
+    agentId: fields.agentId,
+    action: fields.action,
+    context: fields.context,
+    reason: fields.reason,
+    rule: fields.rule ?? null,
+    assignedTo: fields.assignedTo,
+    resume: fields.resume ?? null,
+    sla: fields.sla ?? null,
+    deadline: fields.sla?.deadline ?? null,
+    reminders: [],
+    approvals: fields.approvals ?? null,
+    notify: fields.notify ?? [],
+    contextHash: fields.contextHash ?? null,
+    votes: [],
+    entryHash: fields.entryHash ?? null,
+    status: 'pending',
+    createdAt: new Date(createdAtUnix).toISOString(),
+    createdAtUnix,
+    resolution: null
+  };
+}
+
+/**
+ * Escalation state after a logged resolution decision ('modified' is an
+ * approval with changes)
+ *
+ * Any other decision (e.g. an older 'rejected') closes the escalation as
+ * denied: only an explicit approval may let the action run. The logged
+ * decision is kept in the resolution.
+ */
+function statusFor(decision) {
+  if (decision === 'modified') return 'approved';
+  return STATUSES.includes(decision) && decision !== 'pending' ? decision : 'denied';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = EscalationRegistry;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,216 @@
+/**
+ * OpenClaw Production Toolkit - Escalation Scheduler
+ *
+ * Enforces escalation SLAs declared per escalate rule in a policy's
+ * `escalation_sla` block, keyed by the rule's action pattern (or
+ * `budget:<name>` for budget escalations, or `default`):
+ *
+ *   escalation_sla:
+ *     refund_requests:
+ *       timeout: 4h          # auto-resolve after this long
+ *       on_timeout: deny     # deny | approve | expire (default)
+ *       remind_at: [1h, 3h]  # reminder events while still pending
+ *
+ * The SLA is fixed when the escalation is opened and logged with it, so
+ * policy edits don't move existing deadlines. The scheduler checks pending
+ * escalations on an interval: due reminders are logged as
+ * `escalation_reminder` entries and emitted as 'reminder'; overdue ones are
+ * resolved by SLA_RESOLVER and emitted as 'timeout'.
+ */
+
+const EventEmitter = require('events');
+const { parseDuration } = require('./duration');
+
+const SLA_KEYS = ['timeout', 'on_timeout', 'remind_at'];
+const ON_TIMEOUT = { deny: 'denied', approve: 'approved', expire: 'expired' };
+const SLA_RESOLVER = 'sla-timeout';
+
+class EscalationScheduler extends EventEmitter {
+  /**
+   * @param {EscalationRegistry} registry - Escalations to watch
+   * @param {object} options - {agentId: only this agent's escalations; clock: () => epoch ms;
+   *                            intervalMs: check interval for start();
+   *                            resolve: async (escalation, decision) => void, used instead of the
+   *                            registry to apply a timeout (e.g. to resume parked actions)}
+   */
+  constructor(registry, options = {}) {
+    super();
+    this.registry = registry;
+    this.options = {
+      agentId: null,
+      intervalMs: 60 * 1000,
+      ...options
+    };
+    this.clock = options.clock || (() => Date.now());
+    this.timer = null;
+  }
+
+  /**
+   * Compile a policy's escalation_sla block
+   *
+   * @param {object} block - The `escalation_sla` block from a policy
+   * @returns {Map} - Rule key → {timeoutMs, onTimeout, remindAtMs}
+   */
+  static compile(block) {
+    const slas = new Map();
+    if (block === undefined || block === null) return slas;
+
+    if (typeof block !== 'object' || Array.isArray(block)) {
+      throw new Error('escalation_sla must be a mapping of escalate rule actions to SLAs');
+    }
+
+    for (const [key, spec] of Object.entries(block)) {
+      slas.set(key, EscalationScheduler.compileSla(key, spec));
+    }
+
+    return slas;
+  }
+
+  static compileSla(key, spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`SLA for '${key}' must be a mapping`);
+    }
+
+    const unknown = Object.keys(spec).filter(name => !SLA_KEYS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`SLA for '${key}': unknown key '${unknown[0]}' (expected one of: ${SLA_KEYS.join(', ')})`);
+    }
+
+    const duration = (value, name) => {
+      try {
+        const ms = parseDuration(value);
+        if (ms <= 0) throw new Error(`Invalid duration: ${JSON.stringify(value)}`);
+        return ms;
+      } catch (error) {
+        throw new Error(`SLA for '${key}': ${name} ${error.message.replace(/^Invalid duration/, 'is not a valid duration')}`);
+      }
+    };
+
+    const timeoutMs = spec.timeout === undefined ? null : duration(spec.timeout, 'timeout');
+
+    if (spec.on_timeout !== undefined) {
+      if (!ON_TIMEOUT[spec.on_timeout]) {
+        throw new Error(`SLA for '${key}': on_timeout must be one of: ${Object.keys(ON_TIMEOUT).join(', ')}`);
+      }
+      if (timeoutMs === null) {
+        throw new Error(`SLA for '${key}': on_timeout needs a timeout`);
+      }
+    }
+
+    const remindAt = spec.remind_at === undefined ? [] : spec.remind_at;
+    if (!Array.isArray(remindAt)) {
+      throw new Error(`SLA for '${key}': remind_at must be a list of durations`);
+    }
+
+    const remindAtMs = remindAt.map(value => duration(value, 'remind_at'));
+    for (const ms of remindAtMs) {
+      if (timeoutMs !== null && ms >= timeoutMs) {
+        throw new Error(`SLA for '${key}': reminders must come before the timeout`);
+      }
+    }
+
+    return {
+      timeoutMs,
+      onTimeout: timeoutMs === null ? null : (spec.on_timeout || 'expire'),
+      remindAtMs: [...new Set(remindAtMs)].sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Check every pending escalation once
+   *
+   * @returns {Promise<object>} - {reminders, timeouts} counts
+   */
+  async tick() {
+    const now = this.clock();
+    const counts = { reminders: 0, timeouts: 0 };
+    const pending = this.registry.list({ agentId: this.options.agentId || undefined });
+
+    for (const escalation of pending) {
+      const sla = escalation.sla;
+      if (!sla) continue;
+
+      const elapsed = now - escalation.createdAtUnix;
+
+      if (sla.timeoutMs !== null && elapsed >= sla.timeoutMs) {
+        if (await this.timeout(escalation)) counts.timeouts++;
+        continue;
+      }
+
+      for (const remindAt of sla.remindAtMs) {
+        if (elapsed < remindAt || escalation.reminders.includes(remindAt)) continue;
+
+        this.registry.recordReminder(escalation.id, remindAt);
+        this.emit('reminder', { escalation, remindAtMs: remindAt, deadline: escalation.deadline });
+        counts.reminders++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Resolve an overdue escalation per its SLA
+   *
+   * @returns {Promise<boolean>} - false if someone resolved it first
+   */
+  async timeout(escalation) {
+    const decision = ON_TIMEOUT[escalation.sla.onTimeout];
+
+    try {
+      if (this.options.resolve) {
+        await this.options.resolve(escalation, decision);
+      } else if (decision === 'expired') {
+        this.registry.expire(escalation.id, timeoutNote(escalation), SLA_RESOLVER);
+      } else {
+        // Final either way: a timeout doesn't wait for multi-party votes
+        this.registry.close(escalation.id, decision, SLA_RESOLVER, timeoutNote(escalation));
+      }
+    } catch (error) {
+      // Resolved elsewhere between listing and now
+      if (/already|Unknown escalation/.test(error.message)) return false;
+      throw error;
+    }
+
+    this.emit('timeout', { escalation, decision });
+    return true;
+  }
+
+  /**
+   * Check on an interval until stop()
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error(`⚠ Escalation SLA check failed: ${error.message}`));
+    }, this.options.intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Resolution notes for an SLA timeout
+ */
+function timeoutNote(escalation) {
+  return `No decision within the ${formatDuration(escalation.sla.timeoutMs)} SLA (on_timeout: ${escalation.sla.onTimeout})`;
+}
+
+function formatDuration(ms) {
+  const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+  for (const [unit, size] of units) {
+    if (ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+module.exports = EscalationScheduler;
+module.exports.SLA_RESOLVER = SLA_RESOLVER;
+module.exports.timeoutNote = timeoutNote;
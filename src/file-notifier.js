@@ -0,0 +1,39 @@
+/**
+ * OpenClaw Production Toolkit - File Notifier
+ *
+ * Writes escalation events as JSON lines to a local file (for a log
+ * shipper or another process to pick up), or to stdout without a file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileNotifier {
+  /**
+   * @param {object} options - {file: path to append to; omitted or '-' for stdout}
+   */
+  constructor(options = {}) {
+    this.file = options.file && options.file !== '-' ? options.file : null;
+
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+  }
+
+  /**
+   * @returns {Promise<object>} - {attempts: [{status: 'written', at}]}
+   */
+  async notify(event) {
+    const line = JSON.stringify({ ...event, notifiedAt: new Date().toISOString() }) + '\n';
+
+    if (this.file) {
+      await fs.promises.appendFile(this.file, line);
+    } else {
+      process.stdout.write(line);
+    }
+
+    return { attempts: [{ status: 'written', at: new Date().toISOString() }] };
+  }
+}
+
+module.exports = FileNotifier;
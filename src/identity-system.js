@@ -8,6 +8,7 @@
  * - Agent identity management (create, verify, revoke)
  * - Cryptographic signing for non-repudiation
  * - Trust score based on behavior history
+ * - Policy-driven trust gate with block/recovery hysteresis
  * - Identity federation (future: integrate with enterprise SSO)
  */
 
@@ -15,12 +16,16 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+// Trust gate used when an agent's policy declares no `trust` block
+const DEFAULT_TRUST_POLICY = { minimumScore: 50, recoveryThreshold: 50 };
+
 class IdentitySystem {
   constructor(identityStorePath, auditLogger) {
     this.identityStorePath = identityStorePath;
     this.auditLogger = auditLogger;
     this.identities = new Map();
     this.trustScores = new Map();
+    this.trustPolicies = new Map();
     
     this.ensureIdentityStore();
     this.loadIdentities();
@@ -94,7 +99,8 @@ class IdentitySystem {
         owner: metadata.owner,
         createdAt: new Date().toISOString(),
         createdBy: metadata.createdBy || 'system',
-        tags: metadata.tags || []
+        tags: metadata.tags || [],
+        clearances: metadata.clearances || []
       },
       status: 'active',
       trustScore: 100, // Start with perfect score
@@ -180,14 +186,19 @@ class IdentitySystem {
       }
     }
 
-    // Check trust score
+    // Check trust gate (minimum score, with recovery hysteresis)
     const trustScore = this.getTrustScore(agentId);
+    const trustState = this.getTrustState(agentId);
     
-    if (trustScore < 50) {
+    if (trustState !== 'trusted') {
+      const trustPolicy = this.getTrustPolicy(agentId);
       const result = {
         verified: false,
-        reason: 'Trust score too low for operation',
-        trustScore
+        reason: trustState === 'recovering'
+          ? `Trust score recovering: ${trustScore} must reach ${trustPolicy.recoveryThreshold} to resume`
+          : `Trust score too low for operation: ${trustScore} < ${trustPolicy.minimumScore}`,
+        trustScore,
+        trustState
       };
       
       this.auditLogger.logIdentityVerification(agentId, 'trust_score_check', result);
@@ -258,6 +269,119 @@ class IdentitySystem {
     return this.trustScores.get(agentId) || 0;
   }
 
+  /**
+   * Fill in a policy's `trust` block with the defaults and check it
+   * 
+   * @param {object} trust - Policy trust block ({minimum_score, recovery_threshold})
+   * @returns {object} - {minimumScore, recoveryThreshold}
+   */
+  static compileTrust(trust = {}) {
+    const minimumScore = trust?.minimum_score ?? DEFAULT_TRUST_POLICY.minimumScore;
+    // No hysteresis unless the policy asks for it
+    const recoveryThreshold = trust?.recovery_threshold ?? minimumScore;
+
+    for (const [name, value] of [['minimum_score', minimumScore], ['recovery_threshold', recoveryThreshold]]) {
+      if (typeof value !== 'number' || value < 0 || value > 100) {
+        throw new Error(`Invalid trust.${name}: ${value}`);
+      }
+    }
+
+    if (recoveryThreshold < minimumScore) {
+      throw new Error(`trust.recovery_threshold (${recoveryThreshold}) must be >= minimum_score (${minimumScore})`);
+    }
+
+    return { minimumScore, recoveryThreshold };
+  }
+
+  /**
+   * Apply a policy's `trust` block to an agent
+   * 
+   * @param {string} agentId - Agent identifier
+   * @param {object} trust - Policy trust block ({minimum_score, recovery_threshold})
+   */
+  setTrustPolicy(agentId, trust = {}) {
+    let compiled;
+    try {
+      compiled = IdentitySystem.compileTrust(trust);
+    } catch (error) {
+      throw new Error(`${error.message} for agent ${agentId}`);
+    }
+
+    this.trustPolicies.set(agentId, compiled);
+
+    const identity = this.identities.get(agentId);
+    if (identity && this.updateTrustState(agentId)) {
+      this.saveIdentity(identity);
+    }
+  }
+
+  /**
+   * Get the trust gate in effect for an agent
+   */
+  getTrustPolicy(agentId) {
+    return this.trustPolicies.get(agentId) || DEFAULT_TRUST_POLICY;
+  }
+
+  /**
+   * Get trust gate state: 'trusted' | 'blocked' | 'recovering' | 'revoked'
+   * 
+   * An agent that drops below minimum_score is blocked, and stays blocked
+   * ('recovering') until its score climbs back to recovery_threshold.
+   */
+  getTrustState(agentId) {
+    const identity = this.identities.get(agentId);
+    if (!identity) return 'unknown';
+    if (identity.status === 'revoked') return 'revoked';
+
+    const trustScore = this.getTrustScore(agentId);
+    const { minimumScore, recoveryThreshold } = this.getTrustPolicy(agentId);
+
+    if (trustScore < minimumScore) return 'blocked';
+    if (identity.trustBlocked && trustScore < recoveryThreshold) return 'recovering';
+    return 'trusted';
+  }
+
+  /**
+   * Update the persisted blocked flag after a score or policy change
+   * 
+   * @returns {boolean} - True if the flag changed (caller saves the identity)
+   */
+  updateTrustState(agentId) {
+    const identity = this.identities.get(agentId);
+    if (!identity || identity.status === 'revoked') return false;
+
+    const trustScore = this.getTrustScore(agentId);
+    const { minimumScore, recoveryThreshold } = this.getTrustPolicy(agentId);
+
+    if (!identity.trustBlocked && trustScore < minimumScore) {
+      identity.trustBlocked = true;
+      identity.trustBlockedAt = new Date().toISOString();
+
+      console.log(`⚠ Trust gate blocked ${agentId}: ${trustScore} < ${minimumScore}`);
+      this.auditLogger.logIdentityVerification(agentId, 'trust_blocked', {
+        verified: false,
+        reason: `Trust score ${trustScore} fell below minimum ${minimumScore}`,
+        trustScore
+      });
+      return true;
+    }
+
+    if (identity.trustBlocked && trustScore >= recoveryThreshold) {
+      identity.trustBlocked = false;
+      identity.trustBlockedAt = null;
+
+      console.log(`✓ Trust gate restored ${agentId}: ${trustScore} >= ${recoveryThreshold}`);
+      this.auditLogger.logIdentityVerification(agentId, 'trust_restored', {
+        verified: true,
+        reason: `Trust score ${trustScore} reached recovery threshold ${recoveryThreshold}`,
+        trustScore
+      });
+      return true;
+    }
+
+    return false;
+  }
+
   /**
    * Increment trust score (reward good behavior)
    */
@@ -270,6 +394,7 @@ class IdentitySystem {
     const identity = this.identities.get(agentId);
     if (identity) {
       identity.trustScore = newScore;
+      this.updateTrustState(agentId);
       this.saveIdentity(identity);
     }
 
@@ -288,6 +413,7 @@ class IdentitySystem {
     const identity = this.identities.get(agentId);
     if (identity) {
       identity.trustScore = newScore;
+      this.updateTrustState(agentId);
       this.saveIdentity(identity);
     }
 
@@ -342,6 +468,9 @@ class IdentitySystem {
       metadata: identity.metadata,
       status: identity.status,
       trustScore: this.getTrustScore(agentId),
+      trustState: this.getTrustState(agentId),
+      trustPolicy: this.getTrustPolicy(agentId),
+      trustBlockedAt: identity.trustBlockedAt || null,
       lastVerified: identity.lastVerified,
       verificationCount: identity.verificationHistory.length
     };
@@ -0,0 +1,105 @@
+/**
+ * OpenClaw Production Toolkit - Notification Dispatcher
+ *
+ * Delivers escalation events to named notifiers and audit-logs every
+ * delivery (with each attempt) as a `notification` entry.
+ *
+ * A notifier is any object with `async notify(event)` that resolves when
+ * the event was delivered and rejects when it couldn't be. It may resolve
+ * to (or attach to its error) `{attempts: [{status?, error?, at}]}`.
+ * Built in: WebhookNotifier, SmtpNotifier and FileNotifier.
+ *
+ * Events carry the escalation as it was logged (redacted context):
+ *   {type: 'escalation' | 'escalation_reminder' | 'escalation_timeout', escalation: {...}, ...details}
+ */
+
+class NotificationDispatcher {
+  /**
+   * @param {AuditLogger} auditLogger - Where deliveries are logged
+   * @param {object} notifiers - Notifier name → notifier
+   */
+  constructor(auditLogger, notifiers = {}) {
+    this.auditLogger = auditLogger;
+    this.notifiers = new Map();
+    this.inFlight = new Set();
+
+    for (const [name, notifier] of Object.entries(notifiers)) {
+      this.register(name, notifier);
+    }
+  }
+
+  /**
+   * Build an event for an escalation
+   */
+  static event(type, escalation, details = {}) {
+    const { id, agentId, action, context, reason, rule, assignedTo, status, deadline, createdAt } = escalation;
+    return { type, escalation: { id, agentId, action, context, reason, rule, assignedTo, status, deadline, createdAt }, ...details };
+  }
+
+  register(name, notifier) {
+    if (!notifier || typeof notifier.notify !== 'function') {
+      throw new Error(`Notifier '${name}' must have a notify(event) method`);
+    }
+    this.notifiers.set(name, notifier);
+  }
+
+  /**
+   * Send an event to each named notifier
+   *
+   * Never rejects: failures are logged. Callers don't need to wait; flush()
+   * waits for everything in flight.
+   *
+   * @returns {Promise<Array>} - [{notifier, status: 'delivered' | 'failed', attempts, error?, logError?}]
+   */
+  dispatch(names = [], event) {
+    const delivery = Promise.all(names.map(name => this.deliver(name, event)));
+
+    this.inFlight.add(delivery);
+    delivery.finally(() => this.inFlight.delete(delivery)).catch(() => {});
+
+    return delivery;
+  }
+
+  async deliver(name, event) {
+    const notifier = this.notifiers.get(name);
+    let outcome;
+
+    if (!notifier) {
+      outcome = { notifier: name, status: 'failed', attempts: [], error: `Unknown notifier '${name}'` };
+    } else {
+      try {
+        const result = await notifier.notify(event);
+        outcome = { notifier: name, status: 'delivered', attempts: result?.attempts || [] };
+      } catch (error) {
+        outcome = { notifier: name, status: 'failed', attempts: error.attempts || [], error: error.message };
+      }
+    }
+
+    if (outcome.status === 'failed') {
+      console.error(`⚠ Notification to ${name} failed for ${event.escalation?.id}: ${outcome.error}`);
+    }
+
+    try {
+      this.auditLogger.logNotification({
+        escalationId: event.escalation?.id,
+        agentId: event.escalation?.agentId,
+        event: event.type,
+        ...outcome
+      });
+    } catch (error) {
+      console.error(`⚠ Could not audit-log notification to ${name} for ${event.escalation?.id}: ${error.message}`);
+      outcome.logError = error.message;
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Wait for every delivery in flight
+   */
+  async flush() {
+    await Promise.all(Array.from(this.inFlight));
+  }
+}
+
+module.exports = NotificationDispatcher;
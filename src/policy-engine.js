@@ -5,59 +5,341 @@
  * Implements Cedar-like declarative permissions that prompt injection cannot bypass.
  * 
  * Core Principles:
- * - Declarative YAML policies (not LLM-controlled)
+ * - Declarative YAML policies (not LLM-controlled), schema-validated at load
  * - Fail-secure by default (deny unless explicitly allowed)
  * - Immutable audit trail of all decisions
  * - Zero Trust verification on every action
+ * - Atomic hot reload: a bad edit never replaces the last-known-good policies
+ * - Optionally signed: with trusted keys, tampered files are rejected (see policy-signer.js)
+ * - Versioned: every decision records the policy version that made it, and
+ *   every version is archived (see policy-history.js)
+ * - Budgeted: cumulative limits across actions, persisted (see budget-ledger.js)
  */
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const RateLimiter = require('./rate-limiter');
+const BudgetLedger = require('./budget-ledger');
+const EscalationScheduler = require('./escalation-scheduler');
+const ApprovalQuorum = require('./approval-quorum');
+const ConditionExpression = require('./condition-expression');
+const Schedule = require('./schedule');
+const PolicyHistory = require('./policy-history');
+const PolicySigner = require('./policy-signer');
+const PolicyValidator = require('./policy-validator');
+const { matchesPattern, patternSpecificity } = require('./action-pattern');
 
-class PolicyEngine {
-  constructor(policyPath, auditLogger) {
+// Rule lists in evaluation order (also the tie-break order under most-specific)
+const RULE_LISTS = ['escalate', 'deny', 'allow'];
+const DEFAULT_PRECEDENCE = 'deny-overrides';
+
+class PolicyEngine extends EventEmitter {
+  /**
+   * @param {string} policyPath - Directory of policy YAML files
+   * @param {AuditLogger} auditLogger - Audit sink for decisions and reloads
+   * @param {object} options - {clock: () => epoch ms, used for rate limits, schedules and history;
+   *                            historyFile: string|null, defaults to policy-history.jsonl next to the
+   *                            audit log (null keeps history in memory);
+   *                            budgetLedgerFile: string|null, likewise budget-ledger.jsonl;
+   *                            trustedKeys: key directory or {keyId: PEM} to verify policy signatures;
+   *                            requireSignedPolicies: boolean rejects unsigned files too;
+   *                            watch: boolean, watchDebounceMs: number, quiet: boolean}
+   */
+  constructor(policyPath, auditLogger, options = {}) {
+    super();
     this.policyPath = policyPath;
     this.auditLogger = auditLogger;
+    this.options = {
+      watch: false,
+      watchDebounceMs: 250,
+      quiet: false,
+      trustedKeys: null,
+      requireSignedPolicies: false,
+      ...options
+    };
+
+    if (this.options.requireSignedPolicies && !this.options.trustedKeys) {
+      throw new Error('requireSignedPolicies needs trustedKeys to verify against');
+    }
     this.policies = new Map();
+    this.declaredPolicies = new Map();
+    this.shadowRules = new Map();
+    this.inheritedRules = new Map();
+    this.rateLimits = new Map();
+    this.budgets = new Map();
+    this.escalationSlas = new Map();
+    this.escalationApprovals = new Map();
+    this.schedules = new Map();
+    this.conditions = new Map();
+    this.clock = options.clock || Date.now;
+    this.versions = new Map();
+    this.history = new PolicyHistory(this.options.historyFile !== undefined
+      ? this.options.historyFile
+      : (auditLogger.logPath ? path.join(auditLogger.logPath, 'policy-history.jsonl') : null));
+    this.policySetHash = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.rateLimiter = new RateLimiter({
+      clock: options.clock,
+      matchPattern: (action, pattern) => this.matchesPattern(action, pattern)
+    });
+    this.budgetLedger = new BudgetLedger(this.options.budgetLedgerFile !== undefined
+      ? this.options.budgetLedgerFile
+      : (auditLogger.logPath ? path.join(auditLogger.logPath, 'budget-ledger.jsonl') : null), {
+      clock: options.clock,
+      matchPattern: (action, pattern) => this.matchesPattern(action, pattern)
+    });
     this.loadPolicies();
+    this.compactBudgetLedger();
+
+    if (this.options.watch) {
+      this.startWatching();
+    }
   }
 
   /**
    * Load all policy files from policy directory
+   * 
+   * Every file is schema-validated first (see policy-validator.js). Any
+   * error aborts the load; warnings are printed but don't block it.
    */
   loadPolicies() {
     try {
-      const policyFiles = fs.readdirSync(this.policyPath)
-        .filter(f => f.endsWith('.yaml') || f.endsWith('.yml'));
-
-      for (const file of policyFiles) {
-        const fullPath = path.join(this.policyPath, file);
-        const content = fs.readFileSync(fullPath, 'utf8');
-        const policy = yaml.load(content);
-        
-        if (!policy.agent) {
-          throw new Error(`Policy file ${file} missing required 'agent' field`);
+      const policySet = this.buildPolicySet('startup');
+      this.applyPolicySet(policySet);
+
+      if (!this.options.quiet) {
+        for (const agentId of policySet.policies.keys()) {
+          console.log(`✓ Loaded policy for agent: ${agentId}`);
         }
 
-        this.policies.set(policy.agent, policy);
-        console.log(`✓ Loaded policy for agent: ${policy.agent}`);
+        console.log(`Loaded ${this.policies.size} agent policies`);
       }
-
-      console.log(`Loaded ${this.policies.size} agent policies`);
     } catch (error) {
       console.error('Failed to load policies:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Read and validate the whole policy directory into a new, unapplied set
+   * 
+   * Has no side effects on the engine, so a failure leaves the current
+   * policies untouched. Signature rejections are audit-logged.
+   * 
+   * @param {string} trigger - What caused the load (recorded with rejections)
+   * @returns {object} - {policies, declared, shadowRules, inheritedRules, rateLimits, budgets, escalationSlas, escalationApprovals, schedules, hash, files, signatures}
+   */
+  buildPolicySet(trigger = 'manual') {
+    // Keys are re-read on every load so a rotated key set takes effect on reload
+    const signer = this.options.trustedKeys ? new PolicySigner(this.options.trustedKeys) : null;
+
+    // Refuse signed files older than ones already accepted, here or by another engine
+    if (signer) this.history.load();
+
+    const report = new PolicyValidator({
+      signer,
+      requireSigned: this.options.requireSignedPolicies,
+      minimumSequence: file => this.history.lastSignatureSequence(file)
+    }).validateDirectory(this.policyPath);
+
+    for (const check of report.signatures) {
+      if (check.status === 'invalid' || (check.status === 'unsigned' && this.options.requireSignedPolicies)) {
+        this.auditLogger.logPolicySignature({ ...check, status: 'rejected', signature: check.status, trigger });
+      }
+    }
+
+    for (const warning of report.warnings) {
+      console.warn(`⚠ ${PolicyValidator.formatIssue(warning)}`);
+    }
+
+    if (!report.valid) {
+      const error = new Error(`Invalid policies:\n  ${report.errors.map(PolicyValidator.formatIssue).join('\n  ')}`);
+      error.issues = report.errors;
+      throw error;
+    }
+
+    const policies = new Map();
+    const declared = new Map();
+    const shadowRules = new Map();
+    const inheritedRules = new Map();
+    const rateLimits = new Map();
+    const budgets = new Map();
+    const escalationSlas = new Map();
+    const escalationApprovals = new Map();
+    const schedules = new Map();
+
+    // Policies are resolved (extends merged in) by the validator
+    for (const { policy, declared: own, inherited } of report.policies) {
+      policies.set(policy.agent, policy);
+      declared.set(policy.agent, own);
+      shadowRules.set(policy.agent, collectShadowRules(own, inherited));
+      inheritedRules.set(policy.agent, collectInheritedRules(inherited));
+      rateLimits.set(policy.agent, RateLimiter.compile(policy.rate_limits));
+      budgets.set(policy.agent, BudgetLedger.compile(policy.budgets));
+      escalationSlas.set(policy.agent, EscalationScheduler.compile(policy.escalation_sla));
+      escalationApprovals.set(policy.agent, ApprovalQuorum.compile(policy.escalation_approvals, policy.approver_groups));
+      schedules.set(policy.agent, compileSchedules(policy.schedules));
+    }
+
+    // Role files count too: editing a base changes every agent extending it
+    const files = report.files.map(({ file, content }) => ({ file, hash: hashContent(content) }));
+
+    const hash = hashContent(files.map(f => `${f.file}\0${f.hash}`).join('\n'));
+
+    const signatures = report.signatures.filter(check => check.status === 'signed');
+
+    return { policies, declared, shadowRules, inheritedRules, rateLimits, budgets, escalationSlas, escalationApprovals, schedules, hash, files, signatures };
+  }
+
+  /**
+   * Swap a fully built policy set in (single assignment, never partial)
+   * 
+   * Each agent's policy is archived first; unchanged content keeps its version.
+   * Signature sequences are recorded so older signed files are refused later.
+   */
+  applyPolicySet(policySet) {
+    const now = this.clock();
+    const versions = new Map();
+
+    for (const { file, sequence, keyId } of policySet.signatures || []) {
+      this.history.recordSignatureSequence(file, sequence, keyId, now);
+    }
+
+    for (const [agentId, policy] of policySet.policies) {
+      versions.set(agentId, this.history.record(agentId, policy, policySet.declared.get(agentId), now));
+    }
+
+    for (const agentId of this.policies.keys()) {
+      if (!policySet.policies.has(agentId)) this.history.recordRemoval(agentId, now);
+    }
+
+    for (const [agentId, policy] of policySet.policies) {
+      this.auditLogger.setRedactionPolicy(agentId, policy.audit);
+    }
+
+    this.policies = policySet.policies;
+    this.declaredPolicies = policySet.declared;
+    this.shadowRules = policySet.shadowRules;
+    this.inheritedRules = policySet.inheritedRules;
+    this.rateLimits = policySet.rateLimits;
+    this.budgets = policySet.budgets;
+    this.escalationSlas = policySet.escalationSlas;
+    this.escalationApprovals = policySet.escalationApprovals;
+    this.schedules = policySet.schedules;
+    this.versions = versions;
+    this.policySetHash = policySet.hash;
+  }
+
   /**
    * Reload policies from disk (for hot-reloading)
+   * 
+   * Builds the new set off to the side and swaps it in only if every file
+   * validates. On failure the last-known-good set stays in place, a
+   * 'reload-failed' event is emitted, and the error is rethrown.
+   * 
+   * @param {object} options - {trigger: string} recorded in the audit entry
+   * @returns {object} - {beforeHash, afterHash, changed, agents}
    */
-  reloadPolicies() {
-    this.policies.clear();
-    this.loadPolicies();
+  reloadPolicies(options = {}) {
+    const trigger = options.trigger || 'manual';
+    const beforeHash = this.policySetHash;
+    let policySet;
+
+    try {
+      policySet = this.buildPolicySet(trigger);
+    } catch (error) {
+      console.error(`⚠ Policy reload failed, keeping last-known-good policies: ${error.message}`);
+
+      this.auditLogger.logPolicyReload({
+        status: 'failed',
+        trigger,
+        beforeHash,
+        afterHash: beforeHash,
+        error: error.message
+      });
+
+      this.emit('reload-failed', { error, trigger, hash: beforeHash });
+      throw error;
+    }
+
+    const result = {
+      beforeHash,
+      afterHash: policySet.hash,
+      changed: policySet.hash !== beforeHash,
+      agents: Array.from(policySet.policies.keys())
+    };
+
+    // File events without content changes (editor temp files, touch) are no-ops
+    if (!result.changed && options.skipUnchanged) {
+      return result;
+    }
+
+    this.applyPolicySet(policySet);
+
+    this.auditLogger.logPolicyReload({
+      status: 'success',
+      trigger,
+      beforeHash,
+      afterHash: policySet.hash,
+      agents: result.agents,
+      files: policySet.files
+    });
+
+    if (!this.options.quiet) {
+      console.log(`✓ Reloaded ${result.agents.length} agent policies (${trigger})`);
+    }
+    this.emit('reload', { ...result, trigger });
+
+    return result;
+  }
+
+  /**
+   * Watch the policy directory and reload (debounced) on change
+   */
+  startWatching() {
+    if (this.watcher) return;
+
+    this.watcher = fs.watch(this.policyPath, () => this.scheduleReload());
+    this.watcher.on('error', (error) => {
+      console.error(`⚠ Policy watcher error: ${error.message}`);
+    });
+
+    // Don't keep the process alive just for the watcher
+    if (this.watcher.unref) this.watcher.unref();
+  }
+
+  /**
+   * Debounce bursts of file events into a single reload
+   */
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      try {
+        this.reloadPolicies({ trigger: 'watch', skipUnchanged: true });
+      } catch (error) {
+        // Already logged and emitted as 'reload-failed'
+      }
+    }, this.options.watchDebounceMs);
+
+    if (this.reloadTimer.unref) this.reloadTimer.unref();
+  }
+
+  /**
+   * Stop watching the policy directory
+   */
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
   }
 
   /**
@@ -66,196 +348,644 @@ class PolicyEngine {
    * @param {string} agentId - Agent identifier
    * @param {string} action - Action in format "verb:resource" (e.g., "read:customer_data")
    * @param {object} context - Additional context (user, amount, etc.)
-   * @returns {object} - {allowed: boolean, reason: string, requiresEscalation: boolean}
+   * @param {object} options - {enforceRateLimits: boolean} counts this check against the policy's rate_limits;
+   *                            {subject: object} trusted agent attributes exposed to conditions as `agent.*`;
+   *                            {explain: boolean} attaches the full evaluation trace as `trace`;
+   *                            {now: epoch ms} evaluates schedules at this time instead of the clock's;
+   *                            {reserveBudgets: boolean} holds the action's budget usage until
+   *                            commitBudget(budgetReservation) or releaseBudget(budgetReservation);
+   *                            {approval: {rule}} checks an action whose escalation was approved (see applyApproval)
+   * @returns {object} - {allowed: boolean, reason: string, requiresEscalation: boolean, matchedRule?,
+   *                       rateLimited?: boolean, budgetExceeded?: boolean, budget?, budgets?, budgetReservation?,
+   *                       shadow?: {outcome, reason, matchedRule}, policyVersion?: {version, hash, label?}, trace?}
    */
-  checkPermission(agentId, action, context = {}) {
+  checkPermission(agentId, action, context = {}, options = {}) {
     const startTime = Date.now();
     
     // Get policy for this agent
     const policy = this.policies.get(agentId);
+    const trace = options.explain ? { agentId, action, policyFound: Boolean(policy), rules: [] } : null;
     
+    let result;
+
     if (!policy) {
-      const result = {
+      result = {
         allowed: false,
         reason: `No policy found for agent: ${agentId}`,
         requiresEscalation: false
       };
-      
-      this.auditLogger.logDecision(agentId, action, context, result, Date.now() - startTime);
-      return result;
-    }
 
-    // Check escalation rules first (these override allow/deny)
-    if (policy.permissions?.escalate) {
-      const escalation = this.checkEscalation(policy.permissions.escalate, action, context);
-      if (escalation.requiresEscalation) {
-        this.auditLogger.logDecision(agentId, action, context, escalation, Date.now() - startTime);
-        return escalation;
+      if (trace) trace.decision = { step: 'no-policy' };
+    } else {
+      const env = { now: options.now ?? this.clock(), schedules: this.schedules.get(agentId) };
+      result = this.evaluatePolicy(policy, action, this.buildScope(context, options.subject), trace, env);
+      if (options.approval) result = this.applyApproval(result, options.approval);
+
+      const budgetCheck = this.applyBudgets(agentId, action, context, result, options.approval);
+      result = budgetCheck.result;
+
+      if (trace && result.budgetExceeded) {
+        trace.decision = { ...trace.decision, step: 'budget', budget: result.budget };
       }
+
+      if (options.enforceRateLimits) {
+        result = this.applyRateLimits(agentId, action, context, result);
+
+        if (trace && result.rateLimited) {
+          trace.decision = { ...trace.decision, step: 'rate-limit', rateLimit: result.rateLimit };
+        }
+      }
+
+      if (options.reserveBudgets && result.allowed) {
+        const reservation = this.budgetLedger.reserve(budgetCheck.charges);
+        if (reservation) result = { ...result, budgetReservation: reservation };
+      }
+
+      result = { ...result, policyVersion: this.getPolicyVersion(agentId) };
     }
 
-    // Check deny rules (explicit denies override allows)
-    if (policy.permissions?.deny) {
-      const denied = this.matchesRules(action, policy.permissions.deny, context);
-      if (denied.matches) {
-        const result = {
-          allowed: false,
-          reason: `Action explicitly denied by policy rule: ${denied.rule}`,
-          requiresEscalation: false
-        };
-        
-        this.auditLogger.logDecision(agentId, action, context, result, Date.now() - startTime);
-        return result;
+    // One audit entry per check, with or without a trace (the trace itself isn't logged)
+    this.auditLogger.logDecision(agentId, action, context, result, Date.now() - startTime);
+
+    return trace ? { ...result, trace } : result;
+  }
+
+  /**
+   * Build the values that rule conditions resolve against
+   * 
+   * Context fields are available directly (`amount`) and under `context.`
+   * (`context.amount`). When a subject is given, `agent.*` always refers to
+   * it, so an agent cannot spoof its own attributes through the context.
+   */
+  buildScope(context = {}, subject = null) {
+    const scope = { ...context, context };
+
+    if (subject) {
+      scope.agent = subject;
+    }
+
+    return scope;
+  }
+
+  /**
+   * Evaluate a policy's escalate/deny/allow rules for an action
+   * 
+   * Precedence (policy `precedence:`):
+   * - deny-overrides (default): any matching escalate rule wins, then any
+   *   deny, then allow, regardless of how specific the patterns are
+   * - most-specific: the matching rule with the most specific pattern wins
+   *   (see action-pattern.js); ties go to escalate, then deny, then allow
+   * 
+   * The decision reports the winning rule and the rules it overrode as
+   * `precedence`.
+   * 
+   * Shadow mode (`mode: shadow` on a rule, or on the policy as the default
+   * for its own deny/escalate rules): shadow rules never decide. The policy
+   * is evaluated a second time as if they were enforced and, if that outcome
+   * differs, it is attached as `shadow` ("would have denied"). Inherited
+   * rules keep their declared mode and unmatched actions are still denied.
+   * 
+   * @param {object} policy - Agent policy
+   * @param {string} action - Action being checked
+   * @param {object} scope - Condition scope (see buildScope)
+   * @param {object} trace - Optional trace; every rule considered and the final step are recorded on it
+   * @param {object} env - {now, schedules} for `during` conditions
+   */
+  evaluatePolicy(policy, action, scope, trace = null, env = {}) {
+    const mode = policy.precedence || DEFAULT_PRECEDENCE;
+    const shadowed = this.shadowRules.get(policy.agent);
+    const inherited = this.inheritedRules.get(policy.agent);
+    const candidates = [];
+
+    if (trace) {
+      trace.precedence = mode;
+      trace.extends = policy.extends;
+      if (policy.mode === 'shadow') trace.mode = 'shadow';
+      if (env.now !== undefined) trace.evaluatedAt = new Date(env.now).toISOString();
+    }
+
+    for (const list of RULE_LISTS) {
+      const rules = policy.permissions?.[list];
+      if (rules) {
+        const onRule = trace ? (step) => trace.rules.push({
+          list,
+          ...step,
+          ...(ruleMode(rules[step.index], list, shadowed) === 'shadow' ? { mode: 'shadow' } : {})
+        }) : null;
+        candidates.push(...this.findMatches(action, rules, scope, onRule, env).map(match => ({
+          list,
+          ...match,
+          ...(inherited && inherited.has(ruleKey(list, match.rule)) ? { inherited: true } : {})
+        })));
       }
     }
 
-    // Check allow rules
-    if (policy.permissions?.allow) {
-      const allowed = this.matchesRules(action, policy.permissions.allow, context);
-      if (allowed.matches) {
-        const result = {
-          allowed: true,
-          reason: `Action allowed by policy rule: ${allowed.rule}`,
-          requiresEscalation: false
+    const enforced = candidates.filter(candidate => ruleMode(candidate.rule, candidate.list, shadowed) === 'enforce');
+    const { result, decision } = this.decide(enforced, mode);
+
+    if (trace) trace.decision = decision;
+
+    if (enforced.length < candidates.length) {
+      const { result: hypothetical } = this.decide(candidates, mode);
+
+      if (outcomeOf(hypothetical) !== outcomeOf(result)) {
+        result.shadow = {
+          outcome: outcomeOf(hypothetical),
+          reason: hypothetical.reason,
+          matchedRule: hypothetical.matchedRule
         };
-        
-        this.auditLogger.logDecision(agentId, action, context, result, Date.now() - startTime);
-        return result;
+
+        if (trace) trace.shadow = result.shadow;
       }
     }
 
-    // Default deny (fail-secure)
-    const result = {
-      allowed: false,
-      reason: 'Action not explicitly allowed (default deny)',
-      requiresEscalation: false
-    };
-    
-    this.auditLogger.logDecision(agentId, action, context, result, Date.now() - startTime);
     return result;
   }
 
   /**
-   * Check if action requires escalation to human
+   * Turn the matching candidates into a decision
+   * 
+   * @param {Array} candidates - Matches in RULE_LISTS order (see findMatches)
+   * @param {string} mode - Precedence mode
+   * @returns {object} - {result, decision} where decision is the trace's final step
    */
-  checkEscalation(escalationRules, action, context) {
-    for (const rule of escalationRules) {
-      // Simple string match
-      if (typeof rule === 'string') {
-        if (this.matchesPattern(action, rule)) {
-          return {
-            allowed: false,
-            reason: `Action requires human escalation: ${rule}`,
-            requiresEscalation: true,
-            escalationRule: rule
-          };
+  decide(candidates, mode) {
+    if (candidates.length === 0) {
+      // Default deny (fail-secure)
+      return {
+        decision: { step: 'default-deny' },
+        result: {
+          allowed: false,
+          reason: 'Action not explicitly allowed (default deny)',
+          requiresEscalation: false
         }
-      }
-      
-      // Conditional escalation (e.g., "refund_requests > $500")
-      if (typeof rule === 'object') {
-        const matched = this.matchesConditional(rule, action, context);
-        if (matched) {
-          return {
-            allowed: false,
-            reason: `Action requires human escalation: ${JSON.stringify(rule)}`,
-            requiresEscalation: true,
-            escalationRule: rule
-          };
+      };
+    }
+
+    const winner = this.selectRule(candidates, mode);
+    const rival = candidates.find(candidate => candidate.list !== winner.list);
+    const precedence = {
+      mode,
+      list: winner.list,
+      rule: winner.rule,
+      specificity: winner.specificity,
+      overridden: candidates
+        .filter(candidate => candidate !== winner)
+        .map(({ list, rule, specificity }) => ({ list, rule, specificity }))
+    };
+
+    if (rival) {
+      precedence.explanation = this.explainPrecedence(winner, rival, mode);
+    }
+
+    const decision = { step: winner.list, ...precedence };
+    const ruleText = this.describeRule(winner.rule);
+    const because = rival ? ` (${precedence.explanation})` : '';
+
+    if (winner.list === 'escalate') {
+      return {
+        decision,
+        result: {
+          allowed: false,
+          reason: `Action requires human escalation: ${ruleText}${because}`,
+          requiresEscalation: true,
+          escalationRule: winner.rule,
+          matchedRule: winner.rule,
+          precedence
+        }
+      };
+    }
+
+    if (winner.list === 'deny') {
+      return {
+        decision,
+        result: {
+          allowed: false,
+          reason: `Action explicitly denied by policy rule: ${ruleText}${because}`,
+          requiresEscalation: false,
+          matchedRule: winner.rule,
+          precedence
         }
+      };
+    }
+
+    return {
+      decision,
+      result: {
+        allowed: true,
+        reason: `Action allowed by policy rule: ${ruleText}${because}`,
+        requiresEscalation: false,
+        matchedRule: winner.rule,
+        precedence
       }
+    };
+  }
+
+  /**
+   * Pick the deciding rule among all matching candidates
+   * 
+   * Candidates arrive grouped by list in RULE_LISTS order, each group
+   * sorted most specific first.
+   * 
+   * Under most-specific, a deny or escalate rule inherited through
+   * `extends` still can't lose to the policy's own rules: those only
+   * compete if they are from the same or a stronger list.
+   */
+  selectRule(candidates, mode) {
+    if (mode !== 'most-specific') {
+      return candidates[0];
     }
 
-    return { requiresEscalation: false };
+    const floor = candidates.find(candidate => candidate.inherited && candidate.list !== 'allow');
+    const eligible = floor
+      ? candidates.filter(candidate => candidate.inherited || RULE_LISTS.indexOf(candidate.list) <= RULE_LISTS.indexOf(floor.list))
+      : candidates;
+
+    return eligible.reduce((best, candidate) => (candidate.specificity > best.specificity ? candidate : best));
   }
 
   /**
-   * Check if action matches any rule in a list
+   * Why the winning rule beat the strongest rule from another list
    */
-  matchesRules(action, rules, context) {
-    for (const rule of rules) {
-      if (this.matchesPattern(action, rule)) {
-        return { matches: true, rule };
-      }
+  explainPrecedence(winner, rival, mode) {
+    const winnerText = `${winner.list} rule '${this.describeRule(winner.rule)}'`;
+    const rivalText = `${rival.list} rule '${this.describeRule(rival.rule)}'`;
+
+    if (mode !== 'most-specific') {
+      return `${winnerText} overrides ${rivalText} under deny-overrides`;
+    }
+
+    if (winner.inherited && !rival.inherited && winner.specificity < rival.specificity) {
+      return `${winnerText} is inherited via extends and can't be overridden by ${rivalText}`;
     }
-    return { matches: false };
+
+    if (winner.specificity > rival.specificity) {
+      return `${winnerText} (specificity ${winner.specificity}) is more specific than ${rivalText} (specificity ${rival.specificity})`;
+    }
+
+    return `${winnerText} ties with ${rivalText} at specificity ${winner.specificity}; ties go to ${RULE_LISTS.join(' > ')}`;
   }
 
   /**
-   * Pattern matching with wildcards
-   * Supports: exact match, prefix* wildcard, *suffix wildcard, *
+   * Let an approval stand in for the escalation a decision asks for
+   * 
+   * The approved action then goes through budgets like any allowed one;
+   * a rule that now denies it outright still wins.
+   * 
+   * @param {object} result - Decision from evaluatePolicy()
+   * @param {object} approval - {rule} the approved escalation was raised by
    */
-  matchesPattern(action, pattern) {
-    // Exact match
-    if (action === pattern) return true;
+  applyApproval(result, approval) {
+    if (!result.requiresEscalation) return result;
 
-    // Wildcard *
-    if (pattern === '*') return true;
+    return {
+      ...result,
+      allowed: true,
+      reason: `Escalation approved: ${approval.rule || result.reason}`,
+      requiresEscalation: false,
+      escalationRule: undefined
+    };
+  }
 
-    // Prefix wildcard: "read:*"
-    if (pattern.endsWith('*')) {
-      const prefix = pattern.slice(0, -1);
-      return action.startsWith(prefix);
+  /**
+   * Check an allowed decision against the agent's budgets
+   * 
+   * Budgets are read, never spent, here. When one would be exceeded the
+   * decision becomes a denial (or an escalation, per the budget's
+   * on_exceed) reporting what remains as `budget`; a usable amount that
+   * is missing or not a number is denied. Otherwise the decision reports
+   * every applicable budget as `budgets`.
+   * 
+   * An approved action (see applyApproval) is denied rather than escalated
+   * again, except that the budget its escalation was raised by
+   * (`budget:<name>`) is charged past its limit.
+   * 
+   * @returns {object} - {result, charges} where charges are for budgetLedger.reserve()
+   */
+  applyBudgets(agentId, action, context, result, approval = null) {
+    const budgets = this.budgets.get(agentId);
+    if (!budgets || budgets.length === 0 || !result.allowed) return { result, charges: [] };
+
+    const approvedBudget = approval?.rule?.startsWith('budget:') ? approval.rule.slice('budget:'.length) : null;
+    const check = this.budgetLedger.evaluate(agentId, budgets, action, context, { allowOver: approvedBudget });
+
+    if (check.invalid) {
+      return {
+        result: { allowed: false, reason: check.invalid, requiresEscalation: false },
+        charges: []
+      };
     }
 
-    // Suffix wildcard: "*:customer_data"
-    if (pattern.startsWith('*')) {
-      const suffix = pattern.slice(1);
-      return action.endsWith(suffix);
+    if (check.exceeded) {
+      const { onExceed, ...budget } = check.exceeded;
+      const escalate = onExceed === 'escalate' && !approval;
+
+      return {
+        result: {
+          allowed: false,
+          reason: `Budget exceeded: ${budget.name} (${budget.remaining} of ${budget.limit} remaining per ${budget.window}, requested ${budget.requested})`,
+          requiresEscalation: escalate,
+          escalationRule: escalate ? `budget:${budget.name}` : undefined,
+          budgetExceeded: true,
+          budget
+        },
+        charges: []
+      };
     }
 
-    return false;
+    if (check.budgets.length === 0) return { result, charges: [] };
+
+    return {
+      result: { ...result, budgets: check.budgets.map(({ onExceed, ...status }) => status) },
+      charges: check.charges
+    };
+  }
+
+  /**
+   * Spend a reservation from checkPermission(..., {reserveBudgets: true})
+   * once the action has succeeded
+   */
+  commitBudget(reservationId) {
+    return this.budgetLedger.commit(reservationId);
+  }
+
+  /**
+   * Give a reservation back (the action failed or never ran)
+   */
+  releaseBudget(reservationId) {
+    return this.budgetLedger.release(reservationId);
+  }
+
+  /**
+   * SLA for an escalation raised by this rule (see escalation-scheduler.js)
+   * 
+   * Looked up by the rule's action pattern (`budget:<name>` for budgets),
+   * falling back to the policy's `default` SLA.
+   * 
+   * @returns {object|null} - {timeoutMs, onTimeout, remindAtMs}
+   */
+  getEscalationSla(agentId, escalationRule) {
+    return lookupByRule(this.escalationSlas.get(agentId), escalationRule);
+  }
+
+  /**
+   * Who has to approve an escalation raised by this rule (see approval-quorum.js)
+   * 
+   * Looked up like getEscalationSla(); null means a single reviewer decides.
+   * 
+   * @returns {object|null} - {required, groups, order, exclude, onConflict}
+   */
+  getEscalationApprovals(agentId, escalationRule) {
+    return lookupByRule(this.escalationApprovals.get(agentId), escalationRule);
+  }
+
+  /**
+   * Route an escalation to an assignee and notifiers
+   * 
+   * The first `escalation_routing` entry whose `rule` (escalate rule key,
+   * as for getEscalationSla), `action` pattern and `condition` all match
+   * wins; entries inherited from bases come first.
+   * 
+   * @param {object} options - {subject, now} as for checkPermission
+   * @returns {object|null} - {assignTo, notify: [names], route: index}
+   */
+  routeEscalation(agentId, action, context, escalationRule, options = {}) {
+    const routes = this.policies.get(agentId)?.escalation_routing;
+    if (!Array.isArray(routes)) return null;
+
+    const key = typeof escalationRule === 'string' ? escalationRule : escalationRule?.action;
+    const env = { now: options.now ?? this.clock(), schedules: this.schedules.get(agentId) };
+    const scope = this.buildScope(context, options.subject);
+
+    const index = routes.findIndex(route =>
+      (route.rule === undefined || route.rule === key) &&
+      (route.action === undefined || this.matchesPattern(action, route.action)) &&
+      (route.condition === undefined || this.evaluateCondition(route.condition, scope, env)));
+
+    if (index === -1) return null;
+    return { assignTo: routes[index].assign_to, notify: routes[index].notify || [], route: index };
+  }
+
+  /**
+   * Drop ledger entries older than the longest budget window in use
+   */
+  compactBudgetLedger() {
+    const windows = Array.from(this.budgets.values()).flat().map(budget => budget.windowMs);
+
+    // With no budgets configured there's nothing to measure staleness against
+    return windows.length ? this.budgetLedger.compact(Math.max(...windows)) : 0;
+  }
+
+  /**
+   * Count an allowed or escalated decision against the agent's rate limits
+   * 
+   * Denied decisions are never counted. When a limit is exceeded the decision
+   * is replaced with a rateLimited denial carrying a retry-after hint.
+   */
+  applyRateLimits(agentId, action, context, result) {
+    const limits = this.rateLimits.get(agentId);
+    if (!limits || limits.length === 0) return result;
+
+    let kind = null;
+    if (result.requiresEscalation) kind = 'escalation';
+    else if (result.allowed) kind = 'action';
+    if (!kind) return result;
+
+    const check = this.rateLimiter.consume(agentId, limits, action, context, kind);
+    if (!check.limited) return result;
+
+    const retryHint = check.retryAfterMs === null ? '' : ` (retry after ${Math.ceil(check.retryAfterMs / 1000)}s)`;
+
+    return {
+      allowed: false,
+      reason: `Rate limit exceeded: ${check.limit} (max ${check.max})${retryHint}`,
+      requiresEscalation: false,
+      rateLimited: true,
+      rateLimit: check.limit,
+      retryAfterMs: check.retryAfterMs
+    };
+  }
+
+  /**
+   * Check if action matches any rule in a list
+   * 
+   * Rules are either a pattern string or {action, condition}; the condition
+   * (if any) is evaluated against the context. Returns the most specific
+   * matching rule.
+   */
+  matchesRules(action, rules, context, env = {}) {
+    const [match] = this.findMatches(action, rules, context, null, env);
+    return match ? { matches: true, rule: match.rule } : { matches: false };
+  }
+
+  /**
+   * Every rule in a list that matches, most specific pattern first
+   * (declaration order among equals)
+   * 
+   * @param {function} onRule - Optional; called for every rule with
+   *                            {index, rule, patternMatched, condition?, matched, specificity}
+   *                            where condition is the ConditionExpression trace
+   * @param {object} env - {now, schedules} for `during` conditions
+   * @returns {Array<{rule, specificity}>}
+   */
+  findMatches(action, rules, context, onRule = null, env = {}) {
+    const matches = [];
+
+    rules.forEach((rule, index) => {
+      let matched;
+
+      if (onRule) {
+        const step = this.traceRule(rule, action, context, env);
+        onRule({ index, ...step });
+        matched = step.matched;
+      } else if (typeof rule === 'string') {
+        // Simple string match
+        matched = this.matchesPattern(action, rule);
+      } else {
+        // Conditional rule (e.g., {action: refund_requests, condition: "amount > 500"})
+        matched = Boolean(rule && typeof rule === 'object' && this.matchesConditional(rule, action, context, env));
+      }
+
+      if (matched) {
+        matches.push({ rule, specificity: patternSpecificity(typeof rule === 'string' ? rule : rule.action) });
+      }
+    });
+
+    return matches.sort((a, b) => b.specificity - a.specificity);
+  }
+
+  /**
+   * Match one rule and explain the result (for explain mode)
+   * 
+   * The condition is only evaluated when the pattern matches, as in normal
+   * evaluation.
+   */
+  traceRule(rule, action, context, env = {}) {
+    const pattern = typeof rule === 'string' ? rule : rule.action;
+    const patternMatched = this.matchesPattern(action, pattern);
+    const step = {
+      rule: this.describeRule(rule),
+      pattern,
+      specificity: patternSpecificity(pattern),
+      patternMatched,
+      matched: patternMatched
+    };
+
+    if (typeof rule === 'object' && rule.condition !== undefined) {
+      if (patternMatched) {
+        step.condition = this.compileCondition(rule.condition).trace(context, env);
+        step.matched = step.condition.result;
+      } else {
+        step.condition = { expression: rule.condition, evaluated: false };
+      }
+    }
+
+    return step;
+  }
+
+  /**
+   * Human-readable form of a rule for decision reasons
+   */
+  describeRule(rule) {
+    if (typeof rule === 'string') return rule;
+    if (rule.condition) return `${rule.action} when ${rule.condition}`;
+    return rule.action;
+  }
+
+  /**
+   * Glob/regex pattern matching (see action-pattern.js)
+   */
+  matchesPattern(action, pattern) {
+    return matchesPattern(action, pattern);
   }
 
   /**
    * Match conditional rules (e.g., amount > 500)
+   * 
+   * An object rule without a condition matches on its action pattern alone.
    */
-  matchesConditional(rule, action, context) {
+  matchesConditional(rule, action, context, env = {}) {
     // Example: { action: "refund", condition: "amount > 500" }
-    if (rule.action && !this.matchesPattern(action, rule.action)) {
+    if (!rule.action || !this.matchesPattern(action, rule.action)) {
       return false;
     }
 
-    if (rule.condition) {
-      // Simple condition parser (extend as needed)
-      return this.evaluateCondition(rule.condition, context);
+    if (rule.condition !== undefined) {
+      return this.evaluateCondition(rule.condition, context, env);
     }
 
-    return false;
+    return true;
   }
 
   /**
-   * Simple condition evaluator
+   * Parse a condition expression (cached by source text)
    */
-  evaluateCondition(condition, context) {
-    // Parse simple conditions like "amount > 500"
-    const match = condition.match(/(\w+)\s*([><=!]+)\s*(.+)/);
-    if (!match) return false;
+  compileCondition(condition) {
+    let compiled = this.conditions.get(condition);
 
-    const [, field, operator, valueStr] = match;
-    const contextValue = context[field];
-    const value = parseFloat(valueStr.replace(/[$,]/g, ''));
+    if (!compiled) {
+      compiled = ConditionExpression.compile(condition);
+      this.conditions.set(condition, compiled);
+    }
 
-    if (contextValue === undefined) return false;
+    return compiled;
+  }
 
-    switch (operator) {
-      case '>': return parseFloat(contextValue) > value;
-      case '<': return parseFloat(contextValue) < value;
-      case '>=': return parseFloat(contextValue) >= value;
-      case '<=': return parseFloat(contextValue) <= value;
-      case '==': return contextValue == value;
-      case '!=': return contextValue != value;
-      default: return false;
-    }
+  /**
+   * Evaluate a condition expression against the action context
+   * 
+   * Supports and/or/not, comparisons, string equality, `in [..]` lists,
+   * dotted paths (customer.tier), `matches /regex/`, `exists` and
+   * `during <schedule>`. See condition-expression.js for the full grammar.
+   */
+  evaluateCondition(condition, context, env = {}) {
+    return this.compileCondition(condition).evaluate(context, env);
   }
 
   /**
-   * Get policy summary for an agent
+   * Get the effective policy for an agent
+   * 
+   * @param {string} agentId - Agent identifier
+   * @param {object} options - {resolved: false} returns the policy as declared in its
+   *                            file, without the rules and settings it inherits;
+   *                            {at: Date|string|number} returns the policy that was in
+   *                            effect at that moment, from the history
    */
-  getPolicyFor(agentId) {
+  getPolicyFor(agentId, options = {}) {
+    if (options.at !== undefined) {
+      const entry = this.history.versionAt(agentId, new Date(options.at).getTime());
+      if (!entry) return undefined;
+      return options.resolved === false ? entry.declared : entry.policy;
+    }
+
+    if (options.resolved === false) {
+      return this.declaredPolicies.get(agentId);
+    }
     return this.policies.get(agentId);
   }
 
+  /**
+   * Version of an agent's current policy, as stamped on its decisions
+   * 
+   * @returns {object|undefined} - {version, hash, label?} where label is metadata.version
+   */
+  getPolicyVersion(agentId) {
+    const entry = this.versions.get(agentId);
+    if (!entry) return undefined;
+
+    const { version, hash, label } = entry;
+    return label === undefined ? { version, hash } : { version, hash, label };
+  }
+
+  /**
+   * Every archived version of an agent's policy, oldest first
+   * 
+   * @returns {Array} - [{agentId, version, hash, label?, effectiveFrom, effectiveFromUnix, removed?}]
+   */
+  getPolicyHistory(agentId) {
+    return this.history.list(agentId);
+  }
+
   /**
    * List all loaded agents
    */
@@ -264,4 +994,90 @@ class PolicyEngine {
   }
 }
 
+/**
+ * 'enforce' | 'shadow' for a rule in a list (see collectShadowRules)
+ */
+function ruleMode(rule, list, shadowed) {
+  if (rule && typeof rule === 'object' && rule.mode) return rule.mode;
+  return shadowed && shadowed.has(ruleKey(list, rule)) ? 'shadow' : 'enforce';
+}
+
+/**
+ * Rules a policy-level `mode: shadow` applies to: the policy's own deny and
+ * escalate rules. Allow rules stay enforced so default deny still holds, and
+ * rules merged in from bases (including ones the policy repeats) keep theirs.
+ *
+ * @param {object} declared - The policy as declared in its file
+ * @param {object} inherited - Its merged bases
+ * @returns {Set<string>|null} - Rule keys (see ruleKey), null when not in shadow mode
+ */
+function collectShadowRules(declared, inherited = {}) {
+  if (declared.mode !== 'shadow') return null;
+
+  const shadowed = new Set();
+  for (const list of ['deny', 'escalate']) {
+    const base = new Set((inherited.permissions?.[list] || []).map(rule => ruleKey(list, rule)));
+    for (const rule of declared.permissions?.[list] || []) {
+      const key = ruleKey(list, rule);
+      if (!base.has(key)) shadowed.add(key);
+    }
+  }
+  return shadowed;
+}
+
+/**
+ * Deny and escalate rules a policy inherits through `extends`, which its
+ * own rules can't override (see selectRule)
+ *
+ * @param {object} inherited - The policy's merged bases
+ * @returns {Set<string>} - Rule keys (see ruleKey)
+ */
+function collectInheritedRules(inherited = {}) {
+  const keys = new Set();
+  for (const list of ['deny', 'escalate']) {
+    for (const rule of inherited.permissions?.[list] || []) keys.add(ruleKey(list, rule));
+  }
+  return keys;
+}
+
+/**
+ * Identify a rule the way policy-inheritance dedupes merged lists
+ */
+function ruleKey(list, rule) {
+  return `${list}\0${JSON.stringify(rule)}`;
+}
+
+/**
+ * 'allow' | 'deny' | 'escalate' for a decision
+ */
+function outcomeOf(decision = {}) {
+  if (decision.requiresEscalation) return 'escalate';
+  return decision.allowed ? 'allow' : 'deny';
+}
+
+/**
+ * Per-rule escalation settings: the rule's action pattern, else `default`
+ */
+function lookupByRule(settings, escalationRule) {
+  if (!settings || !escalationRule) return null;
+
+  const key = typeof escalationRule === 'string' ? escalationRule : escalationRule.action;
+  return settings.get(key) || settings.get('default') || null;
+}
+
+/**
+ * Compile a policy's named schedules (validated at load)
+ */
+function compileSchedules(schedules = {}) {
+  return new Map(Object.entries(schedules || {}).map(([name, spec]) => [name, Schedule.compile(name, spec)]));
+}
+
+/**
+ * SHA-256 of policy content
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
 module.exports = PolicyEngine;
+module.exports.outcomeOf = outcomeOf;
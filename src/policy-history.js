@@ -0,0 +1,224 @@
+/**
+ * OpenClaw Production Toolkit - Policy History
+ *
+ * Append-only archive of every effective policy an engine has enforced, so
+ * a past decision can be traced to the exact policy that produced it.
+ *
+ * Each agent's policy gets a content hash (SHA-256 of its resolved policy,
+ * keys sorted) and a version number that increases by one whenever the hash
+ * changes. Reloading or restarting with unchanged content keeps the version.
+ *
+ * Stored as JSON lines, one per version:
+ *   {agentId, version, hash, label, effectiveFrom, effectiveFromUnix, policy, declared}
+ * where `label` is the policy's own metadata.version (if any). An agent whose
+ * policy is removed gets a `removed: true` entry with no policy.
+ *
+ * Signed policy files also get an entry whenever a higher signature
+ * sequence is accepted, so older signed copies can be refused:
+ *   {type: 'signature', file, sequence, keyId, recordedAt}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const stableStringify = require('./stable-stringify');
+
+class PolicyHistory {
+  /**
+   * @param {string|null} historyFile - JSONL file to persist to (null keeps history in memory)
+   */
+  constructor(historyFile = null) {
+    this.historyFile = historyFile;
+    this.versions = new Map();
+    this.sequences = new Map();
+    this.offset = 0;
+    this.inode = null;
+    this.load();
+  }
+
+  /**
+   * Content hash of a resolved policy
+   */
+  static hashPolicy(policy) {
+    return crypto.createHash('sha256').update(stableStringify(policy)).digest('hex');
+  }
+
+  /**
+   * Read what was appended to the history file since the last load, picking
+   * up versions other engines sharing it recorded (the whole file the first
+   * time, or if it was replaced)
+   */
+  load() {
+    if (!this.historyFile || !fs.existsSync(this.historyFile)) return;
+
+    const fd = fs.openSync(this.historyFile, 'r');
+    let content;
+
+    try {
+      const { ino, size } = fs.fstatSync(fd);
+      if (ino !== this.inode || size < this.offset) {
+        this.versions = new Map();
+        this.sequences = new Map();
+        this.inode = ino;
+        this.offset = 0;
+      }
+      if (size === this.offset) return;
+
+      const buffer = Buffer.alloc(size - this.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+
+      // A line still being written is left for the next load
+      const end = buffer.lastIndexOf(0x0a);
+      if (end === -1) return;
+
+      this.offset += end + 1;
+      content = buffer.toString('utf8', 0, end);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        // Skip a torn line rather than losing the whole history
+        continue;
+      }
+    }
+  }
+
+  apply(entry) {
+    if (entry.type === 'signature') {
+      this.sequences.set(entry.file, Math.max(this.lastSignatureSequence(entry.file), entry.sequence));
+      return;
+    }
+
+    if (!this.versions.has(entry.agentId)) this.versions.set(entry.agentId, []);
+    this.versions.get(entry.agentId).push(entry);
+  }
+
+  /**
+   * Record an agent's effective policy, creating a new version if it changed
+   *
+   * @param {string} agentId - Agent identifier
+   * @param {object} policy - Resolved policy
+   * @param {object} declared - Policy as declared in its file
+   * @param {number} at - Epoch ms the policy takes effect
+   * @returns {object} - The version entry now in effect
+   */
+  record(agentId, policy, declared, at) {
+    this.load();
+
+    const hash = PolicyHistory.hashPolicy(policy);
+    const latest = this.latest(agentId);
+
+    if (latest && !latest.removed && latest.hash === hash) {
+      return latest;
+    }
+
+    const entry = { agentId, version: latest ? latest.version + 1 : 1, hash };
+
+    if (policy.metadata?.version !== undefined) {
+      entry.label = String(policy.metadata.version);
+    }
+
+    return this.append({
+      ...entry,
+      effectiveFrom: new Date(at).toISOString(),
+      effectiveFromUnix: at,
+      policy,
+      declared
+    });
+  }
+
+  /**
+   * Record that an agent no longer has a policy
+   */
+  recordRemoval(agentId, at) {
+    this.load();
+
+    const latest = this.latest(agentId);
+    if (!latest || latest.removed) return;
+
+    this.append({
+      agentId,
+      version: latest.version + 1,
+      hash: null,
+      removed: true,
+      effectiveFrom: new Date(at).toISOString(),
+      effectiveFromUnix: at
+    });
+  }
+
+  /**
+   * Highest signature sequence accepted for a policy file (0 if none)
+   */
+  lastSignatureSequence(file) {
+    return this.sequences.get(file) || 0;
+  }
+
+  /**
+   * Record an accepted signature sequence if it is higher than the last one
+   */
+  recordSignatureSequence(file, sequence, keyId, at) {
+    this.load();
+    if (sequence <= this.lastSignatureSequence(file)) return;
+
+    this.append({ type: 'signature', file, sequence, keyId, recordedAt: new Date(at).toISOString() });
+  }
+
+  /**
+   * Persist an entry; with a file it is read back by load(), along with
+   * anything other engines appended first
+   */
+  append(entry) {
+    if (!this.historyFile) {
+      this.apply(entry);
+      return entry;
+    }
+
+    fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+    fs.appendFileSync(this.historyFile, JSON.stringify(entry) + '\n');
+    this.load();
+
+    return entry;
+  }
+
+  /**
+   * Most recent version entry for an agent
+   */
+  latest(agentId) {
+    const versions = this.versions.get(agentId);
+    return versions ? versions[versions.length - 1] : undefined;
+  }
+
+  /**
+   * The version in effect at a moment (undefined before the first version
+   * or while the agent's policy was removed)
+   *
+   * @param {string} agentId - Agent identifier
+   * @param {number} at - Epoch ms
+   */
+  versionAt(agentId, at) {
+    const versions = this.versions.get(agentId) || [];
+    let current;
+
+    for (const entry of versions) {
+      if (entry.effectiveFromUnix > at) break;
+      current = entry;
+    }
+
+    return current && !current.removed ? current : undefined;
+  }
+
+  /**
+   * Every version of an agent's policy, oldest first, without the policy bodies
+   */
+  list(agentId) {
+    return (this.versions.get(agentId) || []).map(({ policy, declared, ...summary }) => summary);
+  }
+}
+
+module.exports = PolicyHistory;
@@ -0,0 +1,160 @@
+/**
+ * OpenClaw Production Toolkit - Policy Inheritance
+ *
+ * Resolves `extends:` so agents can share base and role policies:
+ *
+ *   role: baseline-security
+ *   permissions:
+ *     deny: [delete:*, read:secrets]
+ *
+ *   agent: support-agent
+ *   extends: [baseline-security, support-role]
+ *
+ * Merge semantics, applied base-by-base in the order listed and then the
+ * agent's own policy on top:
+ * - Lists union (allow, deny, escalate, budgets, sensitive_fields, ...), base
+ *   entries first, duplicates dropped. A child can add rules but never remove them,
+ *   and its own rules can't outrank inherited deny/escalate rules either, even
+ *   under `precedence: most-specific` (see PolicyEngine.selectRule).
+ * - Mappings merge key by key
+ * - Scalars override (the child wins)
+ * - Named schedules are replaced whole: a child redefining `business_hours`
+ *   doesn't inherit the base's days or time zone; likewise escalation SLAs,
+ *   approval requirements and approver groups (a child can't add members to
+ *   a base's group)
+ *
+ * `agent`, `role`, `extends` and `mode` describe the document itself and
+ * are never inherited: a base can't put an agent into shadow mode, and an
+ * agent's shadow mode doesn't reach the rules it inherits.
+ */
+
+const OWN_KEYS = ['agent', 'role', 'extends', 'mode'];
+const ATOMIC_ENTRIES = ['schedules', 'escalation_sla', 'escalation_approvals', 'approver_groups'];
+
+/**
+ * Names a policy extends, normalized to a list
+ */
+function basesOf(policy) {
+  if (policy.extends === undefined || policy.extends === null) return [];
+  return Array.isArray(policy.extends) ? policy.extends : [policy.extends];
+}
+
+/**
+ * Resolve the effective policy of every named document
+ *
+ * @param {Map<string, object>} documents - Policy name → declared policy
+ * @returns {object} - {resolved: Map name → policy, inherited: Map name → merged bases,
+ *                      errors: [{name, index, message}]} where index is the offending extends entry
+ */
+function resolvePolicies(documents) {
+  const resolved = new Map();
+  const inherited = new Map();
+  const failed = new Set();
+  const errors = [];
+
+  const resolve = (name, chain) => {
+    if (resolved.has(name)) return resolved.get(name);
+    if (failed.has(name)) return null;
+
+    const policy = documents.get(name);
+    let merged = {};
+    let ok = true;
+
+    basesOf(policy).forEach((base, index) => {
+      if (!documents.has(base)) {
+        errors.push({ name, index, message: `Unknown base policy '${base}' in extends` });
+        ok = false;
+        return;
+      }
+
+      if (base === name || chain.includes(base)) {
+        const cycle = base === name ? [name, name] : [...chain.slice(chain.indexOf(base)), name, base];
+        errors.push({ name, index, message: `Inheritance cycle: ${cycle.join(' → ')}` });
+        ok = false;
+        return;
+      }
+
+      const baseResolved = resolve(base, [...chain, name]);
+      if (!baseResolved) {
+        errors.push({ name, index, message: `Base policy '${base}' could not be resolved` });
+        ok = false;
+        return;
+      }
+
+      merged = mergePolicies(merged, baseResolved);
+    });
+
+    if (!ok) {
+      failed.add(name);
+      return null;
+    }
+
+    const effective = mergePolicies(merged, policy);
+    for (const key of OWN_KEYS) {
+      if (policy[key] !== undefined) effective[key] = policy[key];
+    }
+
+    inherited.set(name, merged);
+    resolved.set(name, effective);
+    return effective;
+  };
+
+  for (const name of documents.keys()) {
+    resolve(name, []);
+  }
+
+  return { resolved, inherited, errors };
+}
+
+/**
+ * Merge a child policy over a base (lists union, scalars override)
+ */
+function mergePolicies(base, child) {
+  const merged = {};
+
+  for (const [key, value] of Object.entries(base)) {
+    if (!OWN_KEYS.includes(key)) merged[key] = value;
+  }
+
+  for (const [key, value] of Object.entries(child)) {
+    if (OWN_KEYS.includes(key)) continue;
+
+    if (ATOMIC_ENTRIES.includes(key) && isMapping(merged[key]) && isMapping(value)) {
+      merged[key] = { ...merged[key], ...value };
+    } else {
+      merged[key] = mergeValues(merged[key], value);
+    }
+  }
+
+  return merged;
+}
+
+function mergeValues(base, value) {
+  if (value === undefined || value === null) return base;
+
+  if (Array.isArray(base) && Array.isArray(value)) {
+    const seen = new Set();
+    return [...base, ...value].filter((entry) => {
+      const signature = JSON.stringify(entry);
+      if (seen.has(signature)) return false;
+      seen.add(signature);
+      return true;
+    });
+  }
+
+  if (isMapping(base) && isMapping(value)) {
+    const merged = { ...base };
+    for (const [key, entry] of Object.entries(value)) {
+      merged[key] = mergeValues(base[key], entry);
+    }
+    return merged;
+  }
+
+  return value;
+}
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { resolvePolicies, mergePolicies, basesOf };
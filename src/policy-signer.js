@@ -0,0 +1,246 @@
+/**
+ * OpenClaw Production Toolkit - Policy Signer
+ *
+ * Signs policy files with an admin key and verifies them against a set of
+ * trusted public keys, so write access to policies/ alone can't change
+ * what agents may do.
+ *
+ * A signature is a comment block, either appended to the policy file
+ * (embedded) or stored next to it as `<file>.sig` (detached):
+ *
+ *   # -----BEGIN POLICY SIGNATURE-----
+ *   # key: security-admin
+ *   # file: support-agent.yaml
+ *   # sequence: 4
+ *   # signature: MEUCIQD...
+ *   # -----END POLICY SIGNATURE-----
+ *
+ * An embedded signature covers every byte before the block; a detached one
+ * covers the whole file. `key` names the trusted public key that must
+ * verify it. Ed25519 keys are signed directly, RSA and EC keys with SHA-256.
+ *
+ * The file name and sequence number are signed too. The name stops a
+ * signed file being loaded under another name; the sequence goes up each
+ * time a file is re-signed, and the engine refuses one older than the last
+ * it accepted (recorded in policy-history.js), so an older, validly signed
+ * copy can't be restored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BEGIN = '# -----BEGIN POLICY SIGNATURE-----';
+const END = '# -----END POLICY SIGNATURE-----';
+const BLOCK = /(?:^|\n)(# -----BEGIN POLICY SIGNATURE-----\r?\n# key: (\S+)\r?\n# file: (\S+)\r?\n# sequence: (\d+)\r?\n# signature: ([A-Za-z0-9+/=]+)\r?\n# -----END POLICY SIGNATURE-----)\s*$/;
+const KEY_FILE = /\.(pub|pem)$/;
+
+class PolicySigner {
+  /**
+   * @param {string|object} trustedKeys - Directory of `<key-id>.pub` / `<key-id>.pem`
+   *                                      public keys, or a map of key id → PEM
+   */
+  constructor(trustedKeys) {
+    this.trustedKeys = PolicySigner.loadTrustedKeys(trustedKeys);
+
+    if (this.trustedKeys.size === 0) {
+      throw new Error('No trusted policy signing keys configured');
+    }
+  }
+
+  /**
+   * Parse trusted public keys (also used for approval tokens)
+   *
+   * @param {string|object} trustedKeys - Key directory or map of key id → PEM
+   * @param {string} label - How errors name a key
+   * @returns {Map} - Key id → KeyObject
+   */
+  static loadTrustedKeys(trustedKeys, label = 'Trusted key') {
+    const keys = new Map();
+    const entries = typeof trustedKeys === 'string'
+      ? PolicySigner.readKeyDirectory(trustedKeys)
+      : Object.entries(trustedKeys || {});
+
+    for (const [keyId, pem] of entries) {
+      try {
+        keys.set(keyId, crypto.createPublicKey(pem));
+      } catch (error) {
+        throw new Error(`${label} '${keyId}' is not a valid public key: ${error.message}`);
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Ed25519/Ed448 sign the message itself; other key types sign a SHA-256 digest
+   *
+   * @returns {string|null} - Digest to pass to crypto.sign / crypto.verify
+   */
+  static digestFor(key) {
+    return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+  }
+
+  static readKeyDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Trusted key directory not found: ${dir}`);
+    }
+
+    return fs.readdirSync(dir)
+      .filter(f => KEY_FILE.test(f))
+      .sort()
+      .map(f => [f.replace(KEY_FILE, ''), fs.readFileSync(path.join(dir, f), 'utf8')]);
+  }
+
+  /**
+   * Generate an Ed25519 signing key pair (PEM)
+   *
+   * @returns {object} - {publicKey, privateKey}
+   */
+  static generateKeyPair() {
+    return crypto.generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+  }
+
+  /**
+   * Signature block for some content
+   *
+   * @param {string} content - Exact bytes to sign
+   * @param {string} privateKey - PEM private key
+   * @param {string} keyId - Name of the matching trusted public key
+   * @param {object} binding - {file: name the policy is loaded as, sequence: positive integer (default 1)}
+   */
+  static createSignature(content, privateKey, keyId, binding = {}) {
+    if (!/^\S+$/.test(keyId || '')) {
+      throw new Error('Key id must be a non-empty name without spaces');
+    }
+
+    const { file, sequence = 1 } = binding;
+    if (!/^[^\s/\\]+$/.test(file || '')) {
+      throw new Error('Signatures need the policy file name (without directories or spaces)');
+    }
+    if (!Number.isSafeInteger(sequence) || sequence < 1) {
+      throw new Error('Signature sequence must be a positive integer');
+    }
+
+    const key = crypto.createPrivateKey(privateKey);
+    const signature = crypto.sign(PolicySigner.digestFor(key), signedMessage(file, sequence, content), key).toString('base64');
+
+    return `${BEGIN}\n# key: ${keyId}\n# file: ${file}\n# sequence: ${sequence}\n# signature: ${signature}\n${END}\n`;
+  }
+
+  /**
+   * Sign a policy in place: any existing embedded signature is replaced
+   *
+   * @param {object} binding - As for createSignature(); the sequence defaults
+   *                           to one more than the replaced signature's
+   * @returns {string} - The policy content with its signature block appended
+   */
+  static signEmbedded(content, privateKey, keyId, binding = {}) {
+    let payload = PolicySigner.stripSignature(content);
+    if (!payload.endsWith('\n')) payload += '\n';
+
+    const sequence = binding.sequence ?? PolicySigner.nextSequence(content);
+    return payload + PolicySigner.createSignature(payload, privateKey, keyId, { ...binding, sequence });
+  }
+
+  /**
+   * The sequence for re-signing: one more than the highest in the given
+   * signed contents (an embedded-signed file, a `.sig`), or 1
+   */
+  static nextSequence(...contents) {
+    const sequences = contents.map(content => PolicySigner.extract(content || '')?.sequence || 0);
+    return Math.max(0, ...sequences) + 1;
+  }
+
+  /**
+   * Content without its embedded signature block
+   */
+  static stripSignature(content) {
+    const embedded = PolicySigner.extract(content);
+    return embedded ? embedded.payload : content;
+  }
+
+  /**
+   * Split a signature block off the end of some content
+   *
+   * @returns {object|null} - {payload, keyId, file, sequence, signature} or null if there is no block
+   */
+  static extract(content) {
+    const match = content.match(BLOCK);
+    if (!match) return null;
+
+    const blockStart = match.index + match[0].indexOf(BEGIN);
+    return { payload: content.slice(0, blockStart), keyId: match[2], file: match[3], sequence: Number(match[4]), signature: match[5] };
+  }
+
+  /**
+   * Check one policy file's signature
+   *
+   * @param {string} file - File name within dir
+   * @param {string} content - The file content being loaded
+   * @param {string} dir - Policy directory (for the detached `.sig`)
+   * @returns {object} - {file, status: 'signed' | 'unsigned' | 'invalid', keyId?, sequence?, detached?, reason?}
+   *                      (checking the sequence against earlier ones is up to the caller)
+   */
+  verify(file, content, dir) {
+    let signed = PolicySigner.extract(content);
+    let detached = false;
+
+    // A block anywhere but the very end means content was added after signing
+    if (!signed && content.includes(BEGIN)) {
+      return { file, status: 'invalid', reason: 'Signature block is malformed or not at the end of the file' };
+    }
+
+    if (!signed) {
+      const sigFile = path.join(dir, `${file}.sig`);
+
+      if (!fs.existsSync(sigFile)) {
+        return { file, status: 'unsigned', reason: 'No signature' };
+      }
+
+      const block = PolicySigner.extract(fs.readFileSync(sigFile, 'utf8'));
+      if (!block || block.payload.trim() !== '') {
+        return { file, status: 'invalid', detached: true, reason: `Malformed signature file ${file}.sig` };
+      }
+
+      signed = { ...block, payload: content };
+      detached = true;
+    }
+
+    const { keyId, sequence } = signed;
+    const key = this.trustedKeys.get(keyId);
+
+    if (!key) {
+      return { file, status: 'invalid', keyId, detached, reason: `Signed with untrusted key '${keyId}'` };
+    }
+
+    let valid = false;
+    try {
+      valid = crypto.verify(PolicySigner.digestFor(key), signedMessage(signed.file, sequence, signed.payload), key, Buffer.from(signed.signature, 'base64'));
+    } catch (error) {
+      valid = false;
+    }
+
+    if (!valid) {
+      return { file, status: 'invalid', keyId, detached, reason: `Signature does not match the content (key '${keyId}'); the file may have been modified after signing` };
+    }
+
+    if (signed.file !== path.basename(file)) {
+      return { file, status: 'invalid', keyId, detached, reason: `Signed for ${signed.file}, not ${path.basename(file)}` };
+    }
+
+    return { file, status: 'signed', keyId, sequence, detached };
+  }
+}
+
+/**
+ * What a signature covers: the file name and sequence, then the content
+ */
+function signedMessage(file, sequence, content) {
+  return Buffer.from(`openclaw-policy-signature\nfile: ${file}\nsequence: ${sequence}\n\n${content}`, 'utf8');
+}
+
+module.exports = PolicySigner;
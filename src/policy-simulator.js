@@ -0,0 +1,139 @@
+/**
+ * OpenClaw Production Toolkit - Policy Simulator
+ *
+ * What-if simulation: replays historical policy decisions from the audit
+ * log against a candidate policy directory and reports what would change.
+ *
+ * The candidate is loaded into its own PolicyEngine with a null audit sink,
+ * so a simulation never writes to the audit trail and never touches the
+ * live engine or its rate limits.
+ *
+ * Caveats:
+ * - Contexts are replayed as logged, i.e. after redaction. Conditions on
+ *   redacted fields see '[REDACTED]' (counted as `redactedContexts`).
+ * - `agent.*` attributes aren't logged; pass `getSubject` to supply them.
+ * - Rate-limited and over-budget decisions are skipped: the underlying
+ *   policy outcome was never recorded. Replays don't spend budgets.
+ * - Schedules (`during`) are evaluated at each entry's logged timestamp.
+ */
+
+const PolicyEngine = require('./policy-engine');
+const { outcomeOf } = PolicyEngine;
+const { NullAuditLogger } = require('./audit-logger');
+
+const CATEGORIES = {
+  allowToDeny: 'Allowed → denied',
+  denyToAllow: 'Denied → allowed',
+  newlyEscalated: 'Newly escalated',
+  noLongerEscalated: 'No longer escalated'
+};
+
+class PolicySimulator {
+  /**
+   * @param {AuditLogger} auditLogger - Source of historical decisions (read only)
+   * @param {string} candidatePath - Directory of candidate policy YAML files
+   * @param {object} options - {maxExamples: number, getSubject: (agentId) => subject}
+   */
+  constructor(auditLogger, candidatePath, options = {}) {
+    this.auditLogger = auditLogger;
+    this.candidatePath = candidatePath;
+    this.options = {
+      maxExamples: 3,
+      getSubject: null,
+      ...options
+    };
+
+    // Throws if the candidate policies don't validate
+    this.engine = new PolicyEngine(candidatePath, new NullAuditLogger(), { quiet: true });
+  }
+
+  /**
+   * Replay historical decisions and diff them against the candidate policies
+   *
+   * @param {object} filters - AuditLogger.query filters (agentId, action, startTime, endTime)
+   * @returns {object} - {summary, allowToDeny, denyToAllow, newlyEscalated, noLongerEscalated}
+   *                     where each category is a list of {agentId, action, count, examples}
+   */
+  run(filters = {}) {
+    const entries = this.auditLogger.query({ ...filters, type: 'policy_decision' });
+    const report = {
+      candidatePath: this.candidatePath,
+      summary: { replayed: 0, unchanged: 0, changed: 0, skipped: 0, redactedContexts: 0 },
+      ...Object.fromEntries(Object.keys(CATEGORIES).map(category => [category, []]))
+    };
+    const groups = new Map();
+
+    for (const entry of entries) {
+      if (entry.decision?.rateLimited || entry.decision?.budgetExceeded) {
+        report.summary.skipped++;
+        continue;
+      }
+
+      const context = entry.context || {};
+      const candidate = this.engine.checkPermission(entry.agentId, entry.action, context, {
+        subject: this.options.getSubject ? this.options.getSubject(entry.agentId) : undefined,
+        now: new Date(entry.timestamp).getTime()
+      });
+
+      report.summary.replayed++;
+      if (JSON.stringify(context).includes('[REDACTED]')) {
+        report.summary.redactedContexts++;
+      }
+
+      const before = outcomeOf(entry.decision);
+      const after = outcomeOf(candidate);
+      const category = categorize(before, after);
+
+      if (!category) {
+        report.summary.unchanged++;
+        continue;
+      }
+
+      report.summary.changed++;
+
+      const key = `${category}\0${entry.agentId}\0${entry.action}`;
+      let group = groups.get(key);
+      if (!group) {
+        group = { agentId: entry.agentId, action: entry.action, count: 0, examples: [] };
+        groups.set(key, group);
+        report[category].push(group);
+      }
+
+      group.count++;
+      if (group.examples.length < this.options.maxExamples) {
+        group.examples.push({
+          timestamp: entry.timestamp,
+          context,
+          before: { outcome: before, reason: entry.decision.reason },
+          after: { outcome: after, reason: candidate.reason, matchedRule: candidate.matchedRule }
+        });
+      }
+    }
+
+    for (const category of Object.keys(CATEGORIES)) {
+      report[category].sort((a, b) => b.count - a.count || a.agentId.localeCompare(b.agentId) || a.action.localeCompare(b.action));
+    }
+
+    return report;
+  }
+
+  /**
+   * Stop the candidate engine (no-op unless it was watching)
+   */
+  close() {
+    this.engine.stopWatching();
+  }
+}
+
+/**
+ * Report category of an outcome change (null if unchanged)
+ */
+function categorize(before, after) {
+  if (before === after) return null;
+  if (after === 'escalate') return 'newlyEscalated';
+  if (before === 'escalate') return 'noLongerEscalated';
+  return before === 'allow' ? 'allowToDeny' : 'denyToAllow';
+}
+
+module.exports = PolicySimulator;
+module.exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,208 @@
+/**
+ * OpenClaw Production Toolkit - Policy Test Runner
+ *
+ * Runs declarative policy test suites kept next to the policies they test:
+ *
+ *   # policies/customer-service-agent.test.yaml
+ *   agent: customer-service-agent     # defaults to the file name
+ *   subject:                          # optional agent.* attributes
+ *     role: support
+ *   cases:
+ *     - name: big refunds need a human
+ *       action: refund_requests
+ *       context: { amount: 750 }
+ *       expect: escalate              # allow | deny | escalate
+ *       rule: refund_requests         # optional: the rule that must decide
+ *       at: 2026-03-06T23:30:00Z      # optional: evaluation time for schedules
+ *
+ * Policies load into an isolated PolicyEngine with a null audit sink, so
+ * running tests never writes to the audit trail. The report includes
+ * coverage: every allow, deny and escalate rule (inherited ones included)
+ * that no case ever matched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const PolicyEngine = require('./policy-engine');
+const { outcomeOf } = PolicyEngine;
+const { LineMap } = require('./policy-validator');
+const { NullAuditLogger } = require('./audit-logger');
+
+const EXPECTATIONS = ['allow', 'deny', 'escalate'];
+const RULE_LISTS = ['escalate', 'deny', 'allow'];
+
+class PolicyTestRunner {
+  /**
+   * @param {string} policyPath - Directory with policies and their *.test.yaml suites
+   * @param {object} options - {testPath: string} to read suites from another directory
+   */
+  constructor(policyPath, options = {}) {
+    this.policyPath = policyPath;
+    this.options = {
+      testPath: policyPath,
+      ...options
+    };
+
+    // Throws if the policies don't validate
+    this.engine = new PolicyEngine(policyPath, new NullAuditLogger(), { quiet: true });
+  }
+
+  /**
+   * List the test suite files in a directory
+   */
+  static listTestFiles(dir) {
+    return fs.readdirSync(dir)
+      .filter(f => /\.test\.ya?ml$/.test(f))
+      .sort();
+  }
+
+  /**
+   * Run every suite
+   *
+   * @returns {object} - {passed, failed, suites: [{file, agent, results}], coverage}
+   */
+  run() {
+    const report = { passed: 0, failed: 0, suites: [], coverage: {} };
+    const hits = new Set();
+
+    for (const file of PolicyTestRunner.listTestFiles(this.options.testPath)) {
+      const suite = this.runSuite(file, hits);
+      report.suites.push(suite);
+
+      for (const result of suite.results) {
+        if (result.pass) report.passed++;
+        else report.failed++;
+      }
+    }
+
+    report.coverage = this.computeCoverage(hits);
+    return report;
+  }
+
+  /**
+   * Load and run one suite; problems with the file itself are failed results
+   */
+  runSuite(file, hits) {
+    const content = fs.readFileSync(path.join(this.options.testPath, file), 'utf8');
+    const lines = new LineMap(content);
+    const suite = { file, agent: null, results: [] };
+    const fail = (name, line, message) => suite.results.push({ name, line, pass: false, message });
+
+    let document;
+    try {
+      document = yaml.load(content);
+    } catch (error) {
+      fail('(suite)', error.mark ? error.mark.line + 1 : null, `Invalid YAML: ${error.reason || error.message}`);
+      return suite;
+    }
+
+    if (!document || !Array.isArray(document.cases)) {
+      fail('(suite)', lines.lineFor(['cases']), "Test suite must have a 'cases' list");
+      return suite;
+    }
+
+    suite.agent = document.agent || file.replace(/\.test\.ya?ml$/, '');
+
+    if (!this.engine.getPolicyFor(suite.agent)) {
+      fail('(suite)', lines.lineFor(['agent']), `No policy found for agent: ${suite.agent}`);
+      return suite;
+    }
+
+    document.cases.forEach((testCase, index) => {
+      const line = lines.lineFor(['cases', index]);
+      suite.results.push({ line, ...this.runCase(suite.agent, document.subject, testCase, index, hits) });
+    });
+
+    return suite;
+  }
+
+  /**
+   * Run a single case
+   *
+   * @returns {object} - {name, pass, expected, actual, matchedRule, message}
+   */
+  runCase(agentId, subject, testCase, index, hits) {
+    const name = testCase?.name || `case ${index + 1}`;
+
+    if (!testCase || typeof testCase.action !== 'string' || !EXPECTATIONS.includes(testCase.expect)) {
+      return { name, pass: false, message: `Each case needs an 'action' and expect: ${EXPECTATIONS.join(' | ')}` };
+    }
+
+    let now;
+    if (testCase.at !== undefined) {
+      now = new Date(testCase.at).getTime();
+      if (Number.isNaN(now)) {
+        return { name, pass: false, message: `Invalid 'at' time: ${testCase.at}` };
+      }
+    }
+
+    const decision = this.engine.checkPermission(agentId, testCase.action, testCase.context || {}, {
+      subject: { id: agentId, ...subject, ...testCase.subject },
+      explain: true,
+      now
+    });
+
+    for (const step of decision.trace.rules) {
+      if (step.matched) hits.add(ruleKey(agentId, step.list, step.index));
+    }
+
+    const actual = outcomeOf(decision);
+    const matchedRule = decision.matchedRule === undefined ? null : this.engine.describeRule(decision.matchedRule);
+    const result = { name, expected: testCase.expect, actual, matchedRule, pass: true };
+
+    if (actual !== testCase.expect) {
+      return { ...result, pass: false, message: `expected ${testCase.expect}, got ${actual} (${decision.reason})` };
+    }
+
+    if (testCase.rule !== undefined && !ruleMatches(decision.matchedRule, testCase.rule, matchedRule)) {
+      return { ...result, pass: false, message: `expected rule '${testCase.rule}', got '${matchedRule}'` };
+    }
+
+    return result;
+  }
+
+  /**
+   * Rules per agent that no case matched
+   *
+   * @returns {object} - agentId → {rules, hit, unhit: [{list, index, rule}]}
+   */
+  computeCoverage(hits) {
+    const coverage = {};
+
+    for (const agentId of this.engine.listAgents()) {
+      const permissions = this.engine.getPolicyFor(agentId).permissions || {};
+      const entry = { rules: 0, hit: 0, unhit: [] };
+
+      for (const list of RULE_LISTS) {
+        (permissions[list] || []).forEach((rule, index) => {
+          entry.rules++;
+          if (hits.has(ruleKey(agentId, list, index))) {
+            entry.hit++;
+          } else {
+            entry.unhit.push({ list, index, rule: this.engine.describeRule(rule) });
+          }
+        });
+      }
+
+      coverage[agentId] = entry;
+    }
+
+    return coverage;
+  }
+}
+
+function ruleKey(agentId, list, index) {
+  return `${agentId}\0${list}\0${index}`;
+}
+
+/**
+ * A case's `rule:` matches either the rule's pattern or its full description
+ */
+function ruleMatches(rule, expected, described) {
+  if (rule === undefined) return false;
+  const pattern = typeof rule === 'string' ? rule : rule.action;
+  return expected === pattern || expected === described;
+}
+
+module.exports = PolicyTestRunner;
@@ -0,0 +1,973 @@
+/**
+ * OpenClaw Production Toolkit - Policy Validator
+ *
+ * Strict schema validation for policy YAML, run by the policy engine at
+ * load time and by the `policy-lint` CLI to gate policy changes.
+ *
+ * Errors make a policy unloadable. Warnings flag policies that load but
+ * probably don't do what their author meant:
+ * - Unknown keys (typos like `permisions:` or `escalte:`)
+ * - Unreachable rules (an allow shadowed by a broader deny)
+ * - The same agent declared in more than one file
+ *
+ * Policies that `extends:` base or role policies are resolved here too
+ * (see policy-inheritance.js); missing bases and cycles are errors.
+ *
+ * With a `signer` (see policy-signer.js), files with a bad signature are
+ * errors and skipped; unsigned files are warnings, or errors when
+ * `requireSigned` is set. A `minimumSequence(file)` callback rejects signed
+ * files whose sequence is older than one already accepted.
+ *
+ * Every issue carries the file, line and key path it refers to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const RateLimiter = require('./rate-limiter');
+const BudgetLedger = require('./budget-ledger');
+const EscalationScheduler = require('./escalation-scheduler');
+const ApprovalQuorum = require('./approval-quorum');
+const Redactor = require('./redactor');
+const ConditionExpression = require('./condition-expression');
+const Schedule = require('./schedule');
+const IdentitySystem = require('./identity-system');
+const { compilePattern, patternCovers, patternSpecificity } = require('./action-pattern');
+const { resolvePolicies, basesOf } = require('./policy-inheritance');
+
+const SCHEMA = {
+  topLevel: ['agent', 'role', 'extends', 'metadata', 'precedence', 'permissions', 'audit', 'rate_limits', 'budgets', 'escalation_sla', 'escalation_approvals', 'approver_groups', 'escalation_routing', 'trust', 'schedules', 'mode'],
+  metadata: ['name', 'description', 'version', 'owner', 'tags'],
+  permissions: ['allow', 'deny', 'escalate'],
+  rule: ['action', 'condition', 'mode'],
+  route: ['rule', 'action', 'condition', 'assign_to', 'notify'],
+  audit: ['level', 'retention', 'sensitive_fields', 'masking', 'detect_patterns'],
+  trust: ['minimum_score', 'recovery_threshold'],
+  precedence: ['deny-overrides', 'most-specific'],
+  mode: ['enforce', 'shadow']
+};
+
+class PolicyValidator {
+  /**
+   * @param {object} options - {signer: PolicySigner, requireSigned: boolean,
+   *                            minimumSequence: file => lowest signature sequence to accept}
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * List the policy files in a directory
+   * 
+   * Policy test suites (`*.test.yaml`, see policy-test-runner.js) live
+   * alongside and are skipped.
+   */
+  static listPolicyFiles(dir) {
+    return fs.readdirSync(dir)
+      .filter(f => (f.endsWith('.yaml') || f.endsWith('.yml')) && !/\.test\.ya?ml$/.test(f))
+      .sort();
+  }
+
+  /**
+   * Format an issue as "file:line: severity: message (path)"
+   */
+  static formatIssue(issue) {
+    const location = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+    const keyPath = issue.path ? ` (${issue.path})` : '';
+    return `${location}: ${issue.severity}: ${issue.message}${keyPath}`;
+  }
+
+  /**
+   * Validate every policy file in a directory
+   *
+   * @param {string} dir - Policy directory
+   * @returns {object} - {valid, errors, warnings, files: [{file, content}],
+   *                        policies: [{file, policy, declared, inherited, content}], roles: [{file, policy, content}],
+   *                        signatures: [{file, status, keyId, reason}] (only with a signer)}
+   *                        where `policy` is the resolved effective policy and `inherited`
+   *                        its merged bases
+   */
+  validateDirectory(dir) {
+    const report = { valid: true, errors: [], warnings: [], files: [], policies: [], roles: [], signatures: [] };
+    const documents = new Map();
+
+    for (const file of PolicyValidator.listPolicyFiles(dir)) {
+      const content = fs.readFileSync(path.join(dir, file), 'utf8');
+
+      // Verify the exact content that gets validated and loaded
+      if (this.options.signer && !this.checkSignature(file, content, dir, report)) {
+        report.files.push({ file, content });
+        continue;
+      }
+
+      const result = this.validateContent(content, file);
+
+      report.errors.push(...result.errors);
+      report.warnings.push(...result.warnings);
+      report.files.push({ file, content });
+
+      if (!result.policy || result.errors.length > 0) continue;
+
+      const kind = result.policy.role !== undefined ? 'role' : 'agent';
+      const name = result.policy[kind];
+      const previous = documents.get(name);
+
+      if (previous && previous.kind !== kind) {
+        report.errors.push(issue('error', file, result.lines.lineFor([kind]), kind,
+          `'${name}' is already defined as ${previous.kind === 'role' ? 'a role' : 'an agent'} in ${previous.file}`));
+        continue;
+      }
+
+      if (previous) {
+        const label = kind === 'role' ? 'Role' : 'Agent';
+        report.warnings.push(issue('warning', file, result.lines.lineFor([kind]), kind,
+          `${label} '${name}' is also defined in ${previous.file}; this file overrides it`));
+      }
+
+      documents.set(name, { kind, file, content, policy: result.policy, lines: result.lines });
+    }
+
+    this.resolveInheritance(documents, report);
+
+    report.valid = report.errors.length === 0;
+    return report;
+  }
+
+  /**
+   * Verify a file's signature and record the result
+   *
+   * @returns {boolean} - False if the file must not be loaded
+   */
+  checkSignature(file, content, dir, report) {
+    let check = this.options.signer.verify(file, content, dir);
+
+    const floor = check.status === 'signed' && this.options.minimumSequence ? this.options.minimumSequence(file) : 0;
+    if (check.sequence < floor) {
+      check = { ...check, status: 'invalid', reason: `Signature sequence ${check.sequence} is older than ${floor}, the last accepted for this file` };
+    }
+    report.signatures.push(check);
+
+    if (check.status === 'invalid') {
+      report.errors.push(issue('error', file, null, null, `Rejected: ${check.reason}`));
+      return false;
+    }
+
+    if (check.status === 'unsigned') {
+      const severity = this.options.requireSigned ? 'error' : 'warning';
+      const message = this.options.requireSigned ? 'Rejected: unsigned policy file (signatures are required)' : 'Unsigned policy file';
+      report[severity === 'error' ? 'errors' : 'warnings'].push(issue(severity, file, null, null, message));
+      return severity !== 'error';
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolve `extends:` for every document and collect the effective policies
+   */
+  resolveInheritance(documents, report) {
+    const declared = new Map(Array.from(documents, ([name, doc]) => [name, doc.policy]));
+    const resolution = resolvePolicies(declared);
+
+    for (const { name, index, message } of resolution.errors) {
+      const doc = documents.get(name);
+      const keyPath = Array.isArray(doc.policy.extends) ? ['extends', index] : ['extends'];
+      report.errors.push(issue('error', doc.file, doc.lines.lineFor(keyPath), formatPath(keyPath), message));
+    }
+
+    for (const [name, doc] of documents) {
+      const policy = resolution.resolved.get(name);
+      if (!policy) continue;
+
+      const sink = reporter(doc.file, doc.lines, report.errors, report.warnings);
+
+      // A rule may use schedules from its own document or its bases
+      this.checkScheduleReferences(doc.policy, policy.schedules, sink);
+
+      if (doc.kind === 'role') {
+        report.roles.push({ file: doc.file, policy, content: doc.content });
+        continue;
+      }
+
+      this.checkEffectiveTrust(doc.policy, policy, sink);
+
+      if (basesOf(doc.policy).length > 0) {
+        if (!isMapping(policy.permissions)) {
+          sink('error', ['extends'], "No 'permissions' block in the policy or its bases (it would deny every action)");
+        }
+        this.checkInheritedShadows(doc.policy, resolution.inherited.get(name), sink, policy.precedence);
+
+        // Budgets union like rules, so a child can't redefine (loosen) a base's budget
+        try {
+          BudgetLedger.compile(policy.budgets);
+        } catch (error) {
+          sink('error', [doc.policy.budgets !== undefined ? 'budgets' : 'extends'], `${error.message} (after merging extends)`);
+        }
+
+        // Approval requirements may name approver groups from a base
+        try {
+          ApprovalQuorum.compile(policy.escalation_approvals, policy.approver_groups);
+        } catch (error) {
+          sink('error', [doc.policy.escalation_approvals !== undefined ? 'escalation_approvals' : 'extends'], `${error.message} (after merging extends)`);
+        }
+      }
+
+      report.policies.push({ file: doc.file, policy, declared: doc.policy, inherited: resolution.inherited.get(name), content: doc.content });
+    }
+  }
+
+  /**
+   * Validate one policy file's content
+   *
+   * @param {string} content - YAML source
+   * @param {string} file - File name used in issues
+   * @returns {object} - {policy, errors, warnings, lines}
+   */
+  validateContent(content, file) {
+    const lines = new LineMap(content);
+    const errors = [];
+    const warnings = [];
+
+    let policy;
+    try {
+      policy = yaml.load(content);
+    } catch (error) {
+      const line = error.mark ? error.mark.line + 1 : null;
+      errors.push(issue('error', file, line, null, `Invalid YAML: ${error.reason || error.message}`));
+      return { policy: null, errors, warnings, lines };
+    }
+
+    this.validateDocument(policy, reporter(file, lines, errors, warnings));
+
+    return { policy, errors, warnings, lines };
+  }
+
+  /**
+   * Validate a parsed policy document
+   *
+   * @param {object} policy - Parsed policy
+   * @param {function} report - (severity, keyPath, message) issue sink
+   */
+  validateDocument(policy, report) {
+    if (!isMapping(policy)) {
+      report('error', [], 'Policy must be a YAML mapping');
+      return;
+    }
+
+    checkKeys(policy, SCHEMA.topLevel, [], report);
+
+    if (policy.role !== undefined) {
+      if (policy.agent !== undefined) {
+        report('error', ['role'], "A policy declares either 'agent' or 'role', not both");
+      } else if (!isName(policy.role)) {
+        report('error', ['role'], "'role' must be a non-empty string");
+      }
+    } else if (!isName(policy.agent)) {
+      report('error', ['agent'], "Missing required 'agent' field");
+    }
+
+    this.validateExtends(policy.extends, report);
+
+    if (policy.precedence !== undefined && !SCHEMA.precedence.includes(policy.precedence)) {
+      report('error', ['precedence'], `precedence must be one of: ${SCHEMA.precedence.join(', ')}`);
+    }
+
+    if (policy.mode !== undefined) {
+      if (!SCHEMA.mode.includes(policy.mode)) {
+        report('error', ['mode'], `mode must be one of: ${SCHEMA.mode.join(', ')}`);
+      } else if (policy.role !== undefined) {
+        report('error', ['mode'], "mode isn't inherited from roles; set mode on the role's rules instead");
+      }
+    }
+
+    if (policy.metadata !== undefined) {
+      if (isMapping(policy.metadata)) {
+        checkKeys(policy.metadata, SCHEMA.metadata, ['metadata'], report);
+      } else {
+        report('error', ['metadata'], 'metadata must be a mapping');
+      }
+    }
+
+    this.validatePermissions(policy, report);
+    this.validateAudit(policy.audit, report);
+    this.validateRateLimits(policy.rate_limits, report);
+    this.validateBudgets(policy.budgets, report);
+    this.validateEscalationSla(policy, report);
+    this.validateEscalationApprovals(policy, report);
+    this.validateEscalationRouting(policy, report);
+    this.validateTrust(policy.trust, report);
+    this.validateSchedules(policy.schedules, report);
+  }
+
+  /**
+   * Validate permissions.allow/deny/escalate and look for unreachable rules
+   */
+  validatePermissions(policy, report) {
+    const permissions = policy.permissions;
+
+    if (permissions === undefined) {
+      // Roles and policies with bases are checked once inheritance is resolved
+      if (policy.role === undefined && policy.extends === undefined) {
+        report('error', ['permissions'], "Missing 'permissions' block (the policy would deny every action)");
+      }
+      return;
+    }
+
+    if (!isMapping(permissions)) {
+      report('error', ['permissions'], 'permissions must be a mapping');
+      return;
+    }
+
+    checkKeys(permissions, SCHEMA.permissions, ['permissions'], report);
+
+    const valid = {};
+
+    for (const list of SCHEMA.permissions) {
+      const rules = permissions[list];
+      valid[list] = [];
+
+      if (rules === undefined || rules === null) continue;
+
+      if (!Array.isArray(rules)) {
+        report('error', ['permissions', list], `permissions.${list} must be a list`);
+        continue;
+      }
+
+      const seen = new Map();
+
+      rules.forEach((rule, index) => {
+        const keyPath = ['permissions', list, index];
+        if (!this.validateRule(rule, keyPath, report)) return;
+
+        const signature = JSON.stringify(rule);
+        if (seen.has(signature)) {
+          report('warning', keyPath, `Duplicate rule (same as permissions.${list}[${seen.get(signature)}])`);
+        } else {
+          seen.set(signature, index);
+        }
+
+        valid[list].push({ rule, index });
+      });
+    }
+
+    // With bases, precedence may be inherited: checked once resolved. In a
+    // shadow-mode policy its own deny/escalate rules never decide
+    if ((policy.extends === undefined || policy.precedence !== undefined) && policy.mode !== 'shadow') {
+      this.checkUnreachable(valid, report, valid, null, policy.precedence);
+    }
+  }
+
+  /**
+   * Validate `extends:` (a base policy name or a list of them)
+   */
+  validateExtends(bases, report) {
+    if (bases === undefined) return;
+
+    if (isName(bases)) return;
+
+    if (!Array.isArray(bases)) {
+      report('error', ['extends'], 'extends must be a policy name or a list of names');
+      return;
+    }
+
+    bases.forEach((base, index) => {
+      if (!isName(base)) {
+        report('error', ['extends', index], 'extends entries must be policy names');
+      } else if (bases.indexOf(base) !== index) {
+        report('warning', ['extends', index], `'${base}' is already listed in extends`);
+      }
+    });
+  }
+
+  /**
+   * Validate a single rule (pattern string or {action, condition})
+   *
+   * @returns {boolean} - True if the rule is well-formed
+   */
+  validateRule(rule, keyPath, report) {
+    if (typeof rule === 'string') {
+      if (rule.trim() === '') {
+        report('error', keyPath, 'Rule pattern must not be empty');
+        return false;
+      }
+      return this.validatePattern(rule, keyPath, report);
+    }
+
+    if (!isMapping(rule)) {
+      report('error', keyPath, 'Rule must be a pattern string or {action, condition}');
+      return false;
+    }
+
+    checkKeys(rule, SCHEMA.rule, keyPath, report);
+
+    if (typeof rule.action !== 'string' || rule.action.trim() === '') {
+      report('error', keyPath, "Rule must have an 'action' pattern");
+      return false;
+    }
+
+    if (!this.validatePattern(rule.action, [...keyPath, 'action'], report)) {
+      return false;
+    }
+
+    if (rule.mode !== undefined && !SCHEMA.mode.includes(rule.mode)) {
+      report('error', [...keyPath, 'mode'], `Rule mode must be one of: ${SCHEMA.mode.join(', ')}`);
+      return false;
+    }
+
+    if (rule.condition !== undefined) {
+      try {
+        ConditionExpression.compile(rule.condition);
+      } catch (error) {
+        report('error', [...keyPath, 'condition'], `Invalid condition: ${error.message}`);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check that an action pattern parses (glob, brace set or /regex/)
+   */
+  validatePattern(pattern, keyPath, report) {
+    try {
+      compilePattern(pattern);
+      return true;
+    } catch (error) {
+      report('error', keyPath, `Invalid action pattern: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Warn about rules that can never take effect given evaluation order
+   * (escalate, then deny, then allow)
+   * 
+   * Under `precedence: most-specific` a broader rule only shadows rules
+   * that are no more specific than itself.
+   */
+  checkUnreachable(valid, report, blocking = valid, describeBlocker = null, precedence = 'deny-overrides') {
+    // Shadow rules never decide, so they can't make another rule unreachable
+    const unconditional = (entries) => entries.filter(({ rule }) =>
+      typeof rule === 'string' || (rule.condition === undefined && rule.mode !== 'shadow'));
+    const describe = describeBlocker || ((list, index) => `permissions.${list}[${index}]`);
+
+    const shadows = [
+      ['deny', unconditional(blocking.escalate), 'escalate'],
+      ['allow', unconditional(blocking.escalate), 'escalate'],
+      ['allow', unconditional(blocking.deny), 'deny']
+    ];
+
+    for (const [list, blockers, blockerList] of shadows) {
+      for (const { rule, index } of valid[list]) {
+        const blocker = blockers.find(entry => patternCovers(patternOf(entry.rule), patternOf(rule)) &&
+          (precedence !== 'most-specific' || patternSpecificity(patternOf(entry.rule)) >= patternSpecificity(patternOf(rule))));
+        if (blocker) {
+          report('warning', ['permissions', list, index],
+            `Unreachable ${list} rule '${patternOf(rule)}': shadowed by broader ${blockerList} rule ` +
+            `'${patternOf(blocker.rule)}' (${describe(blockerList, blocker.index)})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Warn about a policy's own rules that an inherited rule makes unreachable
+   * (and, if precedence is inherited, about shadowing within the policy)
+   *
+   * Inherited deny and escalate rules win whatever the precedence (see
+   * PolicyEngine.selectRule), so a narrower own rule doesn't escape them.
+   */
+  checkInheritedShadows(policy, inherited, report, precedence) {
+    const entries = (permissions, list) => {
+      const rules = isMapping(permissions) && Array.isArray(permissions[list]) ? permissions[list] : [];
+      return rules.map((rule, index) => ({ rule, index }));
+    };
+    const lists = (permissions) => Object.fromEntries(SCHEMA.permissions.map(list => [list, entries(permissions, list)]));
+
+    const own = lists(policy.permissions);
+
+    if (policy.precedence === undefined && policy.mode !== 'shadow') {
+      this.checkUnreachable(own, report, own, null, precedence);
+    }
+
+    this.checkUnreachable(own, report, lists(inherited.permissions), () => 'inherited via extends');
+  }
+
+  /**
+   * Validate the audit block
+   */
+  validateAudit(audit, report) {
+    if (audit === undefined) return;
+
+    if (!isMapping(audit)) {
+      report('error', ['audit'], 'audit must be a mapping');
+      return;
+    }
+
+    checkKeys(audit, SCHEMA.audit, ['audit'], report);
+
+    if (audit.level !== undefined && typeof audit.level !== 'string') {
+      report('error', ['audit', 'level'], 'audit.level must be a string');
+    }
+
+    if (audit.retention !== undefined && (!Number.isInteger(audit.retention) || audit.retention <= 0)) {
+      report('error', ['audit', 'retention'], 'audit.retention must be a positive number of days');
+    }
+
+    try {
+      new Redactor(audit, { hashKey: () => '' });
+    } catch (error) {
+      report('error', ['audit'], error.message);
+    }
+  }
+
+  /**
+   * Validate the rate_limits block
+   */
+  validateRateLimits(rateLimits, report) {
+    if (rateLimits === undefined) return;
+
+    try {
+      RateLimiter.compile(rateLimits);
+    } catch (error) {
+      report('error', ['rate_limits'], error.message);
+      return;
+    }
+
+    (rateLimits?.rules || []).forEach((rule, index) => {
+      this.validatePattern(rule.action, ['rate_limits', 'rules', index, 'action'], report);
+    });
+  }
+
+  /**
+   * Validate the budgets block (see budget-ledger.js)
+   */
+  validateBudgets(budgets, report) {
+    if (budgets === undefined) return;
+
+    try {
+      BudgetLedger.compile(budgets);
+    } catch (error) {
+      report('error', ['budgets'], error.message);
+      return;
+    }
+
+    budgets.forEach((budget, index) => {
+      this.validatePattern(budget.action, ['budgets', index, 'action'], report);
+    });
+  }
+
+  /**
+   * Validate the escalation_sla block (see escalation-scheduler.js)
+   */
+  validateEscalationSla(policy, report) {
+    if (policy.escalation_sla === undefined) return;
+
+    let slas;
+    try {
+      slas = EscalationScheduler.compile(policy.escalation_sla);
+    } catch (error) {
+      report('error', ['escalation_sla'], error.message);
+      return;
+    }
+
+    this.checkEscalationKeys(policy, 'escalation_sla', slas.keys(), 'SLA', report);
+  }
+
+  /**
+   * Validate approver_groups and the escalation_approvals block (see approval-quorum.js)
+   */
+  validateEscalationApprovals(policy, report) {
+    try {
+      ApprovalQuorum.compileGroups(policy.approver_groups);
+    } catch (error) {
+      report('error', ['approver_groups'], error.message);
+      return;
+    }
+
+    // Groups may come from a base; checked once inheritance is resolved
+    if (policy.escalation_approvals === undefined || policy.extends !== undefined) return;
+
+    let requirements;
+    try {
+      requirements = ApprovalQuorum.compile(policy.escalation_approvals, policy.approver_groups);
+    } catch (error) {
+      report('error', ['escalation_approvals'], error.message);
+      return;
+    }
+
+    this.checkEscalationKeys(policy, 'escalation_approvals', requirements.keys(), 'approval requirement', report);
+  }
+
+  /**
+   * Validate escalation_routing: a list of {rule, action, condition, assign_to, notify}
+   */
+  validateEscalationRouting(policy, report) {
+    const routes = policy.escalation_routing;
+    if (routes === undefined) return;
+
+    if (!Array.isArray(routes)) {
+      report('error', ['escalation_routing'], 'escalation_routing must be a list of routes');
+      return;
+    }
+
+    routes.forEach((route, index) => {
+      const keyPath = ['escalation_routing', index];
+
+      if (!isMapping(route)) {
+        report('error', keyPath, 'Route must be a mapping with assign_to');
+        return;
+      }
+
+      checkKeys(route, SCHEMA.route, keyPath, report);
+
+      if (!isName(route.assign_to)) {
+        report('error', [...keyPath, 'assign_to'], "Route must have an 'assign_to' queue or assignee");
+      }
+
+      if (route.rule !== undefined && !isName(route.rule)) {
+        report('error', [...keyPath, 'rule'], "'rule' must be an escalate rule action (or budget:<name>, default)");
+      }
+
+      if (route.action !== undefined) {
+        this.validatePattern(route.action, [...keyPath, 'action'], report);
+      }
+
+      if (route.condition !== undefined) {
+        try {
+          ConditionExpression.compile(route.condition);
+        } catch (error) {
+          report('error', [...keyPath, 'condition'], `Invalid condition: ${error.message}`);
+        }
+      }
+
+      if (route.notify !== undefined && (!Array.isArray(route.notify) || !route.notify.every(isName))) {
+        report('error', [...keyPath, 'notify'], 'notify must be a list of notifier names');
+      }
+    });
+
+    const ruleKeys = routes.filter(route => isMapping(route) && isName(route.rule)).map(route => route.rule);
+    this.checkEscalationKeys(policy, 'escalation_routing', ruleKeys, 'route rule', report);
+  }
+
+  /**
+   * Warn about per-rule escalation settings (keyed by escalate rule action)
+   * that no escalate rule or escalating budget uses, most likely typos
+   */
+  checkEscalationKeys(policy, block, keys, label, report) {
+    // Rules from bases are only known once inheritance is resolved
+    if (policy.extends !== undefined || !isMapping(policy.permissions)) return;
+
+    const escalate = Array.isArray(policy.permissions.escalate) ? policy.permissions.escalate : [];
+    const budgets = Array.isArray(policy.budgets) ? policy.budgets : [];
+
+    const used = new Set(['default', ...escalate.filter(Boolean).map(patternOf)]);
+    for (const budget of budgets) {
+      if (budget?.on_exceed === 'escalate') used.add(`budget:${budget.name}`);
+    }
+
+    for (const key of keys) {
+      if (!used.has(key)) {
+        const keyPath = Array.isArray(policy[block]) ? [block, policy[block].findIndex(entry => entry.rule === key), 'rule'] : [block, key];
+        report('warning', keyPath, `No escalate rule or escalating budget uses ${label} '${key}'`);
+      }
+    }
+  }
+
+  /**
+   * Validate the named schedules (see schedule.js)
+   */
+  validateSchedules(schedules, report) {
+    if (schedules === undefined) return;
+
+    if (!isMapping(schedules)) {
+      report('error', ['schedules'], 'schedules must be a mapping of schedule names to time windows');
+      return;
+    }
+
+    for (const [name, spec] of Object.entries(schedules)) {
+      try {
+        Schedule.compile(name, spec);
+      } catch (error) {
+        report('error', ['schedules', name], error.message);
+      }
+    }
+  }
+
+  /**
+   * Check that every `during <name>` in a document's own rules and routes
+   * names a schedule of the resolved policy
+   */
+  checkScheduleReferences(policy, schedules = {}, report) {
+    const conditions = [];
+
+    for (const list of SCHEMA.permissions) {
+      const rules = isMapping(policy.permissions) ? policy.permissions[list] : undefined;
+      if (!Array.isArray(rules)) continue;
+
+      rules.forEach((rule, index) => conditions.push([rule, ['permissions', list, index, 'condition']]));
+    }
+
+    if (Array.isArray(policy.escalation_routing)) {
+      policy.escalation_routing.forEach((route, index) => conditions.push([route, ['escalation_routing', index, 'condition']]));
+    }
+
+    for (const [entry, keyPath] of conditions) {
+      if (!isMapping(entry) || typeof entry.condition !== 'string') continue;
+      this.checkConditionSchedules(entry.condition, schedules, keyPath, report);
+    }
+  }
+
+  checkConditionSchedules(condition, schedules, keyPath, report) {
+    let compiled;
+    try {
+      compiled = ConditionExpression.compile(condition);
+    } catch (error) {
+      return; // reported by the rule/route checks
+    }
+
+    for (const name of compiled.schedules) {
+      if (!isMapping(schedules) || !Object.prototype.hasOwnProperty.call(schedules, name)) {
+        report('error', keyPath, `Unknown schedule '${name}' (define it under 'schedules')`);
+      }
+    }
+  }
+
+  /**
+   * Validate the trust block
+   */
+  validateTrust(trust, report) {
+    if (trust === undefined) return;
+
+    if (!isMapping(trust)) {
+      report('error', ['trust'], 'trust must be a mapping');
+      return;
+    }
+
+    checkKeys(trust, SCHEMA.trust, ['trust'], report);
+
+    for (const key of SCHEMA.trust) {
+      const value = trust[key];
+      if (value !== undefined && !isTrustScore(value)) {
+        report('error', ['trust', key], `trust.${key} must be a number between 0 and 100`);
+      }
+    }
+
+    if (typeof trust.minimum_score === 'number' && typeof trust.recovery_threshold === 'number' &&
+        trust.recovery_threshold < trust.minimum_score) {
+      report('error', ['trust', 'recovery_threshold'], 'trust.recovery_threshold must be >= trust.minimum_score');
+    }
+  }
+
+  /**
+   * Check an agent's effective trust thresholds together, with bases merged
+   * and defaults filled in the way IdentitySystem applies them, so a child
+   * overriding one threshold (or relying on a default) can't invert them
+   *
+   * @param {object} declared - The policy as declared in its file
+   * @param {object} policy - The resolved policy
+   */
+  checkEffectiveTrust(declared, policy, report) {
+    const own = isMapping(declared.trust) ? declared.trust : {};
+    const trust = policy.trust === undefined ? {} : policy.trust;
+
+    // Both thresholds set in the file itself were checked with it, as were bad values
+    if (SCHEMA.trust.every(key => own[key] !== undefined)) return;
+    if (!isMapping(trust) || !SCHEMA.trust.every(key => trust[key] === undefined || isTrustScore(trust[key]))) return;
+
+    try {
+      IdentitySystem.compileTrust(trust);
+    } catch (error) {
+      const keyPath = declared.trust !== undefined ? ['trust'] : [basesOf(declared).length > 0 ? 'extends' : 'agent'];
+      const merged = basesOf(declared).length > 0 ? ' (after merging extends)' : '';
+      report('error', keyPath, `${error.message}${merged}`);
+    }
+  }
+}
+
+/**
+ * Validate every policy file in a directory
+ *
+ * @param {string} dir - Policy directory
+ * @param {object} options - Validator options
+ * @returns {object} - {valid, errors, warnings, policies}
+ */
+function validatePolicies(dir, options = {}) {
+  return new PolicyValidator(options).validateDirectory(dir);
+}
+
+/**
+ * Maps key paths (['permissions', 'allow', 2]) to line numbers in block-style YAML
+ */
+class LineMap {
+  constructor(content) {
+    this.lines = new Map();
+    this.build(content.split(/\r?\n/));
+  }
+
+  build(sourceLines) {
+    const stack = [{ indent: -1, type: 'root', path: [], nextIndex: 0 }];
+    let blockScalarIndent = null;
+
+    sourceLines.forEach((raw, lineIndex) => {
+      const lineNumber = lineIndex + 1;
+      const indent = raw.search(/\S/);
+
+      if (indent === -1) return;
+      if (blockScalarIndent !== null) {
+        if (indent > blockScalarIndent) return;
+        blockScalarIndent = null;
+      }
+
+      let text = raw.slice(indent);
+      if (text.startsWith('#') || text.startsWith('---')) return;
+
+      let column = indent;
+
+      // Sequence items ("- value" or "- key: value")
+      while (text.startsWith('- ') || text === '-') {
+        while (stack.length > 1 && (stack[stack.length - 1].indent > column ||
+          (stack[stack.length - 1].indent === column && stack[stack.length - 1].type !== 'key'))) {
+          stack.pop();
+        }
+
+        const parent = stack[stack.length - 1];
+        const itemPath = [...parent.path, parent.nextIndex++];
+        this.record(itemPath, lineNumber);
+        stack.push({ indent: column, type: 'item', path: itemPath, nextIndex: 0 });
+
+        const rest = text.slice(1);
+        const offset = rest.search(/\S/);
+        if (offset === -1) return;
+        column += 1 + offset;
+        text = rest.slice(offset);
+      }
+
+      const keyMatch = text.match(/^("[^"]*"|'[^']*'|[^\s#'"][^:#]*?)\s*:(?:\s+(.*))?$/);
+      if (!keyMatch) return;
+
+      while (stack.length > 1 && stack[stack.length - 1].indent >= column) {
+        stack.pop();
+      }
+
+      const key = keyMatch[1].replace(/^["']|["']$/g, '');
+      const keyPath = [...stack[stack.length - 1].path, key];
+      this.record(keyPath, lineNumber);
+      stack.push({ indent: column, type: 'key', path: keyPath, nextIndex: 0 });
+
+      const value = (keyMatch[2] || '').replace(/\s+#.*$/, '');
+      if (/^[|>][-+0-9]*$/.test(value)) {
+        blockScalarIndent = column;
+      }
+    });
+  }
+
+  record(keyPath, line) {
+    const key = keyPath.join('\u0000');
+    if (!this.lines.has(key)) this.lines.set(key, line);
+  }
+
+  /**
+   * Line of a key path, falling back to its nearest recorded ancestor
+   */
+  lineFor(keyPath) {
+    for (let length = keyPath.length; length > 0; length--) {
+      const line = this.lines.get(keyPath.slice(0, length).join('\u0000'));
+      if (line) return line;
+    }
+    return null;
+  }
+}
+
+/**
+ * Warn about keys outside the schema, suggesting the closest known key
+ */
+function checkKeys(object, known, keyPath, report) {
+  for (const key of Object.keys(object)) {
+    if (known.includes(key)) continue;
+
+    const suggestion = closest(key, known);
+    const hint = suggestion ? ` (did you mean '${suggestion}'?)` : '';
+    const where = keyPath.length ? ` in ${formatPath(keyPath)}` : '';
+    report('warning', [...keyPath, key], `Unknown key '${key}'${where}${hint}`);
+  }
+}
+
+/**
+ * Closest known key within an edit distance of 2
+ */
+function closest(key, known) {
+  let best = null;
+  let bestDistance = 3;
+
+  for (const candidate of known) {
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * ['permissions', 'allow', 2] → "permissions.allow[2]"
+ */
+function formatPath(keyPath) {
+  return keyPath.reduce((out, part) => (typeof part === 'number' ? `${out}[${part}]` : out ? `${out}.${part}` : part), '');
+}
+
+/**
+ * Issue sink for one file: (severity, keyPath, message)
+ */
+function reporter(file, lines, errors, warnings) {
+  return (severity, keyPath, message) => {
+    const entry = issue(severity, file, lines.lineFor(keyPath), formatPath(keyPath), message);
+    (severity === 'error' ? errors : warnings).push(entry);
+  };
+}
+
+function patternOf(rule) {
+  return typeof rule === 'string' ? rule : rule.action;
+}
+
+function isName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTrustScore(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+function issue(severity, file, line, keyPath, message) {
+  return { severity, file, line, path: keyPath, message };
+}
+
+module.exports = PolicyValidator;
+module.exports.validatePolicies = validatePolicies;
+module.exports.LineMap = LineMap;
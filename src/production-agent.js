@@ -14,6 +14,11 @@
 const PolicyEngine = require('./policy-engine');
 const AuditLogger = require('./audit-logger');
 const IdentitySystem = require('./identity-system');
+const EscalationRegistry = require('./escalation-registry');
+const EscalationScheduler = require('./escalation-scheduler');
+const ApprovalQuorum = require('./approval-quorum');
+const NotificationDispatcher = require('./notification-dispatcher');
+const ApprovalTokens = require('./approval-tokens');
 const path = require('path');
 
 class ProductionAgent {
@@ -25,9 +30,26 @@ class ProductionAgent {
       identityPath: options.identityPath || path.join(process.cwd(), 'identities'),
       requireSignature: options.requireSignature || false,
       autoCreateIdentity: options.autoCreateIdentity !== false,
+      watchPolicies: options.watchPolicies || false,
+      watchDebounceMs: options.watchDebounceMs || 250,
+      trustedPolicyKeys: options.trustedPolicyKeys || null,
+      requireSignedPolicies: options.requireSignedPolicies || false,
+      handlers: options.handlers || {},
+      notifiers: options.notifiers || {},
+      escalationCheckIntervalMs: options.escalationCheckIntervalMs ?? 60 * 1000,
+      approvalTokens: options.approvalTokens || null,
       ...options
     };
 
+    // Named executors, usable by name in execute() and resumable after a restart
+    this.handlers = new Map(Object.entries(this.options.handlers));
+
+    // Escalated actions waiting for approval: escalation id → {action, context, executor}
+    this.parked = new Map();
+
+    // Reviewers' context changes, in vote order: escalation id → merged modifications
+    this.modifications = new Map();
+
     this.initialize();
   }
 
@@ -40,15 +62,55 @@ class ProductionAgent {
       retentionDays: this.options.retentionDays
     });
 
+    // Escalation lifecycle, rebuilt from the audit log
+    this.escalations = new EscalationRegistry(this.auditLogger);
+
+    // Notifiers named by the policy's escalation_routing
+    this.notifications = new NotificationDispatcher(this.auditLogger, this.options.notifiers);
+
+    // One-time tokens for retrying approved actions (see approval-tokens.js)
+    this.approvalTokens = this.options.approvalTokens
+      ? new ApprovalTokens(this.auditLogger, { ...this.options.approvalTokens, clock: this.options.clock })
+      : null;
+
     // Initialize identity system
     this.identitySystem = new IdentitySystem(this.options.identityPath, this.auditLogger);
 
     // Initialize policy engine
-    this.policyEngine = new PolicyEngine(this.options.policyPath, this.auditLogger);
+    this.policyEngine = new PolicyEngine(this.options.policyPath, this.auditLogger, {
+      watch: this.options.watchPolicies,
+      watchDebounceMs: this.options.watchDebounceMs,
+      trustedKeys: this.options.trustedPolicyKeys,
+      requireSignedPolicies: this.options.requireSignedPolicies,
+      clock: this.options.clock
+    });
+
+    // Escalation SLAs: reminders and timeouts for this agent's escalations
+    // (a check interval of 0 leaves them to explicit escalationScheduler.tick() calls)
+    this.escalationScheduler = new EscalationScheduler(this.escalations, {
+      agentId: this.agentId,
+      clock: this.options.clock,
+      intervalMs: this.options.escalationCheckIntervalMs,
+      resolve: (escalation, decision) => this.timeoutEscalation(escalation, decision)
+    });
+    if (this.options.escalationCheckIntervalMs > 0) this.escalationScheduler.start();
+
+    this.escalationScheduler.on('reminder', ({ escalation, remindAtMs }) => {
+      this.notify('escalation_reminder', escalation, { remindAtMs });
+    });
+    this.escalationScheduler.on('timeout', ({ escalation, decision }) => {
+      this.notify('escalation_timeout', escalation, { decision });
+    });
+
+    // Keep the identity's trust gate in step with hot-reloaded policies
+    this.policyEngine.on('reload', () => this.applyTrustPolicy());
 
     // Ensure agent has an identity
     this.ensureIdentity();
 
+    // Apply the policy's trust gate to the identity
+    this.applyTrustPolicy();
+
     console.log(`✓ Production agent initialized: ${this.agentId}`);
   }
 
@@ -63,6 +125,8 @@ class ProductionAgent {
         name: this.options.name || this.agentId,
         role: this.options.role || 'agent',
         owner: this.options.owner,
+        tags: this.options.tags,
+        clearances: this.options.clearances,
         createdBy: 'auto'
       });
     } else if (!identity) {
@@ -70,18 +134,61 @@ class ProductionAgent {
     }
   }
 
+  /**
+   * Apply the policy's `trust` thresholds to this agent's identity
+   */
+  applyTrustPolicy() {
+    const policy = this.policyEngine.getPolicyFor(this.agentId);
+    this.identitySystem.setTrustPolicy(this.agentId, policy?.trust);
+  }
+
+  /**
+   * Register a named executor
+   * 
+   * Actions parked by handler name (rather than by function) can still be
+   * resumed after a restart, as long as their logged context is complete.
+   */
+  registerHandler(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler ${name} must be a function`);
+    }
+    this.handlers.set(name, handler);
+  }
+
+  /**
+   * Register a notifier for escalation_routing to name (see notification-dispatcher.js)
+   */
+  registerNotifier(name, notifier) {
+    this.notifications.register(name, notifier);
+  }
+
+  /**
+   * Send an escalation event to the notifiers its route named (in the background)
+   */
+  notify(type, escalation, details = {}) {
+    if (escalation.notify.length === 0) return;
+    this.notifications.dispatch(escalation.notify, NotificationDispatcher.event(type, escalation, details));
+  }
+
   /**
    * Execute an action with full governance
    * 
    * @param {string} action - Action in format "verb:resource" (e.g., "read:customer_data")
    * @param {object} context - Action context (data, parameters, etc.)
-   * @param {function} executor - Optional executor function that performs the actual action
+   * @param {function|string} executor - Optional executor function, or the name of a registered handler
+   * @param {object} options - {resumeOnApproval: boolean} parks the executor if the action escalates,
+   *                           to run once when the escalation is approved (see resolveEscalation)
    * @returns {object} - Execution result
+   * 
+   * A context carrying `approvalToken` (from an approved escalation) is the
+   * approved action being retried: see executeApproved().
    */
-  async execute(action, context = {}, executor = null) {
+  async execute(action, context = {}, executor = null, options = {}) {
     const startTime = Date.now();
 
     try {
+      const run = this.resolveExecutor(executor);
+
       // Step 1: Verify identity
       const identityCheck = this.verifyIdentity(context);
       
@@ -89,29 +196,66 @@ class ProductionAgent {
         return {
           success: false,
           error: `Identity verification failed: ${identityCheck.reason}`,
-          trustScore: identityCheck.trustScore
+          trustScore: identityCheck.trustScore,
+          trustState: identityCheck.trustState
         };
       }
 
+      if (context.approvalToken !== undefined) {
+        return await this.executeApproved(action, context, run, startTime);
+      }
+
       // Step 2: Check policy
-      const policyCheck = this.policyEngine.checkPermission(this.agentId, action, context);
+      const policyCheck = this.policyEngine.checkPermission(this.agentId, action, context, {
+        enforceRateLimits: true,
+        reserveBudgets: true,
+        subject: this.getSubject()
+      });
+
+      // Handle rate limiting (checked before escalation so a runaway loop
+      // cannot flood reviewers either)
+      if (policyCheck.rateLimited) {
+        return {
+          success: false,
+          error: policyCheck.reason,
+          rateLimited: true,
+          rateLimit: policyCheck.rateLimit,
+          retryAfterMs: policyCheck.retryAfterMs
+        };
+      }
 
       // Handle escalation
       if (policyCheck.requiresEscalation) {
-        const escalationId = this.auditLogger.logEscalation(
-          this.agentId,
-          action,
-          context,
-          policyCheck.reason,
-          this.options.escalationHandler || 'human-review'
-        );
+        const park = Boolean(options.resumeOnApproval && run);
+        const route = this.policyEngine.routeEscalation(this.agentId, action, context, policyCheck.escalationRule, {
+          subject: this.getSubject()
+        });
+        const escalation = this.escalations.create(this.agentId, action, context, {
+          reason: policyCheck.reason,
+          rule: policyCheck.escalationRule ? this.policyEngine.describeRule(policyCheck.escalationRule) : null,
+          assignedTo: route?.assignTo || this.options.escalationHandler || 'human-review',
+          notify: route?.notify,
+          resume: park ? this.describeResume(executor, context) : undefined,
+          sla: this.policyEngine.getEscalationSla(this.agentId, policyCheck.escalationRule),
+          approvals: this.bindApprovals(policyCheck.escalationRule, context),
+          contextHash: this.approvalTokens?.contextHash(context)
+        });
+
+        if (park) {
+          this.parked.set(escalation.id, { action, context, executor: run });
+        }
+
+        this.notify('escalation', escalation);
 
         return {
           success: false,
           requiresEscalation: true,
-          escalationId,
+          escalationId: escalation.id,
+          assignedTo: escalation.assignedTo,
+          parked: park,
           reason: policyCheck.reason,
-          escalationRule: policyCheck.escalationRule
+          escalationRule: policyCheck.escalationRule,
+          budget: policyCheck.budget
         };
       }
 
@@ -120,44 +264,13 @@ class ProductionAgent {
         return {
           success: false,
           error: policyCheck.reason,
-          policyDenied: true
+          policyDenied: true,
+          budgetExceeded: policyCheck.budgetExceeded,
+          budget: policyCheck.budget
         };
       }
 
-      // Step 3: Execute the action (if executor provided)
-      let result = { success: true };
-      
-      if (executor && typeof executor === 'function') {
-        try {
-          const output = await executor(context);
-          result = {
-            success: true,
-            output
-          };
-        } catch (error) {
-          result = {
-            success: false,
-            error: error.message
-          };
-        }
-      }
-
-      // Step 4: Log the action
-      this.auditLogger.logAction(this.agentId, action, context, result);
-
-      // Step 5: Update trust score
-      if (result.success) {
-        this.identitySystem.incrementTrustScore(this.agentId, 1, 'Successful action');
-      } else {
-        this.identitySystem.decrementTrustScore(this.agentId, 5, 'Failed action');
-      }
-
-      // Add execution metadata
-      result.executionTime = Date.now() - startTime;
-      result.agentId = this.agentId;
-      result.trustScore = this.identitySystem.getTrustScore(this.agentId);
-
-      return result;
+      return await this.runAction(action, context, run, policyCheck, startTime);
 
     } catch (error) {
       console.error(`Error executing action ${action}:`, error);
@@ -170,6 +283,146 @@ class ProductionAgent {
     }
   }
 
+  /**
+   * Run an approved action retried with its approval token
+   * 
+   * The token must be trusted, unexpired, unused and issued for this agent,
+   * action and context; otherwise the call is denied and the rejection
+   * logged. A valid token stands in for the escalation and is spent by the
+   * call, with a 'modified' approval's changes merged into the context. Rate
+   * limits still apply (a limited call keeps its token), budgets are checked
+   * and charged as for an allowed action, and a rule or budget that now
+   * denies the action still wins.
+   */
+  async executeApproved(action, context, run, startTime) {
+    if (!this.approvalTokens) {
+      return { success: false, error: 'Approval tokens are not enabled for this agent', approvalTokenRejected: true };
+    }
+
+    const { approvalToken, ...retried } = context;
+    const check = this.approvalTokens.check(approvalToken, { agentId: this.agentId, action, context: retried });
+
+    if (!check.valid) {
+      return { success: false, error: `Approval token rejected: ${check.reason}`, approvalTokenRejected: true };
+    }
+
+    const { claims } = check;
+    const approved = claims.modifications ? { ...retried, ...claims.modifications } : retried;
+
+    const policyCheck = this.policyEngine.checkPermission(this.agentId, action, approved, {
+      enforceRateLimits: true,
+      reserveBudgets: true,
+      approval: { rule: claims.rule },
+      subject: this.getSubject()
+    });
+
+    if (policyCheck.rateLimited) {
+      return {
+        success: false,
+        error: policyCheck.reason,
+        rateLimited: true,
+        rateLimit: policyCheck.rateLimit,
+        retryAfterMs: policyCheck.retryAfterMs
+      };
+    }
+
+    if (!policyCheck.allowed) {
+      return {
+        success: false,
+        error: `Approved action is denied by policy: ${policyCheck.reason}`,
+        policyDenied: true,
+        budgetExceeded: policyCheck.budgetExceeded,
+        budget: policyCheck.budget
+      };
+    }
+
+    this.approvalTokens.consume(claims);
+
+    return this.runAction(action, approved, run, policyCheck, startTime, {
+      escalationId: claims.escalationId,
+      authorizedBy: claims.approvedBy
+    });
+  }
+
+  /**
+   * Steps 3-5 of execute(): run the executor, log the action, update trust
+   * 
+   * @param {object} link - {escalationId, authorizedBy} when resuming an approved escalation
+   *                        (passed to the executor as its second argument)
+   */
+  async runAction(action, context, run, policyCheck, startTime, link = {}) {
+    // Step 3: Execute the action (if executor provided)
+    let result = { success: true };
+
+    if (run) {
+      try {
+        const output = await run(context, link);
+        result = {
+          success: true,
+          output
+        };
+      } catch (error) {
+        result = {
+          success: false,
+          error: error.message
+        };
+      }
+    }
+
+    // Budget usage is only spent by actions that actually happened
+    if (policyCheck.budgetReservation) {
+      if (result.success) {
+        this.policyEngine.commitBudget(policyCheck.budgetReservation);
+      } else {
+        this.policyEngine.releaseBudget(policyCheck.budgetReservation);
+      }
+    }
+
+    // Step 4: Log the action
+    this.auditLogger.logAction(this.agentId, action, context, result, link);
+
+    // Step 5: Update trust score
+    if (result.success) {
+      this.identitySystem.incrementTrustScore(this.agentId, 1, 'Successful action');
+    } else {
+      this.identitySystem.decrementTrustScore(this.agentId, 5, 'Failed action');
+    }
+
+    // Add execution metadata
+    result.executionTime = Date.now() - startTime;
+    result.agentId = this.agentId;
+    result.trustScore = this.identitySystem.getTrustScore(this.agentId);
+
+    return result;
+  }
+
+  /**
+   * Executor function for an execute() argument (function, handler name or nothing)
+   */
+  resolveExecutor(executor) {
+    if (typeof executor === 'string') {
+      const handler = this.handlers.get(executor);
+      if (!handler) throw new Error(`Unknown handler: ${executor}`);
+      return handler;
+    }
+
+    return typeof executor === 'function' ? executor : null;
+  }
+
+  /**
+   * What the escalation log records about a parked action
+   * 
+   * `replayable` means redaction left the logged context unchanged, so a
+   * handler can be resumed from the log alone after a restart.
+   */
+  describeResume(executor, context) {
+    const handler = typeof executor === 'string' ? executor : null;
+    const replayable = handler !== null &&
+      JSON.stringify(this.auditLogger.sanitizeContext(context, this.agentId)) === JSON.stringify(context);
+
+    return { handler, replayable };
+  }
+
   /**
    * Verify identity for this execution
    */
@@ -189,7 +442,44 @@ class ProductionAgent {
    * Check if an action is allowed (without executing)
    */
   checkPermission(action, context = {}) {
-    return this.policyEngine.checkPermission(this.agentId, action, context);
+    return this.policyEngine.checkPermission(this.agentId, action, context, {
+      subject: this.getSubject()
+    });
+  }
+
+  /**
+   * Explain how the policy decides an action (without executing)
+   * 
+   * Returns the decision with a `trace`: every rule considered, whether its
+   * pattern and condition matched (with sub-results and missing fields),
+   * and the precedence step that produced the outcome. Logs the same single
+   * policy_decision entry as checkPermission().
+   */
+  explain(action, context = {}) {
+    return this.policyEngine.checkPermission(this.agentId, action, context, {
+      subject: this.getSubject(),
+      explain: true
+    });
+  }
+
+  /**
+   * Trusted agent attributes exposed to policy conditions as `agent.*`
+   * 
+   * Built from the identity store, never from the action context.
+   */
+  getSubject() {
+    const identity = this.getIdentity();
+
+    return {
+      id: this.agentId,
+      name: identity?.metadata?.name,
+      role: identity?.metadata?.role,
+      owner: identity?.metadata?.owner,
+      tags: identity?.metadata?.tags || [],
+      clearances: identity?.metadata?.clearances || [],
+      trustScore: identity?.trustScore,
+      trustState: identity?.trustState
+    };
   }
 
   /**
@@ -237,25 +527,235 @@ class ProductionAgent {
     return this.auditLogger.generateComplianceReport(startDate, endDate);
   }
 
+  /**
+   * Multi-party approval requirement for an escalation, with the agent's
+   * owner and the requester resolved (see approval-quorum.js)
+   */
+  bindApprovals(escalationRule, context) {
+    const requirement = this.policyEngine.getEscalationApprovals(this.agentId, escalationRule);
+    if (!requirement) return undefined;
+
+    return ApprovalQuorum.bind(requirement, {
+      owner: this.getIdentity()?.metadata?.owner,
+      requesters: [this.agentId, context.requester]
+    });
+  }
+
   /**
    * Resolve an escalation (typically called by human reviewer)
+   * 
+   * Throws for unknown escalations and ones that are no longer pending.
+   * If execute() parked the action (resumeOnApproval), approving it runs
+   * it exactly once, as `result`, logged as an agent_action linked to the
+   * escalation and authorized by the reviewer. 'modified' approves with
+   * the reviewer's changes merged into the context.
+   * 
+   * An escalation that needs several approvers takes this as the
+   * reviewer's vote (throwing if they may not vote): it stays 'pending',
+   * with the vote count as `votes`, until the votes settle it.
+   * 
+   * With approval tokens enabled, approving an action that isn't parked
+   * issues `approvalToken`: the caller hands it to the worker, which retries
+   * the action with it in the context (see executeApproved()).
+   * 
+   * @param {string} decision - 'approved' | 'modified' | 'denied'
+   * @param {object} options - {modifications: object} changed context fields for 'modified';
+   *                           {signingKey: {keyId, privateKey}} the reviewer's own token key
+   * @returns {Promise<object>} - {success, escalationId, decision, resolvedBy, resumed, votes?, result?,
+   *                               approvalToken?, approvalTokenExpiresAt?, resumeError?}
    */
-  resolveEscalation(escalationId, decision, notes, resolvedBy = 'human') {
-    this.auditLogger.logEscalationResolution(escalationId, resolvedBy, decision, notes);
-    
-    return {
+  async resolveEscalation(escalationId, decision, notes, resolvedBy = 'human', options = {}) {
+    if (options.signingKey) {
+      if (!this.approvalTokens) throw new Error('Approval tokens are not enabled for this agent');
+      this.approvalTokens.assertSigningKey(options.signingKey);
+    }
+
+    const escalation = this.escalations.resolve(escalationId, decision, resolvedBy, notes, options.modifications);
+
+    if (decision === 'modified') {
+      this.modifications.set(escalation.id, { ...this.modifications.get(escalation.id), ...options.modifications });
+    }
+
+    if (escalation.status === 'pending') {
+      const { approvals, denials, required } = new ApprovalQuorum(escalation.approvals).tally(escalation.votes);
+      return {
+        success: true,
+        escalationId: escalation.id,
+        decision: 'pending',
+        resolvedBy,
+        resumed: false,
+        votes: { approvals, denials, required }
+      };
+    }
+
+    return this.completeEscalation(escalation, resolvedBy, { signingKey: options.signingKey });
+  }
+
+  /**
+   * Act on a closed escalation: run its parked action if it was approved,
+   * or issue an approval token for it
+   * 
+   * @param {object} options - {signingKey} for the token; {issueToken: false} to issue none
+   */
+  async completeEscalation(escalation, resolvedBy, options = {}) {
+    const decision = escalation.resolution.decision;
+    const parked = this.takeParked(escalation);
+    const staged = this.modifications.get(escalation.id);
+    this.modifications.delete(escalation.id);
+
+    const response = {
       success: true,
-      escalationId,
+      escalationId: escalation.id,
       decision,
-      resolvedBy
+      resolvedBy,
+      resumed: false
     };
+
+    if (decision !== 'approved' && decision !== 'modified') return response;
+
+    // Logged (redacted) changes stand in for any made before a restart
+    const modifications = decision === 'modified' ? { ...escalation.resolution.modifications, ...staged } : null;
+
+    if (!parked) {
+      if (this.approvalTokens?.canSign(options.signingKey) && escalation.contextHash && options.issueToken !== false) {
+        const { token, expiresAt } = this.approvalTokens.issue(escalation, {
+          approvedBy: resolvedBy,
+          modifications,
+          signingKey: options.signingKey
+        });
+        response.approvalToken = token;
+        response.approvalTokenExpiresAt = expiresAt;
+      } else if (escalation.resume) {
+        response.resumeError = 'The parked action is no longer available (was the agent restarted?); re-issue it';
+      }
+      return response;
+    }
+
+    response.resumed = true;
+    response.result = await this.resumeAction(escalation, parked, modifications, resolvedBy);
+    return response;
+  }
+
+  /**
+   * Remove and return the parked action for an escalation
+   * 
+   * After a restart only handler-named actions with a replayable logged
+   * context can be recovered.
+   */
+  takeParked(escalation) {
+    const parked = this.parked.get(escalation.id);
+
+    if (parked) {
+      this.parked.delete(escalation.id);
+      return parked;
+    }
+
+    const resume = escalation.resume;
+    if (escalation.agentId === this.agentId && resume?.handler && resume.replayable && this.handlers.has(resume.handler)) {
+      return { action: escalation.action, context: escalation.context, executor: this.handlers.get(resume.handler) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Run an approved, parked action under the reviewer's authority
+   * 
+   * The approval stands in for the escalation; rate limits don't apply,
+   * budgets are checked and charged as for an allowed action, and a rule or
+   * budget that now denies the (possibly modified) action still wins.
+   */
+  async resumeAction(escalation, parked, modifications, authorizedBy) {
+    const startTime = Date.now();
+    const context = modifications ? { ...parked.context, ...modifications } : parked.context;
+    const link = { escalationId: escalation.id, authorizedBy };
+
+    const policyCheck = this.policyEngine.checkPermission(this.agentId, parked.action, context, {
+      reserveBudgets: true,
+      approval: { rule: escalation.rule },
+      subject: this.getSubject()
+    });
+
+    if (!policyCheck.allowed) {
+      const result = {
+        success: false,
+        error: `Approved action is denied by policy: ${policyCheck.reason}`,
+        policyDenied: true,
+        budgetExceeded: policyCheck.budgetExceeded,
+        budget: policyCheck.budget
+      };
+
+      this.auditLogger.logAction(this.agentId, parked.action, context, result, link);
+      return result;
+    }
+
+    return this.runAction(parked.action, context, parked.executor, policyCheck, startTime, link);
+  }
+
+  /**
+   * Apply an escalation's SLA timeout (called by the escalation scheduler)
+   * 
+   * A timeout approval resumes a parked action like a reviewer's would;
+   * multi-party votes cast so far are overridden.
+   */
+  async timeoutEscalation(escalation, decision) {
+    const notes = EscalationScheduler.timeoutNote(escalation);
+    const { SLA_RESOLVER } = EscalationScheduler;
+
+    const closed = decision === 'expired'
+      ? this.escalations.expire(escalation.id, notes, SLA_RESOLVER)
+      : this.escalations.close(escalation.id, decision, SLA_RESOLVER, notes);
+
+    // Nobody is waiting for a token from a timeout
+    const response = await this.completeEscalation(closed, SLA_RESOLVER, { issueToken: false });
+    if (response.resumeError) {
+      console.error(`⚠ Escalation ${escalation.id} approved on timeout: ${response.resumeError}`);
+    }
+  }
+
+  /**
+   * Withdraw a pending escalation (dropping any parked action)
+   */
+  cancelEscalation(escalationId, notes, cancelledBy = 'human') {
+    const escalation = this.escalations.cancel(escalationId, cancelledBy, notes);
+    this.parked.delete(escalation.id);
+    this.modifications.delete(escalation.id);
+    return escalation;
+  }
+
+  /**
+   * Fetch an escalation with its (logged) context and current status
+   */
+  getEscalation(escalationId) {
+    return this.escalations.get(escalationId);
+  }
+
+  /**
+   * List escalations of every agent sharing this audit log (pending unless
+   * filters.status says otherwise)
+   * 
+   * @param {object} filters - {status, agentId, rule, assignedTo}
+   */
+  listEscalations(filters = {}) {
+    return this.escalations.list(filters);
   }
 
   /**
    * Reload policies (for hot-reloading)
+   * 
+   * Atomic: if any policy file is invalid, the current policies stay in
+   * place and the error is thrown.
    */
   reloadPolicies() {
-    this.policyEngine.reloadPolicies();
+    return this.policyEngine.reloadPolicies();
+  }
+
+  /**
+   * Stop background work (policy file watcher, escalation SLA checks)
+   */
+  close() {
+    this.policyEngine.stopWatching();
+    this.escalationScheduler.stop();
   }
 
   /**
@@ -265,14 +765,17 @@ class ProductionAgent {
     const identity = this.getIdentity();
     const policy = this.getPolicy();
     const trustScore = this.getTrustScore();
+    const trustState = identity?.trustState || 'unknown';
 
     return {
       agentId: this.agentId,
       status: identity?.status || 'unknown',
       trustScore,
+      trustState,
+      trustPolicy: identity?.trustPolicy,
       hasPolicy: !!policy,
       identityVerified: !!identity,
-      healthy: !!(identity && policy && trustScore > 50)
+      healthy: !!(identity && policy && trustState === 'trusted')
     };
   }
 }
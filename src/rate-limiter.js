@@ -0,0 +1,247 @@
+/**
+ * OpenClaw Production Toolkit - Rate Limiter
+ *
+ * Sliding-window rate limiting driven by a policy's `rate_limits` block.
+ * Stops runaway agent loops before they reach the executor.
+ *
+ * Supported policy keys:
+ * - <noun>_per_<unit>   e.g. actions_per_minute, escalations_per_hour, reviews_per_hour
+ * - <noun>_per_<scope>  e.g. comments_per_review (counted per context.reviewId)
+ * - rules               explicit per-action limits: {action, limit, window, scope}
+ *
+ * The noun "actions" covers every allowed action and "escalations" covers every
+ * escalated decision. Any other noun applies to actions whose resource contains
+ * it as a word, so "reviews" covers create:review_comment and update:review_status.
+ *
+ * Time windows keep the timestamps still inside them, and a key is dropped
+ * once its window empties. Scoped limits have no window (the count never
+ * expires), so they keep a plain counter per key.
+ *
+ * Those counters are kept on purpose until reset() or a restart: dropping
+ * one would let its scope start counting again. That is one number per
+ * distinct scope value, so for a high-cardinality scope (per customer) use
+ * a `rules` entry with a `scope` and a `window` instead, which is freed
+ * once the window empties.
+ */
+
+const { parseDuration, isUnit } = require('./duration');
+
+// How often idle windows are swept, so keys nobody hits again are freed too
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.clock = options.clock || (() => Date.now());
+    this.matchPattern = options.matchPattern || ((action, pattern) => action === pattern);
+    this.windows = new Map();
+    this.counts = new Map();
+    this.lastSweep = this.clock();
+  }
+
+  /**
+   * Compile a policy's rate_limits block into limit definitions
+   *
+   * @param {object} rateLimits - The `rate_limits` block from a policy
+   * @returns {Array} - Compiled limits
+   */
+  static compile(rateLimits) {
+    if (!rateLimits) return [];
+
+    if (typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+      throw new Error('rate_limits must be a mapping');
+    }
+
+    const limits = [];
+
+    for (const [key, value] of Object.entries(rateLimits)) {
+      if (key === 'rules') {
+        if (!Array.isArray(value)) {
+          throw new Error('rate_limits.rules must be a list');
+        }
+        value.forEach((rule, index) => limits.push(RateLimiter.compileRule(rule, index)));
+        continue;
+      }
+
+      const match = key.match(/^([a-z0-9]+(?:_[a-z0-9]+)*?)_per_([a-z0-9_]+)$/);
+      if (!match) {
+        throw new Error(`Unrecognized rate limit: ${key}`);
+      }
+
+      const [, noun, per] = match;
+      const limit = RateLimiter.parseLimit(value, key);
+      const unit = isUnit(per);
+
+      limits.push({
+        name: key,
+        kind: noun === 'escalations' ? 'escalation' : 'action',
+        noun: noun === 'actions' || noun === 'escalations' ? null : singular(noun),
+        limit,
+        windowMs: unit ? parseDuration(unit) : Infinity,
+        scope: unit ? null : per
+      });
+    }
+
+    return limits;
+  }
+
+  /**
+   * Compile an explicit `rate_limits.rules` entry
+   */
+  static compileRule(rule, index) {
+    if (!rule || typeof rule !== 'object' || !rule.action) {
+      throw new Error(`rate_limits.rules[${index}] must have an 'action' pattern`);
+    }
+
+    const name = rule.name || `${rule.action} (${rule.limit} per ${rule.window || 'minute'})`;
+
+    return {
+      name,
+      kind: rule.kind === 'escalation' ? 'escalation' : 'action',
+      pattern: rule.action,
+      limit: RateLimiter.parseLimit(rule.limit, name),
+      windowMs: parseDuration(rule.window || 'minute'),
+      scope: rule.scope || null
+    };
+  }
+
+  /**
+   * Validate a limit value
+   */
+  static parseLimit(value, name) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Rate limit ${name} must be a non-negative integer`);
+    }
+    return value;
+  }
+
+  /**
+   * Check all applicable limits and record the hit if none is exceeded
+   *
+   * @param {string} agentId - Agent identifier
+   * @param {Array} limits - Compiled limits for the agent's policy
+   * @param {string} action - Action being performed
+   * @param {object} context - Action context (used for scoped limits)
+   * @param {string} kind - 'action' or 'escalation'
+   * @returns {object} - {limited: boolean, limit, retryAfterMs}
+   */
+  consume(agentId, limits, action, context, kind) {
+    const now = this.clock();
+    const applicable = [];
+
+    if (now - this.lastSweep >= SWEEP_INTERVAL_MS) this.sweep(now);
+
+    for (const limit of limits) {
+      if (limit.kind !== kind || !this.applies(limit, action)) continue;
+
+      const key = this.keyFor(agentId, limit, context);
+
+      if (limit.windowMs === Infinity) {
+        if ((this.counts.get(key) || 0) >= limit.limit) {
+          return { limited: true, limit: limit.name, max: limit.limit, retryAfterMs: null };
+        }
+      } else {
+        const hits = this.prune(key, now);
+        if (hits.length >= limit.limit) {
+          return {
+            limited: true,
+            limit: limit.name,
+            max: limit.limit,
+            retryAfterMs: limit.limit === 0 ? null : Math.max(0, hits[hits.length - limit.limit] + limit.windowMs - now)
+          };
+        }
+      }
+
+      applicable.push({ key, windowMs: limit.windowMs });
+    }
+
+    for (const { key, windowMs } of applicable) {
+      if (windowMs === Infinity) {
+        this.counts.set(key, (this.counts.get(key) || 0) + 1);
+      } else if (this.windows.has(key)) {
+        this.windows.get(key).hits.push(now);
+      } else {
+        this.windows.set(key, { windowMs, hits: [now] });
+      }
+    }
+
+    return { limited: false };
+  }
+
+  /**
+   * Check whether a limit applies to an action
+   */
+  applies(limit, action) {
+    if (limit.pattern) return this.matchPattern(action, limit.pattern);
+    if (!limit.noun) return true;
+
+    const resource = action.includes(':') ? action.slice(action.indexOf(':') + 1) : action;
+    return resource.split(/[^a-zA-Z0-9]+/).some(word => singular(word.toLowerCase()) === limit.noun);
+  }
+
+  /**
+   * Build the window key for a limit
+   *
+   * Calls without a scope value share one window per limit, so leaving the
+   * field out can't get around a scoped limit.
+   */
+  keyFor(agentId, limit, context = {}) {
+    const value = limit.scope ? context[limit.scope] ?? context[`${limit.scope}Id`] ?? context[`${limit.scope}_id`] : null;
+    if (value === undefined || value === null) return `${agentId}|${limit.name}`;
+
+    return `${agentId}|${limit.name}|${value}`;
+  }
+
+  /**
+   * Drop hits that have slid out of a key's window, and the key once it's empty
+   *
+   * @returns {Array} - Timestamps still in the window, oldest first
+   */
+  prune(key, now) {
+    const window = this.windows.get(key);
+    if (!window) return [];
+
+    const { hits, windowMs } = window;
+    let expired = 0;
+    while (expired < hits.length && hits[expired] <= now - windowMs) expired++;
+    if (expired > 0) hits.splice(0, expired);
+
+    if (hits.length === 0) this.windows.delete(key);
+    return hits;
+  }
+
+  /**
+   * Prune every window
+   */
+  sweep(now) {
+    for (const key of Array.from(this.windows.keys())) {
+      this.prune(key, now);
+    }
+    this.lastSweep = now;
+  }
+
+  /**
+   * Forget recorded hits (all agents, or a single agent)
+   */
+  reset(agentId = null) {
+    if (!agentId) {
+      this.windows.clear();
+      this.counts.clear();
+      return;
+    }
+
+    for (const store of [this.windows, this.counts]) {
+      for (const key of Array.from(store.keys())) {
+        if (key.startsWith(`${agentId}|`)) store.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Naive singularization for rate limit nouns ("reviews" → "review")
+ */
+function singular(word) {
+  return word.length > 1 && word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+module.exports = RateLimiter;
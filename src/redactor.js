@@ -0,0 +1,221 @@
+/**
+ * OpenClaw Production Toolkit - Redactor
+ *
+ * Deep redaction of sensitive data before it reaches the audit log.
+ * Driven by each policy's `audit` block:
+ *
+ *   audit:
+ *     sensitive_fields:          # Matched case-insensitively across naming styles
+ *       - credit_card            # (credit_card == creditCard == Credit-Card)
+ *       - field: ssn
+ *         mode: last4            # Per-field masking mode
+ *     masking: redact            # Default mode: redact | last4 | hash
+ *     detect_patterns: true      # Or a subset: [card, ssn, email, bearer]
+ *
+ * Masking modes:
+ * - redact: replace with [REDACTED]
+ * - last4:  keep the last four characters (****1111)
+ * - hash:   keyed HMAC so the same value stays correlatable across entries
+ */
+
+const crypto = require('crypto');
+
+const MASKING_MODES = ['redact', 'last4', 'hash'];
+
+// Always redacted, whatever the policy says
+const DEFAULT_SENSITIVE_FIELDS = ['password', 'token', 'secret', 'apiKey', 'ssn', 'creditCard'];
+
+const VALUE_PATTERNS = {
+  card: {
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (match) => luhnValid(match.replace(/[ -]/g, ''))
+  },
+  ssn: {
+    regex: /\b\d{3}-\d{2}-\d{4}\b/g
+  },
+  email: {
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  bearer: {
+    regex: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi
+  }
+};
+
+class Redactor {
+  /**
+   * @param {object} audit - Policy audit block ({sensitive_fields, masking, detect_patterns})
+   * @param {object} options - {hashKey: function returning the HMAC key for 'hash' mode}
+   */
+  constructor(audit = {}, options = {}) {
+    this.hashKey = options.hashKey || (() => {
+      throw new Error('No redaction key configured for hash masking');
+    });
+
+    this.defaultMode = Redactor.parseMode(audit.masking || 'redact', 'audit.masking');
+
+    this.fields = new Map();
+    for (const field of DEFAULT_SENSITIVE_FIELDS) {
+      this.fields.set(normalizeKey(field), this.defaultMode);
+    }
+
+    const sensitiveFields = audit.sensitive_fields || [];
+    if (!Array.isArray(sensitiveFields)) {
+      throw new Error('audit.sensitive_fields must be a list');
+    }
+
+    sensitiveFields.forEach((entry, index) => {
+      if (typeof entry === 'string') {
+        this.fields.set(normalizeKey(entry), this.defaultMode);
+      } else if (entry && typeof entry === 'object' && typeof entry.field === 'string') {
+        const mode = Redactor.parseMode(entry.mode || this.defaultMode, `audit.sensitive_fields[${index}].mode`);
+        this.fields.set(normalizeKey(entry.field), mode);
+      } else {
+        throw new Error(`audit.sensitive_fields[${index}] must be a field name or {field, mode}`);
+      }
+    });
+
+    const detect = audit.detect_patterns === undefined ? true : audit.detect_patterns;
+    if (detect === true) {
+      this.patterns = Object.keys(VALUE_PATTERNS);
+    } else if (detect === false) {
+      this.patterns = [];
+    } else if (Array.isArray(detect)) {
+      for (const name of detect) {
+        if (!VALUE_PATTERNS[name]) {
+          throw new Error(`Unknown audit.detect_patterns entry: ${name} (expected ${Object.keys(VALUE_PATTERNS).join(', ')})`);
+        }
+      }
+      this.patterns = detect;
+    } else {
+      throw new Error('audit.detect_patterns must be true, false or a list');
+    }
+  }
+
+  /**
+   * Validate a masking mode
+   */
+  static parseMode(mode, name) {
+    if (!MASKING_MODES.includes(mode)) {
+      throw new Error(`Invalid ${name}: ${mode} (expected ${MASKING_MODES.join(', ')})`);
+    }
+    return mode;
+  }
+
+  /**
+   * Return a deep copy of a value with sensitive keys and values masked
+   */
+  redact(value) {
+    return this.walk(value, new WeakSet());
+  }
+
+  /**
+   * Recursively copy and redact a value
+   */
+  walk(value, seen) {
+    if (typeof value === 'string') {
+      return this.redactPatterns(value);
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      const copy = value.map(item => this.walk(item, seen));
+      seen.delete(value);
+      return copy;
+    }
+
+    if (value instanceof Date) {
+      seen.delete(value);
+      return value.toISOString();
+    }
+
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      const mode = this.fields.get(normalizeKey(key));
+
+      if (mode && child !== undefined && child !== null && child !== '') {
+        copy[key] = this.mask(child, mode);
+      } else {
+        copy[key] = this.walk(child, seen);
+      }
+    }
+
+    seen.delete(value);
+    return copy;
+  }
+
+  /**
+   * Mask strings inside free text that look like sensitive values
+   */
+  redactPatterns(text) {
+    let result = text;
+
+    for (const name of this.patterns) {
+      const { regex, validate } = VALUE_PATTERNS[name];
+      result = result.replace(regex, (match) => {
+        if (validate && !validate(match)) return match;
+        return this.mask(match, this.defaultMode);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Mask a single sensitive value
+   */
+  mask(value, mode) {
+    if (typeof value === 'object') {
+      return '[REDACTED]';
+    }
+
+    const text = String(value);
+
+    switch (mode) {
+      case 'last4': {
+        const compact = text.replace(/[\s-]/g, '');
+        return compact.length > 4 ? `****${compact.slice(-4)}` : '[REDACTED]';
+      }
+      case 'hash': {
+        const digest = crypto.createHmac('sha256', this.hashKey()).update(text).digest('hex');
+        return `[HASH:${digest.slice(0, 16)}]`;
+      }
+      default:
+        return '[REDACTED]';
+    }
+  }
+}
+
+/**
+ * Normalize a key so credit_card, creditCard and CREDIT-CARD compare equal
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Luhn checksum (filters out order numbers and timestamps that look like cards)
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+module.exports = Redactor;
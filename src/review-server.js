@@ -0,0 +1,450 @@
+/**
+ * OpenClaw Production Toolkit - Review Server
+ *
+ * A self-hosted HTTP service where reviewers list, inspect and decide
+ * escalations, instead of calling `agent.resolveEscalation()` from code.
+ *
+ *   GET  /api/escalations?status=&agentId=&rule=&assignedTo=   list (pending by default)
+ *   GET  /api/escalations/:id                                  one escalation
+ *   POST /api/escalations/:id/approve   {notes}
+ *   POST /api/escalations/:id/deny      {notes}
+ *   POST /api/escalations/:id/modify    {notes, modifications}
+ *   GET  /  and  /escalations/:id                              review pages
+ *
+ * Reviewers authenticate with an API key (`Authorization: Bearer <key>` or
+ * `X-API-Key`) or a local username and password (HTTP Basic, which the
+ * review pages use). The authenticated principal is the reviewer: a
+ * request can't decide in someone else's name. Decisions go through
+ * `resolveEscalation()` on the agent that raised the escalation, so they're
+ * logged, counted as votes and resume parked actions exactly as from code.
+ *
+ * Escalations are shown as logged, i.e. with redacted context. Binds to
+ * 127.0.0.1 unless told otherwise; put TLS in front of it if it's exposed.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL, URLSearchParams } = require('url');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const ACTIONS = { approve: 'approved', deny: 'denied', modify: 'modified' };
+
+class ReviewServer {
+  /**
+   * @param {ProductionAgent|ProductionAgent[]} agents - Agents whose escalations are reviewed
+   * @param {object} options - {host: '127.0.0.1', port: 8787 (0 picks a free port),
+   *                            apiKeys: {principal: key}, users: {username: password or hashPassword() output},
+   *                            title: page title}
+   */
+  constructor(agents, options = {}) {
+    const list = Array.isArray(agents) ? agents : [agents];
+    if (list.length === 0) throw new Error('ReviewServer needs at least one agent');
+
+    this.agents = new Map(list.map(agent => [agent.agentId, agent]));
+    this.options = {
+      host: '127.0.0.1',
+      port: 8787,
+      apiKeys: {},
+      users: {},
+      title: 'OpenClaw escalations',
+      ...options
+    };
+
+    if (Object.keys(this.options.apiKeys).length === 0 && Object.keys(this.options.users).length === 0) {
+      throw new Error('ReviewServer needs apiKeys or users to authenticate reviewers');
+    }
+
+    // Per-process secret for the review pages' form tokens
+    this.formSecret = crypto.randomBytes(32);
+    this.server = null;
+  }
+
+  /**
+   * Hash a password for the `users` option (scrypt, random salt)
+   */
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<object>} - {host, port, url}
+   */
+  start() {
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch((error) => {
+        console.error(`⚠ Review server error: ${error.message}`);
+        if (!response.headersSent) send(response, 500, { error: 'Internal error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        const { port } = this.server.address();
+        console.log(`✓ Review server listening on http://${this.options.host}:${port}`);
+        resolve({ host: this.options.host, port, url: `http://${this.options.host}:${port}` });
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      if (server.closeAllConnections) server.closeAllConnections();
+    });
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const principal = this.authenticate(request);
+
+    if (!principal) {
+      response.setHeader('WWW-Authenticate', 'Basic realm="OpenClaw review", charset="UTF-8"');
+      return send(response, 401, { error: 'Authentication required' });
+    }
+
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      return send(response, 400, { error: 'Malformed URL path' });
+    }
+
+    if (parts[0] === 'api' && parts[1] === 'escalations') {
+      return this.handleApi(request, response, principal, parts.slice(2), url.searchParams);
+    }
+
+    if (request.method === 'GET' && parts.length === 0) {
+      try {
+        return sendHtml(response, 200, this.renderList(this.list(url.searchParams)));
+      } catch (error) {
+        return sendHtml(response, 400, this.page('Invalid filter', `<p>${escape(error.message)}</p>`));
+      }
+    }
+
+    if (parts[0] === 'escalations' && parts.length === 2) {
+      return this.handlePage(request, response, principal, parts[1]);
+    }
+
+    return send(response, 404, { error: 'Not found' });
+  }
+
+  async handleApi(request, response, principal, parts, query) {
+    if (request.method === 'GET' && parts.length === 0) {
+      try {
+        return send(response, 200, { escalations: this.list(query) });
+      } catch (error) {
+        return send(response, 400, { error: error.message });
+      }
+    }
+
+    if (request.method === 'GET' && parts.length === 1) {
+      const escalation = this.find(parts[0]);
+      return escalation ? send(response, 200, { escalation }) : send(response, 404, { error: `Unknown escalation: ${parts[0]}` });
+    }
+
+    if (request.method === 'POST' && parts.length === 2 && ACTIONS[parts[1]]) {
+      if (!/^application\/json\b/.test(request.headers['content-type'] || '')) {
+        return send(response, 415, { error: 'Send decisions as application/json' });
+      }
+
+      const body = await readBody(request).then(JSON.parse).catch(() => null);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return send(response, 400, { error: 'Body must be a JSON object' });
+      }
+
+      const outcome = await this.decide(parts[0], ACTIONS[parts[1]], principal, body.notes, body.modifications);
+      return send(response, outcome.status, outcome.body);
+    }
+
+    return send(response, 404, { error: 'Not found' });
+  }
+
+  async handlePage(request, response, principal, id) {
+    if (request.method === 'GET') {
+      const escalation = this.find(id);
+      if (!escalation) return sendHtml(response, 404, this.page('Not found', `<p>Unknown escalation ${escape(id)}</p>`));
+      return sendHtml(response, 200, this.renderEscalation(escalation, principal));
+    }
+
+    if (request.method !== 'POST') return send(response, 405, { error: 'Method not allowed' });
+
+    const form = new URLSearchParams(await readBody(request));
+
+    // Browsers resend Basic credentials on cross-site posts; the token proves the form is ours
+    if (!safeEqual(form.get('token') || '', this.formToken(principal))) {
+      return sendHtml(response, 403, this.page('Forbidden', '<p>Invalid form token; reload the page and try again.</p>'));
+    }
+
+    const decision = ACTIONS[form.get('action')];
+    let modifications;
+
+    if (decision === 'modified') {
+      try {
+        modifications = JSON.parse(form.get('modifications') || '');
+      } catch (error) {
+        return sendHtml(response, 400, this.page('Invalid changes', '<p>Changes must be a JSON object.</p>'));
+      }
+    }
+
+    const outcome = decision
+      ? await this.decide(id, decision, principal, form.get('notes') || undefined, modifications)
+      : { status: 400, body: { error: 'Unknown action' } };
+
+    if (outcome.status !== 200) {
+      return sendHtml(response, outcome.status, this.page('Not recorded', `<p>${escape(outcome.body.error)}</p><p><a href="/escalations/${encodeURIComponent(id)}">Back</a></p>`));
+    }
+
+    response.writeHead(303, { Location: `/escalations/${encodeURIComponent(id)}` });
+    response.end();
+  }
+
+  /**
+   * Resolve (or vote on) an escalation as the authenticated reviewer
+   *
+   * @returns {Promise<object>} - {status: HTTP status, body}
+   */
+  async decide(id, decision, principal, notes, modifications) {
+    if (notes !== undefined && typeof notes !== 'string') {
+      return { status: 400, body: { error: 'notes must be a string' } };
+    }
+
+    const escalation = this.find(id);
+    if (!escalation) return { status: 404, body: { error: `Unknown escalation: ${id}` } };
+
+    // The raising agent holds any parked action; another agent can still record the decision
+    const agent = this.agents.get(escalation.agentId) || this.agents.values().next().value;
+
+    try {
+      const outcome = await agent.resolveEscalation(id, decision, notes, principal, { modifications });
+      const { result, ...body } = outcome;
+      if (result) body.result = { success: result.success, error: result.error };
+      return { status: 200, body };
+    } catch (error) {
+      return { status: statusFor(error), body: { error: error.message } };
+    }
+  }
+
+  /**
+   * Escalations across the agents' registries (deduplicated: agents sharing
+   * an audit directory see the same ones), oldest first
+   */
+  list(query) {
+    const filters = {
+      status: query.get('status') || 'pending',
+      agentId: query.get('agentId') || undefined,
+      rule: query.get('rule') || undefined,
+      assignedTo: query.get('assignedTo') || undefined
+    };
+
+    const escalations = new Map();
+    for (const agent of this.agents.values()) {
+      for (const escalation of agent.listEscalations(filters)) escalations.set(escalation.id, escalation);
+    }
+
+    return Array.from(escalations.values()).sort((a, b) => a.createdAtUnix - b.createdAtUnix).map(view);
+  }
+
+  find(id) {
+    for (const agent of this.agents.values()) {
+      const escalation = agent.getEscalation(id);
+      if (escalation) return view(escalation);
+    }
+    return null;
+  }
+
+  /**
+   * Authenticate a request to a principal (or null)
+   */
+  authenticate(request) {
+    const header = request.headers.authorization || '';
+    const apiKey = request.headers['x-api-key'] || (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+    if (apiKey) {
+      const match = Object.entries(this.options.apiKeys).find(([, key]) => safeEqual(apiKey, key));
+      return match ? match[0] : null;
+    }
+
+    if (header.startsWith('Basic ')) {
+      const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator === -1) return null;
+
+      const username = decoded.slice(0, separator);
+      const stored = Object.prototype.hasOwnProperty.call(this.options.users, username) ? this.options.users[username] : null;
+      return stored && verifyPassword(decoded.slice(separator + 1), stored) ? username : null;
+    }
+
+    return null;
+  }
+
+  formToken(principal) {
+    return crypto.createHmac('sha256', this.formSecret).update(principal).digest('hex');
+  }
+
+  renderList(escalations) {
+    const rows = escalations.map(escalation => `
+      <tr>
+        <td><a href="/escalations/${encodeURIComponent(escalation.id)}">${escape(escalation.id)}</a></td>
+        <td>${escape(escalation.agentId)}</td>
+        <td>${escape(escalation.action)}</td>
+        <td>${escape(escalation.reason)}</td>
+        <td>${escape(escalation.assignedTo)}</td>
+        <td>${escape(escalation.deadline || '')}</td>
+        <td>${escape(escalation.createdAt)}</td>
+      </tr>`).join('');
+
+    const body = escalations.length === 0
+      ? '<p>Nothing is waiting for review.</p>'
+      : `<table>
+      <tr><th>Escalation</th><th>Agent</th><th>Action</th><th>Reason</th><th>Assigned to</th><th>Deadline</th><th>Opened</th></tr>${rows}
+    </table>`;
+
+    return this.page(`${escalations.length} escalation(s)`, body);
+  }
+
+  renderEscalation(escalation, principal) {
+    const details = [
+      ['Status', escalation.status],
+      ['Agent', escalation.agentId],
+      ['Action', escalation.action],
+      ['Reason', escalation.reason],
+      ['Rule', escalation.rule],
+      ['Assigned to', escalation.assignedTo],
+      ['Opened', escalation.createdAt],
+      ['Deadline', escalation.deadline]
+    ].filter(([, value]) => value);
+
+    const votes = escalation.votes.map(vote =>
+      `<li>${escape(vote.voter)} (${escape(vote.group)}): ${escape(vote.decision)}${vote.notes ? ` - ${escape(vote.notes)}` : ''}</li>`).join('');
+
+    const resolution = escalation.resolution
+      ? `<p>${escape(escalation.resolution.decision)} by ${escape(escalation.resolution.resolvedBy)}${escalation.resolution.notes ? `: ${escape(escalation.resolution.notes)}` : ''}</p>`
+      : '';
+
+    const form = escalation.status !== 'pending' ? '' : `
+    <form method="post" action="/escalations/${encodeURIComponent(escalation.id)}">
+      <input type="hidden" name="token" value="${this.formToken(principal)}">
+      <p><label>Notes<br><textarea name="notes" rows="3" cols="60"></textarea></label></p>
+      <p><label>Changes (JSON, for approve with changes)<br><textarea name="modifications" rows="3" cols="60"></textarea></label></p>
+      <p>
+        <button name="action" value="approve">Approve</button>
+        <button name="action" value="modify">Approve with changes</button>
+        <button name="action" value="deny">Deny</button>
+      </p>
+    </form>`;
+
+    const body = `
+    <p><a href="/">All pending</a> · reviewing as ${escape(principal)}</p>
+    <dl>${details.map(([label, value]) => `<dt>${label}</dt><dd>${escape(value)}</dd>`).join('')}</dl>
+    <h2>Context</h2>
+    <pre>${escape(JSON.stringify(escalation.context || {}, null, 2))}</pre>
+    ${votes ? `<h2>Votes</h2><ul>${votes}</ul>` : ''}
+    ${resolution}
+    ${form}`;
+
+    return this.page(escalation.id, body);
+  }
+
+  page(heading, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escape(this.options.title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; }
+    td, th { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }
+    dt { font-weight: bold; }
+    pre { background: #f4f4f4; padding: 1em; }
+  </style>
+</head>
+<body>
+  <h1>${escape(heading)}</h1>
+  ${body}
+</body>
+</html>`;
+  }
+}
+
+/**
+ * What reviewers see of an escalation (logged, redacted fields only)
+ */
+function view(escalation) {
+  const { id, agentId, action, context, reason, rule, assignedTo, status, createdAt, createdAtUnix, deadline, approvals, votes, resolution } = escalation;
+  return {
+    id, agentId, action, context, reason, rule, assignedTo, status, createdAt, createdAtUnix, deadline,
+    approvals,
+    votes: (votes || []).map(({ voter, group, decision, notes, modifications, votedAt }) => ({ voter, group, decision, notes, modifications, votedAt })),
+    resolution
+  };
+}
+
+/**
+ * HTTP status for a rejected decision
+ */
+function statusFor(error) {
+  if (/^Unknown escalation/.test(error.message)) return 404;
+  if (/already/.test(error.message)) return 409;
+  if (/excluded|not in|turn/.test(error.message)) return 403;
+  return 400;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+      if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+function verifyPassword(password, stored) {
+  if (!stored.startsWith('scrypt$')) return safeEqual(password, stored);
+
+  const [, salt, hash] = stored.split('$');
+  return safeEqual(crypto.scryptSync(password, salt, 32).toString('hex'), hash);
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function send(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+}
+
+function sendHtml(response, status, html) {
+  response.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'",
+    'X-Frame-Options': 'DENY'
+  });
+  response.end(html);
+}
+
+function escape(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+module.exports = ReviewServer;
@@ -0,0 +1,306 @@
+/**
+ * OpenClaw Production Toolkit - Schedules
+ *
+ * Named time windows for policy conditions (`during business_hours`):
+ *
+ *   schedules:
+ *     business_hours:
+ *       timezone: America/New_York      # IANA zone, default UTC
+ *       days: mon-fri                   # or [mon, wed, fri]
+ *       hours: "09:00-17:30"            # end exclusive; "22:00-06:00" wraps midnight
+ *     friday_freeze:
+ *       timezone: Europe/London
+ *       cron: "* 12-23 * * fri"         # minute hour day-of-month month day-of-week
+ *     nightly:
+ *       windows:                        # active if any window matches
+ *         - { days: mon-fri, hours: "22:00-06:00" }
+ *         - { days: [sat, sun], hours: "00:00-24:00" }
+ *
+ * A window that wraps midnight belongs to the day it starts on: with
+ * `days: fri` and `hours: "22:00-06:00"`, Saturday 02:00 is inside.
+ *
+ * Cron fields accept `*`, lists, ranges, steps (`*\/15`, `9-17/2`) and names
+ * (jan-dec, sun-sat; 0 and 7 are both Sunday). As in cron, when both
+ * day-of-month and day-of-week are restricted, either may match.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const SPEC_KEYS = ['timezone', 'days', 'hours', 'cron', 'windows'];
+const WINDOW_KEYS = ['days', 'hours', 'cron'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+class Schedule {
+  constructor(name, timezone, windows) {
+    this.name = name;
+    this.timezone = timezone;
+    this.windows = windows;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+  }
+
+  /**
+   * Parse a schedule definition (throws Error on invalid input)
+   *
+   * @param {string} name - Schedule name (for messages)
+   * @param {object} spec - {timezone, days, hours} | {timezone, cron} | {timezone, windows: [...]}
+   */
+  static compile(name, spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`Schedule '${name}' must be a mapping`);
+    }
+
+    for (const key of Object.keys(spec)) {
+      if (!SPEC_KEYS.includes(key)) throw new Error(`Schedule '${name}' has unknown key '${key}'`);
+    }
+
+    const timezone = spec.timezone === undefined ? 'UTC' : spec.timezone;
+    if (!isTimeZone(timezone)) {
+      throw new Error(`Schedule '${name}' has an unknown time zone '${timezone}' (use an IANA name like Europe/London)`);
+    }
+
+    let windowSpecs;
+    if (spec.windows !== undefined) {
+      if (spec.days !== undefined || spec.hours !== undefined || spec.cron !== undefined) {
+        throw new Error(`Schedule '${name}' uses 'windows' together with days/hours/cron`);
+      }
+      if (!Array.isArray(spec.windows) || spec.windows.length === 0) {
+        throw new Error(`Schedule '${name}' windows must be a non-empty list`);
+      }
+      windowSpecs = spec.windows;
+    } else {
+      windowSpecs = [{ days: spec.days, hours: spec.hours, cron: spec.cron }];
+    }
+
+    const windows = windowSpecs.map((window, index) => {
+      const label = spec.windows ? `Schedule '${name}' windows[${index}]` : `Schedule '${name}'`;
+      return compileWindow(window, label);
+    });
+
+    return new Schedule(name, timezone, windows);
+  }
+
+  /**
+   * Check whether a moment falls inside the schedule
+   *
+   * @param {number} now - Epoch milliseconds
+   */
+  isActive(now) {
+    const local = this.localTime(now);
+    return this.windows.some(window => window.matches(local));
+  }
+
+  /**
+   * Wall-clock time in the schedule's zone
+   *
+   * @returns {object} - {weekday (0 = Sunday), year, month, day, hour, minute}
+   */
+  localTime(now) {
+    const parts = {};
+    for (const part of this.formatter.formatToParts(new Date(now))) {
+      parts[part.type] = part.value;
+    }
+
+    return {
+      weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute)
+    };
+  }
+
+  /**
+   * "Fri 14:05 Europe/London" for traces and messages
+   */
+  describeTime(now) {
+    const local = this.localTime(now);
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = DAY_NAMES[local.weekday];
+    return `${day[0].toUpperCase()}${day.slice(1)} ${pad(local.hour)}:${pad(local.minute)} ${this.timezone}`;
+  }
+}
+
+/**
+ * Compile one {days, hours} or {cron} window into a matcher
+ */
+function compileWindow(window, label) {
+  if (!window || typeof window !== 'object' || Array.isArray(window)) {
+    throw new Error(`${label} must be a mapping`);
+  }
+
+  for (const key of Object.keys(window)) {
+    if (!WINDOW_KEYS.includes(key)) throw new Error(`${label} has unknown key '${key}'`);
+  }
+
+  if (window.cron !== undefined) {
+    if (window.days !== undefined || window.hours !== undefined) {
+      throw new Error(`${label} uses 'cron' together with days/hours`);
+    }
+    return compileCron(window.cron, label);
+  }
+
+  if (window.days === undefined && window.hours === undefined) {
+    throw new Error(`${label} needs 'days' and/or 'hours', or a 'cron' expression`);
+  }
+
+  const days = window.days === undefined ? new Set([0, 1, 2, 3, 4, 5, 6]) : parseDays(window.days, label);
+  const [start, end] = window.hours === undefined ? [0, 24 * 60] : parseHours(window.hours, label);
+
+  return {
+    matches(local) {
+      const minute = local.hour * 60 + local.minute;
+
+      if (start < end) {
+        return days.has(local.weekday) && minute >= start && minute < end;
+      }
+
+      // Wraps midnight: the tail belongs to the previous day
+      return (days.has(local.weekday) && minute >= start) ||
+        (days.has((local.weekday + 6) % 7) && minute < end);
+    }
+  };
+}
+
+/**
+ * "mon-fri", "sat", ["mon", "wed-fri"] → Set of weekday numbers
+ */
+function parseDays(value, label) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const days = new Set();
+
+  for (const item of items) {
+    const match = String(item).trim().toLowerCase().match(/^([a-z]{3})(?:-([a-z]{3}))?$/);
+    const from = match ? DAY_NAMES.indexOf(match[1]) : -1;
+    const to = match && match[2] ? DAY_NAMES.indexOf(match[2]) : from;
+
+    if (from === -1 || to === -1) {
+      throw new Error(`${label} has an invalid day '${item}' (use mon, tue, ... or ranges like mon-fri)`);
+    }
+
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * "09:00-17:30" → [540, 1050] minutes after midnight
+ */
+function parseHours(value, label) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const invalid = () => new Error(`${label} has invalid hours '${value}' (expected "HH:MM-HH:MM")`);
+
+  if (!match) throw invalid();
+
+  const start = Number(match[1]) * 60 + Number(match[2]);
+  const end = Number(match[3]) * 60 + Number(match[4]);
+
+  if (Number(match[2]) > 59 || Number(match[4]) > 59 || start >= 24 * 60 || end > 24 * 60 || start === end) {
+    throw invalid();
+  }
+
+  return [start, end];
+}
+
+/**
+ * Five-field cron expression → matcher over local time
+ */
+function compileCron(expression, label) {
+  const fields = String(expression).trim().split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(`${label} has an invalid cron expression '${expression}' (expected 5 fields)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index], label));
+
+  // Sunday is both 0 and 7
+  if (daysOfWeek.values.has(7)) daysOfWeek.values.add(0);
+
+  return {
+    matches(local) {
+      if (!minutes.values.has(local.minute) || !hours.values.has(local.hour) || !months.values.has(local.month)) {
+        return false;
+      }
+
+      const domMatch = daysOfMonth.values.has(local.day);
+      const dowMatch = daysOfWeek.values.has(local.weekday);
+
+      if (daysOfMonth.any && daysOfWeek.any) return true;
+      if (daysOfMonth.any) return dowMatch;
+      if (daysOfWeek.any) return domMatch;
+      return domMatch || dowMatch;
+    }
+  };
+}
+
+function parseCronField(field, spec, label) {
+  const values = new Set();
+  const fail = () => new Error(`${label} has an invalid cron ${spec.name} field '${field}'`);
+
+  const parseValue = (text) => {
+    const lower = text.toLowerCase();
+    if (spec.names && spec.names.includes(lower)) return spec.names.indexOf(lower) + spec.offset;
+    if (!/^\d+$/.test(text)) throw fail();
+    const value = Number(text);
+    if (value < spec.min || value > spec.max) throw fail();
+    return value;
+  };
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw fail();
+
+    let from = spec.min;
+    let to = spec.max;
+
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) throw fail();
+      from = parseValue(bounds[0]);
+      to = bounds.length === 2 ? parseValue(bounds[1]) : (stepText === undefined ? from : spec.max);
+      if (from > to) throw fail();
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, any: field === '*' };
+}
+
+function isTimeZone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = Schedule;
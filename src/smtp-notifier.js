@@ -0,0 +1,251 @@
+/**
+ * OpenClaw Production Toolkit - SMTP Notifier
+ *
+ * Emails escalation events to reviewers over SMTP, with no mail library:
+ * EHLO, optional STARTTLS (or implicit TLS with `secure`), AUTH PLAIN,
+ * then one message per event. The body is plain text; the context in it
+ * is the escalation's logged (redacted) context.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+class SmtpNotifier {
+  /**
+   * @param {object} options - {host, port (25, or 465 when secure), secure: implicit TLS,
+   *                            starttls: upgrade before AUTH, auth: {user, pass}, from, to: string | string[],
+   *                            subjectPrefix: '[OpenClaw]', clientName: 'localhost', timeoutMs: 10000, tls: extra TLS options}
+   */
+  constructor(options = {}) {
+    if (!options.host) throw new Error('SmtpNotifier needs a host');
+    if (!options.from) throw new Error('SmtpNotifier needs a from address');
+    if (!options.to || (Array.isArray(options.to) && options.to.length === 0)) {
+      throw new Error('SmtpNotifier needs at least one to address');
+    }
+
+    this.options = {
+      port: options.secure ? 465 : 25,
+      secure: false,
+      starttls: false,
+      subjectPrefix: '[OpenClaw]',
+      clientName: 'localhost',
+      timeoutMs: 10000,
+      tls: {},
+      ...options
+    };
+    this.recipients = Array.isArray(options.to) ? options.to : [options.to];
+  }
+
+  /**
+   * Send one message for the event
+   *
+   * @returns {Promise<object>} - {attempts: [{status, at}]}; rejects with `attempts` on the error
+   */
+  async notify(event) {
+    try {
+      const status = await this.send(this.compose(event));
+      return { attempts: [{ status, at: new Date().toISOString() }] };
+    } catch (error) {
+      error.attempts = [{ error: error.message, at: new Date().toISOString() }];
+      throw error;
+    }
+  }
+
+  /**
+   * Render an event as an RFC 5322 message
+   */
+  compose(event) {
+    const escalation = event.escalation || {};
+    const subject = `${this.options.subjectPrefix} ${describeEvent(event)}: ${escalation.action} (${escalation.agentId})`;
+
+    const lines = [
+      `Escalation: ${escalation.id}`,
+      `Agent: ${escalation.agentId}`,
+      `Action: ${escalation.action}`,
+      escalation.reason ? `Reason: ${escalation.reason}` : null,
+      `Assigned to: ${escalation.assignedTo}`,
+      escalation.deadline ? `Deadline: ${escalation.deadline}` : null,
+      '',
+      'Context:',
+      JSON.stringify(escalation.context || {}, null, 2)
+    ].filter(line => line !== null);
+
+    const headers = [
+      `From: ${this.options.from}`,
+      `To: ${this.recipients.join(', ')}`,
+      `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${this.options.clientName}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8'
+    ];
+
+    return [...headers, '', ...lines].join('\r\n');
+  }
+
+  /**
+   * Run one SMTP session
+   *
+   * @returns {Promise<number>} - The server's final reply code
+   */
+  async send(message) {
+    const session = await SmtpSession.connect(this.options);
+
+    try {
+      await session.expect(220);
+      await session.command(`EHLO ${this.options.clientName}`, 250);
+
+      if (this.options.starttls && !this.options.secure) {
+        await session.command('STARTTLS', 220);
+        await session.upgrade(this.options);
+        await session.command(`EHLO ${this.options.clientName}`, 250);
+      }
+
+      if (this.options.auth) {
+        const token = Buffer.from(`\0${this.options.auth.user}\0${this.options.auth.pass}`).toString('base64');
+        await session.command(`AUTH PLAIN ${token}`, 235);
+      }
+
+      await session.command(`MAIL FROM:<${this.options.from}>`, 250);
+      for (const recipient of this.recipients) {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await session.command('DATA', 354);
+
+      // Every line ends in CRLF on the wire (the context JSON brings bare
+      // LFs), then lines that start with '.' are dot-stuffed
+      const data = message.split(/\r\n|\r|\n/).map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+      const code = await session.command(`${data}\r\n.`, 250);
+
+      await session.command('QUIT', 221).catch(() => {});
+      return code;
+    } finally {
+      session.close();
+    }
+  }
+}
+
+/**
+ * A line-oriented SMTP client connection
+ */
+class SmtpSession {
+  static connect(options) {
+    return new Promise((resolve, reject) => {
+      const connectOptions = { host: options.host, port: options.port };
+      const socket = options.secure
+        ? tls.connect({ ...connectOptions, servername: options.host, ...options.tls })
+        : net.connect(connectOptions);
+
+      socket.setTimeout(options.timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${options.timeoutMs}ms`)));
+      socket.once('error', reject);
+      socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+        socket.off('error', reject);
+        resolve(new SmtpSession(socket));
+      });
+    });
+  }
+
+  constructor(socket) {
+    this.buffer = '';
+    this.waiting = null;
+    this.replies = [];
+    this.failure = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+
+    // A reply is complete at a "<code> " line (continuation lines use "<code>-")
+    let match;
+    while ((match = this.buffer.match(/^(?:\d{3}-[^\n]*\n)*(\d{3})(?: [^\n]*)?\r?\n/))) {
+      this.buffer = this.buffer.slice(match[0].length);
+      this.replies.push({ code: Number(match[1]), text: match[0].trim() });
+    }
+
+    this.deliver();
+  }
+
+  deliver() {
+    if (!this.waiting) return;
+
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.failure) {
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+
+  /**
+   * Keep the connection's first error; replies already received are still
+   * delivered, then every later expect() rejects with it
+   */
+  fail(error) {
+    if (!this.failure) this.failure = error;
+    this.deliver();
+  }
+
+  /**
+   * Wait for the next reply and check its code
+   */
+  async expect(expected) {
+    const reply = await new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.deliver();
+    });
+
+    const codes = Array.isArray(expected) ? expected : [expected];
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP error: ${reply.text}`);
+    }
+    return reply.code;
+  }
+
+  command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected);
+  }
+
+  /**
+   * Switch the connection to TLS after STARTTLS
+   */
+  upgrade(options) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('error');
+
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket: plain, servername: options.host, ...options.tls }, () => {
+        secure.off('error', reject);
+        this.attach(secure);
+        resolve();
+      });
+      secure.once('error', reject);
+    });
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+function describeEvent(event) {
+  if (event.type === 'escalation_reminder') return 'Reminder';
+  if (event.type === 'escalation_timeout') return 'Timed out';
+  return 'Approval needed';
+}
+
+module.exports = SmtpNotifier;
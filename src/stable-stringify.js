@@ -0,0 +1,31 @@
+/**
+ * OpenClaw Production Toolkit - Stable Stringify
+ *
+ * JSON with object keys sorted, so equal values serialize (and hash)
+ * equally whatever order their keys were built in. Undefined properties
+ * (and functions) are dropped and toJSON() is honoured (Dates become ISO strings), as
+ * JSON.stringify does, so a value hashes the same after a JSON round trip.
+ */
+
+// Properties JSON.stringify leaves out
+const SKIPPED = ['undefined', 'function', 'symbol'];
+
+function stableStringify(value) {
+  if (value && typeof value.toJSON === 'function') {
+    return stableStringify(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => !SKIPPED.includes(typeof value[key])).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  // As array elements, values JSON has no form for become null
+  return SKIPPED.includes(typeof value) ? 'null' : JSON.stringify(value);
+}
+
+module.exports = stableStringify;
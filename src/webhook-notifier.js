@@ -0,0 +1,113 @@
+/**
+ * OpenClaw Production Toolkit - Webhook Notifier
+ *
+ * Posts escalation events as JSON to a URL. With a `secret`, every request
+ * is signed so the receiver can check it came from us and wasn't replayed:
+ *
+ *   X-OpenClaw-Timestamp: <epoch ms>
+ *   X-OpenClaw-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Network errors, timeouts, 429 and 5xx responses are retried with
+ * exponential backoff; other responses are final.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+class WebhookNotifier {
+  /**
+   * @param {object} options - {url, secret, headers, maxRetries: 3, retryDelayMs: 500 (doubled per retry),
+   *                            timeoutMs: 5000}
+   */
+  constructor(options = {}) {
+    if (!options.url) throw new Error('WebhookNotifier needs a url');
+
+    this.options = {
+      maxRetries: 3,
+      retryDelayMs: 500,
+      timeoutMs: 5000,
+      headers: {},
+      ...options
+    };
+    this.url = new URL(options.url);
+  }
+
+  /**
+   * Sign a request body (exposed so receivers can share the scheme)
+   */
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Deliver an event, retrying transient failures
+   *
+   * @returns {Promise<object>} - {attempts: [{status?, error?, at}]}; rejects after the
+   *                              last attempt with the same `attempts` on the error
+   */
+  async notify(event) {
+    const body = JSON.stringify(event);
+    const attempts = [];
+
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      if (attempt > 0) await sleep(this.options.retryDelayMs * 2 ** (attempt - 1));
+
+      const outcome = await this.post(body).then(
+        status => ({ status, at: new Date().toISOString() }),
+        error => ({ error: error.message, at: new Date().toISOString() })
+      );
+      attempts.push(outcome);
+
+      if (outcome.status >= 200 && outcome.status < 300) return { attempts };
+      if (outcome.status !== undefined && !retryable(outcome.status)) break;
+    }
+
+    const last = attempts[attempts.length - 1];
+    const error = new Error(`Webhook ${this.url.origin}${this.url.pathname} failed after ${attempts.length} attempt(s): ${last.error || `HTTP ${last.status}`}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * One signed POST
+   *
+   * @returns {Promise<number>} - HTTP status
+   */
+  post(body) {
+    const timestamp = String(Date.now());
+    const headers = {
+      ...this.options.headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-OpenClaw-Timestamp': timestamp
+    };
+
+    if (this.options.secret) {
+      headers['X-OpenClaw-Signature'] = WebhookNotifier.sign(this.options.secret, timestamp, body);
+    }
+
+    const transport = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(this.url, { method: 'POST', headers, timeout: this.options.timeoutMs }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.options.timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+function retryable(status) {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = WebhookNotifier;
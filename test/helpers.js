@@ -0,0 +1,85 @@
+/**
+ * Shared helpers for the component test scripts
+ * 
+ * Each test script builds its own fixture directory under test/test-data/
+ * and runs a flat list of named test cases.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const AuditLogger = require('../src/audit-logger');
+
+const fixtureCounts = new Map();
+
+/**
+ * Create an empty fixture directory under test/test-data/
+ */
+function createTestDir(name) {
+  const dir = path.join(__dirname, 'test-data', name);
+
+  if (fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Quiet audit logger in a fresh fixture directory (test-data/<suite>/case-<n>/audit)
+ */
+function createLogger(suite) {
+  const count = (fixtureCounts.get(suite) || 0) + 1;
+  fixtureCounts.set(suite, count);
+
+  return new AuditLogger(path.join(createTestDir(`${suite}/case-${count}`), 'audit'), { quiet: true });
+}
+
+/**
+ * Write a policy object (or raw YAML string) into a policy directory
+ */
+function writePolicy(dir, file, policy) {
+  const content = typeof policy === 'string' ? policy : yaml.dump(policy);
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+/**
+ * Controllable clock for deterministic time-based tests
+ */
+function createClock(start = Date.parse('2026-03-03T12:00:00Z')) {
+  const toTime = (value) => (typeof value === 'number' ? value : Date.parse(value));
+  let now = toTime(start);
+  const clock = () => now;
+  clock.advance = (ms) => { now += ms; };
+  clock.set = (value) => { now = toTime(value); };
+  return clock;
+}
+
+/**
+ * Run named test cases in order and set a failing exit code on any failure
+ */
+async function runSuite(title, tests) {
+  console.log(`=== ${title} ===\n`);
+
+  let failures = 0;
+
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`✗ ${name}`);
+      console.error(error.stack || error);
+    }
+  }
+
+  console.log(`\n${tests.length - failures}/${tests.length} passed\n`);
+
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { createTestDir, createLogger, writePolicy, createClock, runSuite };
@@ -30,10 +30,10 @@ function setupTestEnvironment() {
   fs.mkdirSync(auditPath, { recursive: true });
   fs.mkdirSync(identityPath, { recursive: true });
 
-  // Copy policy files
-  const sourcePolicy = path.join(__dirname, '../policies/customer-service-agent.yaml');
-  const destPolicy = path.join(policyPath, 'customer-service-agent.yaml');
-  fs.copyFileSync(sourcePolicy, destPolicy);
+  // Copy policy files (with the baseline role the agent extends)
+  for (const file of ['customer-service-agent.yaml', 'baseline-security.yaml']) {
+    fs.copyFileSync(path.join(__dirname, '../policies', file), path.join(policyPath, file));
+  }
 
   console.log('✓ Test environment ready\n');
 }
@@ -116,7 +116,7 @@ async function runTests() {
 
     // Simulate human approval
     console.log('  Simulating human approval...');
-    agent.resolveEscalation(result3.escalationId, 'approved', 'Refund approved by manager', 'test-manager');
+    await agent.resolveEscalation(result3.escalationId, 'approved', 'Refund approved by manager', 'test-manager');
     console.log('✓ Escalation resolved');
   } else {
     console.error('✗ Action should have required escalation!');
@@ -0,0 +1,141 @@
+/**
+ * Approval Quorum Tests - OpenClaw Production Toolkit
+ *
+ * Compiles multi-party approval requirements and votes on escalations
+ * through the registry against a real audit log.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const ApprovalQuorum = require('../src/approval-quorum');
+const EscalationRegistry = require('../src/escalation-registry');
+const { createLogger, runSuite } = require('./helpers');
+
+const approverGroups = {
+  legal: ['alice', 'bob'],
+  security: ['carol', 'dan', 'owner-olga']
+};
+
+/**
+ * Open an escalation needing the given approvals (owner-olga owns the agent)
+ */
+function openEscalation(registry, spec) {
+  const requirement = ApprovalQuorum.compile({ account_deletion: spec }, approverGroups).get('account_deletion');
+  return registry.create('support-agent', 'account_deletion', { accountId: 'a-1' }, {
+    reason: 'Deletions need two approvers',
+    rule: 'account_deletion',
+    approvals: ApprovalQuorum.bind(requirement, { owner: 'owner-olga', requesters: ['support-agent', 'alice'] })
+  });
+}
+
+runSuite('Approval Quorum Tests', [
+  ['compiles approval requirements and rejects invalid ones', () => {
+    const requirements = ApprovalQuorum.compile({
+      account_deletion: { required: 2, groups: ['legal', 'security'], exclude: ['owner', 'requester'] },
+      data_export_requests: { groups: ['legal', 'security'], order: 'ordered' }
+    }, approverGroups);
+
+    assert.deepStrictEqual(requirements.get('account_deletion'), {
+      required: 2,
+      groups: [{ name: 'legal', members: ['alice', 'bob'] }, { name: 'security', members: ['carol', 'dan', 'owner-olga'] }],
+      order: 'any',
+      exclude: ['owner', 'requester'],
+      onConflict: 'deny'
+    });
+    assert.strictEqual(requirements.get('data_export_requests').required, 2);
+
+    const bound = ApprovalQuorum.bind(requirements.get('account_deletion'), { owner: 'owner-olga', requesters: ['support-agent', undefined] });
+    assert.deepStrictEqual(bound.excluded, ['owner-olga', 'support-agent']);
+
+    // Owner and requester are only known once the escalation is raised
+    const legal = ApprovalQuorum.compile({
+      pair: { required: 2, groups: ['legal'], exclude: ['requester'] },
+      chain: { groups: ['legal', 'security'], order: 'ordered', exclude: ['requester'] }
+    }, approverGroups);
+    assert.throws(() => ApprovalQuorum.bind(legal.get('pair'), { requesters: ['support-agent', 'alice'] }),
+      /needs 2 approvals but only 1 of its approvers remain eligible after excluding support-agent, alice/);
+    assert.throws(() => ApprovalQuorum.bind(legal.get('chain'), { requesters: ['alice', 'bob'] }),
+      /needs an approval from legal but none of its members are eligible/);
+
+    const invalid = [
+      [{ x: { groups: ['finance'] } }, /unknown approver group 'finance'/],
+      [{ x: { groups: [] } }, /groups must be a non-empty list/],
+      [{ x: { groups: ['legal'], required: 3 } }, /required 3 approvals but only 2 eligible approvers/],
+      [{ x: { groups: ['legal'], required: 2, exclude: ['bob'] } }, /only 1 eligible/],
+      [{ x: { groups: ['legal', 'security'], order: 'ordered', required: 1 } }, /one approval per group \(required: 2\)/],
+      [{ x: { groups: ['legal'], order: 'ordered', on_conflict: 'quorum' } }, /quorum needs order: any/],
+      [{ x: { groups: ['legal'], on_conflict: 'majority' } }, /on_conflict must be one of: deny, quorum/],
+      [{ x: { groups: ['legal'], approvers: 2 } }, /unknown key 'approvers'/]
+    ];
+    for (const [block, message] of invalid) {
+      assert.throws(() => ApprovalQuorum.compile(block, approverGroups), message);
+    }
+    assert.throws(() => ApprovalQuorum.compile({}, { legal: [] }), /Approver group 'legal' must be a non-empty list/);
+  }],
+
+  ['finalizes only at quorum and keeps excluded and repeat voters out', () => {
+    const auditLogger = createLogger('approval-quorum');
+    const registry = new EscalationRegistry(auditLogger);
+    const escalation = openEscalation(registry, { required: 2, groups: ['legal', 'security'], exclude: ['owner', 'requester'] });
+
+    assert.throws(() => registry.resolve(escalation.id, 'approved', 'owner-olga'), /owner-olga is excluded/);
+    assert.throws(() => registry.resolve(escalation.id, 'approved', 'alice'), /alice is excluded/);
+    assert.throws(() => registry.resolve(escalation.id, 'approved', 'eve'), /eve is not in an approver group/);
+
+    registry.resolve(escalation.id, 'modified', 'bob', 'Keep the invoices', { keepInvoices: true });
+    assert.strictEqual(registry.get(escalation.id).status, 'pending');
+    assert.throws(() => registry.resolve(escalation.id, 'approved', 'bob'), /bob has already voted/);
+
+    const closed = registry.resolve(escalation.id, 'approved', 'carol', 'Agreed');
+    assert.strictEqual(closed.status, 'approved');
+    assert.strictEqual(closed.resolution.decision, 'modified');
+    assert.deepStrictEqual(closed.resolution.modifications, { keepInvoices: true });
+    assert.match(closed.resolution.notes, /Agreed \(2 of 2 approvals, 0 denials\)/);
+    assert.throws(() => registry.resolve(escalation.id, 'denied', 'dan'), /already approved by carol/);
+
+    // Rejected votes are never logged; votes survive a restart
+    assert.strictEqual(auditLogger.query({ type: 'escalation_vote' }).length, 2);
+    const rebuilt = new EscalationRegistry(auditLogger);
+    assert.deepStrictEqual(rebuilt.get(escalation.id).votes.map(vote => [vote.voter, vote.group]), [['bob', 'legal'], ['carol', 'security']]);
+    assert.deepStrictEqual(rebuilt.verifyVotes(escalation.id), { valid: true, votes: 2, errors: [] });
+  }],
+
+  ['applies the conflict rule and ordered chains', () => {
+    const registry = new EscalationRegistry(createLogger('approval-quorum'));
+
+    const vetoed = openEscalation(registry, { required: 2, groups: ['legal', 'security'] });
+    registry.resolve(vetoed.id, 'approved', 'bob');
+    assert.strictEqual(registry.resolve(vetoed.id, 'denied', 'dan', 'No').status, 'denied');
+
+    const quorum = openEscalation(registry, { required: 2, groups: ['legal', 'security'], on_conflict: 'quorum' });
+    registry.resolve(quorum.id, 'denied', 'bob');
+    registry.resolve(quorum.id, 'approved', 'carol');
+    assert.strictEqual(registry.get(quorum.id).status, 'pending');
+    assert.strictEqual(registry.resolve(quorum.id, 'approved', 'dan').status, 'approved');
+
+    const chain = openEscalation(registry, { groups: ['legal', 'security'], order: 'ordered' });
+    assert.throws(() => registry.resolve(chain.id, 'approved', 'carol'), /It is legal's turn to approve this escalation; carol is not in legal/);
+    registry.resolve(chain.id, 'approved', 'bob');
+    assert.throws(() => registry.resolve(chain.id, 'approved', 'alice'), /It is security's turn/);
+    assert.strictEqual(registry.resolve(chain.id, 'approved', 'dan').status, 'approved');
+
+    // Without requirements a single reviewer still decides
+    const single = registry.create('support-agent', 'refund_requests', {}, { reason: 'Over limit' });
+    assert.strictEqual(registry.resolve(single.id, 'approved', 'manager').status, 'approved');
+  }],
+
+  ['detects tampered votes through the vote hash chain', () => {
+    const auditLogger = createLogger('approval-quorum');
+    const registry = new EscalationRegistry(auditLogger);
+    const escalation = openEscalation(registry, { required: 2, groups: ['legal', 'security'], on_conflict: 'quorum' });
+    registry.resolve(escalation.id, 'denied', 'bob', 'Not without a ticket');
+
+    const logFile = auditLogger.currentLogFile;
+    fs.writeFileSync(logFile, fs.readFileSync(logFile, 'utf8').replace('"decision":"denied"', '"decision":"approved"'));
+
+    const check = new EscalationRegistry(auditLogger).verifyVotes(escalation.id);
+    assert.strictEqual(check.valid, false);
+    assert.match(check.errors[0], /Vote 0 \(bob\) hash mismatch/);
+    assert.strictEqual(auditLogger.verifyChain().valid, false);
+  }]
+]);
@@ -0,0 +1,112 @@
+/**
+ * Approval Token Tests - OpenClaw Production Toolkit
+ *
+ * Issues and checks one-time approval tokens for escalations in a real
+ * audit log.
+ */
+
+const assert = require('assert');
+const ApprovalTokens = require('../src/approval-tokens');
+const EscalationRegistry = require('../src/escalation-registry');
+const AuditLogger = require('../src/audit-logger');
+const PolicySigner = require('../src/policy-signer');
+const { createLogger, createClock, runSuite } = require('./helpers');
+
+const system = PolicySigner.generateKeyPair();
+const reviewer = PolicySigner.generateKeyPair();
+const intruder = PolicySigner.generateKeyPair();
+
+/**
+ * An approved refund escalation, raised with its context hash
+ */
+function approvedEscalation(auditLogger, tokens, context) {
+  const registry = new EscalationRegistry(auditLogger);
+  const escalation = registry.create('worker', 'refund_requests', context, {
+    reason: 'Refund over limit',
+    contextHash: tokens.contextHash(context)
+  });
+  return registry.resolve(escalation.id, 'approved', 'manager', 'ok');
+}
+
+runSuite('Approval Token Tests', [
+  ['binds tokens to the agent, action, context and expiry', () => {
+    const auditLogger = createLogger('approval-tokens');
+    const clock = createClock();
+    const tokens = new ApprovalTokens(auditLogger, { signingKey: { keyId: 'system', privateKey: system.privateKey }, ttlMs: 60000, clock });
+    const context = { orderId: 'o-1', amount: 900, card_number: '4111111111111111' };
+    const escalation = approvedEscalation(auditLogger, tokens, context);
+
+    // The logged hash is keyed, so it can't be matched against guessed card numbers
+    assert.strictEqual(new EscalationRegistry(auditLogger).get(escalation.id).contextHash, tokens.contextHash(context));
+    assert.notStrictEqual(tokens.contextHash(context), new ApprovalTokens(createLogger('approval-tokens')).contextHash(context));
+
+    const { token, expiresAt } = tokens.issue(escalation, { approvedBy: 'manager' });
+    assert.strictEqual(expiresAt, '2026-03-03T12:01:00.000Z');
+
+    const reordered = { card_number: '4111111111111111', amount: 900, orderId: 'o-1' };
+    const valid = tokens.check(token, { agentId: 'worker', action: 'refund_requests', context: reordered });
+    assert.deepStrictEqual([valid.valid, valid.claims.escalationId, valid.claims.approvedBy], [true, escalation.id, 'manager']);
+
+    const reasons = [
+      tokens.check(token, { agentId: 'other-worker', action: 'refund_requests', context }),
+      tokens.check(token, { agentId: 'worker', action: 'delete:records', context }),
+      tokens.check(token, { agentId: 'worker', action: 'refund_requests', context: { ...context, amount: 9000 } }),
+      tokens.check(`${token.split('.')[0]}.${Buffer.from('forged').toString('base64url')}`, { agentId: 'worker', action: 'refund_requests', context }),
+      tokens.check('not-a-token', { agentId: 'worker', action: 'refund_requests', context })
+    ].map(check => check.reason);
+    assert.deepStrictEqual(reasons, [
+      'Issued for agent worker',
+      'Issued for action refund_requests',
+      'Context does not match the approved context',
+      'Signature does not match the token',
+      'Malformed approval token'
+    ]);
+
+    clock.advance(60000);
+    assert.strictEqual(tokens.check(token, { agentId: 'worker', action: 'refund_requests', context }).reason, 'Expired at 2026-03-03T12:01:00.000Z');
+
+    const logged = auditLogger.query({ type: 'approval_token' });
+    assert.deepStrictEqual(logged.map(entry => entry.status), ['issued', 'rejected', 'rejected', 'rejected', 'rejected', 'rejected', 'rejected']);
+    assert.ok(logged.every(entry => entry.token === undefined));
+  }],
+
+  ['accepts tokens only from trusted keys, including reviewers\' own', () => {
+    const auditLogger = createLogger('approval-tokens');
+    const tokens = new ApprovalTokens(auditLogger, { trustedKeys: { 'reviewer-ana': reviewer.publicKey } });
+    const context = { orderId: 'o-2' };
+    const escalation = approvedEscalation(auditLogger, tokens, context);
+
+    assert.strictEqual(tokens.canSign(), false);
+    assert.throws(() => tokens.issue(escalation, {}), /No approval token signing key configured/);
+    assert.throws(() => tokens.issue(escalation, { signingKey: { keyId: 'mallory', privateKey: intruder.privateKey } }), /'mallory' is not trusted/);
+    assert.throws(() => tokens.issue(escalation, { signingKey: { keyId: 'reviewer-ana', privateKey: intruder.privateKey } }), /does not match trusted approval key 'reviewer-ana'/);
+
+    const { token } = tokens.issue(escalation, { approvedBy: 'ana', signingKey: { keyId: 'reviewer-ana', privateKey: reviewer.privateKey } });
+    assert.strictEqual(tokens.check(token, { agentId: 'worker', action: 'refund_requests', context }).valid, true);
+
+    // Signed by a key this verifier doesn't trust
+    const elsewhere = new ApprovalTokens(auditLogger, { signingKey: { keyId: 'mallory', privateKey: intruder.privateKey } });
+    const untrusted = elsewhere.issue(escalation, { approvedBy: 'mallory' });
+    assert.strictEqual(tokens.check(untrusted.token, { agentId: 'worker', action: 'refund_requests', context }).reason, "Signed with untrusted key 'mallory'");
+  }],
+
+  ['spends a token once across processes sharing the audit log', () => {
+    const auditLogger = createLogger('approval-tokens');
+    const signingKey = { keyId: 'system', privateKey: system.privateKey };
+    const tokens = new ApprovalTokens(auditLogger, { signingKey });
+    const context = { orderId: 'o-3' };
+    const { token } = tokens.issue(approvedEscalation(auditLogger, tokens, context), { approvedBy: 'manager' });
+
+    // Started before the token was spent: picks up only the appended entries
+    const running = new ApprovalTokens(new AuditLogger(auditLogger.logPath, { quiet: true }), { signingKey });
+    running.auditLogger.query = () => { throw new Error('re-read the whole log'); };
+
+    const first = tokens.check(token, { agentId: 'worker', action: 'refund_requests', context });
+    tokens.consume(first.claims);
+    assert.strictEqual(running.check(token, { agentId: 'worker', action: 'refund_requests', context }).reason, 'Already used');
+    assert.strictEqual(tokens.check(token, { agentId: 'worker', action: 'refund_requests', context }).reason, 'Already used');
+
+    const otherProcess = new ApprovalTokens(new AuditLogger(auditLogger.logPath, { quiet: true }), { signingKey });
+    assert.strictEqual(otherProcess.check(token, { agentId: 'worker', action: 'refund_requests', context }).reason, 'Already used');
+  }]
+]);
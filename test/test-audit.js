@@ -0,0 +1,191 @@
+/**
+ * Audit Logger Tests - OpenClaw Production Toolkit
+ *
+ * Exercises the hash chain, queries and redaction of sensitive data.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const AuditLogger = require('../src/audit-logger');
+const { createTestDir, runSuite } = require('./helpers');
+
+const testDir = createTestDir('audit');
+
+let fixtureCount = 0;
+
+/**
+ * Build an audit logger over a fresh log directory
+ */
+function createLogger(options = {}) {
+  return new AuditLogger(path.join(testDir, `case-${++fixtureCount}`), options);
+}
+
+runSuite('Audit Logger Tests', [
+  ['writes a verifiable hash chain', () => {
+    const logger = createLogger();
+    logger.logDecision('agent-a', 'read:ticket', {}, { allowed: true, reason: 'ok' }, 1);
+    logger.logAction('agent-a', 'read:ticket', {}, { success: true });
+
+    const verification = logger.verifyChain();
+    assert.strictEqual(verification.valid, true);
+    assert.strictEqual(verification.entries, 2);
+  }],
+
+  ['hashes whole entries, so editing any field breaks the chain', () => {
+    const logger = createLogger();
+    logger.logAction('agent-a', 'refund_requests', { amount: 90 }, { success: true, output: 'refunded' });
+    logger.logEscalation('agent-a', 'refund_requests', { amount: 900 }, 'Over limit', 'finance');
+    logger.logEscalationResolution('esc_1', 'manager', 'denied', 'No receipt');
+
+    const file = logger.currentLogFile;
+    const original = fs.readFileSync(file, 'utf8');
+    assert.ok(logger.query({}).every(entry => entry.hashVersion === 2));
+
+    const edits = [
+      ['"amount":90', '"amount":9000'],
+      ['"output":"refunded"', '"output":"nothing"'],
+      ['"escalationReason":"Over limit"', '"escalationReason":"Routine"'],
+      ['"decision":"denied"', '"decision":"approved"'],
+      ['"notes":"No receipt"', '"notes":"Fine"']
+    ];
+
+    for (const [from, to] of edits) {
+      fs.writeFileSync(file, original.replace(from, to));
+      assert.match(logger.verifyChain().error, /Entry hash mismatch at line \d/, from);
+    }
+  }],
+
+  ['verifies legacy entries and reports their weaker hash coverage', () => {
+    const legacy = createLogger({ quiet: true });
+    let previousHash = null;
+    const lines = [
+      { type: 'policy_decision', timestamp: '2026-01-05T10:00:00.000Z', agentId: 'agent-a', action: 'read:ticket', context: { id: 1 }, decision: { allowed: true } },
+      { type: 'agent_action', timestamp: '2026-01-05T10:00:01.000Z', agentId: 'agent-a', action: 'read:ticket', details: { id: 1 }, result: { success: true } }
+    ].map((entry) => {
+      const chained = { ...entry, previousHash };
+      chained.hash = legacy.hashEntry(chained);
+      previousHash = chained.hash;
+      return JSON.stringify(chained);
+    });
+    fs.writeFileSync(legacy.currentLogFile, lines.join('\n') + '\n');
+
+    // New entries chain onto the legacy ones in the full-entry format
+    const logger = new AuditLogger(legacy.logPath, { quiet: true });
+    logger.logDecision('agent-a', 'read:ticket', { id: 2 }, { allowed: true, reason: 'ok' }, 1);
+
+    const verification = logger.verifyChain();
+    assert.deepStrictEqual([verification.valid, verification.hashVersions, verification.legacyEntries], [true, { 1: 2, 2: 1 }, 2]);
+
+    // Legacy hashes never covered the context, which is what the report flags
+    const file = logger.currentLogFile;
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"context":{"id":1}', '"context":{"id":99}'));
+    assert.strictEqual(logger.verifyChain().valid, true);
+
+    const report = logger.hashCoverageReport();
+    assert.deepStrictEqual(report.summary, { files: 1, entries: 3, legacyEntries: 2, brokenFiles: 0 });
+    assert.deepStrictEqual(report.legacyEntries.map(entry => [entry.line, entry.type, entry.uncoveredFields]), [
+      [1, 'policy_decision', ['context']],
+      [2, 'agent_action', ['details', 'result']]
+    ]);
+
+    const cli = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'audit-verify.js'), logger.logPath, ...args], { encoding: 'utf8' });
+    const run = cli();
+    assert.strictEqual(run.status, 0);
+    assert.match(run.stdout, /:1 policy_decision entry has a legacy hash; not covered: context/);
+    assert.strictEqual(cli('--strict').status, 1);
+
+    // A legacy-format entry after full-entry ones is a downgrade
+    const last = JSON.parse(fs.readFileSync(file, 'utf8').trim().split('\n').pop());
+    const downgraded = { type: 'policy_decision', timestamp: new Date().toISOString(), agentId: 'agent-a', action: 'delete:*', previousHash: last.hash };
+    downgraded.hash = logger.hashEntry(downgraded);
+    fs.appendFileSync(file, JSON.stringify(downgraded) + '\n');
+    assert.strictEqual(logger.verifyChain().error, 'Legacy hash format after full-entry hashes at line 4');
+    assert.strictEqual(cli().status, 1);
+  }],
+
+  ['redacts nested policy fields across naming styles', () => {
+    const logger = createLogger();
+    logger.setRedactionPolicy('agent-a', { sensitive_fields: ['credit_card', 'ssn'] });
+
+    const sanitized = logger.sanitizeContext({
+      customer: { ssn: '123-45-6789', name: 'Ada', CreditCard: '4111 1111 1111 1111' },
+      payments: [{ credit_card: '5500005555555559' }, { 'credit-card': 'x' }],
+      note: 'unchanged'
+    }, 'agent-a');
+
+    assert.strictEqual(sanitized.customer.ssn, '[REDACTED]');
+    assert.strictEqual(sanitized.customer.CreditCard, '[REDACTED]');
+    assert.strictEqual(sanitized.customer.name, 'Ada');
+    assert.strictEqual(sanitized.payments[0].credit_card, '[REDACTED]');
+    assert.strictEqual(sanitized.payments[1]['credit-card'], '[REDACTED]');
+    assert.strictEqual(sanitized.note, 'unchanged');
+  }],
+
+  ['keeps the built-in sensitive fields for agents without a policy', () => {
+    const logger = createLogger();
+    const sanitized = logger.sanitizeContext({ auth: { api_key: 'abc', password: 'hunter2' } });
+
+    assert.strictEqual(sanitized.auth.api_key, '[REDACTED]');
+    assert.strictEqual(sanitized.auth.password, '[REDACTED]');
+  }],
+
+  ['detects sensitive values by pattern', () => {
+    const logger = createLogger();
+    const sanitized = logger.sanitizeContext({
+      message: 'Card 4111-1111-1111-1111, SSN 123-45-6789, mail ada@example.com',
+      headers: ['Authorization: Bearer eyJhbGciOi.abc.def'],
+      orderNumber: '1234567890123'
+    });
+
+    assert.strictEqual(sanitized.message, 'Card [REDACTED], SSN [REDACTED], mail [REDACTED]');
+    assert.strictEqual(sanitized.headers[0], 'Authorization: [REDACTED]');
+    assert.strictEqual(sanitized.orderNumber, '1234567890123');
+  }],
+
+  ['supports last4 and keyed hash masking', () => {
+    const logger = createLogger({ redactionKey: 'test-key' });
+    logger.setRedactionPolicy('agent-a', {
+      masking: 'hash',
+      sensitive_fields: [{ field: 'credit_card', mode: 'last4' }, 'email']
+    });
+
+    const first = logger.sanitizeContext({ credit_card: '4111 1111 1111 1111', email: 'ada@example.com' }, 'agent-a');
+    const second = logger.sanitizeContext({ email: 'ada@example.com' }, 'agent-a');
+
+    assert.strictEqual(first.credit_card, '****1111');
+    assert.match(first.email, /^\[HASH:[0-9a-f]{16}\]$/);
+    assert.strictEqual(first.email, second.email);
+  }],
+
+  ['persists a generated hash key so hashes survive restarts', () => {
+    const logger = createLogger();
+    logger.setRedactionPolicy('agent-a', { masking: 'hash', sensitive_fields: ['email'] });
+    const before = logger.sanitizeContext({ email: 'ada@example.com' }, 'agent-a').email;
+
+    const restarted = new AuditLogger(logger.logPath);
+    restarted.setRedactionPolicy('agent-a', { masking: 'hash', sensitive_fields: ['email'] });
+
+    assert.ok(fs.existsSync(path.join(logger.logPath, '.redaction-key')));
+    assert.strictEqual(restarted.sanitizeContext({ email: 'ada@example.com' }, 'agent-a').email, before);
+  }],
+
+  ['redacts executor output in agent_action entries', () => {
+    const logger = createLogger();
+    logger.setRedactionPolicy('agent-a', { sensitive_fields: ['ssn'] });
+    logger.logAction('agent-a', 'read:customer_data', { customerId: 1 }, {
+      success: true,
+      output: { customer: { ssn: '123-45-6789', tier: 'gold' } }
+    });
+
+    const [entry] = logger.query({ type: 'agent_action' });
+    assert.strictEqual(entry.result.output.customer.ssn, '[REDACTED]');
+    assert.strictEqual(entry.result.output.customer.tier, 'gold');
+  }],
+
+  ['rejects unknown masking modes', () => {
+    const logger = createLogger();
+    assert.throws(() => logger.setRedactionPolicy('agent-a', { masking: 'scramble' }), /audit.masking/);
+  }]
+]);
@@ -0,0 +1,111 @@
+/**
+ * Escalation Registry Tests - OpenClaw Production Toolkit
+ *
+ * Opens, queries and resolves escalations against a real audit log.
+ */
+
+const assert = require('assert');
+const EscalationRegistry = require('../src/escalation-registry');
+const { createLogger, runSuite } = require('./helpers');
+
+runSuite('Escalation Registry Tests', [
+  ['assigns unique ids and moves escalations through their states once', () => {
+    const auditLogger = createLogger('escalation-registry');
+    auditLogger.setRedactionPolicy('support-agent', { sensitive_fields: ['card_number'] });
+    const registry = new EscalationRegistry(auditLogger);
+
+    const refunds = [];
+    for (let i = 0; i < 20; i++) {
+      refunds.push(registry.create('support-agent', 'refund_requests', { amount: 600 + i, card_number: '4111111111111111' }, {
+        reason: 'Refund over limit', rule: 'refund_requests when amount > 500', assignedTo: 'finance'
+      }));
+    }
+    registry.create('billing-agent', 'delete:invoice', {}, { reason: 'Deletes need review', rule: 'delete:*', assignedTo: 'ops' });
+
+    assert.strictEqual(new Set(refunds.map(e => e.id)).size, 20);
+    assert.strictEqual(registry.list().length, 21);
+    assert.strictEqual(registry.list({ agentId: 'support-agent' }).length, 20);
+    assert.strictEqual(registry.list({ rule: 'delete:*' })[0].agentId, 'billing-agent');
+    assert.strictEqual(registry.list({ assignedTo: 'ops', agentId: 'support-agent' }).length, 0);
+
+    const fetched = registry.get(refunds[0].id);
+    assert.strictEqual(fetched.context.amount, 600);
+    assert.strictEqual(fetched.context.card_number, '[REDACTED]');
+    assert.strictEqual(fetched.status, 'pending');
+
+    registry.resolve(refunds[0].id, 'approved', 'manager', 'Legit refund');
+    registry.resolve(refunds[1].id, 'denied', 'manager', 'Duplicate');
+    registry.cancel(refunds[2].id, 'support-agent', 'Customer withdrew');
+    registry.expire(refunds[3].id, 'No decision within 24h');
+
+    assert.deepStrictEqual(refunds.slice(0, 4).map(e => registry.get(e.id).status), ['approved', 'denied', 'cancelled', 'expired']);
+    assert.strictEqual(registry.list().length, 17);
+    assert.strictEqual(registry.list({ status: 'approved' })[0].resolution.resolvedBy, 'manager');
+
+    assert.throws(() => registry.resolve(refunds[0].id, 'denied', 'someone-else'), /already approved by manager/);
+    assert.throws(() => registry.cancel(refunds[3].id, 'support-agent'), /already expired/);
+    assert.throws(() => registry.resolve('esc_does-not-exist', 'approved', 'manager'), /Unknown escalation: esc_does-not-exist/);
+    assert.throws(() => registry.resolve(refunds[4].id, 'maybe', 'manager'), /must be one of: approved, modified, denied/);
+    assert.throws(() => registry.list({ status: 'open' }), /Unknown escalation status 'open'/);
+
+    // Rejected resolutions are never logged
+    assert.strictEqual(auditLogger.query({ type: 'escalation_resolution' }).length, 4);
+    assert.strictEqual(auditLogger.verifyChain().valid, true);
+  }],
+
+  ['rebuilds state from the audit log, including escalations from before ids', () => {
+    const auditLogger = createLogger('escalation-registry');
+    const first = new EscalationRegistry(auditLogger);
+    const approved = first.create('support-agent', 'refund_requests', { amount: 700 }, { reason: 'Over limit', assignedTo: 'finance' });
+    const pending = first.create('support-agent', 'refund_requests', { amount: 800 }, { reason: 'Over limit', assignedTo: 'finance' });
+    first.resolve(approved.id, 'approved', 'manager', 'ok');
+
+    // Written the way logEscalation used to, keyed by timestamp
+    auditLogger.writeEntry({
+      type: 'escalation', timestamp: new Date(1767225600000).toISOString(), timestampUnix: 1767225600000,
+      agentId: 'support-agent', action: 'refund_requests', context: {}, escalationReason: 'legacy', assignedTo: 'human-review', status: 'pending'
+    });
+    auditLogger.logEscalationResolution(1767225600000, 'manager', 'modified', 'Approved at a lower amount');
+    const rejected = first.create('support-agent', 'refund_requests', { amount: 900 }, { reason: 'Over limit' });
+    auditLogger.logEscalationResolution(rejected.id, 'manager', 'rejected', 'Older decision name');
+
+    const second = new EscalationRegistry(auditLogger);
+    assert.strictEqual(second.get(approved.id).status, 'approved');
+    assert.deepStrictEqual(second.get(pending.id).context, { amount: 800 });
+    assert.strictEqual(second.get('1767225600000').status, 'approved');
+    assert.deepStrictEqual([second.get(rejected.id).status, second.get(rejected.id).resolution.decision], ['denied', 'rejected']);
+    assert.deepStrictEqual(second.list().map(e => e.id), [pending.id]);
+
+    // Resolving through one registry is seen by the other
+    second.resolve(pending.id, 'denied', 'manager');
+    assert.throws(() => first.resolve(pending.id, 'approved', 'other-manager'), /already denied by manager/);
+
+    const third = first.create('support-agent', 'refund_requests', {}, { reason: 'Over limit' });
+    assert.strictEqual(second.get(third.id).status, 'pending');
+  }],
+
+  ['reads only what was appended after startup, across log rotations', () => {
+    const auditLogger = createLogger('escalation-registry');
+    const first = new EscalationRegistry(auditLogger);
+    const opened = first.create('support-agent', 'refund_requests', { amount: 700 }, { reason: 'Over limit' });
+
+    const second = new EscalationRegistry(auditLogger);
+    auditLogger.query = () => { throw new Error('re-read the whole log'); };
+
+    auditLogger.rotateLogFile();
+    const later = first.create('support-agent', 'refund_requests', { amount: 800 }, { reason: 'Over limit' });
+    first.recordReminder(later.id, 1000);
+    first.resolve(opened.id, 'approved', 'manager', 'ok');
+
+    assert.deepStrictEqual(second.list().map(e => e.id), [later.id]);
+    assert.deepStrictEqual(second.get(later.id).reminders, [1000]);
+    assert.strictEqual(second.get(opened.id).resolution.resolvedBy, 'manager');
+
+    // A resolution read before its escalation waits for it
+    const orphan = new EscalationRegistry(auditLogger);
+    const id = EscalationRegistry.newId();
+    orphan.apply({ type: 'escalation_resolution', escalationId: id, decision: 'denied', resolvedBy: 'manager' });
+    orphan.apply({ type: 'escalation', escalationId: id, timestampUnix: Date.now(), agentId: 'support-agent', action: 'x' });
+    assert.strictEqual(orphan.get(id).status, 'denied');
+  }]
+]);
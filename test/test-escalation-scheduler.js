@@ -0,0 +1,130 @@
+/**
+ * Escalation Scheduler Tests - OpenClaw Production Toolkit
+ *
+ * Compiles escalation SLAs and drives reminders and timeouts with a
+ * controllable clock against a real audit log.
+ */
+
+const assert = require('assert');
+const EscalationScheduler = require('../src/escalation-scheduler');
+const EscalationRegistry = require('../src/escalation-registry');
+const { createLogger, createClock, runSuite } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+function openEscalation(registry, sla) {
+  return registry.create('support-agent', 'refund_requests', { amount: 900 }, {
+    reason: 'Refund over limit', rule: 'refund_requests', assignedTo: 'finance', sla
+  });
+}
+
+runSuite('Escalation Scheduler Tests', [
+  ['compiles SLA blocks and rejects invalid ones', () => {
+    const slas = EscalationScheduler.compile({
+      refund_requests: { timeout: '4h', on_timeout: 'deny', remind_at: ['3h', '1h'] },
+      'budget:daily_refunds': { timeout: '30m' },
+      default: { remind_at: ['1d'] }
+    });
+
+    assert.deepStrictEqual(slas.get('refund_requests'), { timeoutMs: 4 * HOUR, onTimeout: 'deny', remindAtMs: [HOUR, 3 * HOUR] });
+    assert.strictEqual(slas.get('budget:daily_refunds').onTimeout, 'expire');
+    assert.deepStrictEqual(slas.get('default'), { timeoutMs: null, onTimeout: null, remindAtMs: [24 * HOUR] });
+    assert.strictEqual(EscalationScheduler.compile(undefined).size, 0);
+
+    const invalid = [
+      [['4h'], /must be a mapping of escalate rule actions/],
+      [{ refunds: '4h' }, /SLA for 'refunds' must be a mapping/],
+      [{ refunds: { timeout: '4h', onTimeout: 'deny' } }, /unknown key 'onTimeout'/],
+      [{ refunds: { timeout: 'soon' } }, /timeout is not a valid duration/],
+      [{ refunds: { timeout: '4h', on_timeout: 'escalate' } }, /on_timeout must be one of: deny, approve, expire/],
+      [{ refunds: { on_timeout: 'deny' } }, /on_timeout needs a timeout/],
+      [{ refunds: { timeout: '4h', remind_at: '1h' } }, /remind_at must be a list/],
+      [{ refunds: { timeout: '4h', remind_at: ['1h', '4h'] } }, /reminders must come before the timeout/]
+    ];
+
+    for (const [block, message] of invalid) {
+      assert.throws(() => EscalationScheduler.compile(block), message);
+    }
+  }],
+
+  ['sends each reminder once and resolves overdue escalations per their SLA', async () => {
+    const auditLogger = createLogger('escalation-scheduler');
+    const registry = new EscalationRegistry(auditLogger);
+    const clock = createClock(Date.now());
+    const scheduler = new EscalationScheduler(registry, { agentId: 'support-agent', clock });
+
+    const reminders = [];
+    const timeouts = [];
+    scheduler.on('reminder', event => reminders.push(event));
+    scheduler.on('timeout', event => timeouts.push(event));
+
+    const denied = openEscalation(registry, EscalationScheduler.compile({ r: { timeout: '4h', on_timeout: 'deny', remind_at: ['1h', '3h'] } }).get('r'));
+    const expiring = openEscalation(registry, EscalationScheduler.compile({ r: { timeout: '2h' } }).get('r'));
+    const decided = openEscalation(registry, EscalationScheduler.compile({ r: { timeout: '2h', on_timeout: 'approve' } }).get('r'));
+    const noSla = openEscalation(registry, undefined);
+
+    assert.strictEqual(denied.deadline, new Date(denied.createdAtUnix + 4 * HOUR).toISOString());
+    assert.strictEqual(noSla.deadline, null);
+
+    assert.deepStrictEqual(await scheduler.tick(), { reminders: 0, timeouts: 0 });
+
+    clock.advance(HOUR + 1000);
+    assert.deepStrictEqual(await scheduler.tick(), { reminders: 1, timeouts: 0 });
+    assert.deepStrictEqual(await scheduler.tick(), { reminders: 0, timeouts: 0 });
+    assert.strictEqual(reminders[0].escalation.id, denied.id);
+    assert.strictEqual(reminders[0].remindAtMs, HOUR);
+
+    registry.resolve(decided.id, 'approved', 'manager', 'Looks fine');
+
+    clock.advance(2 * HOUR);
+    assert.deepStrictEqual(await scheduler.tick(), { reminders: 1, timeouts: 1 });
+    assert.strictEqual(registry.get(expiring.id).status, 'expired');
+    assert.strictEqual(registry.get(expiring.id).resolution.resolvedBy, EscalationScheduler.SLA_RESOLVER);
+    assert.match(registry.get(expiring.id).resolution.notes, /No decision within the 2h SLA \(on_timeout: expire\)/);
+    assert.strictEqual(registry.get(decided.id).resolution.resolvedBy, 'manager');
+
+    clock.advance(HOUR);
+    assert.deepStrictEqual(await scheduler.tick(), { reminders: 0, timeouts: 1 });
+    assert.strictEqual(registry.get(denied.id).status, 'denied');
+    assert.deepStrictEqual(timeouts.map(event => event.decision), ['expired', 'denied']);
+    assert.strictEqual(registry.get(noSla.id).status, 'pending');
+
+    // Reminders already sent survive a restart
+    const rebuilt = new EscalationRegistry(auditLogger);
+    assert.deepStrictEqual(rebuilt.get(denied.id).reminders, [HOUR, 3 * HOUR]);
+    assert.strictEqual(auditLogger.query({ type: 'escalation_reminder' }).length, 2);
+    assert.strictEqual(auditLogger.verifyChain().valid, true);
+  }],
+
+  ['reports time to resolution and SLA breaches', () => {
+    const auditLogger = createLogger('escalation-scheduler');
+    const registry = new EscalationRegistry(auditLogger);
+    const sla = { timeoutMs: HOUR, onTimeout: 'expire', remindAtMs: [] };
+
+    const onTime = openEscalation(registry, sla);
+    const timedOut = openEscalation(registry, sla);
+    const overdue = openEscalation(registry, { timeoutMs: 1, onTimeout: 'expire', remindAtMs: [] });
+    openEscalation(registry, sla);
+    registry.resolve(onTime.id, 'approved', 'manager');
+    registry.expire(timedOut.id, 'No decision', EscalationScheduler.SLA_RESOLVER);
+
+    // Decided after its deadline (written as if an hour had passed)
+    const late = openEscalation(registry, { timeoutMs: 1, onTimeout: 'expire', remindAtMs: [] });
+    auditLogger.writeEntry({
+      type: 'escalation_resolution', timestamp: new Date(late.createdAtUnix + HOUR).toISOString(),
+      timestampUnix: late.createdAtUnix + HOUR, escalationId: late.id, resolvedBy: 'manager', decision: 'denied'
+    });
+
+    const start = new Date(Date.now() - HOUR);
+    const { escalationStats, escalations } = auditLogger.generateComplianceReport(start, new Date(Date.now() + HOUR));
+
+    assert.strictEqual(escalationStats.total, 5);
+    assert.strictEqual(escalationStats.withSla, 5);
+    assert.deepStrictEqual(escalationStats.byStatus, { pending: 2, approved: 1, modified: 0, denied: 1, expired: 1, cancelled: 0 });
+    assert.deepStrictEqual(escalationStats.slaBreaches, { total: 3, timed_out: 1, resolved_late: 1, pending_overdue: 1 });
+    assert.strictEqual(escalationStats.timeToResolutionMs.count, 3);
+    assert.strictEqual(escalationStats.timeToResolutionMs.max, HOUR);
+    assert.strictEqual(escalations.find(e => e.escalationId === overdue.id).slaBreach, 'pending_overdue');
+    assert.strictEqual(escalations.find(e => e.escalationId === onTime.id).slaBreach, null);
+  }]
+]);
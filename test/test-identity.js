@@ -0,0 +1,111 @@
+/**
+ * Identity System Tests - OpenClaw Production Toolkit
+ *
+ * Exercises identity lifecycle, trust scoring and the policy trust gate.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const IdentitySystem = require('../src/identity-system');
+const AuditLogger = require('../src/audit-logger');
+const { createTestDir, runSuite } = require('./helpers');
+
+const testDir = createTestDir('identity');
+
+let fixtureCount = 0;
+
+/**
+ * Build an identity system over a fresh identity store
+ */
+function createIdentitySystem() {
+  const dir = path.join(testDir, `case-${++fixtureCount}`);
+  const auditLogger = new AuditLogger(path.join(dir, 'audit'));
+  const identitySystem = new IdentitySystem(path.join(dir, 'identities'), auditLogger);
+  return { identitySystem, auditLogger, dir };
+}
+
+runSuite('Identity System Tests', [
+  ['creates and verifies an identity', () => {
+    const { identitySystem } = createIdentitySystem();
+    identitySystem.createIdentity('agent-a', { owner: 'team@example.com' });
+
+    const result = identitySystem.verifyIdentity('agent-a');
+    assert.strictEqual(result.verified, true);
+    assert.strictEqual(identitySystem.getIdentity('agent-a').trustState, 'trusted');
+  }],
+
+  ['blocks below minimum_score and holds until recovery_threshold', () => {
+    const { identitySystem, auditLogger } = createIdentitySystem();
+    identitySystem.createIdentity('agent-a');
+    identitySystem.setTrustPolicy('agent-a', { minimum_score: 70, recovery_threshold: 80 });
+
+    identitySystem.decrementTrustScore('agent-a', 35, 'test');
+    assert.strictEqual(identitySystem.getTrustState('agent-a'), 'blocked');
+
+    const blocked = identitySystem.verifyIdentity('agent-a');
+    assert.strictEqual(blocked.verified, false);
+    assert.strictEqual(blocked.trustState, 'blocked');
+
+    identitySystem.incrementTrustScore('agent-a', 10, 'test');
+    assert.strictEqual(identitySystem.getTrustScore('agent-a'), 75);
+    assert.strictEqual(identitySystem.getTrustState('agent-a'), 'recovering');
+    assert.strictEqual(identitySystem.verifyIdentity('agent-a').verified, false);
+
+    identitySystem.incrementTrustScore('agent-a', 5, 'test');
+    assert.strictEqual(identitySystem.getTrustState('agent-a'), 'trusted');
+    assert.strictEqual(identitySystem.verifyIdentity('agent-a').verified, true);
+
+    const transitions = auditLogger.query({ type: 'identity_verification' })
+      .map(e => e.verificationType)
+      .filter(t => t.startsWith('trust_'));
+    assert.ok(transitions.includes('trust_blocked'));
+    assert.ok(transitions.includes('trust_restored'));
+  }],
+
+  ['persists the blocked state across restarts', () => {
+    const { identitySystem, dir } = createIdentitySystem();
+    identitySystem.createIdentity('agent-a');
+    identitySystem.setTrustPolicy('agent-a', { minimum_score: 70, recovery_threshold: 90 });
+    identitySystem.decrementTrustScore('agent-a', 35, 'test');
+    identitySystem.incrementTrustScore('agent-a', 10, 'test');
+
+    const reloaded = new IdentitySystem(path.join(dir, 'identities'), identitySystem.auditLogger);
+    reloaded.setTrustPolicy('agent-a', { minimum_score: 70, recovery_threshold: 90 });
+
+    assert.strictEqual(reloaded.getIdentity('agent-a').trustState, 'recovering');
+  }],
+
+  ['defaults to the legacy threshold of 50 without a policy', () => {
+    const { identitySystem } = createIdentitySystem();
+    identitySystem.createIdentity('agent-a');
+
+    identitySystem.decrementTrustScore('agent-a', 50, 'test');
+    assert.strictEqual(identitySystem.verifyIdentity('agent-a').verified, true);
+
+    identitySystem.decrementTrustScore('agent-a', 1, 'test');
+    assert.strictEqual(identitySystem.verifyIdentity('agent-a').verified, false);
+  }],
+
+  ['recovers at minimum_score when no recovery_threshold is set', () => {
+    const { identitySystem } = createIdentitySystem();
+    identitySystem.createIdentity('agent-a');
+    identitySystem.setTrustPolicy('agent-a', { minimum_score: 30 });
+
+    assert.deepStrictEqual(identitySystem.getTrustPolicy('agent-a'), { minimumScore: 30, recoveryThreshold: 30 });
+
+    identitySystem.decrementTrustScore('agent-a', 75, 'test');
+    assert.strictEqual(identitySystem.getTrustState('agent-a'), 'blocked');
+    identitySystem.incrementTrustScore('agent-a', 5, 'test');
+    assert.strictEqual(identitySystem.getTrustState('agent-a'), 'trusted');
+  }],
+
+  ['rejects a recovery_threshold below minimum_score', () => {
+    const { identitySystem } = createIdentitySystem();
+    identitySystem.createIdentity('agent-a');
+
+    assert.throws(
+      () => identitySystem.setTrustPolicy('agent-a', { minimum_score: 80, recovery_threshold: 70 }),
+      /recovery_threshold/
+    );
+  }]
+]);
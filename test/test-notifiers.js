@@ -0,0 +1,206 @@
+/**
+ * Notifier Tests - OpenClaw Production Toolkit
+ *
+ * Delivers escalation events through the built-in notifiers against local
+ * HTTP and SMTP servers, and checks deliveries are audit-logged.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const WebhookNotifier = require('../src/webhook-notifier');
+const SmtpNotifier = require('../src/smtp-notifier');
+const FileNotifier = require('../src/file-notifier');
+const NotificationDispatcher = require('../src/notification-dispatcher');
+const AuditLogger = require('../src/audit-logger');
+const { createTestDir, runSuite } = require('./helpers');
+
+const testDir = createTestDir('notifiers');
+
+const event = NotificationDispatcher.event('escalation', {
+  id: 'esc_1', agentId: 'support-agent', action: 'refund_requests', context: { amount: 900, card_number: '[REDACTED]' },
+  reason: 'Refund over limit', rule: 'refund_requests', assignedTo: 'finance', status: 'pending', deadline: null, createdAt: '2026-03-03T12:00:00.000Z'
+});
+
+/**
+ * Local HTTP server answering with the given statuses in turn
+ */
+async function startWebhookServer(statuses) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      requests.push({ headers: request.headers, body });
+      response.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/hooks/escalations` };
+}
+
+/**
+ * Minimal SMTP server that records the commands and message it receives
+ */
+async function startSmtpServer(options = {}) {
+  const session = { commands: [], message: '' };
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let buffer = '';
+    if (options.hangUp) {
+      socket.end('220 test ESMTP\r\n');
+      return;
+    }
+
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            if (line.includes('\n')) session.bareLineFeeds = true;
+            session.message += `${line}\n`;
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write(options.rejectAuth ? '535 5.7.8 bad credentials\r\n' : '235 ok\r\n');
+        else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, session, port: server.address().port };
+}
+
+runSuite('Notifier Tests', [
+  ['signs webhook payloads and retries transient failures', async () => {
+    const { server, requests, url } = await startWebhookServer([503, 500, 200]);
+
+    try {
+      const notifier = new WebhookNotifier({ url, secret: 'shared-secret', retryDelayMs: 5 });
+      const { attempts } = await notifier.notify(event);
+
+      assert.deepStrictEqual(attempts.map(attempt => attempt.status), [503, 500, 200]);
+      const { headers, body } = requests[2];
+      assert.deepStrictEqual(JSON.parse(body), event);
+      assert.strictEqual(headers['x-openclaw-signature'], WebhookNotifier.sign('shared-secret', headers['x-openclaw-timestamp'], body));
+    } finally {
+      server.close();
+    }
+  }],
+
+  ['gives up on client errors and after the last retry', async () => {
+    const rejected = await startWebhookServer([400]);
+    const down = await startWebhookServer([502]);
+
+    try {
+      const badRequest = await new WebhookNotifier({ url: rejected.url, retryDelayMs: 5 }).notify(event).catch(error => error);
+      assert.match(badRequest.message, /failed after 1 attempt\(s\): HTTP 400/);
+      assert.strictEqual(rejected.requests.length, 1);
+
+      const unavailable = await new WebhookNotifier({ url: down.url, maxRetries: 2, retryDelayMs: 5 }).notify(event).catch(error => error);
+      assert.strictEqual(unavailable.attempts.length, 3);
+      assert.strictEqual(rejected.requests[0].headers['x-openclaw-signature'], undefined);
+    } finally {
+      rejected.server.close();
+      down.server.close();
+    }
+
+    const refused = await new WebhookNotifier({ url: down.url, maxRetries: 0 }).notify(event).catch(error => error);
+    assert.deepStrictEqual([refused.attempts.length, typeof refused.attempts[0].error], [1, 'string']);
+  }],
+
+  ['emails events over SMTP', async () => {
+    const { server, session, port } = await startSmtpServer();
+
+    try {
+      const notifier = new SmtpNotifier({
+        host: '127.0.0.1', port, from: 'openclaw@example.com', to: ['finance@example.com', 'ops@example.com'],
+        auth: { user: 'openclaw', pass: 'secret' }
+      });
+      const { attempts } = await notifier.notify(event);
+
+      assert.strictEqual(attempts[0].status, 250);
+      assert.deepStrictEqual(session.commands.filter(command => /^(MAIL|RCPT)/.test(command)),
+        ['MAIL FROM:<openclaw@example.com>', 'RCPT TO:<finance@example.com>', 'RCPT TO:<ops@example.com>']);
+      assert.strictEqual(session.commands.find(command => command.startsWith('AUTH')), `AUTH PLAIN ${Buffer.from('\0openclaw\0secret').toString('base64')}`);
+      assert.match(session.message, /Subject: \[OpenClaw\] Approval needed: refund_requests \(support-agent\)/);
+      assert.match(session.message, /"card_number": "\[REDACTED\]"/);
+
+      // Every line ends in CRLF, so a lone '.' can't end the message early
+      const { reason, ...unexplained } = event.escalation;
+      await notifier.notify({ ...event, escalation: unexplained });
+      await notifier.notify({ ...event, escalation: { ...event.escalation, reason: 'Refund\n.\nQUIT' } });
+      assert.strictEqual(session.bareLineFeeds, undefined);
+      assert.match(session.message, /^Reason: Refund\n\.\.\nQUIT$/m);
+      assert.strictEqual(session.message.match(/^Reason:/gm).length, 2);
+    } finally {
+      server.close();
+    }
+
+    const hangingUp = await startSmtpServer({ hangUp: true });
+    try {
+      const notifier = new SmtpNotifier({ host: '127.0.0.1', port: hangingUp.port, from: 'a@example.com', to: 'b@example.com', timeoutMs: 10000 });
+      await assert.rejects(notifier.notify(event), /SMTP connection closed|EPIPE|ECONNRESET/);
+    } finally {
+      hangingUp.server.close();
+    }
+
+    const refusing = await startSmtpServer({ rejectAuth: true });
+    try {
+      const notifier = new SmtpNotifier({ host: '127.0.0.1', port: refusing.port, from: 'a@example.com', to: 'b@example.com', auth: { user: 'x', pass: 'y' } });
+      await assert.rejects(notifier.notify(event), /SMTP error: 535 5.7.8 bad credentials/);
+    } finally {
+      refusing.server.close();
+    }
+  }],
+
+  ['audit-logs every delivery, including failures', async () => {
+    const auditLogger = new AuditLogger(path.join(testDir, 'audit'), { quiet: true });
+    const file = path.join(testDir, 'outbox', 'escalations.jsonl');
+    const dispatcher = new NotificationDispatcher(auditLogger, {
+      outbox: new FileNotifier({ file }),
+      broken: { notify: async () => { throw new Error('queue unavailable'); } }
+    });
+
+    assert.throws(() => dispatcher.register('bad', {}), /must have a notify\(event\) method/);
+
+    const outcomes = await dispatcher.dispatch(['outbox', 'broken', 'missing'], event);
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['delivered', 'failed', 'failed']);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).escalation.id, 'esc_1');
+
+    // Logged as each delivery finishes
+    const logged = auditLogger.query({ type: 'notification' }).sort((a, b) => a.notifier.localeCompare(b.notifier));
+    assert.deepStrictEqual(logged.map(entry => [entry.notifier, entry.status, entry.error]), [
+      ['broken', 'failed', 'queue unavailable'],
+      ['missing', 'failed', "Unknown notifier 'missing'"],
+      ['outbox', 'delivered', undefined]
+    ]);
+    assert.strictEqual(logged[2].escalationId, 'esc_1');
+    assert.strictEqual(logged[2].attempts[0].status, 'written');
+
+    // Still resolves (and stops tracking the delivery) when the log write fails
+    const unloggable = new NotificationDispatcher({ logNotification: () => { throw new Error('disk full'); } }, {
+      outbox: new FileNotifier({ file })
+    });
+    const [outcome] = await unloggable.dispatch(['outbox'], event);
+    assert.deepStrictEqual([outcome.status, outcome.logError], ['delivered', 'disk full']);
+    await unloggable.flush();
+    assert.strictEqual(unloggable.inFlight.size, 0);
+  }]
+]);
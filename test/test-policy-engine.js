@@ -0,0 +1,676 @@
+/**
+ * Policy Engine Tests - OpenClaw Production Toolkit
+ *
+ * Exercises PolicyEngine against fixture policies written per test.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const PolicyEngine = require('../src/policy-engine');
+const AuditLogger = require('../src/audit-logger');
+const { matchesPattern, patternCovers, patternSpecificity } = require('../src/action-pattern');
+const { createTestDir, writePolicy, createClock, runSuite } = require('./helpers');
+
+const testDir = createTestDir('policy-engine');
+
+let fixtureCount = 0;
+
+/**
+ * Build an engine over a fresh policy directory containing the given policies
+ */
+function createEngine(policies, options = {}) {
+  const dir = path.join(testDir, `case-${++fixtureCount}`);
+  const policyPath = path.join(dir, 'policies');
+  createTestDir(path.relative(path.join(__dirname, 'test-data'), policyPath));
+
+  for (const policy of policies) {
+    writePolicy(policyPath, `${policy.agent || policy.role}.yaml`, policy);
+  }
+
+  const auditLogger = new AuditLogger(path.join(dir, 'audit'));
+  const engine = new PolicyEngine(policyPath, auditLogger, options);
+  return { engine, auditLogger, policyPath };
+}
+
+const basePolicy = {
+  agent: 'support-agent',
+  permissions: {
+    allow: ['read:customer_data', 'update:ticket_status', 'create:review_comment'],
+    deny: ['delete:*'],
+    escalate: ['refund_requests']
+  }
+};
+
+runSuite('Policy Engine Tests', [
+  ['allows, denies and escalates by rule', () => {
+    const { engine } = createEngine([basePolicy]);
+
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:customer_data').allowed, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'delete:ticket').allowed, false);
+    assert.strictEqual(engine.checkPermission('support-agent', 'refund_requests').requiresEscalation, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:secrets').allowed, false);
+  }],
+
+  ['enforces actions_per_minute with a sliding window', () => {
+    const clock = createClock();
+    const { engine } = createEngine([{ ...basePolicy, rate_limits: { actions_per_minute: 3 } }], { clock });
+    const enforce = { enforceRateLimits: true };
+
+    for (let i = 0; i < 3; i++) {
+      clock.advance(10 * 1000);
+      assert.strictEqual(engine.checkPermission('support-agent', 'update:ticket_status', {}, enforce).allowed, true);
+    }
+
+    const limited = engine.checkPermission('support-agent', 'update:ticket_status', {}, enforce);
+    assert.strictEqual(limited.allowed, false);
+    assert.strictEqual(limited.rateLimited, true);
+    assert.strictEqual(limited.rateLimit, 'actions_per_minute');
+    assert.strictEqual(limited.retryAfterMs, 40 * 1000);
+
+    clock.advance(40 * 1000);
+    assert.strictEqual(engine.checkPermission('support-agent', 'update:ticket_status', {}, enforce).allowed, true);
+  }],
+
+  ['does not count plain permission checks or denials', () => {
+    const { engine } = createEngine([{ ...basePolicy, rate_limits: { actions_per_minute: 1 } }]);
+
+    engine.checkPermission('support-agent', 'read:customer_data');
+    engine.checkPermission('support-agent', 'delete:ticket', {}, { enforceRateLimits: true });
+
+    const result = engine.checkPermission('support-agent', 'read:customer_data', {}, { enforceRateLimits: true });
+    assert.strictEqual(result.allowed, true);
+  }],
+
+  ['limits escalations separately from actions', () => {
+    const { engine } = createEngine([{ ...basePolicy, rate_limits: { escalations_per_hour: 1 } }]);
+    const enforce = { enforceRateLimits: true };
+
+    assert.strictEqual(engine.checkPermission('support-agent', 'refund_requests', {}, enforce).requiresEscalation, true);
+
+    const limited = engine.checkPermission('support-agent', 'refund_requests', {}, enforce);
+    assert.strictEqual(limited.rateLimited, true);
+    assert.strictEqual(limited.requiresEscalation, false);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:customer_data', {}, enforce).allowed, true);
+  }],
+
+  ['applies noun, scoped and explicit per-action limits', () => {
+    const { engine } = createEngine([{
+      ...basePolicy,
+      rate_limits: {
+        comments_per_review: 2,
+        rules: [{ action: 'update:ticket_status', limit: 1, window: '5m' }]
+      }
+    }]);
+    const enforce = { enforceRateLimits: true };
+
+    assert.strictEqual(engine.checkPermission('support-agent', 'create:review_comment', { reviewId: 1 }, enforce).allowed, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'create:review_comment', { reviewId: 1 }, enforce).allowed, true);
+    const scoped = engine.checkPermission('support-agent', 'create:review_comment', { reviewId: 1 }, enforce);
+    assert.strictEqual(scoped.rateLimited, true);
+    assert.strictEqual(scoped.retryAfterMs, null);
+    assert.strictEqual(engine.checkPermission('support-agent', 'create:review_comment', { reviewId: 2 }, enforce).allowed, true);
+
+    // Calls without the scope field share one window rather than skipping the limit
+    engine.checkPermission('support-agent', 'create:review_comment', {}, enforce);
+    engine.checkPermission('support-agent', 'create:review_comment', {}, enforce);
+    assert.strictEqual(engine.checkPermission('support-agent', 'create:review_comment', {}, enforce).rateLimited, true);
+
+    assert.strictEqual(engine.checkPermission('support-agent', 'update:ticket_status', {}, enforce).allowed, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'update:ticket_status', {}, enforce).rateLimited, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:customer_data', {}, enforce).allowed, true);
+  }],
+
+  ['frees rate limit windows once they empty and counts unwindowed limits', () => {
+    const clock = createClock();
+    const { engine } = createEngine([{ ...basePolicy, rate_limits: { actions_per_minute: 100, comments_per_review: 2 } }], { clock });
+    const enforce = { enforceRateLimits: true };
+    const { windows, counts } = engine.rateLimiter;
+
+    for (let review = 1; review <= 3; review++) {
+      engine.checkPermission('support-agent', 'create:review_comment', { reviewId: review }, enforce);
+      engine.checkPermission('support-agent', 'create:review_comment', { reviewId: review }, enforce);
+    }
+    assert.deepStrictEqual(Array.from(windows.keys()), ['support-agent|actions_per_minute']);
+    assert.strictEqual(windows.get('support-agent|actions_per_minute').hits.length, 6);
+    assert.strictEqual(counts.get('support-agent|comments_per_review|1'), 2);
+
+    // An idle window is swept even if its key is never hit again
+    clock.advance(2 * 60 * 1000);
+    engine.checkPermission('support-agent', 'create:review_comment', { reviewId: 1 }, enforce);
+    assert.strictEqual(windows.size, 0);
+
+    // Scoped counts never expire
+    assert.strictEqual(engine.checkPermission('support-agent', 'create:review_comment', { reviewId: 1 }, enforce).rateLimited, true);
+    assert.strictEqual(counts.get('support-agent|comments_per_review|1'), 2);
+  }],
+
+  ['writes rate limited decisions to the audit log', () => {
+    const { engine, auditLogger } = createEngine([{ ...basePolicy, rate_limits: { actions_per_minute: 0 } }]);
+
+    engine.checkPermission('support-agent', 'read:customer_data', {}, { enforceRateLimits: true });
+
+    const [entry] = auditLogger.query({ type: 'policy_decision' });
+    assert.strictEqual(entry.decision.rateLimited, true);
+    assert.strictEqual(entry.decision.rateLimit, 'actions_per_minute');
+  }],
+
+  ['rejects unrecognized rate limits at load time', () => {
+    assert.throws(
+      () => createEngine([{ ...basePolicy, rate_limits: { actions_every_minute: 5 } }]),
+      /Unrecognized rate limit: actions_every_minute/
+    );
+  }],
+
+  ['tracks count and sum budgets per scope and reports what remains', () => {
+    const clock = createClock();
+    const { engine, auditLogger } = createEngine([{
+      ...basePolicy,
+      permissions: { ...basePolicy.permissions, allow: [...basePolicy.permissions.allow, 'refund_partial', 'create:ticket_response'] },
+      budgets: [
+        { name: 'daily_refunds', action: 'refund_*', sum: 'refund.amount', limit: 1000, window: 'day' },
+        { name: 'responses_per_customer', action: 'create:ticket_response', limit: 2, window: 'hour', scope: 'customer' }
+      ]
+    }], { clock });
+    const spend = (action, context) => {
+      const result = engine.checkPermission('support-agent', action, context, { reserveBudgets: true });
+      if (result.budgetReservation) engine.commitBudget(result.budgetReservation);
+      return result;
+    };
+
+    assert.deepStrictEqual(spend('refund_partial', { refund: { amount: 600 } }).budgets,
+      [{ name: 'daily_refunds', limit: 1000, used: 0, requested: 600, remaining: 1000, window: 'day' }]);
+
+    // Dry checks and released reservations spend nothing
+    assert.strictEqual(engine.checkPermission('support-agent', 'refund_partial', { refund: { amount: 400 } }).allowed, true);
+    const released = engine.checkPermission('support-agent', 'refund_partial', { refund: { amount: 400 } }, { reserveBudgets: true });
+    assert.strictEqual(engine.checkPermission('support-agent', 'refund_partial', { refund: { amount: 1 } }).allowed, false);
+    engine.releaseBudget(released.budgetReservation);
+
+    const over = spend('refund_partial', { refund: { amount: 401 } });
+    assert.strictEqual(over.allowed, false);
+    assert.strictEqual(over.requiresEscalation, false);
+    assert.deepStrictEqual(over.budget, { name: 'daily_refunds', limit: 1000, used: 600, requested: 401, remaining: 400, window: 'day' });
+    assert.match(over.reason, /Budget exceeded: daily_refunds \(400 of 1000 remaining per day, requested 401\)/);
+    assert.match(spend('refund_partial', {}).reason, /needs a non-negative number in 'refund.amount'/);
+
+    spend('create:ticket_response', { customer: 'c1' });
+    spend('create:ticket_response', { customerId: 'c1' });
+    assert.strictEqual(spend('create:ticket_response', { customer: 'c1' }).budget.remaining, 0);
+    assert.strictEqual(spend('create:ticket_response', { customer: 'c2' }).allowed, true);
+    spend('create:ticket_response', {});
+    spend('create:ticket_response', {});
+    assert.strictEqual(spend('create:ticket_response', {}).budgetExceeded, true);
+
+    clock.advance(60 * 60 * 1000);
+    assert.strictEqual(spend('create:ticket_response', { customer: 'c1' }).allowed, true);
+
+    // Charges that slid out of the window are dropped from memory
+    const { usage } = engine.budgetLedger;
+    assert.strictEqual(usage.get('support-agent|responses_per_customer|c1').length, 1);
+    engine.checkPermission('support-agent', 'create:ticket_response', { customer: 'c2' });
+    assert.ok(!usage.has('support-agent|responses_per_customer|c2'));
+
+    const logged = auditLogger.query({ type: 'policy_decision' }).filter(e => e.decision.budgetExceeded);
+    assert.deepStrictEqual(logged.map(e => [e.decision.budget.name, e.decision.budget.scope]), [
+      ['daily_refunds', undefined],
+      ['daily_refunds', undefined],
+      ['responses_per_customer', { customer: 'c1' }],
+      ['responses_per_customer', { customer: null }]
+    ]);
+  }],
+
+  ['rejects invalid budgets at load time', () => {
+    assert.throws(() => createEngine([{ ...basePolicy, budgets: [{ name: 'refunds', action: 'refund_*', limit: 10 }] }]),
+      /Budget refunds must have a 'window'/);
+    assert.throws(() => createEngine([{ ...basePolicy, budgets: [{ name: 'refunds', action: 'refund_*', limit: 10, window: 'day', on_exceed: 'warn' }] }]),
+      /on_exceed must be one of: deny, escalate/);
+    assert.throws(() => createEngine([
+      { role: 'finance', budgets: [{ name: 'refunds', action: 'refund_*', sum: 'amount', limit: 100, window: 'day' }] },
+      { ...basePolicy, extends: 'finance', budgets: [{ name: 'refunds', action: 'refund_*', sum: 'amount', limit: 9999, window: 'day' }] }
+    ]), /Duplicate budget name 'refunds' \(after merging extends\)/);
+  }],
+
+  ['applies the policy audit block to decision logging', () => {
+    const { engine, auditLogger } = createEngine([{ ...basePolicy, audit: { sensitive_fields: ['account_number'] } }]);
+
+    engine.checkPermission('support-agent', 'read:customer_data', { customer: { accountNumber: '998877' } });
+
+    const [entry] = auditLogger.query({ type: 'policy_decision' });
+    assert.strictEqual(entry.context.customer.accountNumber, '[REDACTED]');
+    assert.throws(
+      () => createEngine([{ ...basePolicy, audit: { masking: 'scramble' } }]),
+      /support-agent.yaml:\d+: error: Invalid audit.masking/
+    );
+  }],
+
+  ['escalates on compound conditions over nested context', () => {
+    const { engine } = createEngine([{
+      ...basePolicy,
+      permissions: {
+        ...basePolicy.permissions,
+        allow: ['refund_requests'],
+        escalate: [{ action: 'refund_requests', condition: "amount > 500 and customer.tier != 'vip'" }]
+      }
+    }]);
+
+    const check = (context) => engine.checkPermission('support-agent', 'refund_requests', context);
+
+    assert.strictEqual(check({ amount: 750, customer: { tier: 'gold' } }).requiresEscalation, true);
+    assert.strictEqual(check({ amount: 750, customer: { tier: 'vip' } }).allowed, true);
+    assert.strictEqual(check({ amount: 100, customer: { tier: 'gold' } }).allowed, true);
+  }],
+
+  ['evaluates the condition language', () => {
+    const { engine } = createEngine([basePolicy]);
+    const context = { region: 'EU', email: 'ada@example.com', verified: true, tags: ['gdpr'], amount: '1200' };
+
+    assert.strictEqual(engine.evaluateCondition("region in ['EU', 'UK'] and verified == true", context), true);
+    assert.strictEqual(engine.evaluateCondition("not (region == 'US' or amount < $1,000)", context), true);
+    assert.strictEqual(engine.evaluateCondition('email matches /@example\\.com$/i', context), true);
+    assert.strictEqual(engine.evaluateCondition("tags contains 'gdpr' and exists email", context), true);
+    assert.strictEqual(engine.evaluateCondition('missing > 5', context), false);
+    assert.strictEqual(engine.evaluateCondition('constructor == null', context), true);
+  }],
+
+  ['supports conditional allow and deny rules', () => {
+    const { engine, auditLogger } = createEngine([{
+      agent: 'support-agent',
+      permissions: {
+        allow: [
+          'read:order_history',
+          { action: 'update:customer_preferences', condition: 'context.verifiedCustomer == true' }
+        ],
+        deny: [
+          { action: 'read:order_history', condition: "region == 'EU' and not (agent.clearances contains 'gdpr')" }
+        ]
+      }
+    }]);
+
+    const prefs = engine.checkPermission('support-agent', 'update:customer_preferences', { verifiedCustomer: true });
+    assert.strictEqual(prefs.allowed, true);
+    assert.deepStrictEqual(prefs.matchedRule, { action: 'update:customer_preferences', condition: 'context.verifiedCustomer == true' });
+    assert.strictEqual(engine.checkPermission('support-agent', 'update:customer_preferences', {}).allowed, false);
+
+    const uncleared = { subject: { id: 'support-agent', clearances: [] } };
+    const cleared = { subject: { id: 'support-agent', clearances: ['gdpr'] } };
+    const denied = engine.checkPermission('support-agent', 'read:order_history', { region: 'EU' }, uncleared);
+    assert.strictEqual(denied.allowed, false);
+    assert.match(denied.reason, /read:order_history when region == 'EU'/);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:order_history', { region: 'EU' }, cleared).allowed, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:order_history', { region: 'US' }, uncleared).allowed, true);
+
+    // The subject wins over an `agent` key smuggled in through the context
+    const spoofed = { region: 'EU', agent: { clearances: ['gdpr'] } };
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:order_history', spoofed, uncleared).allowed, false);
+
+    const entry = auditLogger.query({ type: 'policy_decision' })[0];
+    assert.strictEqual(entry.decision.matchedRule.action, 'update:customer_preferences');
+  }],
+
+  ['requires an action pattern on object rules', () => {
+    assert.throws(
+      () => createEngine([{ agent: 'support-agent', permissions: { allow: [{ condition: 'amount > 5' }] } }]),
+      /Rule must have an 'action' pattern \(permissions.allow\[0\]\)/
+    );
+  }],
+
+  ['reports condition syntax errors at load time', () => {
+    assert.throws(
+      () => createEngine([{
+        ...basePolicy,
+        permissions: { ...basePolicy.permissions, escalate: [{ action: 'refund_requests', condition: 'amount >> 500' }] }
+      }]),
+      /support-agent.yaml:\d+: error: Invalid condition: .*\(permissions.escalate\[0\].condition\)/
+    );
+  }],
+
+  ['reloads atomically and keeps last-known-good policies on failure', () => {
+    const { engine, auditLogger, policyPath } = createEngine([basePolicy]);
+    const failures = [];
+    engine.on('reload-failed', (event) => failures.push(event));
+
+    const initialHash = engine.policySetHash;
+    writePolicy(policyPath, 'support-agent.yaml', {
+      ...basePolicy,
+      permissions: { ...basePolicy.permissions, allow: [...basePolicy.permissions.allow, 'read:ticket'] }
+    });
+
+    const result = engine.reloadPolicies();
+    assert.strictEqual(result.changed, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:ticket').allowed, true);
+
+    // A broken file alongside a valid one must not leave a partial set
+    writePolicy(policyPath, 'broken.yaml', 'agent: broken\npermissions: [oops\n');
+    assert.throws(() => engine.reloadPolicies(), /Invalid policies/);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:ticket').allowed, true);
+    assert.deepStrictEqual(engine.listAgents(), ['support-agent']);
+    assert.strictEqual(failures.length, 1);
+    assert.strictEqual(failures[0].hash, result.afterHash);
+
+    const reloads = auditLogger.query({ type: 'policy_reload' });
+    assert.strictEqual(reloads.length, 2);
+    assert.strictEqual(reloads[0].status, 'success');
+    assert.strictEqual(reloads[0].beforeHash, initialHash);
+    assert.strictEqual(reloads[0].afterHash, result.afterHash);
+    assert.notStrictEqual(reloads[0].beforeHash, reloads[0].afterHash);
+    assert.strictEqual(reloads[1].status, 'failed');
+  }],
+
+  ['stamps decisions with the policy version and archives every version', () => {
+    const clock = createClock('2026-03-01T00:00:00Z');
+    const { engine, auditLogger, policyPath } = createEngine([{ ...basePolicy, metadata: { version: '1.4' } }], { clock });
+
+    const first = engine.checkPermission('support-agent', 'read:customer_data');
+    assert.strictEqual(first.policyVersion.version, 1);
+    assert.strictEqual(first.policyVersion.label, '1.4');
+    assert.match(first.policyVersion.hash, /^[0-9a-f]{64}$/);
+
+    // Unchanged content keeps its version
+    clock.set('2026-03-02T00:00:00Z');
+    engine.reloadPolicies();
+    assert.strictEqual(engine.getPolicyVersion('support-agent').version, 1);
+
+    clock.set('2026-03-04T00:00:00Z');
+    writePolicy(policyPath, 'support-agent.yaml', { ...basePolicy, permissions: { ...basePolicy.permissions, allow: ['read:ticket'] } });
+    engine.reloadPolicies();
+    const second = engine.checkPermission('support-agent', 'read:customer_data');
+    assert.strictEqual(second.allowed, false);
+    assert.strictEqual(second.policyVersion.version, 2);
+    assert.notStrictEqual(second.policyVersion.hash, first.policyVersion.hash);
+
+    const logged = auditLogger.query({ type: 'policy_decision' }).map(entry => entry.decision.policyVersion.version);
+    assert.deepStrictEqual(logged, [1, 2]);
+
+    // Why was read:customer_data allowed on March 3rd?
+    assert.ok(engine.getPolicyFor('support-agent', { at: '2026-03-03T12:00:00Z' }).permissions.allow.includes('read:customer_data'));
+    assert.deepStrictEqual(engine.getPolicyFor('support-agent', { at: Date.parse('2026-03-05T00:00:00Z') }).permissions.allow, ['read:ticket']);
+    assert.strictEqual(engine.getPolicyFor('support-agent', { at: '2026-02-28T00:00:00Z' }), undefined);
+
+    // History survives a restart and records removals
+    const restarted = new PolicyEngine(policyPath, auditLogger, { clock, quiet: true });
+    assert.strictEqual(restarted.getPolicyVersion('support-agent').version, 2);
+
+    clock.set('2026-03-06T00:00:00Z');
+    writePolicy(policyPath, 'support-agent.yaml', { ...basePolicy, agent: 'billing-agent' });
+    restarted.reloadPolicies();
+    assert.strictEqual(restarted.getPolicyFor('support-agent', { at: '2026-03-07T00:00:00Z' }), undefined);
+    assert.deepStrictEqual(restarted.getPolicyHistory('support-agent').map(v => [v.version, v.effectiveFrom, Boolean(v.removed)]), [
+      [1, '2026-03-01T00:00:00.000Z', false],
+      [2, '2026-03-04T00:00:00.000Z', false],
+      [3, '2026-03-06T00:00:00.000Z', true]
+    ]);
+
+    // The first engine reads only what the restarted one appended
+    const { history } = engine;
+    const readBefore = history.offset;
+    history.load();
+    assert.ok(history.offset > readBefore);
+    assert.strictEqual(history.offset, fs.statSync(history.historyFile).size);
+    assert.deepStrictEqual(history.list('support-agent').map(v => v.version), [1, 2, 3]);
+  }],
+
+  ['watches the policy directory and reloads on change', async () => {
+    const { engine, auditLogger, policyPath } = createEngine([basePolicy], { watch: true, watchDebounceMs: 20 });
+
+    try {
+      const reloaded = new Promise((resolve) => engine.once('reload', resolve));
+      writePolicy(policyPath, 'support-agent.yaml', {
+        ...basePolicy,
+        permissions: { ...basePolicy.permissions, allow: ['read:ticket'] }
+      });
+
+      const event = await Promise.race([
+        reloaded,
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error('no reload event')), 2000))
+      ]);
+
+      assert.strictEqual(event.trigger, 'watch');
+      assert.strictEqual(engine.checkPermission('support-agent', 'read:ticket').allowed, true);
+      assert.strictEqual(engine.checkPermission('support-agent', 'read:customer_data').allowed, false);
+      assert.strictEqual(auditLogger.query({ type: 'policy_reload' })[0].trigger, 'watch');
+    } finally {
+      engine.stopWatching();
+    }
+  }],
+
+  ['resolves extends with union lists and overriding scalars', () => {
+    const baseline = {
+      role: 'baseline',
+      permissions: { deny: ['delete:*', 'read:secrets'] },
+      audit: { sensitive_fields: ['password'], masking: 'redact' },
+      trust: { minimum_score: 50, recovery_threshold: 90 }
+    };
+    const support = {
+      role: 'support',
+      extends: 'baseline',
+      permissions: { allow: ['read:ticket'], escalate: ['refund_requests'] }
+    };
+    const agent = {
+      agent: 'support-agent',
+      extends: ['baseline', 'support'],
+      permissions: { allow: ['update:ticket_status'], deny: ['read:secrets'] },
+      audit: { sensitive_fields: ['ssn'] },
+      trust: { minimum_score: 80 }
+    };
+
+    const { engine } = createEngine([baseline, support, agent]);
+    const effective = engine.getPolicyFor('support-agent');
+
+    assert.deepStrictEqual(engine.listAgents(), ['support-agent']);
+    assert.deepStrictEqual(effective.permissions, {
+      deny: ['delete:*', 'read:secrets'],
+      allow: ['read:ticket', 'update:ticket_status'],
+      escalate: ['refund_requests']
+    });
+    assert.deepStrictEqual(effective.audit, { sensitive_fields: ['password', 'ssn'], masking: 'redact' });
+    assert.deepStrictEqual(effective.trust, { minimum_score: 80, recovery_threshold: 90 });
+    assert.deepStrictEqual(effective.extends, ['baseline', 'support']);
+    assert.deepStrictEqual(engine.getPolicyFor('support-agent', { resolved: false }).permissions.allow, ['update:ticket_status']);
+
+    assert.strictEqual(engine.checkPermission('support-agent', 'delete:ticket').allowed, false);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:ticket').allowed, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'refund_requests').requiresEscalation, true);
+  }],
+
+  ['rejects trust thresholds that only invert once bases are merged', () => {
+    const baseline = { role: 'baseline', permissions: { deny: ['delete:*'] }, trust: { minimum_score: 80 } };
+    const { engine, policyPath } = createEngine([baseline, { ...basePolicy, extends: 'baseline', trust: { minimum_score: 60, recovery_threshold: 70 } }]);
+
+    // Dropping the child's minimum_score lets the base's 80 through
+    writePolicy(policyPath, 'support-agent.yaml', { ...basePolicy, extends: 'baseline', trust: { recovery_threshold: 70 } });
+    assert.throws(() => engine.reloadPolicies(),
+      /support-agent.yaml:\d+: error: trust.recovery_threshold \(70\) must be >= minimum_score \(80\) \(after merging extends\) \(trust\)/);
+    assert.deepStrictEqual(engine.getPolicyFor('support-agent').trust, { minimum_score: 60, recovery_threshold: 70 });
+
+    // Without a base, the default minimum_score applies
+    assert.throws(() => createEngine([{ ...basePolicy, trust: { recovery_threshold: 40 } }]), /must be >= minimum_score \(50\)/);
+  }],
+
+  ['rejects missing bases and inheritance cycles at load time', () => {
+    assert.throws(
+      () => createEngine([{ ...basePolicy, extends: ['baseline'] }]),
+      /support-agent.yaml:\d+: error: Unknown base policy 'baseline' in extends \(extends\[0\]\)/
+    );
+
+    assert.throws(
+      () => createEngine([
+        { role: 'a', extends: 'b' },
+        { role: 'b', extends: 'a' },
+        { ...basePolicy, extends: 'a' }
+      ]),
+      /Inheritance cycle: a → b → a/
+    );
+  }],
+
+  ['matches segment-aware globs, brace sets and regex patterns', () => {
+    assert.ok(matchesPattern('read:customer_data', 'read:*_data'));
+    assert.ok(!matchesPattern('read:crm/customer_data', 'read:*_data'));
+    assert.ok(matchesPattern('update:customer_email', '*:customer_*'));
+    assert.ok(matchesPattern('read:crm/accounts/42/notes', 'read:crm/accounts/**'));
+    assert.ok(!matchesPattern('read:crm/accounts/42', 'read:crm/*/notes'));
+    assert.ok(matchesPattern('list:ticket', '{read,list}:ticket'));
+    assert.ok(!matchesPattern('update:ticket', '{read,list}:ticket'));
+    assert.ok(matchesPattern('read:ticket_7', 'read:ticket_?'));
+    assert.ok(matchesPattern('READ:Ticket', '/^read:(ticket|order)$/i'));
+    assert.ok(!matchesPattern('read:ticket_extra', '/read:ticket/'));
+
+    // Legacy forms keep their meaning
+    assert.ok(matchesPattern('delete:crm/accounts/42', 'delete:*'));
+    assert.ok(matchesPattern('refund_requests', '*'));
+    assert.ok(matchesPattern('read:public_info', '*:public_info'));
+
+    assert.ok(patternSpecificity('read:ticket_7') > patternSpecificity('read:ticket_*'));
+    assert.ok(patternSpecificity('read:crm/*') > patternSpecificity('read:**'));
+    assert.ok(patternCovers('read:*', '{read,list}:ticket') === false);
+    assert.ok(patternCovers('{read,list}:*', '{read,list}:ticket'));
+    assert.ok(patternCovers('read:*', 'read:crm/**'));
+
+    assert.throws(() => createEngine([{ ...basePolicy, permissions: { allow: ['{read,list:ticket'] } }]), /Unclosed '\{'/);
+  }],
+
+  ['lets a more specific allow beat a broad deny under most-specific precedence', () => {
+    const permissions = {
+      allow: ['delete:draft_ticket', 'read:*'],
+      deny: ['delete:*', 'read:secrets'],
+      escalate: ['delete:draft_*']
+    };
+
+    const { engine: denyOverrides } = createEngine([{ agent: 'support-agent', permissions }]);
+    const { engine: mostSpecific, auditLogger } = createEngine([{ agent: 'support-agent', precedence: 'most-specific', permissions }]);
+
+    const strict = denyOverrides.checkPermission('support-agent', 'delete:draft_ticket');
+    assert.strictEqual(strict.requiresEscalation, true);
+    assert.strictEqual(strict.precedence.mode, 'deny-overrides');
+    assert.match(strict.reason, /escalate rule 'delete:draft_\*' overrides deny rule 'delete:\*'/);
+
+    const specific = mostSpecific.checkPermission('support-agent', 'delete:draft_ticket');
+    assert.strictEqual(specific.allowed, true);
+    assert.strictEqual(specific.matchedRule, 'delete:draft_ticket');
+    assert.deepStrictEqual(specific.precedence.overridden.map(o => o.rule), ['delete:draft_*', 'delete:*']);
+    assert.match(specific.precedence.explanation, /is more specific than escalate rule 'delete:draft_\*'/);
+
+    assert.strictEqual(mostSpecific.checkPermission('support-agent', 'delete:ticket').allowed, false);
+    assert.strictEqual(mostSpecific.checkPermission('support-agent', 'read:secrets').allowed, false);
+    assert.strictEqual(mostSpecific.checkPermission('support-agent', 'read:ticket').allowed, true);
+
+    const [entry] = auditLogger.query({ type: 'policy_decision' });
+    assert.strictEqual(entry.decision.precedence.rule, 'delete:draft_ticket');
+  }],
+
+  ['keeps inherited denies and escalations ahead of a child\'s own rules under most-specific', () => {
+    const { engine } = createEngine([
+      { role: 'baseline-security', permissions: { deny: ['delete:*', 'read:secrets'], escalate: ['refund:*'] } },
+      {
+        agent: 'support-agent',
+        extends: 'baseline-security',
+        precedence: 'most-specific',
+        permissions: {
+          allow: ['delete:customer_data', 'read:*', 'refund:small_order', 'delete:draft_ticket'],
+          deny: ['refund:disputed_order'],
+          escalate: ['delete:draft_ticket']
+        }
+      }
+    ]);
+
+    const attempt = engine.checkPermission('support-agent', 'delete:customer_data');
+    assert.strictEqual(attempt.allowed, false);
+    assert.strictEqual(attempt.matchedRule, 'delete:*');
+    assert.match(attempt.reason, /deny rule 'delete:\*' is inherited via extends and can't be overridden by allow rule 'delete:customer_data'/);
+
+    assert.strictEqual(engine.checkPermission('support-agent', 'refund:small_order').requiresEscalation, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:secrets').allowed, false);
+
+    // Own rules from the same or a stronger list still compete as usual
+    assert.strictEqual(engine.checkPermission('support-agent', 'delete:draft_ticket').requiresEscalation, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'refund:disputed_order').requiresEscalation, true);
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:ticket').allowed, true);
+  }],
+
+  ['evaluates schedule conditions in their time zone against the injected clock', () => {
+    const clock = createClock('2026-03-03T14:00:00Z');
+    const { engine } = createEngine([{
+      agent: 'ops-agent',
+      schedules: {
+        business_hours: { timezone: 'America/New_York', days: 'mon-fri', hours: '09:00-17:00' },
+        friday_freeze: { timezone: 'Europe/London', cron: '* 12-23 * * fri' },
+        nightly: { timezone: 'UTC', days: 'mon-fri', hours: '22:00-06:00' }
+      },
+      permissions: {
+        allow: ['update:customer_payment_info', 'deploy:*', { action: 'run:security_scan', condition: 'during nightly' }],
+        deny: [{ action: 'deploy:*', condition: 'during friday_freeze' }],
+        escalate: [{ action: 'update:customer_payment_info', condition: 'not during business_hours' }]
+      }
+    }], { clock });
+
+    const outcome = (action) => {
+      const decision = engine.checkPermission('ops-agent', action);
+      if (decision.requiresEscalation) return 'escalate';
+      return decision.allowed ? 'allow' : 'deny';
+    };
+
+    // Tuesday 09:00 in New York (EST)
+    assert.strictEqual(outcome('update:customer_payment_info'), 'allow');
+    clock.set('2026-03-03T13:59:00Z');
+    assert.strictEqual(outcome('update:customer_payment_info'), 'escalate');
+    assert.strictEqual(outcome('run:security_scan'), 'deny');
+
+    // Friday: the freeze starts at noon London time
+    clock.set('2026-03-06T11:59:00Z');
+    assert.strictEqual(outcome('deploy:api'), 'allow');
+    clock.set('2026-03-06T12:00:00Z');
+    assert.strictEqual(outcome('deploy:api'), 'deny');
+
+    // The nightly window wraps midnight and belongs to the day it starts on
+    clock.set('2026-03-06T23:30:00Z');
+    assert.strictEqual(outcome('run:security_scan'), 'allow');
+    clock.set('2026-03-07T05:00:00Z');
+    assert.strictEqual(outcome('run:security_scan'), 'allow');
+    clock.set('2026-03-09T05:00:00Z');
+    assert.strictEqual(outcome('run:security_scan'), 'deny');
+
+    // An explicit evaluation time overrides the clock
+    const explained = engine.checkPermission('ops-agent', 'update:customer_payment_info', {}, {
+      explain: true,
+      now: Date.parse('2026-03-07T15:00:00Z')
+    });
+    assert.strictEqual(explained.requiresEscalation, true);
+    assert.strictEqual(explained.trace.evaluatedAt, '2026-03-07T15:00:00.000Z');
+    const step = explained.trace.rules.find(rule => rule.list === 'escalate');
+    assert.deepStrictEqual(step.condition.children[0].schedule, { name: 'business_hours', localTime: 'Sat 10:00 America/New_York' });
+  }],
+
+  ['validates schedules and inherits them from roles', () => {
+    const role = {
+      role: 'ops-baseline',
+      schedules: { freeze: { cron: '* * 24-31 dec *' } },
+      permissions: { deny: [{ action: 'deploy:*', condition: 'during freeze' }] }
+    };
+    const { engine } = createEngine([role, { agent: 'ops-agent', extends: 'ops-baseline', permissions: { allow: ['deploy:*'] } }], {
+      clock: createClock('2026-12-24T10:00:00Z')
+    });
+    assert.strictEqual(engine.checkPermission('ops-agent', 'deploy:api').allowed, false);
+    assert.strictEqual(engine.checkPermission('ops-agent', 'deploy:api', {}, { now: Date.parse('2026-12-23T10:00:00Z') }).allowed, true);
+
+    const invalid = (schedules, condition) => () => createEngine([{
+      agent: 'ops-agent',
+      schedules,
+      permissions: { allow: [{ action: 'deploy:*', condition }] }
+    }]);
+
+    assert.throws(invalid(undefined, 'during business_hours'), /Unknown schedule 'business_hours'/);
+    assert.throws(invalid({ office: { timezone: 'Mars/Olympus', hours: '09:00-17:00' } }, 'during office'), /unknown time zone 'Mars\/Olympus'/);
+    assert.throws(invalid({ office: { cron: '* 25 * * *' } }, 'during office'), /invalid cron hour field '25'/);
+    assert.throws(invalid({ office: { days: 'mon-fry' } }, 'during office'), /invalid day 'mon-fry'/);
+    assert.throws(invalid({ office: { hours: '9-5' } }, 'during office'), /invalid hours '9-5'/);
+  }],
+
+  ['loads the shipped policies', () => {
+    const auditLogger = new AuditLogger(path.join(testDir, 'shipped-audit'));
+    const engine = new PolicyEngine(path.join(__dirname, '../policies'), auditLogger);
+
+    assert.deepStrictEqual(engine.listAgents().sort(), ['code-review-agent', 'customer-service-agent']);
+    assert.strictEqual(engine.checkPermission('code-review-agent', 'access:admin_panel').allowed, false);
+    assert.ok(engine.getPolicyFor('customer-service-agent').permissions.deny.includes('delete:*'));
+  }]
+]);
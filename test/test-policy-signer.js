@@ -0,0 +1,201 @@
+/**
+ * Policy Signer Tests - OpenClaw Production Toolkit
+ *
+ * Signs fixture policies and loads them with signature verification.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const yaml = require('js-yaml');
+const PolicyEngine = require('../src/policy-engine');
+const PolicySigner = require('../src/policy-signer');
+const AuditLogger = require('../src/audit-logger');
+const { createTestDir, writePolicy, runSuite } = require('./helpers');
+
+let fixtureCount = 0;
+
+const admin = PolicySigner.generateKeyPair();
+const intruder = PolicySigner.generateKeyPair();
+const trustedKeys = { admin: admin.publicKey };
+
+const policy = {
+  agent: 'support-agent',
+  permissions: {
+    allow: ['read:ticket'],
+    deny: ['delete:*']
+  }
+};
+
+/**
+ * Policy directory with the fixture policy, embedded-signed unless `sign` is false
+ */
+function createPolicyDir(sign = true) {
+  const dir = createTestDir(`policy-signer/case-${++fixtureCount}`);
+  const policyPath = path.join(dir, 'policies');
+  fs.mkdirSync(policyPath);
+
+  const content = yaml.dump(policy);
+  writePolicy(policyPath, 'support-agent.yaml', sign ? PolicySigner.signEmbedded(content, admin.privateKey, 'admin', { file: 'support-agent.yaml' }) : content);
+
+  return { dir, policyPath, auditLogger: new AuditLogger(path.join(dir, 'audit'), { quiet: true }) };
+}
+
+/**
+ * Grant delete:* the way an attacker with write access would
+ */
+function tamper(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  fs.writeFileSync(file, content.replace("- read:ticket", "- read:ticket\n    - delete:*"));
+}
+
+runSuite('Policy Signer Tests', [
+  ['verifies embedded and detached signatures and detects tampering', () => {
+    const dir = createTestDir('policy-signer/verify');
+    const signer = new PolicySigner(trustedKeys);
+    const content = yaml.dump(policy);
+
+    const embedded = PolicySigner.signEmbedded(content, admin.privateKey, 'admin', { file: 'a.yaml' });
+    assert.ok(yaml.load(embedded).permissions.deny.includes('delete:*'));
+    assert.deepStrictEqual(signer.verify('a.yaml', embedded, dir), { file: 'a.yaml', status: 'signed', keyId: 'admin', sequence: 1, detached: false });
+
+    // Re-signing replaces the block rather than stacking another one, and bumps the sequence
+    const resigned = PolicySigner.signEmbedded(embedded, admin.privateKey, 'admin', { file: 'a.yaml' });
+    assert.strictEqual(resigned.split('BEGIN POLICY SIGNATURE').length, 2);
+    assert.strictEqual(signer.verify('a.yaml', resigned, dir).sequence, 2);
+
+    // The file name and sequence are signed: neither can be swapped
+    assert.match(signer.verify('b.yaml', embedded, dir).reason, /Signed for a.yaml, not b.yaml/);
+    assert.match(signer.verify('a.yaml', embedded.replace('# sequence: 1', '# sequence: 9'), dir).reason, /modified after signing/);
+    assert.throws(() => PolicySigner.createSignature(content, admin.privateKey, 'admin'), /policy file name/);
+    assert.throws(() => PolicySigner.createSignature(content, admin.privateKey, 'admin', { file: 'a.yaml', sequence: 0 }), /positive integer/);
+
+    fs.writeFileSync(path.join(dir, 'b.yaml.sig'), PolicySigner.createSignature(content, admin.privateKey, 'admin', { file: 'b.yaml' }));
+    assert.strictEqual(signer.verify('b.yaml', content, dir).status, 'signed');
+    assert.strictEqual(signer.verify('b.yaml', content + 'extra: true\n', dir).status, 'invalid');
+
+    assert.strictEqual(signer.verify('c.yaml', content, dir).status, 'unsigned');
+    assert.match(signer.verify('a.yaml', embedded.replace('read:ticket', 'read:tickets'), dir).reason, /modified after signing/);
+    assert.match(signer.verify('a.yaml', embedded + 'extra: true\n', dir).reason, /not at the end/);
+    assert.match(signer.verify('a.yaml', PolicySigner.signEmbedded(content, intruder.privateKey, 'intruder', { file: 'a.yaml' }), dir).reason,
+      /untrusted key 'intruder'/);
+    assert.strictEqual(signer.verify('a.yaml', PolicySigner.signEmbedded(content, intruder.privateKey, 'admin', { file: 'a.yaml' }), dir).status, 'invalid');
+
+    // RSA keys (as used for agent identities) work too
+    const rsa = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    const rsaSigner = new PolicySigner({ ops: rsa.publicKey });
+    assert.strictEqual(rsaSigner.verify('a.yaml', PolicySigner.signEmbedded(content, rsa.privateKey, 'ops', { file: 'a.yaml' }), dir).status, 'signed');
+
+    assert.throws(() => new PolicySigner({}), /No trusted policy signing keys/);
+    assert.throws(() => new PolicySigner({ admin: 'not a key' }), /Trusted key 'admin' is not a valid public key/);
+  }],
+
+  ['rejects unsigned and tampered files in strict mode and keeps last-known-good', () => {
+    const { policyPath, auditLogger } = createPolicyDir();
+    const engine = new PolicyEngine(policyPath, auditLogger, { trustedKeys, requireSignedPolicies: true, quiet: true });
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:ticket').allowed, true);
+
+    const file = path.join(policyPath, 'support-agent.yaml');
+    tamper(file);
+    assert.throws(() => engine.reloadPolicies({ trigger: 'watch' }), /Rejected: Signature does not match/);
+    assert.strictEqual(engine.checkPermission('support-agent', 'delete:ticket').allowed, false);
+
+    writePolicy(policyPath, 'rogue-agent.yaml', { agent: 'rogue-agent', permissions: { allow: ['**'] } });
+    writePolicy(policyPath, 'support-agent.yaml', PolicySigner.signEmbedded(yaml.dump(policy), admin.privateKey, 'admin', { file: 'support-agent.yaml' }));
+    assert.throws(() => engine.reloadPolicies(), /rogue-agent.yaml: error: Rejected: unsigned policy file/);
+    assert.deepStrictEqual(engine.listAgents(), ['support-agent']);
+
+    const rejections = auditLogger.query({ type: 'policy_signature' });
+    assert.deepStrictEqual(rejections.map(entry => [entry.file, entry.status, entry.signature, entry.trigger]), [
+      ['support-agent.yaml', 'rejected', 'invalid', 'watch'],
+      ['rogue-agent.yaml', 'rejected', 'unsigned', 'manual']
+    ]);
+    assert.strictEqual(auditLogger.verifyChain().valid, true);
+
+    // A tampered file can't be loaded at startup either
+    tamper(file);
+    assert.throws(() => new PolicyEngine(policyPath, auditLogger, { trustedKeys, quiet: true }), /Rejected/);
+    assert.throws(() => new PolicyEngine(policyPath, auditLogger, { requireSignedPolicies: true }), /needs trustedKeys/);
+  }],
+
+  ['refuses a signed file older than one already accepted', () => {
+    const { dir, policyPath, auditLogger } = createPolicyDir();
+    const file = path.join(policyPath, 'support-agent.yaml');
+    const original = fs.readFileSync(file, 'utf8');
+    const engine = new PolicyEngine(policyPath, auditLogger, { trustedKeys, quiet: true });
+
+    // Deny close:ticket at sequence 2...
+    const tightened = { ...policy, permissions: { ...policy.permissions, deny: ['delete:*', 'close:ticket'] } };
+    fs.writeFileSync(file, PolicySigner.signEmbedded(yaml.dump(tightened), admin.privateKey, 'admin', { file: 'support-agent.yaml', sequence: 2 }));
+    engine.reloadPolicies();
+    assert.strictEqual(engine.checkPermission('support-agent', 'close:ticket').allowed, false);
+
+    // ...then restore the validly signed sequence-1 copy
+    fs.writeFileSync(file, original);
+    assert.throws(() => engine.reloadPolicies(), /Rejected: Signature sequence 1 is older than 2/);
+    assert.strictEqual(engine.checkPermission('support-agent', 'close:ticket').allowed, false);
+
+    // The accepted sequence is in policy-history.jsonl, so a restart refuses it too
+    assert.throws(() => new PolicyEngine(policyPath, auditLogger, { trustedKeys, quiet: true }), /older than 2/);
+    assert.deepStrictEqual(new PolicyEngine(policyPath, auditLogger, { historyFile: path.join(dir, 'other-history.jsonl'), trustedKeys, quiet: true })
+      .listAgents(), ['support-agent']);
+
+    // A file signed for another name can't be copied over this one
+    fs.writeFileSync(file, PolicySigner.signEmbedded(yaml.dump(policy), admin.privateKey, 'admin', { file: 'other-agent.yaml', sequence: 3 }));
+    assert.throws(() => engine.reloadPolicies(), /Signed for other-agent.yaml, not support-agent.yaml/);
+  }],
+
+  ['loads unsigned files with a warning outside strict mode', () => {
+    const { policyPath, auditLogger } = createPolicyDir(false);
+    const engine = new PolicyEngine(policyPath, auditLogger, { trustedKeys, quiet: true });
+
+    assert.strictEqual(engine.checkPermission('support-agent', 'read:ticket').allowed, true);
+    assert.strictEqual(auditLogger.query({ type: 'policy_signature' }).length, 0);
+  }],
+
+  ['policy-sign creates keys and signs files that policy-lint verifies', () => {
+    const { dir, policyPath } = createPolicyDir(false);
+    const sign = path.join(__dirname, '../bin/policy-sign.js');
+    const lint = path.join(__dirname, '../bin/policy-lint.js');
+    const run = (cli, ...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+    const keyDir = path.join(dir, 'keys');
+    const trustedDir = path.join(dir, 'trusted');
+    const file = path.join(policyPath, 'support-agent.yaml');
+
+    assert.strictEqual(run(sign, 'keygen', 'security-admin', '--out', keyDir).status, 0);
+    assert.strictEqual(fs.statSync(path.join(keyDir, 'security-admin.key')).mode & 0o777, 0o600);
+    assert.strictEqual(run(sign, 'keygen', 'security-admin', '--out', keyDir).status, 1);
+    fs.mkdirSync(trustedDir);
+    fs.copyFileSync(path.join(keyDir, 'security-admin.pub'), path.join(trustedDir, 'security-admin.pub'));
+
+    assert.strictEqual(run(lint, policyPath, '--trusted-keys', trustedDir, '--require-signed').status, 1);
+    assert.match(run(lint, policyPath, '--trusted-keys').stderr, /Missing value for --trusted-keys/);
+
+    const signed = run(sign, file, '--key', path.join(keyDir, 'security-admin.key'), '--detached');
+    assert.strictEqual(signed.status, 0, signed.stderr);
+    assert.ok(fs.existsSync(`${file}.sig`));
+    assert.strictEqual(run(lint, policyPath, '--trusted-keys', trustedDir, '--require-signed').status, 0);
+
+    // Embedded signing replaces the detached signature
+    assert.strictEqual(run(sign, file, '--key', path.join(keyDir, 'security-admin.key')).status, 0);
+    assert.ok(!fs.existsSync(`${file}.sig`));
+    assert.strictEqual(run(lint, policyPath, '--trusted-keys', trustedDir, '--require-signed').status, 0);
+
+    // Each re-sign bumps the sequence unless one is given
+    assert.match(fs.readFileSync(file, 'utf8'), /# sequence: 2\n/);
+    assert.match(run(sign, file, '--key', path.join(keyDir, 'security-admin.key'), '--sequence', '7').stdout, /sequence: 7/);
+    assert.strictEqual(run(sign, file, '--key', path.join(keyDir, 'security-admin.key'), '--sequence', '0').status, 1);
+
+    tamper(file);
+    const result = run(lint, policyPath, '--trusted-keys', trustedDir);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /support-agent.yaml: error: Rejected: Signature does not match/);
+    assert.strictEqual(run(sign, file).status, 2);
+  }]
+]);
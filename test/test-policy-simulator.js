@@ -0,0 +1,116 @@
+/**
+ * Policy Simulator Tests - OpenClaw Production Toolkit
+ *
+ * Replays recorded decisions against candidate policies.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const PolicyEngine = require('../src/policy-engine');
+const PolicySimulator = require('../src/policy-simulator');
+const AuditLogger = require('../src/audit-logger');
+const { createTestDir, writePolicy, runSuite } = require('./helpers');
+
+let fixtureCount = 0;
+
+const livePolicy = {
+  agent: 'support-agent',
+  permissions: {
+    allow: ['read:ticket', 'update:ticket_status', 'read:customer_data'],
+    deny: ['delete:*'],
+    escalate: [{ action: 'refund_requests', condition: 'amount > 500' }]
+  }
+};
+
+const candidatePolicy = {
+  agent: 'support-agent',
+  permissions: {
+    allow: ['read:ticket', 'delete:draft'],
+    deny: ['delete:ticket', 'update:*'],
+    escalate: [{ action: 'refund_requests', condition: 'amount > 100' }, 'read:customer_data']
+  }
+};
+
+/**
+ * Record some live traffic and write a candidate policy next to it
+ */
+function createFixture() {
+  const name = `policy-simulator/case-${++fixtureCount}`;
+  const dir = createTestDir(name);
+  const livePath = createTestDir(`${name}/live`);
+  const candidatePath = createTestDir(`${name}/candidate`);
+  writePolicy(livePath, 'support-agent.yaml', livePolicy);
+  writePolicy(candidatePath, 'support-agent.yaml', candidatePolicy);
+
+  const auditLogger = new AuditLogger(path.join(dir, 'audit'));
+  const live = new PolicyEngine(livePath, auditLogger);
+
+  for (let i = 0; i < 3; i++) live.checkPermission('support-agent', 'update:ticket_status', { ticketId: i });
+  live.checkPermission('support-agent', 'read:ticket', { ticketId: 1 });
+  live.checkPermission('support-agent', 'delete:draft', {});
+  live.checkPermission('support-agent', 'refund_requests', { amount: 250 });
+  live.checkPermission('support-agent', 'refund_requests', { amount: 50 });
+  live.checkPermission('support-agent', 'read:customer_data', { customerId: 7 });
+
+  return { dir, auditLogger, candidatePath };
+}
+
+runSuite('Policy Simulator Tests', [
+  ['reports flips grouped by agent and action', () => {
+    const { auditLogger, candidatePath } = createFixture();
+    const report = new PolicySimulator(auditLogger, candidatePath).run();
+
+    assert.deepStrictEqual(report.summary, { replayed: 8, unchanged: 2, changed: 6, skipped: 0, redactedContexts: 0 });
+
+    const [updates] = report.allowToDeny;
+    assert.strictEqual(updates.action, 'update:ticket_status');
+    assert.strictEqual(updates.count, 3);
+    assert.strictEqual(updates.examples.length, 3);
+    assert.strictEqual(updates.examples[0].after.matchedRule, 'update:*');
+    assert.deepStrictEqual(updates.examples[0].context, { ticketId: 0 });
+
+    assert.deepStrictEqual(report.denyToAllow.map(g => [g.action, g.count]), [['delete:draft', 1]]);
+    assert.deepStrictEqual(report.newlyEscalated.map(g => [g.action, g.count]).sort(), [
+      ['read:customer_data', 1],
+      ['refund_requests', 1]
+    ]);
+    assert.deepStrictEqual(report.newlyEscalated.find(g => g.action === 'refund_requests').examples[0].context, { amount: 250 });
+  }],
+
+  ['writes nothing to the audit trail', () => {
+    const { auditLogger, candidatePath } = createFixture();
+    const before = auditLogger.query({}).length;
+
+    new PolicySimulator(auditLogger, candidatePath).run({ agentId: 'support-agent' });
+
+    assert.strictEqual(auditLogger.query({}).length, before);
+    assert.strictEqual(auditLogger.verifyChain().valid, true);
+  }],
+
+  ['refuses an invalid candidate policy directory', () => {
+    const { dir, auditLogger } = createFixture();
+    const broken = path.join(dir, 'broken');
+    fs.mkdirSync(broken);
+    writePolicy(broken, 'agent.yaml', 'agent: broken\n');
+
+    assert.throws(() => new PolicySimulator(auditLogger, broken), /Missing 'permissions' block/);
+  }],
+
+  ['policy-simulate prints a JSON report', () => {
+    const { dir, candidatePath } = createFixture();
+    const cli = path.join(__dirname, '../bin/policy-simulate.js');
+    const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+
+    const result = run(candidatePath, '--audit', path.join(dir, 'audit'), '--json');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(JSON.parse(result.stdout).summary.changed, 6);
+
+    const text = run(candidatePath, '--audit', path.join(dir, 'audit'), '--agent', 'other-agent');
+    assert.match(text.stdout, /0 decisions replayed/);
+
+    assert.strictEqual(run(candidatePath, '--audit', path.join(dir, 'missing')).status, 2);
+    assert.ok(!fs.existsSync(path.join(dir, 'missing')));
+  }]
+]);
@@ -0,0 +1,133 @@
+/**
+ * Policy Test Runner Tests - OpenClaw Production Toolkit
+ *
+ * Runs declarative *.test.yaml suites against fixture policies.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const PolicyTestRunner = require('../src/policy-test-runner');
+const { createTestDir, writePolicy, runSuite } = require('./helpers');
+
+let fixtureCount = 0;
+
+const policy = {
+  agent: 'support-agent',
+  permissions: {
+    allow: ['read:ticket', { action: 'read:order_history', condition: "agent.role == 'support'" }],
+    deny: ['delete:*'],
+    escalate: [{ action: 'refund_requests', condition: 'amount > 500' }]
+  }
+};
+
+/**
+ * Policy directory with the fixture policy and the given suite files
+ */
+function createPolicyDir(suites) {
+  const dir = createTestDir(`policy-test-runner/case-${++fixtureCount}`);
+  writePolicy(dir, 'support-agent.yaml', policy);
+
+  for (const [file, content] of Object.entries(suites)) {
+    writePolicy(dir, file, content);
+  }
+
+  return dir;
+}
+
+runSuite('Policy Test Runner Tests', [
+  ['reports pass/fail per case with the deciding rule', () => {
+    const dir = createPolicyDir({
+      'support-agent.test.yaml': [
+        'subject:',
+        '  role: support',
+        'cases:',
+        '  - { name: reads tickets, action: read:ticket, expect: allow }',
+        '  - { name: big refunds, action: refund_requests, context: { amount: 900 }, expect: escalate }',
+        '  - { name: wrong expectation, action: delete:ticket, expect: allow }',
+        '  - { name: wrong rule, action: read:order_history, expect: allow, rule: read:ticket }',
+        '  - { name: bad case, action: read:ticket }'
+      ].join('\n')
+    });
+
+    const report = new PolicyTestRunner(dir).run();
+    const [suite] = report.suites;
+    const byName = Object.fromEntries(suite.results.map(result => [result.name, result]));
+
+    assert.strictEqual(suite.agent, 'support-agent');
+    assert.strictEqual(report.passed, 2);
+    assert.strictEqual(report.failed, 3);
+    assert.strictEqual(byName['wrong expectation'].line, 6);
+    assert.match(byName['wrong expectation'].message, /expected allow, got deny/);
+    assert.match(byName['wrong rule'].message, /expected rule 'read:ticket', got 'read:order_history when agent.role == 'support''/);
+    assert.match(byName['bad case'].message, /needs an 'action'/);
+  }],
+
+  ['reports rules that no case hit', () => {
+    const dir = createPolicyDir({
+      'support-agent.test.yaml': 'cases:\n  - { action: refund_requests, context: { amount: 100 }, expect: deny }\n'
+    });
+
+    const { coverage } = new PolicyTestRunner(dir).run();
+
+    assert.deepStrictEqual(coverage['support-agent'].unhit.map(rule => `${rule.list} ${rule.rule}`), [
+      'escalate refund_requests when amount > 500',
+      'deny delete:*',
+      'allow read:ticket',
+      "allow read:order_history when agent.role == 'support'"
+    ]);
+  }],
+
+  ['fails suites for unknown agents without touching the audit trail', () => {
+    const dir = createPolicyDir({
+      'other-agent.test.yaml': 'cases:\n  - { action: read:ticket, expect: allow }\n'
+    });
+
+    const report = new PolicyTestRunner(dir).run();
+
+    assert.strictEqual(report.failed, 1);
+    assert.match(report.suites[0].results[0].message, /No policy found for agent: other-agent/);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['other-agent.test.yaml', 'support-agent.yaml']);
+  }],
+
+  ['evaluates schedule conditions at a case\'s `at` time', () => {
+    const dir = createPolicyDir({
+      'ops-agent.yaml': {
+        agent: 'ops-agent',
+        schedules: { nightly: { timezone: 'Europe/Berlin', hours: '22:00-06:00' } },
+        permissions: { allow: [{ action: 'run:security_scan', condition: 'during nightly' }] }
+      },
+      'ops-agent.test.yaml': [
+        'cases:',
+        '  - { name: night, action: run:security_scan, at: 2026-03-03T22:30:00Z, expect: allow }',
+        "  - { name: day, action: run:security_scan, at: '2026-03-03T12:00:00Z', expect: deny }",
+        '  - { name: bad time, action: run:security_scan, at: teatime, expect: deny }'
+      ].join('\n')
+    });
+
+    const report = new PolicyTestRunner(dir).run();
+    const suite = report.suites.find(entry => entry.agent === 'ops-agent');
+
+    assert.deepStrictEqual(suite.results.map(result => result.pass), [true, true, false]);
+    assert.match(suite.results[2].message, /Invalid 'at' time: teatime/);
+  }],
+
+  ['policy-test runs the shipped suites and exits non-zero on failures', () => {
+    const cli = path.join(__dirname, '../bin/policy-test.js');
+    const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+
+    const shipped = run(path.join(__dirname, '../policies'), '--require-coverage');
+    assert.strictEqual(shipped.status, 0, shipped.stdout);
+    assert.match(shipped.stdout, /0 failed, 0 rules never hit/);
+
+    const uncovered = createPolicyDir({ 'support-agent.test.yaml': 'cases:\n  - { action: read:ticket, expect: allow }\n' });
+    assert.strictEqual(run(uncovered).status, 0);
+    assert.strictEqual(run(uncovered, '--require-coverage').status, 1);
+
+    const failing = createPolicyDir({ 'support-agent.test.yaml': 'cases:\n  - { action: read:ticket, expect: deny }\n' });
+    const result = run(failing);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /support-agent.test.yaml:2: expected deny, got allow/);
+  }]
+]);
@@ -0,0 +1,325 @@
+/**
+ * Policy Validator Tests - OpenClaw Production Toolkit
+ *
+ * Exercises schema validation, line reporting and the policy-lint CLI.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { validatePolicies } = require('../src/policy-validator');
+const { createTestDir, writePolicy, runSuite } = require('./helpers');
+
+let fixtureCount = 0;
+
+/**
+ * Write raw YAML files into a fresh policy directory
+ */
+function createPolicyDir(files) {
+  const dir = createTestDir(`policy-validator/case-${++fixtureCount}`);
+  for (const [file, content] of Object.entries(files)) {
+    writePolicy(dir, file, content);
+  }
+  return dir;
+}
+
+const find = (issues, pattern) => issues.find(issue => pattern.test(issue.message));
+
+runSuite('Policy Validator Tests', [
+  ['accepts the shipped policies without issues', () => {
+    const report = validatePolicies(path.join(__dirname, '../policies'));
+
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.errors, []);
+    assert.deepStrictEqual(report.warnings, []);
+  }],
+
+  ['flags typos as unknown keys with the line and a suggestion', () => {
+    const dir = createPolicyDir({
+      'agent.yaml': [
+        'agent: typo-agent',
+        'permissions:',
+        '  allow:',
+        '    - read:ticket',
+        '  escalte:',
+        '    - refund_requests'
+      ].join('\n')
+    });
+
+    const report = validatePolicies(dir);
+    const typo = find(report.warnings, /Unknown key 'escalte'/);
+
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(typo.file, 'agent.yaml');
+    assert.strictEqual(typo.line, 5);
+    assert.strictEqual(typo.path, 'permissions.escalte');
+    assert.match(typo.message, /did you mean 'escalate'/);
+  }],
+
+  ['rejects a policy whose permissions block is missing', () => {
+    const dir = createPolicyDir({
+      'agent.yaml': 'agent: typo-agent\npermisions:\n  allow:\n    - read:ticket\n'
+    });
+
+    const report = validatePolicies(dir);
+
+    assert.strictEqual(report.valid, false);
+    assert.ok(find(report.errors, /Missing 'permissions' block/));
+    assert.strictEqual(find(report.warnings, /Unknown key 'permisions'/).line, 2);
+  }],
+
+  ['reports schema errors with their key path', () => {
+    const dir = createPolicyDir({
+      'agent.yaml': [
+        'agent: bad-agent',
+        'permissions:',
+        '  allow:',
+        '    - action: read:ticket',
+        '      condition: "amount >> 5"',
+        '    - 42',
+        'rate_limits:',
+        '  max_actions: 5',
+        'trust:',
+        '  minimum_score: 120'
+      ].join('\n')
+    });
+
+    const report = validatePolicies(dir);
+    const condition = find(report.errors, /Invalid condition/);
+
+    assert.strictEqual(condition.line, 5);
+    assert.strictEqual(condition.path, 'permissions.allow[0].condition');
+    assert.strictEqual(find(report.errors, /Rule must be a pattern string/).line, 6);
+    assert.ok(find(report.errors, /Unrecognized rate limit/));
+    assert.strictEqual(find(report.errors, /trust.minimum_score/).line, 10);
+  }],
+
+  ['validates escalation SLAs and warns about ones no escalate rule uses', () => {
+    const dir = createPolicyDir({
+      'agent.yaml': [
+        'agent: sla-agent',
+        'permissions:',
+        '  escalate:',
+        '    - refund_requests',
+        'escalation_sla:',
+        '  refund_requests:',
+        '    timeout: 4h',
+        '    on_timeout: deny',
+        '  refund_request:',
+        '    timeout: 4h'
+      ].join('\n'),
+      'broken.yaml': [
+        'agent: broken-agent',
+        'permissions:',
+        '  escalate: [refund_requests]',
+        'escalation_sla:',
+        '  refund_requests:',
+        '    timeout: 1h',
+        '    remind_at: [2h]'
+      ].join('\n')
+    });
+
+    const report = validatePolicies(dir);
+    const unused = find(report.warnings, /No escalate rule or escalating budget uses SLA 'refund_request'/);
+
+    assert.strictEqual(unused.line, 9);
+    assert.strictEqual(report.warnings.length, 1);
+    assert.strictEqual(find(report.errors, /reminders must come before the timeout/).path, 'escalation_sla');
+    assert.strictEqual(report.errors.length, 1);
+  }],
+
+  ['checks approval requirements against approver groups, including inherited ones', () => {
+    const dir = createPolicyDir({
+      'approvers.yaml': 'role: approvers\napprover_groups:\n  legal: [alice, bob]\n',
+      'agent.yaml': [
+        'agent: deletion-agent',
+        'extends: approvers',
+        'permissions:',
+        '  escalate: [account_deletion]',
+        'escalation_approvals:',
+        '  account_deletion: { required: 2, groups: [legal] }'
+      ].join('\n'),
+      'broken.yaml': [
+        'agent: broken-agent',
+        'extends: approvers',
+        'permissions:',
+        '  escalate: [account_deletion]',
+        'escalation_approvals:',
+        '  account_deletion: { required: 2, groups: [legal, finance] }'
+      ].join('\n')
+    });
+
+    const report = validatePolicies(dir);
+    const missing = find(report.errors, /unknown approver group 'finance' \(after merging extends\)/);
+
+    assert.strictEqual(missing.file, 'broken.yaml');
+    assert.strictEqual(missing.line, 5);
+    assert.strictEqual(report.errors.length, 1);
+  }],
+
+  ['validates escalation routes', () => {
+    const dir = createPolicyDir({
+      'agent.yaml': [
+        'agent: routed-agent',
+        'permissions:',
+        '  escalate: [refund_requests]',
+        'escalation_routing:',
+        '  - rule: refund_requests',
+        '    condition: "amount >> 5000"',
+        '    assign_to: finance',
+        '  - action: "delete:{a"',
+        '    notify: finance-hook',
+        '  - rule: refund_request',
+        '    assign_to: finance',
+        '    when: during business_hours'
+      ].join('\n')
+    });
+
+    const report = validatePolicies(dir);
+
+    assert.strictEqual(find(report.errors, /Invalid condition/).path, 'escalation_routing[0].condition');
+    assert.strictEqual(find(report.errors, /Invalid action pattern/).line, 8);
+    assert.ok(find(report.errors, /Route must have an 'assign_to'/));
+    assert.strictEqual(find(report.errors, /notify must be a list of notifier names/).line, 9);
+    assert.strictEqual(find(report.warnings, /No escalate rule or escalating budget uses route rule 'refund_request'/).line, 10);
+    assert.strictEqual(find(report.warnings, /Unknown key 'when'/).path, 'escalation_routing[2].when');
+  }],
+
+  ['reports YAML syntax errors with a line', () => {
+    const dir = createPolicyDir({ 'agent.yaml': 'agent: a\npermissions:\n  allow: [read:x\n' });
+
+    const [error] = validatePolicies(dir).errors;
+    assert.match(error.message, /Invalid YAML/);
+    assert.ok(error.line >= 3);
+  }],
+
+  ['warns about unreachable rules and duplicate agents', () => {
+    const policy = [
+      'agent: shadow-agent',
+      'permissions:',
+      '  allow:',
+      '    - delete:ticket',
+      '    - read:ticket',
+      '    - read:ticket',
+      '  deny:',
+      '    - delete:*',
+      '  escalate:',
+      '    - action: read:ticket',
+      '      condition: "amount > 5"'
+    ].join('\n');
+
+    const report = validatePolicies(createPolicyDir({ 'a.yaml': policy, 'b.yaml': policy }));
+
+    const shadowed = find(report.warnings, /Unreachable allow rule 'delete:ticket'/);
+    assert.strictEqual(shadowed.line, 4);
+    assert.match(shadowed.message, /deny rule 'delete:\*'/);
+    assert.ok(find(report.warnings, /Duplicate rule/));
+    assert.ok(find(report.warnings, /also defined in a.yaml/));
+    assert.ok(!find(report.warnings, /Unreachable allow rule 'read:ticket'/), 'conditional escalations do not shadow');
+  }],
+
+  ['validates extends and warns about rules shadowed by a base', () => {
+    const dir = createPolicyDir({
+      'baseline.yaml': 'role: baseline\npermissions:\n  deny:\n    - delete:*\n',
+      'agent.yaml': [
+        'agent: child-agent',
+        'extends: [baseline, baseline]',
+        'permissions:',
+        '  allow:',
+        '    - delete:ticket',
+        '    - read:ticket'
+      ].join('\n'),
+      'audit-only.yaml': 'role: audit-only\naudit:\n  level: full\n',
+      'bare.yaml': 'agent: bare-agent\nextends: audit-only\n',
+      'clash.yaml': 'agent: baseline\npermissions:\n  allow: [read:x]\n',
+      'override.yaml': 'agent: override-agent\nextends: baseline\nprecedence: most-specific\npermissions:\n  allow: [delete:customer_data]\n'
+    });
+
+    const report = validatePolicies(dir);
+    const shadowed = find(report.warnings, /Unreachable allow rule 'delete:ticket'/);
+
+    assert.strictEqual(shadowed.file, 'agent.yaml');
+    assert.strictEqual(shadowed.line, 5);
+    assert.match(shadowed.message, /deny rule 'delete:\*' \(inherited via extends\)/);
+    assert.ok(find(report.warnings, /'baseline' is already listed in extends/));
+
+    // Inherited denies win under most-specific precedence too
+    assert.strictEqual(find(report.warnings, /Unreachable allow rule 'delete:customer_data'/).file, 'override.yaml');
+    assert.strictEqual(find(report.errors, /No 'permissions' block in the policy or its bases/).file, 'bare.yaml');
+    assert.match(find(report.errors, /already defined as a role/).message, /in baseline.yaml/);
+    assert.deepStrictEqual(report.roles.map(r => r.file), ['audit-only.yaml', 'baseline.yaml']);
+  }],
+
+  ['checks action patterns and precedence-aware shadowing', () => {
+    const policy = (precedence) => [
+      'agent: glob-agent',
+      `precedence: ${precedence}`,
+      'permissions:',
+      '  allow:',
+      '    - delete:draft_ticket',
+      '    - action: "/read:(a|b/"',
+      '  deny:',
+      '    - delete:*'
+    ].join('\n');
+
+    const strict = validatePolicies(createPolicyDir({ 'agent.yaml': policy('deny-overrides') }));
+    const specific = validatePolicies(createPolicyDir({ 'agent.yaml': policy('most-specific') }));
+    const invalid = validatePolicies(createPolicyDir({ 'agent.yaml': policy('newest-wins') }));
+
+    assert.strictEqual(find(strict.errors, /Invalid action pattern/).path, 'permissions.allow[1].action');
+    assert.ok(find(strict.warnings, /Unreachable allow rule 'delete:draft_ticket'/));
+    assert.ok(!find(specific.warnings, /Unreachable/));
+    assert.strictEqual(find(invalid.errors, /precedence must be one of/).line, 2);
+  }],
+
+  ['validates shadow modes and ignores shadow rules when checking reachability', () => {
+    const report = validatePolicies(createPolicyDir({
+      'agent.yaml': [
+        'agent: rollout-agent',
+        'mode: monitor',
+        'permissions:',
+        '  allow:',
+        '    - delete:draft_ticket',
+        '    - { action: read:ticket, mode: observe }',
+        '  deny:',
+        '    - { action: delete:*, mode: shadow }'
+      ].join('\n'),
+      'role.yaml': 'role: rollout-role\nmode: shadow\n',
+      'base.yaml': 'role: base\npermissions:\n  deny: [delete:*]\n',
+      'shadow.yaml': [
+        'agent: shadow-agent',
+        'extends: base',
+        'mode: shadow',
+        'permissions:',
+        '  allow: [delete:draft, export:report]',
+        '  deny: [export:*]'
+      ].join('\n')
+    }));
+
+    assert.strictEqual(find(report.errors, /^mode must be one of: enforce, shadow/).line, 2);
+    assert.strictEqual(find(report.errors, /Rule mode must be one of/).path, 'permissions.allow[1].mode');
+    assert.strictEqual(find(report.errors, /mode isn't inherited from roles/).file, 'role.yaml');
+
+    // A shadow-mode policy's own rules don't block, but inherited ones still do
+    assert.deepStrictEqual(report.warnings.filter(issue => /Unreachable/.test(issue.message)).map(issue => [issue.file, issue.path]),
+      [['shadow.yaml', 'permissions.allow[0]']]);
+  }],
+
+  ['policy-lint exits non-zero on errors, and on warnings with --strict', () => {
+    const cli = path.join(__dirname, '../bin/policy-lint.js');
+    const lint = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+
+    const invalid = createPolicyDir({ 'agent.yaml': 'agent: a\n' });
+    const warned = createPolicyDir({ 'agent.yaml': 'agent: a\npermissions:\n  allow: [read:x]\nextra: 1\n' });
+
+    assert.strictEqual(lint(path.join(__dirname, '../policies')).status, 0);
+
+    const failed = lint(invalid);
+    assert.strictEqual(failed.status, 1);
+    assert.match(failed.stdout, /agent.yaml: error: Missing 'permissions' block/);
+
+    assert.strictEqual(lint(warned).status, 0);
+    assert.strictEqual(lint(warned, '--strict').status, 1);
+    assert.strictEqual(JSON.parse(lint(warned, '--json').stdout).warnings.length, 1);
+  }]
+]);
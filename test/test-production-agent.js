@@ -0,0 +1,500 @@
+/**
+ * Production Agent Tests - OpenClaw Production Toolkit
+ *
+ * Exercises the governed execute() flow end to end against fixture policies.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const ProductionAgent = require('../src/production-agent');
+const PolicySigner = require('../src/policy-signer');
+const { createTestDir, writePolicy, createClock, runSuite } = require('./helpers');
+
+const testDir = createTestDir('production-agent');
+
+let fixtureCount = 0;
+
+/**
+ * Build an agent over a fresh fixture directory containing the given policy
+ * (and any role policies it extends)
+ */
+function createAgent(policy, { roles = [], ...options } = {}) {
+  const dir = path.join(testDir, `case-${++fixtureCount}`);
+  const policyPath = path.join(dir, 'policies');
+  createTestDir(path.relative(path.join(__dirname, 'test-data'), policyPath));
+  writePolicy(policyPath, `${policy.agent}.yaml`, policy);
+  for (const role of roles) {
+    writePolicy(policyPath, `${role.role}.yaml`, role);
+  }
+
+  return new ProductionAgent(policy.agent, {
+    policyPath,
+    auditPath: path.join(dir, 'audit'),
+    identityPath: path.join(dir, 'identities'),
+    ...options
+  });
+}
+
+const basePolicy = {
+  agent: 'support-agent',
+  permissions: {
+    allow: ['read:customer_data', 'update:ticket_status'],
+    deny: ['delete:*'],
+    escalate: ['refund_requests']
+  }
+};
+
+runSuite('Production Agent Tests', [
+  ['stops a runaway loop at the policy rate limit', async () => {
+    const agent = createAgent({ ...basePolicy, rate_limits: { actions_per_minute: 5 } });
+    let executed = 0;
+    const executor = async () => { executed++; return 'ok'; };
+
+    const results = [];
+    for (let i = 0; i < 8; i++) {
+      results.push(await agent.execute('update:ticket_status', { ticketId: i }, executor));
+    }
+
+    assert.strictEqual(executed, 5);
+    assert.strictEqual(results[5].success, false);
+    assert.strictEqual(results[5].rateLimited, true);
+    assert.ok(results[5].retryAfterMs > 0);
+
+    const limited = agent.getAuditHistory({ type: 'policy_decision' }).filter(e => e.decision.rateLimited);
+    assert.strictEqual(limited.length, 3);
+  }],
+
+  ['spends budgets only on successful executions and keeps them across restarts', async () => {
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: { ...basePolicy.permissions, allow: ['refund_small'] },
+      budgets: [{ name: 'daily_refunds', action: 'refund_*', sum: 'amount', limit: 2000, window: 'day', on_exceed: 'escalate' }]
+    });
+    const refund = async () => 'refunded';
+    const failing = async () => { throw new Error('payment gateway down'); };
+
+    for (let i = 0; i < 4; i++) {
+      assert.strictEqual((await agent.execute('refund_small', { amount: 499 }, refund)).success, true);
+    }
+    assert.strictEqual((await agent.execute('refund_small', { amount: 4 }, failing)).success, false);
+
+    const restarted = new ProductionAgent(agent.agentId, agent.options);
+    assert.strictEqual((await restarted.execute('refund_small', { amount: 4 }, refund)).success, true);
+
+    let executed = false;
+    const over = await restarted.execute('refund_small', { amount: 499 }, async () => { executed = true; });
+    assert.strictEqual(executed, false);
+    assert.strictEqual(over.requiresEscalation, true);
+    assert.strictEqual(over.escalationRule, 'budget:daily_refunds');
+    assert.strictEqual(over.budget.remaining, 0);
+    assert.match(over.reason, /Budget exceeded: daily_refunds \(0 of 2000 remaining per day, requested 499\)/);
+  }],
+
+  ['tracks escalations from execute() through resolution', async () => {
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: { ...basePolicy.permissions, escalate: [{ action: 'refund_requests', condition: 'amount > 500' }] }
+    }, { escalationHandler: 'finance' });
+
+    const first = await agent.execute('refund_requests', { amount: 600 });
+    const second = await agent.execute('refund_requests', { amount: 700 });
+    assert.notStrictEqual(first.escalationId, second.escalationId);
+
+    const [pending] = agent.listEscalations({ rule: 'refund_requests when amount > 500', assignedTo: 'finance' });
+    assert.strictEqual(pending.id, first.escalationId);
+    assert.deepStrictEqual(agent.getEscalation(second.escalationId).context, { amount: 700 });
+
+    assert.deepStrictEqual(await agent.resolveEscalation(first.escalationId, 'approved', 'ok', 'manager'),
+      { success: true, escalationId: first.escalationId, decision: 'approved', resolvedBy: 'manager', resumed: false });
+    await assert.rejects(agent.resolveEscalation(first.escalationId, 'denied', 'changed my mind'), /already approved/);
+    await assert.rejects(agent.resolveEscalation(12345, 'approved'), /Unknown escalation/);
+
+    agent.cancelEscalation(second.escalationId, 'Customer withdrew');
+    assert.strictEqual(agent.listEscalations().length, 0);
+    assert.strictEqual(agent.listEscalations({ status: 'all' }).length, 2);
+  }],
+
+  ['runs a parked action exactly once when its escalation is approved, with reviewer changes', async () => {
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: {
+        allow: ['refund_requests'],
+        deny: [{ action: 'refund_requests', condition: "currency == 'BTC'" }],
+        escalate: [{ action: 'refund_requests', condition: 'amount > 500' }]
+      }
+    });
+    const calls = [];
+    const refund = async (context, link) => { calls.push({ amount: context.amount, ...link }); return 'refunded'; };
+
+    const escalated = await agent.execute('refund_requests', { amount: 900, orderId: 'o-1' }, refund, { resumeOnApproval: true });
+    assert.strictEqual(escalated.parked, true);
+    assert.strictEqual(calls.length, 0);
+
+    await assert.rejects(agent.resolveEscalation(escalated.escalationId, 'modified', 'Partial refund', 'manager'), /needs the changed context fields/);
+
+    const resolved = await agent.resolveEscalation(escalated.escalationId, 'modified', 'Partial refund', 'manager', { modifications: { amount: 250 } });
+    assert.strictEqual(resolved.resumed, true);
+    assert.strictEqual(resolved.result.success, true);
+    assert.strictEqual(resolved.result.output, 'refunded');
+    assert.deepStrictEqual(calls, [{ amount: 250, escalationId: escalated.escalationId, authorizedBy: 'manager' }]);
+
+    await assert.rejects(agent.resolveEscalation(escalated.escalationId, 'approved', 'again', 'manager'), /already approved/);
+    assert.strictEqual(calls.length, 1);
+
+    const [action] = agent.getAuditHistory({ type: 'agent_action' });
+    assert.deepStrictEqual([action.details, action.escalationId, action.authorizedBy],
+      [{ amount: 250, orderId: 'o-1' }, escalated.escalationId, 'manager']);
+    assert.deepStrictEqual(agent.getEscalation(escalated.escalationId).resolution.modifications, { amount: 250 });
+
+    // Denied: the parked action never runs
+    const denied = await agent.execute('refund_requests', { amount: 800 }, refund, { resumeOnApproval: true });
+    assert.strictEqual((await agent.resolveEscalation(denied.escalationId, 'denied', 'No', 'manager')).resumed, false);
+
+    // A change that the policy denies outright is refused
+    const raised = await agent.execute('refund_requests', { amount: 800 }, refund, { resumeOnApproval: true });
+    const refused = await agent.resolveEscalation(raised.escalationId, 'modified', 'Bump', 'manager', { modifications: { amount: 400, currency: 'BTC' } });
+    assert.strictEqual(refused.result.policyDenied, true);
+    assert.strictEqual(calls.length, 1);
+
+    // Without resumeOnApproval nothing is parked
+    const plain = await agent.execute('refund_requests', { amount: 800 }, refund);
+    assert.strictEqual(plain.parked, false);
+    assert.strictEqual((await agent.resolveEscalation(plain.escalationId, 'approved', 'ok', 'manager')).resumed, false);
+  }],
+
+  ['resumes handler-named actions after a restart when their logged context is complete', async () => {
+    const refunds = [];
+    const handlers = { issue_refund: async (context) => { refunds.push(context.amount); } };
+    const agent = createAgent({
+      ...basePolicy,
+      audit: { sensitive_fields: ['card_number'] }
+    }, { handlers });
+
+    const byName = await agent.execute('refund_requests', { amount: 900 }, 'issue_refund', { resumeOnApproval: true });
+    const redacted = await agent.execute('refund_requests', { amount: 900, card_number: '4111111111111111' }, 'issue_refund', { resumeOnApproval: true });
+    const byFunction = await agent.execute('refund_requests', { amount: 900 }, async () => {}, { resumeOnApproval: true });
+    assert.match((await agent.execute('refund_requests', {}, 'no_such_handler')).error, /Unknown handler: no_such_handler/);
+
+    const restarted = new ProductionAgent(agent.agentId, agent.options);
+
+    assert.strictEqual((await restarted.resolveEscalation(byName.escalationId, 'approved', 'ok', 'manager')).resumed, true);
+    assert.deepStrictEqual(refunds, [900]);
+
+    for (const lost of [redacted, byFunction]) {
+      const resolved = await restarted.resolveEscalation(lost.escalationId, 'approved', 'ok', 'manager');
+      assert.strictEqual(resolved.resumed, false);
+      assert.match(resolved.resumeError, /no longer available/);
+    }
+    assert.deepStrictEqual(refunds, [900]);
+  }],
+
+  ['applies escalation SLAs from the policy, resuming parked actions approved on timeout', async () => {
+    const clock = createClock(Date.now());
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: { ...basePolicy.permissions, escalate: ['refund_requests', { action: 'delete:*', condition: 'count > 10' }] },
+      escalation_sla: {
+        refund_requests: { timeout: '4h', on_timeout: 'approve', remind_at: ['1h'] },
+        default: { timeout: '1h' }
+      }
+    }, { clock, escalationCheckIntervalMs: 0 });
+    const refunds = [];
+    const refund = async (context) => { refunds.push(context.amount); };
+
+    const approved = await agent.execute('refund_requests', { amount: 900 }, refund, { resumeOnApproval: true });
+    const expired = await agent.execute('delete:records', { count: 50 }, async () => {}, { resumeOnApproval: true });
+    assert.deepStrictEqual(agent.getEscalation(approved.escalationId).sla.remindAtMs, [60 * 60 * 1000]);
+    assert.strictEqual(agent.getEscalation(expired.escalationId).sla.onTimeout, 'expire');
+
+    clock.advance(90 * 60 * 1000);
+    assert.deepStrictEqual(await agent.escalationScheduler.tick(), { reminders: 1, timeouts: 1 });
+    assert.strictEqual(agent.getEscalation(expired.escalationId).status, 'expired');
+    assert.strictEqual(agent.parked.has(expired.escalationId), false);
+
+    clock.advance(3 * 60 * 60 * 1000);
+    assert.deepStrictEqual(await agent.escalationScheduler.tick(), { reminders: 0, timeouts: 1 });
+    assert.deepStrictEqual(refunds, [900]);
+
+    const [action] = agent.getAuditHistory({ type: 'agent_action' });
+    assert.deepStrictEqual([action.escalationId, action.authorizedBy], [approved.escalationId, 'sla-timeout']);
+    agent.close();
+  }],
+
+  ['runs a parked action only once the required approvers have voted', async () => {
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: { ...basePolicy.permissions, escalate: ['account_deletion'] },
+      approver_groups: { legal: ['alice', 'bob'], security: ['carol', 'olga'] },
+      escalation_approvals: {
+        account_deletion: { required: 2, groups: ['legal', 'security'], exclude: ['owner', 'requester'] }
+      }
+    }, { owner: 'olga' });
+    const deleted = [];
+    const deleteAccount = async (context) => { deleted.push(context); };
+
+    const escalated = await agent.execute('account_deletion', { accountId: 'a-1', requester: 'alice' }, deleteAccount, { resumeOnApproval: true });
+    assert.deepStrictEqual(agent.getEscalation(escalated.escalationId).approvals.excluded, ['olga', 'support-agent', 'alice']);
+
+    await assert.rejects(agent.resolveEscalation(escalated.escalationId, 'approved', 'ok', 'olga'), /olga is excluded/);
+
+    const first = await agent.resolveEscalation(escalated.escalationId, 'modified', 'Keep invoices', 'bob', { modifications: { keepInvoices: true } });
+    assert.deepStrictEqual([first.decision, first.votes], ['pending', { approvals: 1, denials: 0, required: 2 }]);
+    assert.strictEqual(deleted.length, 0);
+
+    const second = await agent.resolveEscalation(escalated.escalationId, 'approved', 'Agreed', 'carol');
+    assert.deepStrictEqual([second.decision, second.resumed, second.result.success], ['modified', true, true]);
+    assert.deepStrictEqual(deleted, [{ accountId: 'a-1', requester: 'alice', keepInvoices: true }]);
+
+    const [action] = agent.getAuditHistory({ type: 'agent_action' });
+    assert.deepStrictEqual([action.escalationId, action.authorizedBy], [escalated.escalationId, 'carol']);
+    assert.strictEqual(agent.escalations.verifyVotes(escalated.escalationId).valid, true);
+  }],
+
+  ['lets a stateless worker retry an approved action once with its approval token', async () => {
+    const signingKey = { keyId: 'system', privateKey: PolicySigner.generateKeyPair().privateKey };
+    const agent = createAgent(basePolicy, { approvalTokens: { signingKey } });
+    const refunds = [];
+    const refund = async (context, link) => { refunds.push({ amount: context.amount, ...link }); };
+    const context = { orderId: 'o-1', amount: 900 };
+
+    const escalated = await agent.execute('refund_requests', context);
+    const resolved = await agent.resolveEscalation(escalated.escalationId, 'modified', 'Partial', 'manager', { modifications: { amount: 250 } });
+    assert.strictEqual(resolved.resumed, false);
+
+    const retried = await agent.execute('refund_requests', { ...context, approvalToken: resolved.approvalToken }, refund);
+    assert.strictEqual(retried.success, true);
+    assert.deepStrictEqual(refunds, [{ amount: 250, escalationId: escalated.escalationId, authorizedBy: 'manager' }]);
+
+    const replayed = await agent.execute('refund_requests', { ...context, approvalToken: resolved.approvalToken }, refund);
+    assert.deepStrictEqual([replayed.approvalTokenRejected, replayed.error], [true, 'Approval token rejected: Already used']);
+
+    const other = await agent.execute('refund_requests', { orderId: 'o-2', amount: 600 });
+    const { approvalToken } = await agent.resolveEscalation(other.escalationId, 'approved', 'ok', 'manager');
+    const mismatched = await agent.execute('refund_requests', { orderId: 'o-2', amount: 6000, approvalToken }, refund);
+    assert.strictEqual(mismatched.error, 'Approval token rejected: Context does not match the approved context');
+    assert.strictEqual(refunds.length, 1);
+
+    const logged = agent.getAuditHistory({ type: 'approval_token' }).map(entry => [entry.status, entry.reason]);
+    assert.deepStrictEqual(logged, [
+      ['issued', undefined], ['consumed', undefined], ['rejected', 'Already used'],
+      ['issued', undefined], ['rejected', 'Context does not match the approved context']
+    ]);
+
+    const plain = createAgent(basePolicy);
+    assert.strictEqual((await plain.execute('refund_requests', { ...context, approvalToken: resolved.approvalToken })).error, 'Approval tokens are not enabled for this agent');
+  }],
+
+  ['charges budgets for approved actions and refuses ones that would exceed them', async () => {
+    const signingKey = { keyId: 'system', privateKey: PolicySigner.generateKeyPair().privateKey };
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: { ...basePolicy.permissions, allow: ['refund_small'] },
+      budgets: [
+        { name: 'daily_refunds', action: 'refund_requests', sum: 'amount', limit: 1000, window: 'day' },
+        { name: 'small_refunds', action: 'refund_small', sum: 'amount', limit: 100, window: 'day', on_exceed: 'escalate' }
+      ]
+    }, { approvalTokens: { signingKey } });
+    const refunds = [];
+    const refund = async (context) => { refunds.push(context.amount); };
+    const approve = async (amount, action = 'refund_requests') => {
+      const escalated = await agent.execute(action, { amount }, refund, { resumeOnApproval: true });
+      return agent.resolveEscalation(escalated.escalationId, 'approved', 'ok', 'manager');
+    };
+
+    assert.strictEqual((await approve(900)).result.success, true);
+    const over = (await approve(400)).result;
+    assert.deepStrictEqual([over.policyDenied, over.budgetExceeded, over.budget.remaining], [true, true, 100]);
+
+    // A retried token is charged the same way, and isn't spent when refused
+    const tokenFor = async (amount) => {
+      const escalated = await agent.execute('refund_requests', { amount });
+      return (await agent.resolveEscalation(escalated.escalationId, 'approved', 'ok', 'manager')).approvalToken;
+    };
+    const large = await agent.execute('refund_requests', { amount: 150, approvalToken: await tokenFor(150) }, refund);
+    assert.match(large.error, /Approved action is denied by policy: Budget exceeded: daily_refunds/);
+    assert.strictEqual((await agent.execute('refund_requests', { amount: 60, approvalToken: await tokenFor(60) }, refund)).success, true);
+    assert.strictEqual(agent.checkPermission('refund_small', { amount: 0 }).budgets[0].used, 0);
+
+    // Approving a budget's own escalation lets that budget go over
+    assert.strictEqual((await agent.execute('refund_small', { amount: 80 }, refund)).success, true);
+    const overBudget = await approve(50, 'refund_small');
+    assert.strictEqual(overBudget.result.success, true);
+    assert.strictEqual(agent.checkPermission('refund_small', { amount: 1 }).budget.used, 130);
+    assert.deepStrictEqual(refunds, [900, 60, 80, 50]);
+  }],
+
+  ['routes escalations to assignees and notifies the route\'s notifiers', async () => {
+    const delivered = [];
+    const agent = createAgent({
+      ...basePolicy,
+      audit: { sensitive_fields: ['card_number'] },
+      permissions: { ...basePolicy.permissions, escalate: ['refund_requests', 'account_deletion'] },
+      escalation_routing: [
+        { rule: 'refund_requests', condition: 'amount > 5000', assign_to: 'finance-leads', notify: ['finance-hook', 'missing'] },
+        { rule: 'refund_requests', assign_to: 'finance', notify: ['finance-hook'] },
+        { action: 'account_*', assign_to: 'legal' }
+      ]
+    }, { notifiers: { 'finance-hook': { notify: async (event) => { delivered.push(event); } } } });
+
+    const large = await agent.execute('refund_requests', { amount: 9000, card_number: '4111111111111111' }, async () => {});
+    const small = await agent.execute('refund_requests', { amount: 900 }, async () => {});
+    const deletion = await agent.execute('account_deletion', { accountId: 'a-1' }, async () => {});
+    await agent.notifications.flush();
+
+    assert.deepStrictEqual([large.assignedTo, small.assignedTo, deletion.assignedTo], ['finance-leads', 'finance', 'legal']);
+    assert.deepStrictEqual(delivered.map(event => [event.type, event.escalation.id]), [['escalation', large.escalationId], ['escalation', small.escalationId]]);
+    assert.strictEqual(delivered[0].escalation.context.card_number, '[REDACTED]');
+    assert.deepStrictEqual(agent.getEscalation(large.escalationId).notify, ['finance-hook', 'missing']);
+
+    const notifications = agent.getAuditHistory({ type: 'notification' });
+    assert.deepStrictEqual(notifications.map(entry => entry.status).sort(), ['delivered', 'delivered', 'failed']);
+    assert.strictEqual(notifications.find(entry => entry.status === 'failed').error, "Unknown notifier 'missing'");
+  }],
+
+  ['dry-run permission checks do not consume the rate limit', async () => {
+    const agent = createAgent({ ...basePolicy, rate_limits: { actions_per_minute: 1 } });
+
+    agent.checkPermission('update:ticket_status');
+    agent.checkPermission('update:ticket_status');
+
+    const result = await agent.execute('update:ticket_status', {});
+    assert.strictEqual(result.success, true);
+  }],
+
+  ['exposes identity attributes, not context, as agent.* in conditions', async () => {
+    const agent = createAgent({
+      agent: 'support-agent',
+      permissions: {
+        allow: [{ action: 'read:order_history', condition: "agent.clearances contains 'gdpr'" }]
+      }
+    }, { clearances: ['gdpr'] });
+
+    assert.strictEqual(agent.checkPermission('read:order_history').allowed, true);
+
+    agent.identitySystem.updateMetadata(agent.agentId, { clearances: [] });
+    const result = await agent.execute('read:order_history', { agent: { clearances: ['gdpr'] } });
+    assert.strictEqual(result.policyDenied, true);
+  }],
+
+  ['applies the policy trust gate to execute and healthCheck', async () => {
+    const agent = createAgent({ ...basePolicy, trust: { minimum_score: 70, recovery_threshold: 80 } });
+
+    assert.strictEqual(agent.healthCheck().healthy, true);
+
+    agent.identitySystem.decrementTrustScore(agent.agentId, 35, 'test');
+
+    const blocked = await agent.execute('read:customer_data', {});
+    assert.strictEqual(blocked.success, false);
+    assert.strictEqual(blocked.trustState, 'blocked');
+
+    agent.identitySystem.incrementTrustScore(agent.agentId, 10, 'test');
+    const health = agent.healthCheck();
+    assert.strictEqual(health.trustState, 'recovering');
+    assert.strictEqual(health.healthy, false);
+    assert.deepStrictEqual(health.trustPolicy, { minimumScore: 70, recoveryThreshold: 80 });
+  }],
+
+  ['explains a decision with a rule-by-rule trace and one audit entry', () => {
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: {
+        ...basePolicy.permissions,
+        escalate: [{ action: 'read:customer_data', condition: "amount > 500 and agent.role == 'support'" }]
+      }
+    }, { role: 'support' });
+
+    const explained = agent.explain('read:customer_data', { region: 'EU' });
+    const { trace } = explained;
+
+    assert.strictEqual(explained.allowed, true);
+    assert.strictEqual(trace.decision.step, 'allow');
+    assert.strictEqual(trace.decision.rule, 'read:customer_data');
+    assert.deepStrictEqual(trace.rules.map(r => [r.list, r.pattern, r.matched]), [
+      ['escalate', 'read:customer_data', false],
+      ['deny', 'delete:*', false],
+      ['allow', 'read:customer_data', true],
+      ['allow', 'update:ticket_status', false]
+    ]);
+
+    const [amount, role] = trace.rules[0].condition.children;
+    assert.deepStrictEqual(amount.missing, ['amount']);
+    assert.strictEqual(role.result, true);
+    assert.deepStrictEqual(role.values, { 'agent.role': 'support' });
+
+    assert.strictEqual(agent.checkPermission('read:customer_data').trace, undefined);
+    assert.strictEqual(agent.explain('export:all').trace.decision.step, 'default-deny');
+
+    const decisions = agent.getAuditHistory({ type: 'policy_decision' });
+    assert.strictEqual(decisions.length, 3);
+    assert.ok(decisions.every(entry => entry.decision.trace === undefined));
+  }],
+
+  ['runs shadow rules without changing execute outcomes and reports their hits', async () => {
+    const agent = createAgent({
+      ...basePolicy,
+      permissions: {
+        ...basePolicy.permissions,
+        deny: [...basePolicy.permissions.deny, { action: 'update:ticket_status', condition: "status == 'closed'", mode: 'shadow' }],
+        escalate: [...basePolicy.permissions.escalate, { action: 'read:customer_data', condition: 'bulk == true', mode: 'shadow' }]
+      }
+    });
+    let executed = 0;
+    const executor = async () => { executed++; return 'ok'; };
+
+    assert.strictEqual((await agent.execute('update:ticket_status', { status: 'closed' }, executor)).success, true);
+    assert.strictEqual((await agent.execute('update:ticket_status', { status: 'closed' }, executor)).success, true);
+    assert.strictEqual((await agent.execute('update:ticket_status', { status: 'open' }, executor)).success, true);
+    assert.strictEqual((await agent.execute('read:customer_data', { bulk: true }, executor)).success, true);
+    assert.strictEqual(executed, 4);
+
+    // A shadow rule that agrees with the enforced outcome isn't a hit
+    assert.strictEqual(agent.checkPermission('delete:ticket').shadow, undefined);
+
+    const explained = agent.explain('update:ticket_status', { status: 'closed' });
+    assert.strictEqual(explained.allowed, true);
+    assert.strictEqual(explained.shadow.outcome, 'deny');
+    assert.match(explained.shadow.reason, /explicitly denied by policy rule: update:ticket_status when status == 'closed'/);
+    assert.strictEqual(explained.trace.rules.find(rule => rule.mode === 'shadow' && rule.list === 'deny').matched, true);
+
+    const { shadow } = agent.generateComplianceReport(new Date(Date.now() - 60000), new Date(Date.now() + 60000));
+    assert.strictEqual(shadow.total, 4);
+    assert.deepStrictEqual(shadow.byOutcome, { allow: 0, deny: 3, escalate: 1 });
+    assert.deepStrictEqual(shadow.rules.map(group => [group.outcome, group.count, group.actions]), [
+      ['deny', 3, { 'update:ticket_status': 3 }],
+      ['escalate', 1, { 'read:customer_data': 1 }]
+    ]);
+    assert.deepStrictEqual(shadow.rules[1].rule, { action: 'read:customer_data', condition: 'bulk == true', mode: 'shadow' });
+  }],
+
+  ['shadows only a shadow-mode policy\'s own deny and escalate rules', async () => {
+    const baseline = { role: 'baseline', permissions: { deny: ['delete:*', 'read:secrets'] } };
+    const agent = createAgent({
+      agent: 'support-agent',
+      extends: 'baseline',
+      mode: 'shadow',
+      permissions: {
+        allow: ['read:customer_data', 'export:report', 'delete:draft'],
+        deny: ['export:*', 'read:secrets'],
+        escalate: ['refund_requests']
+      }
+    }, { roles: [baseline] });
+
+    const exported = await agent.execute('export:report', {}, async () => 'ok');
+    assert.strictEqual(exported.success, true);
+
+    const [decision] = agent.getAuditHistory({ type: 'policy_decision' }).map(entry => entry.decision);
+    assert.strictEqual(decision.allowed, true);
+    assert.strictEqual(decision.shadow.outcome, 'deny');
+    assert.strictEqual(decision.shadow.matchedRule, 'export:*');
+
+    // Inherited denies (even ones the policy repeats) and default deny stay enforced
+    assert.strictEqual((await agent.execute('delete:draft', {}, async () => 'ok')).success, false);
+    assert.strictEqual(agent.checkPermission('read:secrets').allowed, false);
+    const unknown = agent.checkPermission('drop:database');
+    assert.deepStrictEqual([unknown.allowed, unknown.shadow], [false, undefined]);
+
+    assert.strictEqual(agent.checkPermission('read:customer_data').shadow, undefined);
+    const refund = agent.explain('refund_requests');
+    assert.deepStrictEqual([refund.requiresEscalation, refund.trace.mode, refund.trace.shadow.outcome], [false, 'shadow', 'escalate']);
+  }]
+]);
@@ -0,0 +1,225 @@
+/**
+ * Review Server Tests - OpenClaw Production Toolkit
+ *
+ * Lists and decides escalations over the review server's HTTP API and
+ * pages, as an authenticated reviewer.
+ */
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const ProductionAgent = require('../src/production-agent');
+const ReviewServer = require('../src/review-server');
+const { createTestDir, writePolicy, runSuite } = require('./helpers');
+
+const testDir = createTestDir('review-server');
+
+let fixtureCount = 0;
+
+const policy = {
+  agent: 'support-agent',
+  audit: { sensitive_fields: ['card_number'] },
+  permissions: {
+    allow: ['read:customer_data'],
+    escalate: ['refund_requests', 'account_deletion']
+  },
+  approver_groups: { legal: ['alice', 'bob'], security: ['carol'] },
+  escalation_approvals: {
+    account_deletion: { required: 2, groups: ['legal', 'security'], exclude: ['requester'] }
+  }
+};
+
+function createAgent() {
+  const dir = path.join(testDir, `case-${++fixtureCount}`);
+  const policyPath = path.join(dir, 'policies');
+  createTestDir(path.relative(path.join(__dirname, 'test-data'), policyPath));
+  writePolicy(policyPath, `${policy.agent}.yaml`, policy);
+
+  return new ProductionAgent(policy.agent, {
+    policyPath,
+    auditPath: path.join(dir, 'audit'),
+    identityPath: path.join(dir, 'identities'),
+    escalationCheckIntervalMs: 0
+  });
+}
+
+/**
+ * Start a review server on a free port for the agent
+ */
+async function startServer(agent) {
+  const server = new ReviewServer(agent, {
+    port: 0,
+    apiKeys: { manager: 'manager-key', bob: 'bob-key', carol: 'carol-key', alice: 'alice-key' },
+    users: { dana: ReviewServer.hashPassword('correct horse') }
+  });
+  const { url } = await server.start();
+  return { server, url };
+}
+
+/**
+ * Make a request and collect the response
+ */
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => {
+        const json = /json/.test(response.headers['content-type'] || '') ? JSON.parse(text) : null;
+        resolve({ status: response.statusCode, headers: response.headers, text, json });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function post(url, key, body) {
+  return request(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+const basic = (user, pass) => `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+
+runSuite('Review Server Tests', [
+  ['authenticates reviewers and lists pending escalations with redacted context', async () => {
+    const agent = createAgent();
+    assert.throws(() => new ReviewServer(agent), /needs apiKeys or users/);
+
+    const refund = await agent.execute('refund_requests', { amount: 900, card_number: '4111111111111111' }, async () => {});
+    await agent.execute('account_deletion', { accountId: 'a-1' }, async () => {});
+    const { server, url } = await startServer(agent);
+
+    try {
+      const anonymous = await request(`${url}/api/escalations`);
+      assert.strictEqual(anonymous.status, 401);
+      assert.match(anonymous.headers['www-authenticate'], /^Basic/);
+      assert.strictEqual((await request(`${url}/api/escalations`, { headers: { 'X-API-Key': 'wrong' } })).status, 401);
+      assert.strictEqual((await request(`${url}/api/escalations`, { headers: { Authorization: basic('dana', 'wrong') } })).status, 401);
+
+      const listed = await request(`${url}/api/escalations`, { headers: { Authorization: basic('dana', 'correct horse') } });
+      assert.deepStrictEqual(listed.json.escalations.map(escalation => escalation.action), ['refund_requests', 'account_deletion']);
+      assert.strictEqual(listed.json.escalations[0].context.card_number, '[REDACTED]');
+
+      const filtered = await request(`${url}/api/escalations?rule=refund_requests`, { headers: { 'X-API-Key': 'manager-key' } });
+      assert.deepStrictEqual(filtered.json.escalations.map(escalation => escalation.id), [refund.escalationId]);
+
+      const one = await request(`${url}/api/escalations/${refund.escalationId}`, { headers: { 'X-API-Key': 'manager-key' } });
+      assert.strictEqual(one.json.escalation.reason, agent.getEscalation(refund.escalationId).reason);
+
+      assert.strictEqual((await request(`${url}/api/escalations/esc_missing`, { headers: { 'X-API-Key': 'manager-key' } })).status, 404);
+      assert.strictEqual((await request(`${url}/escalations/%E0`, { headers: { 'X-API-Key': 'manager-key' } })).status, 400);
+      assert.match((await request(`${url}/api/escalations?status=stale`, { headers: { 'X-API-Key': 'manager-key' } })).json.error, /Unknown escalation status/);
+    } finally {
+      await server.stop();
+      agent.close();
+    }
+  }],
+
+  ['records decisions as the authenticated reviewer and resumes parked actions', async () => {
+    const agent = createAgent();
+    const refunds = [];
+    const escalated = await agent.execute('refund_requests', { amount: 900 }, async (context) => { refunds.push(context.amount); }, { resumeOnApproval: true });
+    const denied = await agent.execute('refund_requests', { amount: 50 }, async () => {});
+    const { server, url } = await startServer(agent);
+    const decide = (id, action) => `${url}/api/escalations/${id}/${action}`;
+
+    try {
+      const notJson = await request(decide(escalated.escalationId, 'approve'), { method: 'POST', headers: { 'X-API-Key': 'manager-key' }, body: 'notes=ok' });
+      assert.strictEqual(notJson.status, 415);
+      assert.match((await post(decide(escalated.escalationId, 'modify'), 'manager-key', { notes: 'Partial' })).json.error, /needs the changed context fields/);
+
+      // The body can't choose who decided
+      const modified = await post(decide(escalated.escalationId, 'modify'), 'manager-key', { notes: 'Partial', modifications: { amount: 250 }, resolvedBy: 'ceo' });
+      assert.strictEqual(modified.status, 200);
+      assert.deepStrictEqual([modified.json.decision, modified.json.resolvedBy, modified.json.resumed, modified.json.result], ['modified', 'manager', true, { success: true }]);
+      assert.deepStrictEqual(refunds, [250]);
+
+      const again = await post(decide(escalated.escalationId, 'approve'), 'manager-key', {});
+      assert.strictEqual(again.status, 409);
+      assert.match(again.json.error, /is already approved by manager/);
+
+      assert.strictEqual((await post(decide(denied.escalationId, 'deny'), 'bob-key', { notes: 'Too small to matter' })).json.decision, 'denied');
+      assert.strictEqual((await post(decide('esc_missing', 'approve'), 'bob-key', {})).status, 404);
+
+      const resolutions = agent.auditLogger.query({ type: 'escalation_resolution' });
+      assert.deepStrictEqual(resolutions.map(entry => [entry.escalationId, entry.decision, entry.resolvedBy]).sort(), [
+        [escalated.escalationId, 'modified', 'manager'],
+        [denied.escalationId, 'denied', 'bob']
+      ].sort());
+    } finally {
+      await server.stop();
+      agent.close();
+    }
+  }],
+
+  ['counts API decisions as votes on multi-party escalations', async () => {
+    const agent = createAgent();
+    const escalated = await agent.execute('account_deletion', { accountId: 'a-1', requester: 'alice' }, async () => {}, { resumeOnApproval: true });
+    const { server, url } = await startServer(agent);
+    const approve = `${url}/api/escalations/${escalated.escalationId}/approve`;
+
+    try {
+      const excluded = await post(approve, 'alice-key', {});
+      assert.deepStrictEqual([excluded.status, excluded.json.error], [403, 'alice is excluded from approving this escalation']);
+      assert.strictEqual((await post(approve, 'manager-key', {})).status, 403);
+
+      const first = await post(approve, 'bob-key', { notes: 'Fine by legal' });
+      assert.deepStrictEqual([first.json.decision, first.json.votes], ['pending', { approvals: 1, denials: 0, required: 2 }]);
+      assert.strictEqual((await post(approve, 'bob-key', {})).status, 409);
+
+      const second = await post(approve, 'carol-key', {});
+      assert.deepStrictEqual([second.json.decision, second.json.resumed], ['approved', true]);
+
+      const viewed = await request(`${url}/api/escalations/${escalated.escalationId}`, { headers: { 'X-API-Key': 'bob-key' } });
+      assert.deepStrictEqual(viewed.json.escalation.votes.map(vote => [vote.voter, vote.group]), [['bob', 'legal'], ['carol', 'security']]);
+      assert.strictEqual(viewed.json.escalation.votes[0].hash, undefined);
+    } finally {
+      await server.stop();
+      agent.close();
+    }
+  }],
+
+  ['serves review pages whose forms decide as the signed-in reviewer', async () => {
+    const agent = createAgent();
+    const escalated = await agent.execute('refund_requests', { amount: 900, note: '<script>alert(1)</script>' }, async () => {});
+    const { server, url } = await startServer(agent);
+    const auth = { Authorization: basic('dana', 'correct horse') };
+    const page = `${url}/escalations/${escalated.escalationId}`;
+
+    try {
+      const list = await request(`${url}/`, { headers: auth });
+      assert.strictEqual(list.status, 200);
+      assert.match(list.text, new RegExp(`href="/escalations/${escalated.escalationId}"`));
+
+      const detail = await request(page, { headers: auth });
+      assert.ok(!detail.text.includes('<script>'));
+      assert.match(detail.text, /&lt;script&gt;/);
+      const token = detail.text.match(/name="token" value="([0-9a-f]+)"/)[1];
+
+      const form = (fields) => request(page, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields).toString()
+      });
+
+      assert.strictEqual((await form({ action: 'approve', token: 'forged' })).status, 403);
+      assert.strictEqual(agent.getEscalation(escalated.escalationId).status, 'pending');
+
+      const submitted = await form({ action: 'deny', notes: 'Needs a receipt', token });
+      assert.deepStrictEqual([submitted.status, submitted.headers.location], [303, `/escalations/${escalated.escalationId}`]);
+      assert.deepStrictEqual(agent.getEscalation(escalated.escalationId).resolution.resolvedBy, 'dana');
+
+      const closed = await request(page, { headers: auth });
+      assert.match(closed.text, /denied by dana: Needs a receipt/);
+      assert.ok(!closed.text.includes('<form'));
+    } finally {
+      await server.stop();
+      agent.close();
+    }
+  }]
+]);